@@ -8,7 +8,9 @@
     name: 'Admin User',
     email: 'admin@example.com',
     password: 'AdminPassword123',
-    role: 'admin'
+    role: 'admin',
+    // The bootstrap admin manages every tenant
+    tenants: ['*']
   };
 
   async function createAdminUser() {
@@ -39,6 +41,11 @@
             enum: ['admin', 'manager', 'staff'],
             default: 'admin',
           },
+          // Tenants this user may manage ('*' for all tenants)
+          tenants: {
+            type: [String],
+            default: ['default'],
+          },
           isActive: {
             type: Boolean,
             default: true,
@@ -71,6 +78,7 @@
         email: DEFAULT_ADMIN.email,
         password: hashedPassword,
         role: DEFAULT_ADMIN.role,
+        tenants: DEFAULT_ADMIN.tenants,
         isActive: true
       });
 
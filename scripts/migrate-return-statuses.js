@@ -0,0 +1,53 @@
+// scripts/migrate-return-statuses.js
+// Moves returns saved before the return lifecycle onto its statuses:
+// pending becomes requested and completed becomes refunded. Safe to run
+// more than once.
+//
+//   npm run migrate-return-statuses
+require('dotenv').config({ path: '.env.local' });
+const mongoose = require('mongoose');
+
+// Keep in sync with LEGACY_STATUSES in src/lib/returns/lifecycle.js
+const LEGACY_STATUSES = {
+  pending: 'requested',
+  completed: 'refunded'
+};
+
+async function migrateReturnStatuses() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const returns = mongoose.connection.collection('returnrequests');
+
+    for (const [legacy, status] of Object.entries(LEGACY_STATUSES)) {
+      const result = await returns.updateMany(
+        { status: legacy },
+        {
+          $set: { status, updatedAt: new Date() },
+          $push: {
+            statusHistory: {
+              status,
+              from: legacy,
+              timestamp: new Date(),
+              notes: 'Migrated to the return lifecycle',
+              updatedBy: 'System',
+              actor: { id: 'migration', type: 'system', name: 'System' }
+            }
+          }
+        }
+      );
+      console.log(`${legacy} -> ${status}: ${result.modifiedCount} returns updated`);
+    }
+
+    // History entries keep their old status names so the record stays accurate
+    console.log('Migration complete');
+  } catch (error) {
+    console.error('Error migrating return statuses:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrateReturnStatuses();
@@ -0,0 +1,235 @@
+// scripts/mock-idp.js
+// A minimal OpenID Connect provider for trying admin single sign-on locally.
+// The sign-in page lets you pick any email, name and groups, so you can check
+// provisioning and role mapping without a real IdP.
+//
+//   npm run mock-idp
+//
+// Then in Settings > Single Sign-On use issuer http://localhost:4011,
+// client ID "return-portal" and client secret "mock-secret".
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = Number(process.env.MOCK_IDP_PORT || 4011);
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_IDP_CLIENT_ID || 'return-portal';
+const CLIENT_SECRET = process.env.MOCK_IDP_CLIENT_SECRET || 'mock-secret';
+
+// Codes and access tokens are single-use and short-lived, like a real IdP's
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 3600;
+
+// A fresh signing key on every start
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+const codes = new Map();
+const accessTokens = new Map();
+
+function base64url(buffer) {
+  return buffer.toString('base64').replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function escapeHtml(value) {
+  return String(value || '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(body))));
+    req.on('error', reject);
+  });
+}
+
+// Client credentials from HTTP Basic auth or the form body
+function getClientCredentials(req, form) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(header.slice(6), 'base64').toString().split(':');
+    return { id: decodeURIComponent(id), secret: decodeURIComponent(secret || '') };
+  }
+  return { id: form.client_id, secret: form.client_secret };
+}
+
+function discovery(res) {
+  sendJson(res, 200, {
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile', 'groups'],
+    claims_supported: ['sub', 'email', 'email_verified', 'name', 'groups']
+  });
+}
+
+function authorizePage(res, params) {
+  if (params.client_id !== CLIENT_ID) {
+    return sendJson(res, 400, { error: 'unauthorized_client' });
+  }
+  if (params.response_type !== 'code' || !params.redirect_uri) {
+    return sendJson(res, 400, { error: 'invalid_request' });
+  }
+
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method', 'scope']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(params[name])}">`)
+    .join('\n');
+
+  res.writeHead(200, { 'Content-Type': 'text/html' });
+  res.end(`<!doctype html>
+<html>
+<head><title>Mock IdP</title></head>
+<body style="font-family: sans-serif; max-width: 24rem; margin: 4rem auto">
+  <h1>Mock IdP sign-in</h1>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Email<br><input name="email" type="email" value="jane@example.com" required></label></p>
+    <p><label>Name<br><input name="name" value="Jane Doe"></label></p>
+    <p><label>Groups (comma-separated)<br><input name="groups" value="returns-staff"></label></p>
+    <p><label><input name="email_verified" type="checkbox" checked> Email verified</label></p>
+    <button type="submit">Sign in</button>
+  </form>
+</body>
+</html>`);
+}
+
+async function authorizeSubmit(req, res) {
+  const form = await readForm(req);
+  if (form.client_id !== CLIENT_ID || !form.redirect_uri) {
+    return sendJson(res, 400, { error: 'invalid_request' });
+  }
+
+  const email = String(form.email || '').trim().toLowerCase();
+  const code = base64url(crypto.randomBytes(24));
+
+  codes.set(code, {
+    redirectUri: form.redirect_uri,
+    nonce: form.nonce,
+    codeChallenge: form.code_challenge,
+    expiresAt: Date.now() + CODE_TTL_MS,
+    claims: {
+      // The same email always gets the same subject
+      sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 24),
+      email,
+      email_verified: form.email_verified === 'on',
+      name: form.name,
+      groups: String(form.groups || '').split(',').map(group => group.trim()).filter(Boolean)
+    }
+  });
+
+  const redirect = new URL(form.redirect_uri);
+  redirect.searchParams.set('code', code);
+  if (form.state) redirect.searchParams.set('state', form.state);
+
+  res.writeHead(302, { Location: redirect.toString() });
+  res.end();
+}
+
+async function token(req, res) {
+  const form = await readForm(req);
+  const client = getClientCredentials(req, form);
+
+  if (client.id !== CLIENT_ID || client.secret !== CLIENT_SECRET) {
+    return sendJson(res, 401, { error: 'invalid_client' });
+  }
+  if (form.grant_type !== 'authorization_code') {
+    return sendJson(res, 400, { error: 'unsupported_grant_type' });
+  }
+
+  const grant = codes.get(form.code);
+  codes.delete(form.code);
+
+  if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== form.redirect_uri) {
+    return sendJson(res, 400, { error: 'invalid_grant' });
+  }
+
+  if (grant.codeChallenge) {
+    const challenge = base64url(crypto.createHash('sha256').update(form.code_verifier || '').digest());
+    if (challenge !== grant.codeChallenge) {
+      return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+  }
+
+  const accessToken = base64url(crypto.randomBytes(24));
+  accessTokens.set(accessToken, {
+    claims: grant.claims,
+    expiresAt: Date.now() + TOKEN_TTL_SECONDS * 1000
+  });
+
+  const idToken = jwt.sign(
+    { ...grant.claims, ...(grant.nonce ? { nonce: grant.nonce } : {}) },
+    privateKey,
+    {
+      algorithm: 'RS256',
+      keyid: KEY_ID,
+      issuer: ISSUER,
+      audience: CLIENT_ID,
+      expiresIn: TOKEN_TTL_SECONDS
+    }
+  );
+
+  sendJson(res, 200, {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: TOKEN_TTL_SECONDS,
+    id_token: idToken
+  });
+}
+
+function userinfo(req, res) {
+  const header = req.headers.authorization || '';
+  const entry = accessTokens.get(header.replace(/^Bearer /, ''));
+
+  if (!entry || entry.expiresAt < Date.now()) {
+    return sendJson(res, 401, { error: 'invalid_token' });
+  }
+  sendJson(res, 200, entry.claims);
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+
+  try {
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return discovery(res);
+    }
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      const jwk = publicKey.export({ format: 'jwk' });
+      return sendJson(res, 200, { keys: [{ ...jwk, kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+    }
+    if (req.method === 'GET' && url.pathname === '/authorize') {
+      return authorizePage(res, Object.fromEntries(url.searchParams));
+    }
+    if (req.method === 'POST' && url.pathname === '/authorize') {
+      return await authorizeSubmit(req, res);
+    }
+    if (req.method === 'POST' && url.pathname === '/token') {
+      return await token(req, res);
+    }
+    if (req.method === 'GET' && url.pathname === '/userinfo') {
+      return userinfo(req, res);
+    }
+    sendJson(res, 404, { error: 'not_found' });
+  } catch (error) {
+    console.error('Mock IdP error:', error);
+    sendJson(res, 500, { error: 'server_error' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock IdP listening on ${ISSUER}`);
+  console.log(`Client ID: ${CLIENT_ID}  Client secret: ${CLIENT_SECRET}`);
+});
@@ -1,11 +1,48 @@
 // src/components/admin/Header.js
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import Link from 'next/link';
 import { LogOut, LayoutDashboard } from 'lucide-react';
 import { useAdmin } from '@/lib/context/AdminContext';
+import { ALL_TENANTS } from '@/lib/admin/tenantAccess';
 
 export default function Header() {
-  const { user, logout } = useAdmin();
+  const { user, logout, tenantId, tenantLocked, selectTenant, authFetch } = useAdmin();
+  const [tenantOptions, setTenantOptions] = useState([]);
+
+  // Tenants the user can switch between (only on the platform domain)
+  useEffect(() => {
+    if (!user || tenantLocked) {
+      setTenantOptions([]);
+      return;
+    }
+
+    const allowedTenants = user.tenants || [];
+    if (!allowedTenants.includes(ALL_TENANTS)) {
+      setTenantOptions(allowedTenants);
+      return;
+    }
+
+    const loadTenants = async () => {
+      try {
+        const response = await authFetch('/api/admin/tenants');
+        if (response.ok) {
+          const data = await response.json();
+          setTenantOptions(data.tenants.map(tenant => tenant.tenantId));
+        }
+      } catch (error) {
+        console.error('Error loading tenants:', error);
+      }
+    };
+
+    loadTenants();
+  }, [user, tenantLocked, authFetch]);
+
+  const handleTenantChange = (e) => {
+    if (selectTenant(e.target.value)) {
+      // Reload so every page refetches its data for the new tenant
+      window.location.reload();
+    }
+  };
 
   const handleLogout = () => {
     logout();
@@ -32,8 +69,23 @@ export default function Header() {
           </div>
 
           <div className="flex items-center space-x-4">
+            {/* Tenant Switcher */}
+            {tenantOptions.length > 1 && (
+              <select
+                value={tenantId || ''}
+                onChange={handleTenantChange}
+                className="text-sm border border-gray-300 rounded-md px-2 py-1 text-gray-700
+                           focus:outline-none focus:ring-2 focus:ring-blue-500"
+                aria-label="Tenant"
+              >
+                {tenantOptions.map(option => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+            )}
+
             {/* User Info */}
-            <div className="flex items-center space-x-3">
+            <Link href="/admin/account" className="flex items-center space-x-3 group">
               <div 
                 className="h-9 w-9 rounded-full bg-blue-100 flex items-center justify-center 
                            ring-2 ring-blue-200 shadow-sm"
@@ -43,14 +95,14 @@ export default function Header() {
                 </span>
               </div>
               <div className="hidden md:block">
-                <p className="text-sm font-medium text-gray-700">
+                <p className="text-sm font-medium text-gray-700 group-hover:text-blue-600">
                   {user?.name || 'Admin User'}
                 </p>
-                <p className="text-xs text-gray-500">
-                  Administrator
+                <p className="text-xs text-gray-500 capitalize">
+                  {user?.role || 'Administrator'}
                 </p>
               </div>
-            </div>
+            </Link>
 
             {/* Logout Button */}
             <button
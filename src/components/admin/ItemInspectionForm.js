@@ -0,0 +1,135 @@
+// src/components/admin/ItemInspectionForm.js
+import React, { useState } from 'react';
+import { ClipboardCheck, Inbox, PackagePlus } from 'lucide-react';
+import Button from '@/components/ui/Button';
+import { ITEM_CONDITIONS, CONDITION_LABELS, isItemReceived, isItemInspected } from '@/lib/returns/inspection';
+
+const inputClass = 'w-full rounded-md border border-gray-300 shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+export default function ItemInspectionForm({ item, editable = false, saving = false, onSave }) {
+  const receiving = item.receiving || {};
+
+  const [receivedQuantity, setReceivedQuantity] = useState(
+    receiving.receivedQuantity ?? item.quantity ?? 1
+  );
+  const [condition, setCondition] = useState(receiving.condition || '');
+  const [notes, setNotes] = useState(receiving.notes || '');
+  const [photos, setPhotos] = useState((receiving.photos || []).join('\n'));
+
+  const formatDate = (dateString) => new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(item.id || item._id, {
+      receivedQuantity: Number(receivedQuantity),
+      ...(condition ? { condition } : {}),
+      notes,
+      photos: photos.split('\n').map(url => url.trim()).filter(Boolean)
+    });
+  };
+
+  return (
+    <div className="mt-2 p-3 bg-gray-50 border border-gray-200 rounded-lg text-sm">
+      {/* What has been recorded so far */}
+      <div className="flex flex-wrap gap-x-4 gap-y-1 text-gray-600">
+        <span className="flex items-center">
+          <Inbox className="w-4 h-4 mr-1" />
+          {isItemReceived(item)
+            ? `Received ${receiving.receivedQuantity} of ${item.quantity || 1} on ${formatDate(receiving.receivedAt)}${receiving.receivedBy?.name ? ` by ${receiving.receivedBy.name}` : ''}`
+            : 'Not received yet'}
+        </span>
+        {isItemInspected(item) && (
+          <span className="flex items-center">
+            <ClipboardCheck className="w-4 h-4 mr-1" />
+            {receiving.condition ? CONDITION_LABELS[receiving.condition] : 'Nothing to inspect'}
+            {` on ${formatDate(receiving.inspectedAt)}`}
+            {receiving.inspectedBy?.name && ` by ${receiving.inspectedBy.name}`}
+          </span>
+        )}
+        {item.restock?.status && (
+          <span className={`flex items-center ${item.restock.status === 'failed' ? 'text-red-600' : ''}`}>
+            <PackagePlus className="w-4 h-4 mr-1" />
+            {item.restock.status === 'restocked' && `Restocked ${item.restock.quantity} on ${formatDate(item.restock.adjustedAt)}`}
+            {item.restock.status === 'skipped' && `Not restocked: ${item.restock.reason}`}
+            {item.restock.status === 'failed' && `Restock failed: ${item.restock.error}`}
+            {item.restock.status === 'pending' && 'Restock in progress'}
+          </span>
+        )}
+      </div>
+
+      {!editable && receiving.notes && (
+        <p className="mt-2 text-gray-700 whitespace-pre-line">{receiving.notes}</p>
+      )}
+
+      {!editable && receiving.photos?.length > 0 && (
+        <div className="mt-2 flex flex-wrap gap-2">
+          {receiving.photos.map((url, index) => (
+            <a key={url} href={url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+              Photo {index + 1}
+            </a>
+          ))}
+        </div>
+      )}
+
+      {editable && (
+        <form onSubmit={handleSubmit} className="mt-3 space-y-3">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Received quantity</label>
+              <input
+                type="number"
+                min="0"
+                max={item.quantity || 1}
+                value={receivedQuantity}
+                onChange={(e) => setReceivedQuantity(e.target.value)}
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Condition</label>
+              <select
+                value={condition}
+                onChange={(e) => setCondition(e.target.value)}
+                className={inputClass}
+              >
+                <option value="">Not inspected yet</option>
+                {ITEM_CONDITIONS.map(grade => (
+                  <option key={grade} value={grade}>{CONDITION_LABELS[grade]}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Inspection notes</label>
+            <textarea
+              rows="2"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              className={inputClass}
+            ></textarea>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Photo URLs (one per line)</label>
+            <textarea
+              rows="2"
+              value={photos}
+              onChange={(e) => setPhotos(e.target.value)}
+              className={inputClass}
+            ></textarea>
+          </div>
+          <div className="flex justify-end">
+            <Button type="submit" variant="primary" size="sm" isLoading={saving}>
+              {condition ? 'Save Inspection' : 'Save Receiving'}
+            </Button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
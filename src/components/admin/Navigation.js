@@ -7,14 +7,18 @@ import {
   Package,
   BarChart3, 
   Settings,
-  Palette
+  Palette,
+  Users
 } from 'lucide-react';
 import { useTheme } from '@/lib/context/ThemeContext';
+import { useAdmin } from '@/lib/context/AdminContext';
+import { Permissions, hasPermission } from '@/lib/admin/permissions';
 
 export default function Navigation() {
   const router = useRouter();
   const [currentPath, setCurrentPath] = useState('');
   const { theme } = useTheme();
+  const { user } = useAdmin();
 
   useEffect(() => {
     setCurrentPath(router.pathname);
@@ -32,38 +36,51 @@ export default function Navigation() {
     { 
       href: "/admin", 
       label: "Dashboard", 
+      permission: Permissions.RETURNS_VIEW,
       icon: LayoutDashboard,
       isActive: isActive('/admin') && 
         !isActive('/admin/returns') && 
         !isActive('/admin/analytics') && 
         !isActive('/admin/settings') &&
+        !isActive('/admin/users') &&
         !isActive('/admin/theme-customization')
     },
     { 
       href: "/admin/returns", 
       label: "Returns", 
+      permission: Permissions.RETURNS_VIEW,
       icon: Package,
       isActive: isActive('/admin/returns')
     },
     { 
       href: "/admin/analytics", 
       label: "Analytics", 
+      permission: Permissions.ANALYTICS_VIEW,
       icon: BarChart3,
       isActive: isActive('/admin/analytics')
     },
     { 
       href: "/admin/theme-customization", 
       label: "Theme", 
+      permission: Permissions.THEME_MANAGE,
       icon: Palette,
       isActive: isActive('/admin/theme-customization')
     },
     { 
       href: "/admin/settings", 
       label: "Settings", 
+      permission: Permissions.SETTINGS_VIEW,
       icon: Settings,
       isActive: isActive('/admin/settings')
+    },
+    { 
+      href: "/admin/users", 
+      label: "Users", 
+      permission: Permissions.USERS_MANAGE,
+      icon: Users,
+      isActive: isActive('/admin/users')
     }
-  ];
+  ].filter(item => hasPermission(user?.role, item.permission));
   
   return (
     <nav className="bg-white border-b sticky top-16 z-30" style={{ borderColor }}>
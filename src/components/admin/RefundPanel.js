@@ -0,0 +1,224 @@
+// src/components/admin/RefundPanel.js
+import React, { useState } from 'react';
+import { CreditCard, Receipt } from 'lucide-react';
+import Card from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import { getRefundableQuantity } from '@/lib/returns/refunds';
+
+const inputClass = 'w-full rounded-md border border-gray-300 shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+const formatMoney = (amount, currency) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: currency || 'USD'
+}).format(amount || 0);
+
+const formatDate = (dateString) => new Date(dateString).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+export default function RefundPanel({ items = [], refunds = [], editable = false, saving = false, onCalculate, onIssue }) {
+  const refundableItems = items.filter(item => getRefundableQuantity(item) > 0);
+
+  const [quantities, setQuantities] = useState(() => Object.fromEntries(
+    refundableItems.map(item => [item.id || item._id, getRefundableQuantity(item)])
+  ));
+  const [includeShipping, setIncludeShipping] = useState(false);
+  const [notify, setNotify] = useState(true);
+  const [note, setNote] = useState('');
+  const [quote, setQuote] = useState(null);
+
+  const selection = {
+    items: Object.entries(quantities)
+      .map(([itemId, quantity]) => ({ itemId, quantity: Number(quantity) }))
+      .filter(line => line.quantity > 0),
+    includeShipping,
+    note,
+    notify
+  };
+
+  // Any change to the selection makes the last quote stale
+  const updateQuantity = (itemId, quantity) => {
+    setQuantities(current => ({ ...current, [itemId]: quantity }));
+    setQuote(null);
+  };
+
+  const handleCalculate = async () => {
+    setQuote(await onCalculate(selection));
+  };
+
+  const handleIssue = async () => {
+    if (!window.confirm(`Refund ${formatMoney(quote.total, quote.currency)} to the customer's original payment method?`)) {
+      return;
+    }
+    const success = await onIssue(selection);
+    if (success) {
+      setQuote(null);
+      setNote('');
+    }
+  };
+
+  return (
+    <Card title="Refunds" padding="normal">
+      {editable && refundableItems.length > 0 && (
+        <div className="space-y-3 text-sm">
+          {refundableItems.map(item => {
+            const itemId = item.id || item._id;
+            return (
+              <div key={itemId} className="flex items-center justify-between gap-4">
+                <span className="text-gray-800">
+                  {item.title}
+                  {item.variant_title && <span className="text-gray-500"> — {item.variant_title}</span>}
+                </span>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="number"
+                    min="0"
+                    max={getRefundableQuantity(item)}
+                    value={quantities[itemId] ?? 0}
+                    onChange={(e) => updateQuantity(itemId, e.target.value)}
+                    className={`${inputClass} w-20`}
+                  />
+                  <span className="text-gray-500 whitespace-nowrap">of {getRefundableQuantity(item)}</span>
+                </div>
+              </div>
+            );
+          })}
+
+          <div className="flex flex-wrap gap-x-6 gap-y-2">
+            <label className="flex items-center text-gray-700">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={includeShipping}
+                onChange={(e) => {
+                  setIncludeShipping(e.target.checked);
+                  setQuote(null);
+                }}
+              />
+              Refund shipping
+            </label>
+            <label className="flex items-center text-gray-700">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={notify}
+                onChange={(e) => setNotify(e.target.checked)}
+              />
+              Email the customer from Shopify
+            </label>
+          </div>
+
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Refund note</label>
+            <input
+              type="text"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              className={inputClass}
+              placeholder="Shown on the Shopify order"
+            />
+          </div>
+
+          {quote && (
+            <div className="p-3 bg-gray-50 border border-gray-200 rounded-lg space-y-1">
+              {quote.items.map(line => (
+                <div key={line.itemId} className="flex justify-between text-gray-700">
+                  <span>{line.title} × {line.quantity}</span>
+                  <span>{formatMoney(line.subtotal, quote.currency)}</span>
+                </div>
+              ))}
+              {quote.shipping > 0 && (
+                <div className="flex justify-between text-gray-700">
+                  <span>Shipping</span>
+                  <span>{formatMoney(quote.shipping, quote.currency)}</span>
+                </div>
+              )}
+              <div className="flex justify-between text-gray-700">
+                <span>Tax</span>
+                <span>{formatMoney(quote.tax, quote.currency)}</span>
+              </div>
+              {quote.fees?.map((fee, index) => (
+                <div key={`${fee.type}-${fee.itemId || index}`} className="flex justify-between text-gray-700">
+                  <span>
+                    {fee.label}
+                    {fee.itemId && ` (${quote.items.find(line => line.itemId === fee.itemId)?.title || 'item'})`}
+                  </span>
+                  <span>−{formatMoney(fee.amount, quote.currency)}</span>
+                </div>
+              ))}
+              <div className="flex justify-between font-medium text-gray-900 pt-1 border-t border-gray-200">
+                <span>Refund to original payment</span>
+                <span>{formatMoney(quote.total, quote.currency)}</span>
+              </div>
+              {quote.transactions.map(transaction => (
+                <p key={transaction.parentId} className="text-xs text-gray-500">
+                  {formatMoney(transaction.amount, quote.currency)} via {transaction.gateway}
+                </p>
+              ))}
+            </div>
+          )}
+
+          <div className="flex justify-end gap-2">
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={handleCalculate}
+              isLoading={saving}
+              disabled={selection.items.length === 0}
+            >
+              Calculate Refund
+            </Button>
+            <Button
+              variant="primary"
+              size="sm"
+              onClick={handleIssue}
+              isLoading={saving}
+              disabled={!quote || (quote.total <= 0 && !(quote.totalFees > 0))}
+              icon={<CreditCard className="w-4 h-4" />}
+            >
+              Issue Refund
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {editable && refundableItems.length === 0 && (
+        <p className="text-sm text-gray-500">Everything on this return has been refunded.</p>
+      )}
+
+      {refunds.length > 0 && (
+        <div className={`space-y-3 text-sm ${editable ? 'mt-4 pt-4 border-t border-gray-200' : ''}`}>
+          {[...refunds].reverse().map(refund => (
+            <div key={refund.shopifyRefundId} className="flex items-start">
+              <Receipt className="w-4 h-4 text-gray-500 mt-0.5 mr-2 flex-shrink-0" />
+              <div>
+                <p className="font-medium text-gray-900">
+                  {formatMoney(refund.amount, refund.currency)} refunded
+                  {refund.totalFees > 0 && (
+                    <span className="font-normal text-gray-500">
+                      {` after ${formatMoney(refund.totalFees, refund.currency)} in fees`}
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {formatDate(refund.createdAt)}
+                  {refund.createdBy?.name && ` by ${refund.createdBy.name}`}
+                  {` · Shopify refund ${refund.shopifyRefundId}`}
+                </p>
+                {refund.transactions.map(transaction => (
+                  <p key={transaction.id} className="text-xs text-gray-500">
+                    Transaction {transaction.id}: {formatMoney(transaction.amount, refund.currency)} via {transaction.gateway} ({transaction.status})
+                  </p>
+                ))}
+                {refund.note && <p className="text-xs text-gray-600 mt-1">{refund.note}</p>}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+}
@@ -3,17 +3,22 @@ import React, { useState } from 'react';
 import { Package, RefreshCw, AlertTriangle, CheckCircle, XCircle } from 'lucide-react';
 import Card from '@/components/ui/Card';
 import Image from 'next/image';
+import ReturnStatusBadge from '@/components/admin/ReturnStatusBadge';
 
 export default function ReturnItemCard({ 
   item, 
-  status = 'pending',
+  status = 'requested',
   showActions = true,
   onApprove = null,
   onReject = null,
-  onFlag = null
+  onFlag = null,
+  saving = false
 }) {
   // Track image loading state
   const [imageError, setImageError] = useState(false);
+  // Rejecting an item asks for a reason first
+  const [rejecting, setRejecting] = useState(false);
+  const [rejectReason, setRejectReason] = useState('');
   
   // Helper to format money values
   const formatMoney = (value) => {
@@ -23,38 +28,6 @@ export default function ReturnItemCard({
     }).format(value);
   };
 
-  // Get appropriate status styles
-  const getStatusStyles = () => {
-    switch(status) {
-      case 'approved':
-        return 'bg-blue-100 text-blue-800';
-      case 'completed':
-        return 'bg-green-100 text-green-800';
-      case 'rejected':
-        return 'bg-red-100 text-red-800';
-      case 'flagged':
-        return 'bg-purple-100 text-purple-800';
-      default: // pending
-        return 'bg-amber-100 text-amber-800';
-    }
-  };
-
-  // Get appropriate status icon
-  const getStatusIcon = () => {
-    switch(status) {
-      case 'approved':
-        return <RefreshCw className="w-4 h-4" />;
-      case 'completed':
-        return <CheckCircle className="w-4 h-4" />;
-      case 'rejected':
-        return <XCircle className="w-4 h-4" />;
-      case 'flagged':
-        return <AlertTriangle className="w-4 h-4" />;
-      default: // pending
-        return <Package className="w-4 h-4" />;
-    }
-  };
-
   // Get image URL or null if none available
   const getImageUrl = () => {
     if (item.image?.src) return item.image.src;
@@ -97,6 +70,16 @@ export default function ReturnItemCard({
   const totalPrice = price * quantity;
   const itemName = getItemName();
   const returnReason = getReturnReason();
+  const decision = item.decision?.status;
+
+  const handleReject = async () => {
+    if (!rejectReason.trim()) return;
+    const success = await onReject(item.id, rejectReason.trim());
+    if (success !== false) {
+      setRejecting(false);
+      setRejectReason('');
+    }
+  };
 
   return (
     <Card padding="normal" className="overflow-visible">
@@ -142,13 +125,26 @@ export default function ReturnItemCard({
                   <span className="font-medium">Reason:</span> {returnReason}
                 </div>
               )}
+
+              {/* Item Decision */}
+              {decision && (
+                <div className={`mt-1 text-xs ${decision === 'rejected' ? 'text-red-700' : 'text-green-700'}`}>
+                  <span className="inline-flex items-center font-medium">
+                    {decision === 'rejected'
+                      ? <XCircle className="w-3 h-3 mr-1" />
+                      : <CheckCircle className="w-3 h-3 mr-1" />}
+                    {decision === 'rejected' ? 'Item rejected' : 'Item approved'}
+                  </span>
+                  {item.decision.reason && `: ${item.decision.reason}`}
+                  {item.decision.decidedBy?.name && (
+                    <span className="text-gray-500"> · by {item.decision.decidedBy.name}</span>
+                  )}
+                </div>
+              )}
             </div>
 
             {/* Status Badge */}
-            <div className={`px-2 py-1 rounded-full text-xs font-medium flex items-center ${getStatusStyles()}`}>
-              {getStatusIcon()}
-              <span className="ml-1 capitalize">{status}</span>
-            </div>
+            <ReturnStatusBadge status={status} showIcon />
           </div>
 
           {/* Return Type */}
@@ -191,12 +187,13 @@ export default function ReturnItemCard({
           )}
 
           {/* Action Buttons - Only shown when actions are available and showActions is true */}
-          {showActions && (status === 'pending' || status === 'flagged') && (
+          {showActions && (status === 'requested' || status === 'flagged') && (
             <div className="mt-2 flex space-x-2">
-              {onApprove && (
+              {onApprove && decision !== 'approved' && (
                 <button 
                   onClick={() => onApprove(item.id)}
-                  className="px-2 py-1 text-xs font-medium text-white bg-green-600 rounded hover:bg-green-700 flex items-center"
+                  disabled={saving}
+                  className="px-2 py-1 text-xs font-medium text-white bg-green-600 rounded hover:bg-green-700 flex items-center disabled:opacity-50"
                 >
                   <CheckCircle className="w-3 h-3 mr-1" />
                   Approve
@@ -213,10 +210,11 @@ export default function ReturnItemCard({
                 </button>
               )}
               
-              {onReject && (
+              {onReject && decision !== 'rejected' && !rejecting && (
                 <button 
-                  onClick={() => onReject(item.id)}
-                  className="px-2 py-1 text-xs font-medium text-white bg-red-600 rounded hover:bg-red-700 flex items-center"
+                  onClick={() => setRejecting(true)}
+                  disabled={saving}
+                  className="px-2 py-1 text-xs font-medium text-white bg-red-600 rounded hover:bg-red-700 flex items-center disabled:opacity-50"
                 >
                   <XCircle className="w-3 h-3 mr-1" />
                   Reject
@@ -224,6 +222,35 @@ export default function ReturnItemCard({
               )}
             </div>
           )}
+
+          {/* Reason for rejecting the item, shown to the customer */}
+          {showActions && rejecting && (
+            <div className="mt-2 flex items-center space-x-2">
+              <input
+                type="text"
+                value={rejectReason}
+                onChange={e => setRejectReason(e.target.value)}
+                placeholder="Why is this item rejected?"
+                className="flex-grow px-2 py-1 text-xs border border-gray-300 rounded focus:outline-none focus:ring-red-500 focus:border-red-500"
+              />
+              <button
+                onClick={handleReject}
+                disabled={saving || !rejectReason.trim()}
+                className="px-2 py-1 text-xs font-medium text-white bg-red-600 rounded hover:bg-red-700 disabled:opacity-50"
+              >
+                Reject Item
+              </button>
+              <button
+                onClick={() => {
+                  setRejecting(false);
+                  setRejectReason('');
+                }}
+                className="px-2 py-1 text-xs font-medium text-gray-700 bg-gray-100 rounded hover:bg-gray-200"
+              >
+                Cancel
+              </button>
+            </div>
+          )}
         </div>
       </div>
     </Card>
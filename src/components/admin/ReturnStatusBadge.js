@@ -0,0 +1,48 @@
+// src/components/admin/ReturnStatusBadge.js
+import React from 'react';
+import {
+  Package, RefreshCw, Truck, Inbox, ClipboardCheck, CheckCircle,
+  Repeat, Archive, XCircle, Slash, AlertTriangle
+} from 'lucide-react';
+import { STATUS_LABELS, normalizeStatus } from '@/lib/returns/lifecycle';
+
+const STATUS_STYLES = {
+  requested: 'bg-amber-100 text-amber-800',
+  approved: 'bg-blue-100 text-blue-800',
+  in_transit: 'bg-sky-100 text-sky-800',
+  received: 'bg-indigo-100 text-indigo-800',
+  inspected: 'bg-teal-100 text-teal-800',
+  refunded: 'bg-green-100 text-green-800',
+  exchanged: 'bg-green-100 text-green-800',
+  closed: 'bg-gray-100 text-gray-700',
+  rejected: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-700',
+  flagged: 'bg-purple-100 text-purple-800'
+};
+
+const STATUS_ICONS = {
+  requested: Package,
+  approved: RefreshCw,
+  in_transit: Truck,
+  received: Inbox,
+  inspected: ClipboardCheck,
+  refunded: CheckCircle,
+  exchanged: Repeat,
+  closed: Archive,
+  rejected: XCircle,
+  cancelled: Slash,
+  flagged: AlertTriangle
+};
+
+export default function ReturnStatusBadge({ status, size = 'sm', showIcon = false }) {
+  const current = normalizeStatus(status) || 'requested';
+  const Icon = STATUS_ICONS[current];
+  const sizeClass = size === 'md' ? 'px-3 py-1 text-sm' : 'px-2 py-1 text-xs';
+
+  return (
+    <span className={`${sizeClass} rounded-full font-medium inline-flex items-center ${STATUS_STYLES[current] || 'bg-gray-100 text-gray-700'}`}>
+      {showIcon && Icon && <Icon className="w-4 h-4 mr-1" />}
+      {STATUS_LABELS[current] || current}
+    </span>
+  );
+}
@@ -0,0 +1,241 @@
+// src/components/return/RefundMethodOption.js
+import React from 'react';
+import { CreditCard, Gift, Wallet, DollarSign, Sparkles } from 'lucide-react';
+import Trans from '@/lib/i18n/Trans';
+
+// Credit methods are shown as the featured choice, with their bonus
+const CREDIT_DISPLAY = {
+  gift_card: {
+    icon: Gift,
+    titleKey: 'return.review.maximizeReturn',
+    title: 'Maximize Your Return',
+    valueKey: 'return.review.giftCardValue',
+    valueLabel: 'Gift Card Value',
+    selectKey: 'return.review.selectGiftCard',
+    selectLabel: 'Select Gift Card'
+  },
+  store_credit: {
+    icon: Wallet,
+    titleKey: 'return.review.storeCredit',
+    title: 'Store Credit',
+    valueKey: 'return.review.storeCreditValue',
+    valueLabel: 'Store Credit Value',
+    selectKey: 'return.review.selectStoreCredit',
+    selectLabel: 'Select Store Credit'
+  }
+};
+
+export default function RefundMethodOption({
+  method,
+  bonus = 0,
+  selected = false,
+  onSelect,
+  totalValue = 0,
+  refundValue = 0,
+  feeTotal = 0
+}) {
+  const percent = (bonus * 100).toFixed(0);
+  const credit = CREDIT_DISPLAY[method];
+
+  if (credit) {
+    const Icon = credit.icon;
+    return (
+      <div
+        className={`
+          relative flex items-center p-4 rounded-xl border-2 transition transform duration-200 cursor-pointer
+          bg-gradient-to-r from-blue-50 to-blue-100
+          ${selected
+            ? 'shadow-xl border-blue-500 ring-4 ring-blue-200 scale-105'
+            : 'shadow-sm border-gray-200 hover:shadow-md hover:scale-105 hover:border-blue-300'}
+        `}
+        onClick={onSelect}
+        style={{
+          borderColor: selected
+            ? 'var(--theme-primary-color, #4f46e5)'
+            : 'var(--theme-border-color, #e5e7eb)',
+          boxShadow: selected
+            ? '0 4px 6px -1px rgba(0, 0, 0, 0.1)'
+            : '0 1px 2px 0 rgba(0, 0, 0, 0.05)'
+        }}
+      >
+        {/* Bonus Badge */}
+        {bonus > 0 && (
+          <div className="absolute top-0 right-0 m-2">
+            <span className="bg-gradient-to-r from-green-500 to-green-600 text-white text-xs font-bold px-2 py-1 rounded-full flex items-center">
+              <Sparkles className="w-3 h-3 mr-1" />
+              <Trans i18nKey="return.review.bonusAmount" params={{percent}}>
+                +{percent}% BONUS
+              </Trans>
+            </span>
+          </div>
+        )}
+
+        <div className="bg-blue-100 rounded-full p-3 mr-4 flex-shrink-0"
+             style={{backgroundColor: 'rgba(var(--theme-primary-color-rgb, 79, 70, 229), 0.1)'}}>
+          <Icon className="w-6 h-6 text-blue-600" style={{color: 'var(--theme-primary-color, #4f46e5)'}} />
+        </div>
+
+        <div className="flex-grow">
+          <h3 className="text-lg font-bold text-gray-900 mb-1 return-portal-heading">
+            <Trans i18nKey={credit.titleKey}>{credit.title}</Trans>
+          </h3>
+
+          {bonus > 0 && (
+            <p className="text-sm mb-2 return-portal-text-secondary">
+              <Trans i18nKey="return.review.bonusDescription" params={{percent}}>
+                Enjoy an extra {percent}% bonus – more money back in your pocket!
+              </Trans>
+            </p>
+          )}
+
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-2"
+               style={{
+                 backgroundColor: 'rgba(var(--theme-primary-color-rgb, 79, 70, 229), 0.05)',
+                 borderColor: 'rgba(var(--theme-primary-color-rgb, 79, 70, 229), 0.2)'
+               }}>
+            <div className="flex justify-between items-center text-sm">
+              <span className="return-portal-text-secondary">
+                <Trans i18nKey="return.review.originalValue">Original Value</Trans>
+              </span>
+              <span className="font-medium return-portal-text">
+                ${totalValue.toFixed(2)}
+              </span>
+            </div>
+            {feeTotal > 0 && (
+              <div className="flex justify-between items-center text-sm">
+                <span className="return-portal-text-secondary">
+                  <Trans i18nKey="return.review.returnFees">Return fees</Trans>
+                </span>
+                <span className="font-medium return-portal-text">
+                  -${feeTotal.toFixed(2)}
+                </span>
+              </div>
+            )}
+            <div className="flex justify-between items-center mt-1">
+              <span className="font-bold" style={{color: 'var(--theme-primary-color, #4f46e5)'}}>
+                <Trans i18nKey={credit.valueKey}>{credit.valueLabel}</Trans>
+              </span>
+              <span className="font-bold" style={{color: 'var(--theme-primary-color, #4f46e5)'}}>
+                ${(refundValue * (1 + bonus)).toFixed(2)}
+              </span>
+            </div>
+          </div>
+
+          <div className="mt-2">
+            <input
+              type="radio"
+              id={`${method}-option`}
+              checked={selected}
+              onChange={onSelect}
+              className="hidden peer"
+            />
+            <label
+              htmlFor={`${method}-option`}
+              className="block w-full py-2 rounded-lg text-center font-bold transition-colors bg-blue-600 text-white hover:bg-blue-700 return-portal-button-primary"
+              style={{
+                backgroundColor: 'var(--theme-primary-color, #4f46e5)',
+                color: '#ffffff'
+              }}
+            >
+              <Trans i18nKey={credit.selectKey}>{credit.selectLabel}</Trans>
+            </label>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className={`
+        relative flex items-center p-4 rounded-xl border-2 transition transform duration-200 cursor-pointer
+        bg-gradient-to-r from-gray-50 to-gray-100
+        ${selected
+          ? 'shadow-xl border-gray-500 ring-4 ring-gray-200 scale-105'
+          : 'shadow-sm border-gray-200 opacity-80 hover:shadow-md hover:scale-105 hover:opacity-100'}
+      `}
+      onClick={onSelect}
+      style={{
+        borderColor: selected
+          ? 'var(--theme-secondary-color, #6b7280)'
+          : 'var(--theme-border-color, #e5e7eb)',
+        boxShadow: selected
+          ? '0 4px 6px -1px rgba(0, 0, 0, 0.1)'
+          : '0 1px 2px 0 rgba(0, 0, 0, 0.05)'
+      }}
+    >
+      {/* Fee Deduction Badge */}
+      {feeTotal > 0 && (
+        <div className="absolute top-0 right-0 m-2">
+          <span className="bg-gradient-to-r from-red-100 to-red-200 text-red-800 text-xs font-bold px-2 py-1 rounded-full flex items-center">
+            <DollarSign className="w-3 h-3 mr-1" />
+            <Trans i18nKey="return.review.feeDeduction" params={{amount: feeTotal.toFixed(2)}}>
+              -${feeTotal.toFixed(2)} Fees
+            </Trans>
+          </span>
+        </div>
+      )}
+
+      <div className="bg-gray-100 rounded-full p-3 mr-4 flex-shrink-0">
+        <CreditCard className="w-6 h-6 text-gray-600" />
+      </div>
+
+      <div className="flex-grow">
+        <h3 className="text-lg font-bold text-gray-900 mb-1 return-portal-heading">
+          <Trans i18nKey="return.review.originalPayment">Original Payment</Trans>
+        </h3>
+
+        <p className="text-sm mb-2 return-portal-text-secondary">
+          <Trans i18nKey="return.returnOptions.returnDescription">
+            Refund will be processed to your original payment method
+          </Trans>
+        </p>
+
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-2">
+          <div className="flex justify-between items-center text-sm">
+            <span className="return-portal-text-secondary">
+              <Trans i18nKey="return.review.originalValue">Original Value</Trans>
+            </span>
+            <span className="font-medium return-portal-text">
+              ${totalValue.toFixed(2)}
+            </span>
+          </div>
+          {feeTotal > 0 && (
+            <div className="flex justify-between items-center text-sm">
+              <span className="return-portal-text-secondary">
+                <Trans i18nKey="return.review.returnFees">Return fees</Trans>
+              </span>
+              <span className="font-medium return-portal-text">
+                -${feeTotal.toFixed(2)}
+              </span>
+            </div>
+          )}
+          <div className="flex justify-between items-center mt-1">
+            <span className="font-bold return-portal-text">
+              <Trans i18nKey="return.review.refundAmount">Refund Amount</Trans>
+            </span>
+            <span className="font-bold return-portal-text">
+              ${refundValue.toFixed(2)}
+            </span>
+          </div>
+        </div>
+
+        <div className="mt-2">
+          <input
+            type="radio"
+            id={`${method}-option`}
+            checked={selected}
+            onChange={onSelect}
+            className="hidden peer"
+          />
+          <label
+            htmlFor={`${method}-option`}
+            className="block w-full py-2 rounded-lg text-center font-bold transition-colors bg-gray-200 text-gray-700 hover:bg-gray-300"
+          >
+            <Trans i18nKey="return.review.selectOriginalMethod">Select Original Method</Trans>
+          </label>
+        </div>
+      </div>
+    </div>
+  );
+}
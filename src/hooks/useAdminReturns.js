@@ -7,9 +7,12 @@ export function useAdminReturns() {
   const [returns, setReturns] = useState([]);
   const [stats, setStats] = useState({
     totalReturns: 0,
-    pendingReturns: 0,
+    requestedReturns: 0,
     approvedReturns: 0,
-    completedReturns: 0,
+    inTransitReturns: 0,
+    receivedReturns: 0,
+    refundedReturns: 0,
+    exchangedReturns: 0,
     flaggedReturns: 0,
     rejectedReturns: 0
   });
@@ -61,9 +64,12 @@ export function useAdminReturns() {
       setReturns(data.returns || []);
       setStats(data.stats || {
         totalReturns: 0,
-        pendingReturns: 0,
+        requestedReturns: 0,
         approvedReturns: 0,
-        completedReturns: 0,
+        inTransitReturns: 0,
+        receivedReturns: 0,
+        refundedReturns: 0,
+        exchangedReturns: 0,
         flaggedReturns: 0,
         rejectedReturns: 0
       });
@@ -124,6 +130,7 @@ export function useAdminReturnDetail(id) {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [actionLoading, setActionLoading] = useState(false);
+  const [actionError, setActionError] = useState(null);
 
   // Fetch return details
   const fetchReturnDetail = useCallback(async () => {
@@ -152,16 +159,17 @@ export function useAdminReturnDetail(id) {
     }
   }, [isAuthenticated, id, authFetch]);
 
-  // Update return status
-  const updateReturnStatus = useCallback(async (status, adminNotes = '') => {
+  // Move the return to another status; extra holds fields a transition needs, like trackingNumber
+  const updateReturnStatus = useCallback(async (status, adminNotes = '', extra = {}) => {
     if (!isAuthenticated || !id) return;
     
     setActionLoading(true);
+    setActionError(null);
     
     try {
       const response = await authFetch(`/api/admin/returns/${id}`, {
         method: 'PATCH',
-        body: JSON.stringify({ status, adminNotes })
+        body: JSON.stringify({ ...extra, status, adminNotes })
       });
       
       if (!response.ok) {
@@ -175,7 +183,241 @@ export function useAdminReturnDetail(id) {
       return true;
     } catch (err) {
       console.error('Error updating return status:', err);
-      setError(err.message || 'An error occurred while updating return');
+      // Shown next to the actions; a refused transition leaves the return as it was
+      setActionError(err.message || 'An error occurred while updating return');
+      return false;
+    } finally {
+      setActionLoading(false);
+    }
+  }, [isAuthenticated, id, authFetch, fetchReturnDetail]);
+
+  // Record the warehouse receiving or inspection of one item
+  const recordItemReceiving = useCallback(async (itemId, receiving) => {
+    if (!isAuthenticated || !id) return;
+    
+    setActionLoading(true);
+    setActionError(null);
+    
+    try {
+      const response = await authFetch(`/api/admin/returns/${id}/items/${encodeURIComponent(itemId)}`, {
+        method: 'PATCH',
+        body: JSON.stringify(receiving)
+      });
+      
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || 'Failed to update item');
+      }
+      
+      // The return may have moved on to received or inspected
+      await fetchReturnDetail();
+      
+      return true;
+    } catch (err) {
+      console.error('Error recording item receiving:', err);
+      setActionError(err.message || 'An error occurred while updating the item');
+      return false;
+    } finally {
+      setActionLoading(false);
+    }
+  }, [isAuthenticated, id, authFetch, fetchReturnDetail]);
+
+  // Approve or reject one item; the return follows once every item is decided
+  const decideItem = useCallback(async (itemId, decision, reason) => {
+    if (!isAuthenticated || !id) return false;
+    
+    setActionLoading(true);
+    setActionError(null);
+    
+    try {
+      const response = await authFetch(`/api/admin/returns/${id}/items/${encodeURIComponent(itemId)}/decision`, {
+        method: 'POST',
+        body: JSON.stringify({ decision, reason })
+      });
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.message || `Failed to ${decision === 'rejected' ? 'reject' : 'approve'} item`);
+      }
+      
+      // The return may have been approved or rejected
+      await fetchReturnDetail();
+      
+      return true;
+    } catch (err) {
+      console.error('Error deciding item:', err);
+      setActionError(err.message || 'An error occurred while deciding the item');
+      return false;
+    } finally {
+      setActionLoading(false);
+    }
+  }, [isAuthenticated, id, authFetch, fetchReturnDetail]);
+
+  // Retry restocking items whose Shopify inventory adjustment failed
+  const retryRestock = useCallback(async () => {
+    if (!isAuthenticated || !id) return;
+    
+    setActionLoading(true);
+    setActionError(null);
+    
+    try {
+      const response = await authFetch(`/api/admin/returns/${id}/restock`, { method: 'POST' });
+      const data = await response.json();
+      
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to restock items');
+      }
+      
+      await fetchReturnDetail();
+      
+      return true;
+    } catch (err) {
+      console.error('Error restocking items:', err);
+      setActionError(err.message || 'An error occurred while restocking items');
+      return false;
+    } finally {
+      setActionLoading(false);
+    }
+  }, [isAuthenticated, id, authFetch, fetchReturnDetail]);
+
+  // Generate the packing slip, and a carrier label if the tenant books them
+  const generateDocuments = useCallback(async () => {
+    if (!isAuthenticated || !id) return false;
+    
+    setActionLoading(true);
+    setActionError(null);
+    
+    try {
+      const response = await authFetch(`/api/admin/returns/${id}/documents`, { method: 'POST' });
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to generate documents');
+      }
+      
+      await fetchReturnDetail();
+      
+      return true;
+    } catch (err) {
+      console.error('Error generating documents:', err);
+      setActionError(err.message || 'An error occurred while generating documents');
+      return false;
+    } finally {
+      setActionLoading(false);
+    }
+  }, [isAuthenticated, id, authFetch, fetchReturnDetail]);
+
+  // Download a packing slip or label. The file needs the admin's
+  // credentials, so it is fetched here instead of linked to.
+  const downloadDocument = useCallback(async (documentType) => {
+    if (!isAuthenticated || !id) return false;
+    
+    setActionError(null);
+    
+    try {
+      const response = await authFetch(`/api/admin/returns/${id}/documents?document=${encodeURIComponent(documentType)}`);
+      
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || 'Failed to download the document');
+      }
+      
+      const filename = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '')?.[1];
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename || `${documentType}.pdf`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+      
+      return true;
+    } catch (err) {
+      console.error('Error downloading document:', err);
+      setActionError(err.message || 'An error occurred while downloading the document');
+      return false;
+    }
+  }, [isAuthenticated, id, authFetch]);
+
+  // Ask Shopify what refunding the selected items would pay out
+  const calculateRefund = useCallback(async (selection) => {
+    if (!isAuthenticated || !id) return null;
+    
+    setActionLoading(true);
+    setActionError(null);
+    
+    try {
+      const response = await authFetch(`/api/admin/returns/${id}/refund-quote`, {
+        method: 'POST',
+        body: JSON.stringify(selection)
+      });
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to calculate the refund');
+      }
+      
+      return data.quote;
+    } catch (err) {
+      console.error('Error calculating refund:', err);
+      setActionError(err.message || 'An error occurred while calculating the refund');
+      return null;
+    } finally {
+      setActionLoading(false);
+    }
+  }, [isAuthenticated, id, authFetch]);
+
+  // Refund the selected items to the original payment method
+  const issueRefund = useCallback(async (selection) => {
+    if (!isAuthenticated || !id) return false;
+    
+    setActionLoading(true);
+    setActionError(null);
+    
+    try {
+      const response = await authFetch(`/api/admin/returns/${id}/refunds`, {
+        method: 'POST',
+        body: JSON.stringify(selection)
+      });
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to issue the refund');
+      }
+      
+      // Refunded quantities and possibly the status have changed
+      await fetchReturnDetail();
+      
+      return true;
+    } catch (err) {
+      console.error('Error issuing refund:', err);
+      setActionError(err.message || 'An error occurred while issuing the refund');
+      return false;
+    } finally {
+      setActionLoading(false);
+    }
+  }, [isAuthenticated, id, authFetch, fetchReturnDetail]);
+
+  // Issue the store credit or gift card the customer chose, or retry one that failed
+  const issueCredit = useCallback(async () => {
+    if (!isAuthenticated || !id) return false;
+    
+    setActionLoading(true);
+    setActionError(null);
+    
+    try {
+      const response = await authFetch(`/api/admin/returns/${id}/credit`, { method: 'POST' });
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to issue credit');
+      }
+      
+      await fetchReturnDetail();
+      
+      return true;
+    } catch (err) {
+      console.error('Error issuing credit:', err);
+      setActionError(err.message || 'An error occurred while issuing credit');
       return false;
     } finally {
       setActionLoading(false);
@@ -192,9 +434,9 @@ export function useAdminReturnDetail(id) {
     return updateReturnStatus('rejected', adminNotes);
   };
 
-  // Complete return
+  // Refund return
   const completeReturn = async (adminNotes) => {
-    return updateReturnStatus('completed', adminNotes);
+    return updateReturnStatus('refunded', adminNotes);
   };
 
   // Flag return
@@ -214,7 +456,17 @@ export function useAdminReturnDetail(id) {
     loading,
     error,
     actionLoading,
+    actionError,
     fetchReturnDetail,
+    updateReturnStatus,
+    recordItemReceiving,
+    decideItem,
+    retryRestock,
+    generateDocuments,
+    downloadDocument,
+    calculateRefund,
+    issueRefund,
+    issueCredit,
     approveReturn,
     rejectReturn,
     completeReturn,
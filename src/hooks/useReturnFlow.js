@@ -3,6 +3,9 @@ import { useState, useEffect, useCallback } from 'react';
 import { useRouter } from 'next/router';
 import { useReturnContext } from '@/lib/context/ReturnContext';
 
+// sessionStorage key for the packing slip and label links of the last submitted return
+export const RETURN_DOCUMENTS_KEY = 'returnPortal.returnDocuments';
+
 export function useReturnFlow() {
   const router = useRouter();
   const {
@@ -132,7 +135,7 @@ export function useReturnFlow() {
   }, [itemsToReturn, setReturnOption, router]);
 
   // Complete the return/exchange process
-  const completeReturn = useCallback(async () => {
+  const completeReturn = useCallback(async ({ refundMethod } = {}) => {
     if (!order || itemsToReturn.length === 0) {
       setError('No items selected for return');
       return false;
@@ -147,6 +150,7 @@ export function useReturnFlow() {
         id: item.id,
         orderId: order.id,
         returnOption: item.returnOption || 'return',
+        returnReason: item.returnReason,
         exchangeDetails: item.returnOption === 'exchange' ? item.exchangeDetails : null,
         quantity: item.quantity || 1
       }));
@@ -163,7 +167,7 @@ export function useReturnFlow() {
       const response = await fetch(apiEndpoint, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ items: enhancedItems }),
+        body: JSON.stringify({ items: enhancedItems, refundMethod }),
       });
       
       let result;
@@ -181,8 +185,20 @@ export function useReturnFlow() {
       
       console.log('Return processing result:', result);
       
-      // Force navigation to success page
-      await router.push('/success');
+      // Download links stay out of the URL; the success page reads them from this tab's session
+      try {
+        window.sessionStorage.setItem(RETURN_DOCUMENTS_KEY, JSON.stringify({
+          rmaNumber: result.rmaNumber,
+          ...result.documents
+        }));
+      } catch (storageError) {
+        console.error('Error saving return documents:', storageError);
+      }
+      
+      // Force navigation to success page, with the RMA number to show
+      await router.push(result.rmaNumber
+        ? { pathname: '/success', query: { rma: result.rmaNumber } }
+        : '/success');
       resetState(); 
       return true;
       
@@ -199,6 +215,73 @@ export function useReturnFlow() {
     }
   }, [order, itemsToReturn, setLoading, setError, resetState, router]);
 
+  // Ask which refund methods the shop offers for the items being returned
+  const getRefundMethods = useCallback(async () => {
+    if (!order || itemsToReturn.length === 0) {
+      return null;
+    }
+    
+    try {
+      const response = await fetch('/api/returns/refund-methods', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          orderId: order.id,
+          items: itemsToReturn.map(item => ({
+            id: item.id,
+            returnOption: item.returnOption || 'return',
+            returnReason: item.returnReason
+          }))
+        }),
+      });
+      
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || 'Unable to load refund options');
+      }
+      
+      return result;
+    } catch (err) {
+      console.error('Error loading refund methods:', err);
+      setError(err.message);
+      return null;
+    }
+  }, [order, itemsToReturn, setError]);
+
+  // Ask the server what the items are worth back, after the shop's return fees
+  const getReturnQuote = useCallback(async () => {
+    if (!order || itemsToReturn.length === 0) {
+      return null;
+    }
+    
+    try {
+      const response = await fetch('/api/returns/quote', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          orderId: order.id,
+          items: itemsToReturn.map(item => ({
+            id: item.id,
+            quantity: item.quantity,
+            returnOption: item.returnOption || 'return',
+            returnReason: item.returnReason
+          }))
+        }),
+      });
+      
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || 'Unable to calculate your refund');
+      }
+      
+      return result;
+    } catch (err) {
+      console.error('Error loading return quote:', err);
+      setError(err.message);
+      return null;
+    }
+  }, [order, itemsToReturn, setError]);
+
   // Initialize selected items from order line items
   useEffect(() => {
     if (order && order.line_items) {
@@ -228,6 +311,8 @@ export function useReturnFlow() {
     setItemReturnReason,
     setItemReturnOption,
     completeReturn,
+    getRefundMethods,
+    getReturnQuote,
     resetState,
   };
 }
\ No newline at end of file
@@ -0,0 +1,17 @@
+// src/instrumentation.js - Runs once when the server starts
+import { assertJwtSecret } from '@/lib/admin/jwtSecret';
+
+export async function register() {
+  if (process.env.NEXT_RUNTIME !== 'nodejs') {
+    return;
+  }
+
+  // Refuse to start rather than sign admin tokens with a guessable secret.
+  // Next.js only logs errors thrown here and keeps serving, so exit instead.
+  try {
+    assertJwtSecret();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,89 @@
+// src/lib/admin/__tests__/permissions.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  Permissions,
+  ROLE_PERMISSIONS,
+  API_KEY_SCOPES,
+  hasPermission,
+  scopesGrantPermission,
+  getStatusPermission
+} from '@/lib/admin/permissions';
+
+describe('role permissions', () => {
+  it.each([
+    // permission, staff, manager, admin
+    [Permissions.RETURNS_VIEW, true, true, true],
+    [Permissions.RETURNS_INSPECT, true, true, true],
+    [Permissions.RETURNS_APPROVE, false, true, true],
+    [Permissions.RETURNS_REFUND, false, true, true],
+    [Permissions.RETURNS_SYNC, false, true, true],
+    [Permissions.ANALYTICS_VIEW, false, true, true],
+    [Permissions.SETTINGS_VIEW, false, true, true],
+    [Permissions.SETTINGS_MANAGE, false, false, true],
+    [Permissions.THEME_MANAGE, false, false, true],
+    [Permissions.TENANTS_MANAGE, false, false, true],
+    [Permissions.USERS_MANAGE, false, false, true],
+    [Permissions.API_KEYS_MANAGE, false, false, true],
+    [Permissions.SYSTEM_DIAGNOSTICS, false, false, true]
+  ])('%s: staff %s, manager %s, admin %s', (permission, staff, manager, admin) => {
+    expect(hasPermission('staff', permission)).toBe(staff);
+    expect(hasPermission('manager', permission)).toBe(manager);
+    expect(hasPermission('admin', permission)).toBe(admin);
+  });
+
+  it('covers every permission in the matrix', () => {
+    expect(ROLE_PERMISSIONS.admin).toEqual(Object.values(Permissions));
+  });
+
+  it('grants nothing to unknown roles', () => {
+    expect(hasPermission('owner', Permissions.RETURNS_VIEW)).toBe(false);
+    expect(hasPermission(undefined, Permissions.RETURNS_VIEW)).toBe(false);
+  });
+});
+
+describe('API key scopes', () => {
+  it('grant only the permissions they carry', () => {
+    expect(scopesGrantPermission(['returns:read'], Permissions.RETURNS_VIEW)).toBe(true);
+    expect(scopesGrantPermission(['returns:read'], Permissions.RETURNS_INSPECT)).toBe(false);
+    expect(scopesGrantPermission(['returns:read', 'returns:receive'], Permissions.RETURNS_INSPECT)).toBe(true);
+  });
+
+  it('never carry decision, refund or management permissions', () => {
+    const granted = Object.values(API_KEY_SCOPES).flatMap(scope => scope.permissions);
+    const management = [
+      Permissions.RETURNS_APPROVE,
+      Permissions.RETURNS_REFUND,
+      Permissions.SETTINGS_MANAGE,
+      Permissions.TENANTS_MANAGE,
+      Permissions.USERS_MANAGE,
+      Permissions.API_KEYS_MANAGE
+    ];
+
+    management.forEach(permission => expect(granted).not.toContain(permission));
+  });
+
+  it('grant nothing for unknown or missing scopes', () => {
+    expect(scopesGrantPermission(['returns:write'], Permissions.RETURNS_VIEW)).toBe(false);
+    expect(scopesGrantPermission(undefined, Permissions.RETURNS_VIEW)).toBe(false);
+  });
+});
+
+describe('getStatusPermission', () => {
+  it('lets staff move returns through receiving and inspection only', () => {
+    ['in_transit', 'received', 'inspected', 'flagged'].forEach(status => {
+      expect(hasPermission('staff', getStatusPermission(status))).toBe(true);
+    });
+    ['approved', 'rejected', 'refunded', 'exchanged', 'closed'].forEach(status => {
+      expect(hasPermission('staff', getStatusPermission(status))).toBe(false);
+    });
+  });
+
+  it('requires the refund permission to refund or exchange', () => {
+    expect(getStatusPermission('refunded')).toBe(Permissions.RETURNS_REFUND);
+    expect(getStatusPermission('exchanged')).toBe(Permissions.RETURNS_REFUND);
+  });
+
+  it('requires approval for unknown statuses', () => {
+    expect(getStatusPermission('completed')).toBe(Permissions.RETURNS_APPROVE);
+  });
+});
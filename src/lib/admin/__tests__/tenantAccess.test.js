@@ -0,0 +1,92 @@
+// src/lib/admin/__tests__/tenantAccess.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  ALL_TENANTS,
+  getAllowedTenants,
+  canAccessTenant,
+  getFallbackTenant,
+  resolveAdminTenant,
+  canGrantTenants
+} from '@/lib/admin/tenantAccess';
+
+const request = (tenantId, source) => ({
+  headers: {
+    ...(tenantId ? { 'x-tenant-id': tenantId } : {}),
+    ...(source ? { 'x-tenant-source': source } : {})
+  }
+});
+
+describe('getAllowedTenants', () => {
+  it('uses the granted tenants', () => {
+    expect(getAllowedTenants({ tenants: ['acme', 'globex'] })).toEqual(['acme', 'globex']);
+  });
+
+  it('limits unscoped users and legacy tokens to the default tenant', () => {
+    expect(getAllowedTenants({})).toEqual(['default']);
+    expect(getAllowedTenants({ tenants: [] })).toEqual(['default']);
+    expect(getAllowedTenants(null)).toEqual(['default']);
+  });
+});
+
+describe('canAccessTenant', () => {
+  it('allows only granted tenants', () => {
+    expect(canAccessTenant(['acme'], 'acme')).toBe(true);
+    expect(canAccessTenant(['acme'], 'globex')).toBe(false);
+  });
+
+  it('allows every tenant to platform operators', () => {
+    expect(canAccessTenant([ALL_TENANTS], 'globex')).toBe(true);
+  });
+
+  it('denies missing tenants and malformed grants', () => {
+    expect(canAccessTenant(['acme'], '')).toBe(false);
+    expect(canAccessTenant(['acme'], undefined)).toBe(false);
+    expect(canAccessTenant('acme', 'acme')).toBe(false);
+    expect(canAccessTenant(null, 'acme')).toBe(false);
+  });
+});
+
+describe('resolveAdminTenant', () => {
+  it('uses the requested tenant when it is granted', () => {
+    expect(resolveAdminTenant(request('acme'), ['acme', 'globex'])).toEqual({ tenantId: 'acme', tenantLocked: false });
+  });
+
+  it('falls back to a granted tenant on the platform domain', () => {
+    expect(resolveAdminTenant(request('globex'), ['acme'])).toEqual({ tenantId: 'acme', tenantLocked: false });
+    expect(resolveAdminTenant(request(undefined), ['acme'])).toEqual({ tenantId: 'acme', tenantLocked: false });
+  });
+
+  it('refuses a tenant domain the user is not granted', () => {
+    expect(resolveAdminTenant(request('globex', 'domain'), ['acme'])).toEqual({ tenantId: null, tenantLocked: true });
+  });
+
+  it('keeps a tenant domain the user is granted', () => {
+    expect(resolveAdminTenant(request('acme', 'domain'), ['acme'])).toEqual({ tenantId: 'acme', tenantLocked: true });
+  });
+
+  it('never falls back to the wildcard itself', () => {
+    expect(getFallbackTenant([ALL_TENANTS])).toBe('default');
+    expect(getFallbackTenant([ALL_TENANTS, 'acme'])).toBe('acme');
+  });
+});
+
+describe('canGrantTenants', () => {
+  it('allows granting tenants the admin manages', () => {
+    expect(canGrantTenants(['acme', 'globex'], ['acme'])).toBe(true);
+    expect(canGrantTenants([ALL_TENANTS], ['acme', 'globex'])).toBe(true);
+  });
+
+  it('refuses tenants outside the admin\'s access', () => {
+    expect(canGrantTenants(['acme'], ['acme', 'globex'])).toBe(false);
+  });
+
+  it('only lets platform operators grant every tenant', () => {
+    expect(canGrantTenants(['acme'], [ALL_TENANTS])).toBe(false);
+    expect(canGrantTenants([ALL_TENANTS], [ALL_TENANTS])).toBe(true);
+  });
+
+  it('refuses an empty grant', () => {
+    expect(canGrantTenants([ALL_TENANTS], [])).toBe(false);
+    expect(canGrantTenants([ALL_TENANTS], undefined)).toBe(false);
+  });
+});
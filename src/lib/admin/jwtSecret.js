@@ -0,0 +1,35 @@
+// src/lib/admin/jwtSecret.js
+
+// Placeholder values that must never sign tokens in production
+const PLACEHOLDER_SECRETS = ['default-jwt-secret-replace-in-production', 'changeme', 'secret'];
+const MIN_SECRET_LENGTH = 32;
+
+// Used when running locally without JWT_SECRET
+const DEVELOPMENT_SECRET = 'development-only-jwt-secret';
+
+/**
+ * Check that a usable JWT_SECRET is configured. Production refuses to run
+ * with a missing, placeholder or short secret.
+ * @throws {Error} - In production, when the secret is not safe to use
+ */
+export function assertJwtSecret() {
+  if (process.env.NODE_ENV !== 'production') {
+    return;
+  }
+
+  const secret = process.env.JWT_SECRET;
+  if (!secret || PLACEHOLDER_SECRETS.includes(secret) || secret.length < MIN_SECRET_LENGTH) {
+    throw new Error(
+      `JWT_SECRET must be set to a random value of at least ${MIN_SECRET_LENGTH} characters in production`
+    );
+  }
+}
+
+/**
+ * Get the secret admin tokens are signed with
+ * @returns {String} - JWT_SECRET, or a fixed development secret outside production
+ */
+export function getJwtSecret() {
+  assertJwtSecret();
+  return process.env.JWT_SECRET || DEVELOPMENT_SECRET;
+}
@@ -0,0 +1,108 @@
+// src/lib/admin/permissions.js
+/**
+ * Role-based permissions for admin users. Shared by the admin API (to
+ * enforce them) and the admin UI (to hide what a role can't use).
+ */
+
+export const Permissions = {
+  RETURNS_VIEW: 'returns:view',
+  RETURNS_INSPECT: 'returns:inspect',
+  RETURNS_APPROVE: 'returns:approve',
+  RETURNS_REFUND: 'returns:refund',
+  RETURNS_SYNC: 'returns:sync',
+  ANALYTICS_VIEW: 'analytics:view',
+  SETTINGS_VIEW: 'settings:view',
+  SETTINGS_MANAGE: 'settings:manage',
+  THEME_MANAGE: 'theme:manage',
+  TENANTS_MANAGE: 'tenants:manage',
+  USERS_MANAGE: 'users:manage',
+  API_KEYS_MANAGE: 'api-keys:manage',
+  SYSTEM_DIAGNOSTICS: 'system:diagnostics'
+};
+
+// Staff receive and inspect, managers decide and refund, admins configure
+const STAFF_PERMISSIONS = [
+  Permissions.RETURNS_VIEW,
+  Permissions.RETURNS_INSPECT
+];
+
+const MANAGER_PERMISSIONS = [
+  ...STAFF_PERMISSIONS,
+  Permissions.RETURNS_APPROVE,
+  Permissions.RETURNS_REFUND,
+  Permissions.RETURNS_SYNC,
+  Permissions.ANALYTICS_VIEW,
+  Permissions.SETTINGS_VIEW
+];
+
+export const ROLE_PERMISSIONS = {
+  staff: STAFF_PERMISSIONS,
+  manager: MANAGER_PERMISSIONS,
+  admin: Object.values(Permissions)
+};
+
+// Scopes an API key can be granted, and the permissions each one carries.
+// Keys never get more than these, whatever the admin who created them could do.
+export const API_KEY_SCOPES = {
+  'returns:read': {
+    label: 'Read return requests',
+    permissions: [Permissions.RETURNS_VIEW]
+  },
+  'returns:receive': {
+    label: 'Record receiving and inspection',
+    permissions: [Permissions.RETURNS_INSPECT]
+  },
+  'settings:read': {
+    label: 'Read return settings',
+    permissions: [Permissions.SETTINGS_VIEW]
+  },
+  'analytics:read': {
+    label: 'Read analytics',
+    permissions: [Permissions.ANALYTICS_VIEW]
+  }
+};
+
+// Permission needed to move a return into each status
+const STATUS_PERMISSIONS = {
+  requested: Permissions.RETURNS_INSPECT,
+  flagged: Permissions.RETURNS_INSPECT,
+  in_transit: Permissions.RETURNS_INSPECT,
+  received: Permissions.RETURNS_INSPECT,
+  inspected: Permissions.RETURNS_INSPECT,
+  approved: Permissions.RETURNS_APPROVE,
+  rejected: Permissions.RETURNS_APPROVE,
+  cancelled: Permissions.RETURNS_APPROVE,
+  closed: Permissions.RETURNS_APPROVE,
+  refunded: Permissions.RETURNS_REFUND,
+  exchanged: Permissions.RETURNS_REFUND
+};
+
+/**
+ * Check whether a role grants a permission
+ * @param {String} role - Admin role
+ * @param {String} permission - Permission from Permissions
+ * @returns {Boolean} - Whether the role has the permission
+ */
+export function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Check whether a set of API key scopes grants a permission
+ * @param {Array<String>} scopes - Scopes from API_KEY_SCOPES
+ * @param {String} permission - Permission from Permissions
+ * @returns {Boolean} - Whether one of the scopes carries the permission
+ */
+export function scopesGrantPermission(scopes, permission) {
+  return (scopes || []).some(scope => API_KEY_SCOPES[scope]?.permissions.includes(permission));
+}
+
+/**
+ * Get the permission needed to set a return to a status. Unknown statuses
+ * require the approval permission.
+ * @param {String} status - Target return status
+ * @returns {String} - Permission from Permissions
+ */
+export function getStatusPermission(status) {
+  return STATUS_PERMISSIONS[status] || Permissions.RETURNS_APPROVE;
+}
@@ -0,0 +1,75 @@
+// src/lib/admin/tenantAccess.js
+/**
+ * Which tenants an admin user may manage. Shared by the admin API (to
+ * enforce access) and the admin UI (to offer a tenant switcher).
+ */
+
+// Grants access to every tenant; reserved for platform operators
+export const ALL_TENANTS = '*';
+
+/**
+ * Get the tenants granted to an admin user or decoded token. Tokens issued
+ * before tenant scoping carried no list and only ever managed the default tenant.
+ * @param {Object} subject - Admin user, session user or decoded JWT
+ * @returns {Array<String>} - Tenant IDs, possibly including ALL_TENANTS
+ */
+export function getAllowedTenants(subject) {
+  const tenants = subject?.tenants;
+  return Array.isArray(tenants) && tenants.length > 0 ? tenants : ['default'];
+}
+
+/**
+ * Check whether a tenant is in an allowed list
+ * @param {Array<String>} allowedTenants - Tenants granted to the user
+ * @param {String} tenantId - Tenant being accessed
+ * @returns {Boolean} - Whether access is allowed
+ */
+export function canAccessTenant(allowedTenants, tenantId) {
+  if (!tenantId || !Array.isArray(allowedTenants)) return false;
+  return allowedTenants.includes(ALL_TENANTS) || allowedTenants.includes(tenantId);
+}
+
+/**
+ * Pick the tenant to manage when the requested one isn't allowed
+ * @param {Array<String>} allowedTenants - Tenants granted to the user
+ * @returns {String} - Tenant ID
+ */
+export function getFallbackTenant(allowedTenants) {
+  const explicit = (allowedTenants || []).filter(tenantId => tenantId !== ALL_TENANTS);
+  return explicit[0] || 'default';
+}
+
+/**
+ * Work out which tenant an admin request applies to. On a tenant's own
+ * domain the tenant is fixed by the host; on the platform domain the admin
+ * may switch between the tenants they were granted.
+ * @param {Object} req - API request (after middleware has set x-tenant-id)
+ * @param {Array<String>} allowedTenants - Tenants granted to the user
+ * @returns {Object} - { tenantId, tenantLocked }, tenantId null if the locked tenant isn't allowed
+ */
+export function resolveAdminTenant(req, allowedTenants) {
+  const requestedTenantId = req.headers['x-tenant-id'] || 'default';
+  const tenantLocked = req.headers['x-tenant-source'] === 'domain';
+
+  if (canAccessTenant(allowedTenants, requestedTenantId)) {
+    return { tenantId: requestedTenantId, tenantLocked };
+  }
+
+  return {
+    tenantId: tenantLocked ? null : getFallbackTenant(allowedTenants),
+    tenantLocked
+  };
+}
+
+/**
+ * Check whether an admin may grant (or manage a user holding) a set of
+ * tenants. Granting every tenant requires having every tenant.
+ * @param {Array<String>} allowedTenants - Tenants granted to the acting admin
+ * @param {Array<String>} tenants - Tenants being granted
+ * @returns {Boolean} - Whether every tenant is within the admin's access
+ */
+export function canGrantTenants(allowedTenants, tenants) {
+  return Array.isArray(tenants) &&
+    tenants.length > 0 &&
+    tenants.every(tenantId => canAccessTenant(allowedTenants, tenantId));
+}
@@ -0,0 +1,43 @@
+// src/lib/api/__tests__/clientIp.test.js
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { getClientIp } from '@/lib/api/clientIp';
+
+const request = (forwardedFor, remoteAddress = '10.0.0.1') => ({
+  headers: forwardedFor === undefined ? {} : { 'x-forwarded-for': forwardedFor },
+  socket: { remoteAddress }
+});
+
+describe('getClientIp', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('uses the address added by the proxy, not ones the client sent', () => {
+    expect(getClientIp(request('203.0.113.9'))).toBe('203.0.113.9');
+    expect(getClientIp(request('1.1.1.1, 6.6.6.6, 203.0.113.9'))).toBe('203.0.113.9');
+  });
+
+  it('counts back the configured number of trusted proxies', () => {
+    vi.stubEnv('TRUSTED_PROXY_HOPS', '2');
+
+    expect(getClientIp(request('1.1.1.1, 203.0.113.9, 198.51.100.7'))).toBe('203.0.113.9');
+  });
+
+  it('falls back to the connection address', () => {
+    expect(getClientIp(request(undefined))).toBe('10.0.0.1');
+    expect(getClientIp(request(' , '))).toBe('10.0.0.1');
+
+    vi.stubEnv('TRUSTED_PROXY_HOPS', '2');
+    expect(getClientIp(request('203.0.113.9'))).toBe('10.0.0.1');
+  });
+
+  it('ignores x-forwarded-for when no proxy is trusted', () => {
+    vi.stubEnv('TRUSTED_PROXY_HOPS', '0');
+
+    expect(getClientIp(request('203.0.113.9'))).toBe('10.0.0.1');
+  });
+
+  it('returns an empty string when nothing is known', () => {
+    expect(getClientIp({ headers: {} })).toBe('');
+  });
+});
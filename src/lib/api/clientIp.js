@@ -0,0 +1,31 @@
+// src/lib/api/clientIp.js
+
+// Proxies in front of the app that append to x-forwarded-for. Entries to the
+// left of theirs come from the client and can't be trusted.
+const DEFAULT_TRUSTED_PROXY_HOPS = 1;
+
+function getTrustedProxyHops() {
+  const hops = parseInt(process.env.TRUSTED_PROXY_HOPS, 10);
+  return Number.isInteger(hops) && hops >= 0 ? hops : DEFAULT_TRUSTED_PROXY_HOPS;
+}
+
+/**
+ * Get the IP address a request came from. Behind TRUSTED_PROXY_HOPS proxies
+ * (one by default) this is the address the outermost proxy added to
+ * x-forwarded-for; anything a client put before it is ignored. Without a
+ * usable header it is the address of the connection.
+ * @param {Object} req - API request
+ * @returns {String} - IP address, or an empty string if unknown
+ */
+export function getClientIp(req) {
+  const hops = getTrustedProxyHops();
+  const forwarded = String(req?.headers?.['x-forwarded-for'] || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  if (hops > 0 && forwarded.length >= hops) {
+    return forwarded[forwarded.length - hops];
+  }
+  return req?.socket?.remoteAddress || '';
+}
@@ -2,6 +2,13 @@
 /**
  * API Error handler and validation utilities
  */
+import jwt from 'jsonwebtoken';
+import { getAllowedTenants, canAccessTenant } from '@/lib/admin/tenantAccess';
+import { hasPermission, scopesGrantPermission } from '@/lib/admin/permissions';
+import { getJwtSecret } from '@/lib/admin/jwtSecret';
+import { validateAdminSession } from '@/lib/services/adminSessionService';
+import { isApiKey, authenticateApiKey } from '@/lib/services/apiKeyService';
+import { getClientIp } from '@/lib/api/clientIp';
 
 /**
  * Standard API error structure
@@ -194,17 +201,148 @@ export class ApiError extends Error {
   }
   
   /**
-   * Verify admin authorization
+   * Verify a tenant API key. Keys only reach routes that require a
+   * permission one of their scopes carries, and always act on their own tenant.
    */
-  export function verifyAdminAuth(req) {
-    const adminToken = req.headers.authorization?.split(' ')[1];
+  async function verifyApiKeyAuth(req, key, permission) {
+    const apiKey = await authenticateApiKey(key, getClientIp(req));
+    if (!apiKey) {
+      throw createApiError(
+        ErrorTypes.UNAUTHORIZED,
+        'Invalid, expired or revoked API key'
+      );
+    }
+    
+    // Routes without a permission act on a signed-in person (sessions, 2FA)
+    if (!permission || !scopesGrantPermission(apiKey.scopes, permission)) {
+      throw createApiError(
+        ErrorTypes.FORBIDDEN,
+        'This API key does not have the required scope'
+      );
+    }
     
-    if (!adminToken || adminToken !== 'demo-admin-token') {
+    if (req.headers['x-tenant-source'] === 'domain' && req.headers['x-tenant-id'] !== apiKey.tenantId) {
+      throw createApiError(
+        ErrorTypes.FORBIDDEN,
+        'This API key belongs to a different tenant'
+      );
+    }
+    
+    return {
+      admin: {
+        id: `api-key:${apiKey._id}`,
+        name: apiKey.name,
+        apiKeyId: apiKey._id.toString(),
+        scopes: apiKey.scopes,
+        tenants: [apiKey.tenantId]
+      },
+      user: null,
+      apiKey,
+      tenantId: apiKey.tenantId,
+      allowedTenants: [apiKey.tenantId]
+    };
+  }
+  
+  /**
+   * Verify admin authorization, that the signed-in user may access the
+   * tenant in x-tenant-id, and that their role grants the permission.
+   * The token's session must still be live and its user still active; role
+   * and tenants come from the user record so changes apply immediately.
+   * Tenant API keys (Bearer rpk_... or x-api-key) are accepted too.
+   * @param {Object} req - API request
+   * @param {Object} options - { permission, tenantScoped: false } for routes not tied to the request tenant
+   * @returns {Promise<Object>} - { admin: decoded token, user: AdminUser document, tenantId, allowedTenants }
+   */
+  export async function verifyAdminAuth(req, { permission = null, tenantScoped = true } = {}) {
+    const authHeader = req.headers.authorization;
+    const bearerToken = authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+    
+    if (req.headers['x-api-key'] || isApiKey(bearerToken)) {
+      return verifyApiKeyAuth(req, req.headers['x-api-key'] || bearerToken, permission);
+    }
+    
+    if (!bearerToken) {
       throw createApiError(
         ErrorTypes.UNAUTHORIZED,
-        'Admin authentication required'
+        'Authorization token required'
       );
     }
     
-    return true;
-  }
\ No newline at end of file
+    let admin;
+    try {
+      admin = jwt.verify(
+        bearerToken,
+        getJwtSecret()
+      );
+    } catch (error) {
+      // Access tokens expire every few minutes; only unexpected failures are worth logging
+      if (error.name !== 'TokenExpiredError') {
+        console.error('Token verification error:', error);
+      }
+      throw createApiError(
+        ErrorTypes.UNAUTHORIZED,
+        'Invalid or expired token'
+      );
+    }
+    
+    const user = await validateAdminSession(admin);
+    if (!user) {
+      throw createApiError(
+        ErrorTypes.UNAUTHORIZED,
+        'Your session has ended. Please sign in again.'
+      );
+    }
+    admin = { ...admin, role: user.role, tenants: getAllowedTenants(user) };
+    
+    const tenantId = req.headers['x-tenant-id'] || 'default';
+    const allowedTenants = admin.tenants;
+    
+    if (tenantScoped && !canAccessTenant(allowedTenants, tenantId)) {
+      throw createApiError(
+        ErrorTypes.FORBIDDEN,
+        'You do not have access to this tenant'
+      );
+    }
+    
+    if (permission && !hasPermission(admin.role, permission)) {
+      throw createApiError(
+        ErrorTypes.FORBIDDEN,
+        'Your role does not allow this action'
+      );
+    }
+    
+    return { admin, user, tenantId, allowedTenants };
+  }
+  
+  /**
+   * Wrap an admin API route so it only runs for callers verifyAdminAuth
+   * accepts. The handler gets the caller as req.admin, their AdminUser
+   * document (null for API keys) as req.adminUser, and the tenant as
+   * req.tenant = { id, allowedTenants }.
+   * @param {Function} handler - API route handler
+   * @param {Object} options - { permission, tenantScoped } as for verifyAdminAuth; permission may be a function of req
+   * @returns {Function} - Wrapped handler
+   */
+  export function withAdminAuth(handler, { permission = null, tenantScoped = true } = {}) {
+    return async (req, res) => {
+      let auth;
+      try {
+        auth = await verifyAdminAuth(req, {
+          permission: typeof permission === 'function' ? permission(req) : permission,
+          tenantScoped
+        });
+      } catch (error) {
+        if (!error.status) {
+          console.error('Admin authorization error:', error);
+          return res.status(500).json({ message: 'Internal server error' });
+        }
+        return res.status(error.status).json({ message: error.message });
+      }
+      
+      req.admin = auth.admin;
+      req.adminUser = auth.user;
+      req.tenant = { id: auth.tenantId, allowedTenants: auth.allowedTenants };
+      
+      return handler(req, res);
+    };
+  }
@@ -1,6 +1,74 @@
 // src/lib/context/AdminContext.js
-import { createContext, useContext, useReducer, useEffect } from 'react';
+import { createContext, useContext, useReducer, useEffect, useCallback } from 'react';
 import { useRouter } from 'next/router';
+import { canAccessTenant } from '@/lib/admin/tenantAccess';
+
+// Tenant the admin last chose to manage on the platform domain
+const TENANT_STORAGE_KEY = 'adminTenant';
+
+// Renews the short-lived access token in adminToken
+const REFRESH_TOKEN_STORAGE_KEY = 'adminRefreshToken';
+
+// Shared by every caller so a burst of expired requests refreshes only once
+let refreshPromise = null;
+
+function storeSession(data) {
+  localStorage.setItem('adminToken', data.token);
+  localStorage.setItem(REFRESH_TOKEN_STORAGE_KEY, data.refreshToken);
+  if (data.user) {
+    localStorage.setItem('adminUser', JSON.stringify(data.user));
+  }
+}
+
+function clearStoredSession() {
+  localStorage.removeItem('adminToken');
+  localStorage.removeItem(REFRESH_TOKEN_STORAGE_KEY);
+  localStorage.removeItem('adminUser');
+}
+
+/**
+ * Exchange the stored refresh token for a new access token
+ * @returns {Promise<String|null>} - New access token, or null if the session has ended
+ */
+function refreshSession() {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem(REFRESH_TOKEN_STORAGE_KEY);
+      if (!refreshToken) {
+        return null;
+      }
+
+      try {
+        const response = await fetch('/api/admin/refresh', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken })
+        });
+
+        // Another tab refreshed first; give it a moment to store the new tokens
+        if (response.status === 409) {
+          await new Promise(resolve => setTimeout(resolve, 1000));
+          const latestRefreshToken = localStorage.getItem(REFRESH_TOKEN_STORAGE_KEY);
+          return latestRefreshToken !== refreshToken ? localStorage.getItem('adminToken') : null;
+        }
+
+        if (!response.ok) {
+          return null;
+        }
+
+        const data = await response.json();
+        storeSession(data);
+        return data.token;
+      } catch (error) {
+        console.error('Error refreshing session:', error);
+        return null;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+}
 
 // Initial state
 const initialState = {
@@ -9,6 +77,8 @@ const initialState = {
   error: null,
   user: null,
   token: null,
+  tenantId: null,
+  tenantLocked: false,
 };
 
 // Action types
@@ -16,6 +86,8 @@ const actions = {
   SET_AUTHENTICATED: 'SET_AUTHENTICATED',
   SET_LOADING: 'SET_LOADING',
   SET_ERROR: 'SET_ERROR',
+  SET_TENANT: 'SET_TENANT',
+  SET_TOKEN: 'SET_TOKEN',
   LOGOUT: 'LOGOUT',
 };
 
@@ -28,8 +100,14 @@ function adminReducer(state, action) {
         isAuthenticated: true, 
         user: action.payload.user,
         token: action.payload.token,
+        tenantId: action.payload.tenantId,
+        tenantLocked: action.payload.tenantLocked,
         error: null 
       };
+    case actions.SET_TENANT:
+      return { ...state, tenantId: action.payload };
+    case actions.SET_TOKEN:
+      return { ...state, token: action.payload };
     case actions.SET_LOADING:
       return { ...state, loading: action.payload };
     case actions.SET_ERROR:
@@ -41,6 +119,22 @@ function adminReducer(state, action) {
   }
 }
 
+/**
+ * Choose the tenant to manage after the API reports the user's access.
+ * On the platform domain a previously selected tenant wins if still allowed.
+ */
+function pickTenant(data) {
+  if (data.tenantLocked) {
+    return data.tenantId;
+  }
+
+  const storedTenantId = localStorage.getItem(TENANT_STORAGE_KEY);
+  if (storedTenantId && canAccessTenant(data.user?.tenants, storedTenantId)) {
+    return storedTenantId;
+  }
+  return data.tenantId;
+}
+
 // Create context
 const AdminContext = createContext();
 
@@ -55,17 +149,27 @@ export function AdminProvider({ children }) {
       dispatch({ type: actions.SET_LOADING, payload: true });
       
       // Check if admin is logged in (use localStorage)
-      const adminToken = localStorage.getItem('adminToken');
+      let adminToken = localStorage.getItem('adminToken');
       const adminUser = localStorage.getItem('adminUser');
       
       if (adminToken) {
         try {
           // Verify token with the API
-          const response = await fetch('/api/admin/verify-token', {
+          const verify = (token) => fetch('/api/admin/verify-token', {
             headers: {
-              'Authorization': `Bearer ${adminToken}`
+              'Authorization': `Bearer ${token}`
             }
           });
+          let response = await verify(adminToken);
+          
+          // The access token has probably expired; the refresh token may still be good
+          if (response.status === 401) {
+            const refreshedToken = await refreshSession();
+            if (refreshedToken) {
+              adminToken = refreshedToken;
+              response = await verify(adminToken);
+            }
+          }
           
           if (response.ok) {
             // Token is valid
@@ -75,19 +179,19 @@ export function AdminProvider({ children }) {
               type: actions.SET_AUTHENTICATED, 
               payload: { 
                 token: adminToken,
-                user: userData.user || JSON.parse(adminUser) || { name: 'Admin User' }
+                user: userData.user || JSON.parse(adminUser) || { name: 'Admin User' },
+                tenantId: pickTenant(userData),
+                tenantLocked: !!userData.tenantLocked
               } 
             });
           } else {
             // Token is invalid
-            localStorage.removeItem('adminToken');
-            localStorage.removeItem('adminUser');
+            clearStoredSession();
             dispatch({ type: actions.LOGOUT });
           }
         } catch (error) {
           console.error('Error verifying token:', error);
-          localStorage.removeItem('adminToken');
-          localStorage.removeItem('adminUser');
+          clearStoredSession();
           dispatch({ type: actions.LOGOUT });
         }
       } else {
@@ -100,8 +204,25 @@ export function AdminProvider({ children }) {
     checkAuth();
   }, []);
 
-  // Login action
-  const login = async (email, password) => {
+  // Save the session returned by a completed login. Stable, so pages can
+  // call it from effects.
+  const completeLogin = useCallback((data) => {
+    storeSession(data);
+    
+    dispatch({ 
+      type: actions.SET_AUTHENTICATED, 
+      payload: { 
+        token: data.token, 
+        user: data.user,
+        tenantId: pickTenant(data),
+        tenantLocked: !!data.tenantLocked
+      } 
+    });
+  }, []);
+
+  // Send one step of the login flow to the API
+  const submitLogin = async (body) => {
+    dispatch({ type: actions.SET_ERROR, payload: null });
     dispatch({ type: actions.SET_LOADING, payload: true });
     
     try {
@@ -111,33 +232,20 @@ export function AdminProvider({ children }) {
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ email, password })
+        body: JSON.stringify(body)
       });
       
-      if (response.ok) {
-        const data = await response.json();
-        
-        // Save token and user data
-        localStorage.setItem('adminToken', data.token);
-        localStorage.setItem('adminUser', JSON.stringify(data.user));
-        
-        dispatch({ 
-          type: actions.SET_AUTHENTICATED, 
-          payload: { 
-            token: data.token, 
-            user: data.user 
-          } 
-        });
-        
-        return true;
-      } else {
-        const errorData = await response.json();
+      const data = await response.json();
+      
+      if (!response.ok) {
         dispatch({ 
           type: actions.SET_ERROR, 
-          payload: errorData.message || 'Invalid credentials' 
+          payload: data.message || 'Invalid credentials' 
         });
         return false;
       }
+      
+      return data;
     } catch (error) {
       console.error('Login error:', error);
       dispatch({ 
@@ -150,36 +258,105 @@ export function AdminProvider({ children }) {
     }
   };
 
-  // Logout action
-  const logout = () => {
-    localStorage.removeItem('adminToken');
-    localStorage.removeItem('adminUser');
+  // Login action. Resolves to true when signed in, false on failure, or the
+  // API response when a two-factor step (code or enrollment) comes next.
+  const login = async (email, password) => {
+    const data = await submitLogin({ email, password });
+    
+    if (!data || data.twoFactorRequired || data.twoFactorSetupRequired) {
+      return data;
+    }
+    
+    completeLogin(data);
+    return true;
+  };
+
+  // Second login step. Right after enrolling, the response carries recovery
+  // codes and the caller finishes with completeLogin once they are shown.
+  const verifyTwoFactor = async (challengeToken, code) => {
+    const data = await submitLogin({ challengeToken, code });
+    
+    if (data && !data.recoveryCodes) {
+      completeLogin(data);
+    }
+    return data;
+  };
+
+  // Logout action. Ends the session on the server too, so the refresh
+  // token can't be used again.
+  const logout = async () => {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_STORAGE_KEY);
+    clearStoredSession();
+    localStorage.removeItem(TENANT_STORAGE_KEY);
     dispatch({ type: actions.LOGOUT });
     router.push('/admin/login');
+    
+    if (refreshToken) {
+      try {
+        await fetch('/api/admin/logout', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken })
+        });
+      } catch (error) {
+        console.error('Logout error:', error);
+      }
+    }
+  };
+
+  // Switch the tenant being managed (platform domain only)
+  const selectTenant = (tenantId) => {
+    if (state.tenantLocked || !canAccessTenant(state.user?.tenants, tenantId)) {
+      return false;
+    }
+
+    localStorage.setItem(TENANT_STORAGE_KEY, tenantId);
+    dispatch({ type: actions.SET_TENANT, payload: tenantId });
+    return true;
   };
 
-  // API request helper with authentication
+  // API request helper with authentication. An expired access token is
+  // refreshed once and the request retried; if the session has ended the
+  // admin is signed out.
   const authFetch = async (url, options = {}) => {
     if (!state.token) {
       throw new Error('Authentication required');
     }
     
-    const headers = {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${state.token}`,
-      ...options.headers
-    };
-    
-    return fetch(url, {
+    const send = (token) => fetch(url, {
       ...options,
-      headers
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+        // A tenant's own domain already fixes the tenant; the middleware rejects a different one
+        ...(state.tenantId && !state.tenantLocked ? { 'x-tenant-id': state.tenantId } : {}),
+        ...options.headers
+      }
     });
+    
+    const token = localStorage.getItem('adminToken') || state.token;
+    const response = await send(token);
+    if (response.status !== 401) {
+      return response;
+    }
+    
+    const refreshedToken = await refreshSession();
+    if (!refreshedToken) {
+      logout();
+      return response;
+    }
+    
+    dispatch({ type: actions.SET_TOKEN, payload: refreshedToken });
+    return send(refreshedToken);
   };
 
   const value = {
     ...state,
     login,
+    verifyTwoFactor,
+    completeLogin,
     logout,
+    selectTenant,
     authFetch
   };
 
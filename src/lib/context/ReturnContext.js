@@ -1,6 +1,6 @@
 // src/lib/context/ReturnContext.js
-import { createContext, useContext, useReducer, useEffect } from 'react';
-import { getLocalStorage, setLocalStorage } from '../storage/local';
+import { createContext, useContext, useReducer, useEffect, useRef } from 'react';
+import { storage } from '../storage';
 
 // Initial state
 const initialState = {
@@ -93,24 +93,46 @@ const ReturnContext = createContext();
 export function ReturnProvider({ children }) {
   const [state, dispatch] = useReducer(returnReducer, initialState);
 
-  // Load state from localStorage on mount
+  // Set once the saved draft has been restored, so the initial empty state
+  // never overwrites it
+  const hydrated = useRef(false);
+
+  const tenantId = state.tenantId || 'default';
+
+  // Load the tenant's saved return draft
   useEffect(() => {
-    const savedState = getLocalStorage('returnState');
-    if (savedState) {
-      Object.entries(savedState).forEach(([key, value]) => {
-        if (key in initialState && value !== null) {
-          dispatch({ type: `SET_${key.toUpperCase()}`, payload: value });
-        }
-      });
-    }
-  }, []);
+    let cancelled = false;
+    hydrated.current = false;
+
+    storage.get('returnState', tenantId).then(savedState => {
+      if (cancelled) return;
+      if (savedState) {
+        Object.entries(savedState).forEach(([key, value]) => {
+          if (key in initialState && value !== null) {
+            dispatch({ type: `SET_${key.toUpperCase()}`, payload: value });
+          }
+        });
+      }
+      hydrated.current = true;
+    });
 
-  // Save state to localStorage when it changes
+    return () => {
+      cancelled = true;
+    };
+  }, [tenantId]);
+
+  // Save the return draft when it changes
   useEffect(() => {
-    // Don't save loading and error states
-    const { ...stateToSave } = state;
-    setLocalStorage('returnState', stateToSave);
-  }, [state]);
+    if (!hydrated.current) return;
+
+    // Debounce so server storage isn't written on every keystroke
+    const timeoutId = setTimeout(() => {
+      const { ...stateToSave } = state;
+      storage.set('returnState', stateToSave, tenantId);
+    }, 300);
+
+    return () => clearTimeout(timeoutId);
+  }, [state, tenantId]);
 
   // Action creators
   const setOrder = (order) => dispatch({ type: actions.SET_ORDER, payload: order });
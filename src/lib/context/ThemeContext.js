@@ -1,5 +1,6 @@
 // src/lib/context/ThemeContext.js - FIXED
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import Head from 'next/head';
 import { getTenantTheme } from '../tenant/service';
 
 // Create context
@@ -14,12 +15,43 @@ export function useTheme() {
   return context;
 }
 
+/**
+ * Build the critical theme CSS rendered on the server, so the first paint
+ * already uses the tenant's brand before the client applies the full theme
+ */
+function buildInitialThemeCss(themeConfig) {
+  const css = `
+    :root {
+      --theme-primary-color: ${themeConfig.primaryColor || '#4f46e5'};
+      --theme-secondary-color: ${themeConfig.secondaryColor || '#f59e0b'};
+      --theme-accent-color: ${themeConfig.accentColor || '#10b981'};
+      --theme-background-color: ${themeConfig.backgroundColor || '#ffffff'};
+      --theme-text-color: ${themeConfig.textColor || '#171717'};
+      --theme-secondary-text-color: ${themeConfig.secondaryTextColor || '#6b7280'};
+      --theme-border-color: ${themeConfig.borderColor || '#e5e7eb'};
+      --theme-font-family: ${themeConfig.fontFamily || 'Inter, system-ui, sans-serif'};
+      --theme-heading-font-family: ${themeConfig.headingFontFamily || themeConfig.fontFamily || 'Inter, system-ui, sans-serif'};
+      --theme-font-size: ${themeConfig.fontSize || '16px'};
+    }
+    body {
+      background-color: ${themeConfig.backgroundColor || '#ffffff'};
+      color: ${themeConfig.textColor || '#171717'};
+      font-family: ${themeConfig.fontFamily || 'Inter, system-ui, sans-serif'};
+    }
+    ${themeConfig.customCSS || ''}
+  `;
+
+  // Never let stored values close the surrounding <style> tag
+  return css.replace(/<\//g, '<\\/');
+}
+
 /**
  * Theme Provider Component
+ * @param {Object} initialTheme - Theme resolved on the server, if any
  */
-export function ThemeProvider({ children, tenantId = 'default' }) {
-  const [theme, setTheme] = useState(null);
-  const [loading, setLoading] = useState(true);
+export function ThemeProvider({ children, tenantId = 'default', initialTheme = null }) {
+  const [theme, setTheme] = useState(initialTheme);
+  const [loading, setLoading] = useState(!initialTheme);
   const [mode, setMode] = useState('light'); // 'light' or 'dark'
 
   // Helper to set CSS variables
@@ -206,10 +238,20 @@ export function ThemeProvider({ children, tenantId = 'default' }) {
     }
   }, [tenantId, applyThemeToDom, loadCustomFont]);
 
-  // Load theme when component mounts or tenantId changes
+  // Load theme when component mounts or tenantId changes, reusing the
+  // server-resolved theme instead of fetching it again
   useEffect(() => {
+    if (initialTheme) {
+      setTheme(initialTheme);
+      applyThemeToDom(initialTheme);
+      if (initialTheme.fontFamily) {
+        loadCustomFont(initialTheme.fontFamily);
+      }
+      setLoading(false);
+      return;
+    }
     loadTheme();
-  }, [tenantId, loadTheme]);
+  }, [tenantId, initialTheme, loadTheme, applyThemeToDom, loadCustomFont]);
 
   // Toggle between light and dark mode
   const toggleMode = useCallback(() => {
@@ -284,6 +326,14 @@ export function ThemeProvider({ children, tenantId = 'default' }) {
         loadTheme,
       }}
     >
+      {initialTheme && (
+        <Head>
+          <style
+            id="tenant-theme-ssr"
+            dangerouslySetInnerHTML={{ __html: buildInitialThemeCss(initialTheme) }}
+          />
+        </Head>
+      )}
       {children}
     </ThemeContext.Provider>
   );
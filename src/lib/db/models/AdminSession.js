@@ -0,0 +1,28 @@
+// src/lib/db/models/AdminSession.js
+import mongoose from 'mongoose';
+
+// One signed-in device. Access tokens carry the session ID, and the session
+// holds the current refresh token (as a SHA-256 hash) that renews them.
+const AdminSessionSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  refreshTokenHash: { type: String, required: true },
+  // The token this one replaced, kept so a stolen token that was already
+  // rotated is recognised when it comes back
+  previousTokenHash: String,
+  rotatedAt: Date,
+  userAgent: String,
+  ipAddress: String,
+  lastUsedAt: { type: Date, default: Date.now },
+  revokedAt: Date,
+  revokedReason: String,
+  // MongoDB removes the session shortly after this date
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+AdminSessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+AdminSessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+AdminSessionSchema.index({ userId: 1, revokedAt: 1 });
+AdminSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.AdminSession || mongoose.model('AdminSession', AdminSessionSchema);
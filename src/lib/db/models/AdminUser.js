@@ -0,0 +1,78 @@
+// src/lib/db/models/AdminUser.js
+import mongoose from 'mongoose';
+
+const AdminUserSchema = new mongoose.Schema({
+  name: { type: String, trim: true },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email address']
+  },
+
+  // bcrypt hash; empty until an invited user sets their password
+  password: String,
+
+  role: {
+    type: String,
+    enum: ['admin', 'manager', 'staff'],
+    default: 'admin'
+  },
+
+  // Tenants this user may manage ('*' for all tenants)
+  tenants: {
+    type: [String],
+    default: ['default']
+  },
+
+  isActive: { type: Boolean, default: true },
+
+  // Set by an admin to make the user choose a new password before signing in
+  mustResetPassword: { type: Boolean, default: false },
+
+  // One-time token for accepting an invite or resetting the password.
+  // Only a SHA-256 hash is stored; the token itself is emailed.
+  passwordToken: {
+    hash: String,
+    purpose: { type: String, enum: ['invite', 'reset'] },
+    expiresAt: Date
+  },
+
+  // TOTP second factor. Secrets are sealed with the credential master key
+  // when one is configured; recovery codes are stored as SHA-256 hashes.
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: mongoose.Schema.Types.Mixed,
+    pendingSecret: mongoose.Schema.Types.Mixed,
+    recoveryCodes: [String],
+    lastUsedStep: Number,
+    enabledAt: Date
+  },
+
+  // Identity at a tenant's SSO provider, set when the user signs in with it
+  sso: {
+    tenantId: String,
+    subject: String
+  },
+
+  invitedBy: String,
+  lastLoginAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+AdminUserSchema.index({ 'passwordToken.hash': 1 }, { sparse: true });
+AdminUserSchema.index(
+  { 'sso.tenantId': 1, 'sso.subject': 1 },
+  { unique: true, partialFilterExpression: { 'sso.subject': { $exists: true } } }
+);
+
+// Automatically update timestamps
+AdminUserSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.models.AdminUser || mongoose.model('AdminUser', AdminUserSchema);
@@ -0,0 +1,32 @@
+// src/lib/db/models/ApiKey.js
+import mongoose from 'mongoose';
+
+// Credential for machine-to-machine access to one tenant's admin API.
+// Only a SHA-256 hash of the key is stored; the key is shown once on creation.
+const ApiKeySchema = new mongoose.Schema({
+  tenantId: { type: String, required: true },
+  name: { type: String, required: true, trim: true },
+  keyHash: { type: String, required: true },
+  // Start of the key, so admins can tell keys apart
+  keyPrefix: { type: String, required: true },
+  scopes: { type: [String], required: true },
+  createdBy: String,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  expiresAt: Date,
+  revokedAt: Date,
+  revokedBy: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+ApiKeySchema.index({ keyHash: 1 }, { unique: true });
+ApiKeySchema.index({ tenantId: 1, createdAt: -1 });
+
+// Automatically update timestamps
+ApiKeySchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.models.ApiKey || mongoose.model('ApiKey', ApiKeySchema);
@@ -0,0 +1,16 @@
+// src/lib/db/models/Counter.js
+import mongoose from 'mongoose';
+
+// A per-tenant sequence, such as the one RMA numbers are drawn from.
+// Incremented atomically with $inc so concurrent requests never share a value.
+const CounterSchema = new mongoose.Schema({
+  tenantId: { type: String, required: true },
+  // What the sequence numbers, e.g. 'rma'
+  name: { type: String, required: true },
+  // Last value handed out
+  seq: { type: Number, default: 0 }
+});
+
+CounterSchema.index({ tenantId: 1, name: 1 }, { unique: true });
+
+export default mongoose.models.Counter || mongoose.model('Counter', CounterSchema);
@@ -0,0 +1,29 @@
+// src/lib/db/models/LoginThrottle.js
+import mongoose from 'mongoose';
+
+// Failed admin sign-in attempts for one account (by email) or one IP address.
+// Kept in the database so every app instance sees the same counts.
+const LoginThrottleSchema = new mongoose.Schema({
+  scope: { type: String, enum: ['account', 'ip'], required: true },
+  // Lowercased email or IP address
+  identifier: { type: String, required: true },
+  // Failures in the current window
+  failures: { type: Number, default: 0 },
+  windowStartedAt: { type: Date, default: Date.now },
+  lastFailureAt: Date,
+  // IP address of the latest failure, for account entries
+  lastIpAddress: String,
+  lockedUntil: Date,
+  // Each lockout lasts longer than the one before
+  lockCount: { type: Number, default: 0 },
+  // MongoDB removes the entry shortly after this date, which also resets
+  // the lockout escalation
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+LoginThrottleSchema.index({ scope: 1, identifier: 1 }, { unique: true });
+LoginThrottleSchema.index({ scope: 1, lockedUntil: 1 });
+LoginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.LoginThrottle || mongoose.model('LoginThrottle', LoginThrottleSchema);
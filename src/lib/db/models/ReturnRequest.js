@@ -1,9 +1,24 @@
 // src/lib/db/models/ReturnRequest.js
 import mongoose from 'mongoose';
+import { RETURN_STATUSES, ReturnStatus, normalizeStatus } from '@/lib/returns/lifecycle';
+import { ITEM_CONDITIONS } from '@/lib/returns/inspection';
+import { REFUND_METHODS, RefundMethod } from '@/lib/returns/refundMethods';
+import { FeeType } from '@/lib/returns/fees';
+import { ITEM_DECISIONS } from '@/lib/returns/decisions';
+
+// Who did something to a return: an admin, an API key, the customer or the system
+const ActorSchema = new mongoose.Schema({
+  id: String,
+  type: { type: String, enum: ['admin', 'api-key', 'system', 'customer'] },
+  name: String
+}, { _id: false });
 
 const ReturnItemSchema = new mongoose.Schema({
   id: String,
   title: String,
+  variant_id: String,
+  product_id: String,
+  product_type: String,
   variant_title: String,
   price: Number,
   quantity: Number,
@@ -21,44 +36,212 @@ const ReturnItemSchema = new mongoose.Schema({
     isInStock: Boolean
   },
   refundAmount: Number,
+  refundedQuantity: { type: Number, default: 0 },
   processedAt: Date,
   trackingInfo: {
     number: String,
     carrier: String,
     url: String
+  },
+  
+  // An admin's approval or rejection of this item
+  decision: {
+    status: { type: String, enum: ITEM_DECISIONS },
+    reason: String,
+    decidedAt: Date,
+    decidedBy: ActorSchema
+  },
+  
+  // Warehouse receiving and inspection
+  receiving: {
+    receivedQuantity: { type: Number, min: 0 },
+    receivedAt: Date,
+    receivedBy: ActorSchema,
+    condition: { type: String, enum: ITEM_CONDITIONS },
+    notes: String,
+    photos: [String],
+    inspectedAt: Date,
+    inspectedBy: ActorSchema
+  },
+  
+  // Shopify inventory adjustment for the received stock
+  restock: {
+    status: { type: String, enum: ['pending', 'restocked', 'skipped', 'failed'] },
+    quantity: Number,
+    locationId: String,
+    inventoryItemId: String,
+    adjustmentGroupId: String,
+    reason: String,
+    error: String,
+    attemptedAt: Date,
+    adjustedAt: Date,
+    adjustedBy: ActorSchema
   }
 });
 
+// A fee deducted from a refund or credit
+const FeeSchema = new mongoose.Schema({
+  type: { type: String, enum: Object.values(FeeType) },
+  label: String,
+  itemId: String,
+  amount: Number
+}, { _id: false });
+
+// The fees quoted to the customer when they submitted the return
+const FeeQuoteSchema = new mongoose.Schema({
+  items: [{
+    _id: false,
+    itemId: String,
+    title: String,
+    quantity: Number,
+    unitPrice: Number,
+    subtotal: Number,
+    restockingFeePercent: Number,
+    restockingFee: Number,
+    waived: Boolean
+  }],
+  shippingFee: { type: Number, default: 0 },
+  subtotal: Number,
+  totalFees: { type: Number, default: 0 },
+  total: Number,
+  currency: String
+}, { _id: false });
+
+// A refund issued through Shopify, with the payment transactions it created
+const RefundSchema = new mongoose.Schema({
+  shopifyRefundId: String,
+  // Paid out, after fees
+  amount: Number,
+  currency: String,
+  shipping: Number,
+  tax: Number,
+  fees: [FeeSchema],
+  totalFees: { type: Number, default: 0 },
+  items: [{
+    _id: false,
+    itemId: String,
+    quantity: Number,
+    subtotal: Number,
+    tax: Number
+  }],
+  transactions: [{
+    _id: false,
+    id: String,
+    parentId: String,
+    kind: String,
+    gateway: String,
+    amount: Number,
+    status: String
+  }],
+  note: String,
+  createdAt: { type: Date, default: Date.now },
+  createdBy: ActorSchema
+});
+
+// Store credit or a gift card issued instead of a refund. A gift card's code
+// is only emailed to the customer, never stored.
+const CreditSchema = new mongoose.Schema({
+  status: { type: String, enum: ['pending', 'issued', 'skipped', 'failed'] },
+  // Bonus the customer was offered when choosing credit, e.g. 0.1 for 10%
+  bonusRate: { type: Number, default: 0 },
+  baseAmount: Number,
+  // Fees deducted from the base amount before the bonus
+  fees: [FeeSchema],
+  totalFees: { type: Number, default: 0 },
+  amount: Number,
+  currency: String,
+  // Gift cards
+  shopifyGiftCardId: String,
+  lastCharacters: String,
+  // Store credit
+  shopifyTransactionId: String,
+  reason: String,
+  error: String,
+  attemptedAt: Date,
+  issuedAt: Date,
+  emailedAt: Date,
+  issuedBy: ActorSchema
+}, { _id: false });
+
+// A generated file customers download, such as a packing slip or carrier label
+const ReturnDocumentSchema = new mongoose.Schema({
+  // Public download link; works until expiresAt
+  url: String,
+  // Where the file is kept in lib/files
+  fileKey: String,
+  generatedAt: Date,
+  expiresAt: Date
+}, { _id: false });
+
+const ReturnLabelSchema = new mongoose.Schema({
+  url: String,
+  fileKey: String,
+  // Carrier the shipment was booked with
+  carrier: String,
+  generatedAt: Date,
+  expiresAt: Date
+}, { _id: false });
+
 const ReturnRequestSchema = new mongoose.Schema({
+  // Sequential, tenant-prefixed reference for customers and staff,
+  // e.g. ACME-R-001234. Returns created before RMA numbers have none.
+  rmaNumber: String,
+  
   // Order information
   orderId: { type: String, required: true, index: true },
   orderNumber: String,
   shopifyOrderId: { type: String, index: true },
+  currency: String,
   
   // Customer information
   customer: {
     name: String,
     email: { type: String, required: true, index: true },
-    phone: String
+    phone: String,
+    shopifyCustomerId: String
   },
   
   // Status information
   status: {
     type: String,
-    enum: ['pending', 'approved', 'completed', 'rejected', 'flagged'],
-    default: 'pending',
+    enum: RETURN_STATUSES,
+    default: ReturnStatus.REQUESTED,
     index: true
   },
   statusHistory: [{
     status: String,
+    from: String,
     timestamp: { type: Date, default: Date.now },
     notes: String,
-    updatedBy: String
+    updatedBy: String,
+    actor: ActorSchema
   }],
   
   // Return items
   items: [ReturnItemSchema],
   totalRefundAmount: Number,
+  fees: FeeQuoteSchema,
+  
+  // How the customer is paid back
+  refundMethod: {
+    type: String,
+    enum: REFUND_METHODS,
+    default: RefundMethod.ORIGINAL_PAYMENT
+  },
+  credit: CreditSchema,
+  
+  // Refunds issued to the original payment method
+  refunds: [RefundSchema],
+  // Set while a refund is being issued so two can't run at once
+  refundLockedAt: Date,
+  // Set when a refund went through in Shopify but could not be saved here.
+  // No refund can be issued until it is reconciled and this is cleared.
+  unrecordedRefund: {
+    shopifyRefundId: String,
+    amount: Number,
+    currency: String,
+    failedAt: Date
+  },
   
   // Timestamps
   createdAt: { type: Date, default: Date.now, index: true },
@@ -69,11 +252,8 @@ const ReturnRequestSchema = new mongoose.Schema({
   adminNotes: String,
   
   // Shipping & tracking
-  returnLabel: {
-    url: String,
-    generatedAt: Date,
-    expiresAt: Date
-  },
+  returnLabel: ReturnLabelSchema,
+  packingSlip: ReturnDocumentSchema,
   trackingNumber: String,
   trackingUrl: String,
   
@@ -96,6 +276,10 @@ const ReturnRequestSchema = new mongoose.Schema({
 ReturnRequestSchema.index({ 'customer.email': 1, createdAt: -1 });
 ReturnRequestSchema.index({ status: 1, createdAt: -1 });
 ReturnRequestSchema.index({ tenantId: 1, status: 1 });
+ReturnRequestSchema.index(
+  { tenantId: 1, rmaNumber: 1 },
+  { unique: true, partialFilterExpression: { rmaNumber: { $exists: true } } }
+);
 
 // Automatically update timestamps
 ReturnRequestSchema.pre('save', function(next) {
@@ -103,16 +287,10 @@ ReturnRequestSchema.pre('save', function(next) {
   next();
 });
 
-// Add method to change status and record in history
-ReturnRequestSchema.methods.updateStatus = function(status, notes, updatedBy) {
-  this.status = status;
-  this.statusHistory.push({
-    status,
-    timestamp: new Date(),
-    notes: notes || '',
-    updatedBy: updatedBy || 'system'
-  });
-  return this.save();
-};
+// Read returns stored before the lifecycle with their lifecycle status.
+// Status changes go through returnService.updateReturnStatus so they are checked.
+ReturnRequestSchema.post('init', function(doc) {
+  doc.status = normalizeStatus(doc.status);
+});
 
 export default mongoose.models.ReturnRequest || mongoose.model('ReturnRequest', ReturnRequestSchema);
\ No newline at end of file
@@ -1,18 +1,38 @@
 // src/lib/db/models/Setting.js
 import mongoose from 'mongoose';
+import { REFUND_METHODS, DEFAULT_REFUND_METHOD_OPTIONS } from '@/lib/returns/refundMethods';
+import { DEFAULT_WAIVED_REASONS } from '@/lib/returns/fees';
+import { CARRIERS, Carrier } from '@/lib/shipping/carriers';
+
+const RefundMethodOptionSchema = new mongoose.Schema({
+  method: { type: String, enum: REFUND_METHODS, required: true },
+  enabled: { type: Boolean, default: true },
+  // Extra value on credit methods, e.g. 0.1 for 10%
+  bonus: { type: Number, default: 0, min: 0, max: 1 },
+  // Only offered when every item was returned for one of these reasons; empty for any reason
+  reasons: [{ type: String, trim: true }]
+}, { _id: false });
+
+const RestockingFeeRuleSchema = new mongoose.Schema({
+  // Share of the item's price kept, e.g. 0.15 for 15%
+  percent: { type: Number, required: true, min: 0, max: 1 },
+  // Product types and reasons the rule covers; empty for any
+  productTypes: [{ type: String, trim: true }],
+  reasons: [{ type: String, trim: true }]
+}, { _id: false });
 
 const SettingSchema = new mongoose.Schema({
   tenantId: { type: String, required: true, unique: true },
-  returnWindowDays: { type: Number, default: 30 },
+  returnWindowDays: { type: Number, default: 30, min: 1, max: 365 },
   allowExchanges: { type: Boolean, default: true },
   requirePhotos: { type: Boolean, default: false },
   autoApproveReturns: { type: Boolean, default: true },
   notifyOnReturn: { type: Boolean, default: true },
-  returnReasons: [String],
+  returnReasons: [{ type: String, trim: true }],
   fraudPrevention: {
     enabled: { type: Boolean, default: true },
-    maxReturnsPerCustomer: { type: Number, default: 3 },
-    maxReturnValuePercent: { type: Number, default: 80 },
+    maxReturnsPerCustomer: { type: Number, default: 3, min: 1 },
+    maxReturnValuePercent: { type: Number, default: 80, min: 0, max: 100 },
     suspiciousPatterns: {
       frequentReturns: { type: Boolean, default: true },
       highValueReturns: { type: Boolean, default: true },
@@ -20,10 +40,69 @@ const SettingSchema = new mongoose.Schema({
       newAccountReturns: { type: Boolean, default: true },
       addressMismatch: { type: Boolean, default: true }
     },
-    autoFlagThreshold: { type: Number, default: 2 }
+    autoFlagThreshold: { type: Number, default: 2, min: 1 }
+  },
+  security: {
+    // Every admin with access to this tenant must sign in with TOTP
+    requireTwoFactor: { type: Boolean, default: false }
+  },
+  restocking: {
+    // Put inspected, resellable items back into Shopify inventory
+    enabled: { type: Boolean, default: false },
+    // Shopify location returned stock is added to
+    locationId: { type: String, trim: true }
+  },
+  refundMethods: {
+    // Which refund methods customers are offered, evaluated per return
+    options: {
+      type: [RefundMethodOptionSchema],
+      default: () => DEFAULT_REFUND_METHOD_OPTIONS,
+      validate: {
+        validator: options => new Set(options.map(option => option.method)).size === options.length,
+        message: 'Each refund method can only be listed once'
+      }
+    },
+    // When store credit and gift cards are issued: once the return is approved, or once the items arrive
+    issueCreditOn: { type: String, enum: ['approved', 'received'], default: 'received' }
+  },
+  fees: {
+    // Deduct return fees from refunds and credit
+    enabled: { type: Boolean, default: false },
+    // Flat amount per return, in the shop currency
+    returnShippingFee: { type: Number, default: 0, min: 0 },
+    // The first matching rule sets an item's restocking fee
+    restockingFees: [RestockingFeeRuleSchema],
+    // Items returned for these reasons carry no fees
+    waivedReasons: { type: [{ type: String, trim: true }], default: () => DEFAULT_WAIVED_REASONS },
+    // No return shipping fee when the customer exchanges something
+    waiveForExchanges: { type: Boolean, default: true }
+  },
+  shipping: {
+    // Carrier return labels are booked with; with none customers only get a packing slip
+    carrier: { type: String, enum: CARRIERS, default: Carrier.NONE },
+    // Where customers send their returns, printed on packing slips and labels
+    returnAddress: {
+      name: { type: String, trim: true },
+      company: { type: String, trim: true },
+      address1: { type: String, trim: true },
+      address2: { type: String, trim: true },
+      zip: { type: String, trim: true },
+      city: { type: String, trim: true },
+      province: { type: String, trim: true },
+      country: { type: String, trim: true },
+      phone: { type: String, trim: true }
+    },
+    // How long download links for packing slips and labels work
+    documentExpiryDays: { type: Number, default: 30, min: 1, max: 90 }
   },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
-export default mongoose.models.Setting || mongoose.model('Setting', SettingSchema);
\ No newline at end of file
+// Automatically update timestamps
+SettingSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.models.Setting || mongoose.model('Setting', SettingSchema);
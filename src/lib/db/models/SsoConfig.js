@@ -0,0 +1,45 @@
+// src/lib/db/models/SsoConfig.js
+import mongoose from 'mongoose';
+
+// A tenant's OpenID Connect identity provider for admin sign-in.
+// The client secret is kept encrypted in TenantCredential, not here.
+const SsoConfigSchema = new mongoose.Schema({
+  tenantId: { type: String, required: true, unique: true },
+  enabled: { type: Boolean, default: false },
+  // Shown on the sign-in button
+  displayName: { type: String, default: 'Single sign-on', trim: true },
+  issuer: { type: String, required: true, trim: true },
+  clientId: { type: String, required: true, trim: true },
+  scopes: { type: String, default: 'openid email profile' },
+
+  // Create admin users the first time they sign in
+  autoProvision: { type: Boolean, default: true },
+  // Role for users whose groups match no mapping
+  defaultRole: {
+    type: String,
+    enum: ['admin', 'manager', 'staff'],
+    default: 'staff'
+  },
+  // Claim in the ID token that lists the user's groups
+  groupClaim: { type: String, default: 'groups', trim: true },
+  // IdP groups that grant each role; the highest matching role wins
+  roleMappings: {
+    admin: { type: [String], default: [] },
+    manager: { type: [String], default: [] },
+    staff: { type: [String], default: [] }
+  },
+  // Only emails at these domains may sign in (empty allows any)
+  allowedDomains: { type: [String], default: [] },
+
+  updatedBy: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Automatically update timestamps
+SsoConfigSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.models.SsoConfig || mongoose.model('SsoConfig', SsoConfigSchema);
@@ -0,0 +1,20 @@
+// src/lib/db/models/StorageEntry.js
+import mongoose from 'mongoose';
+
+// Key/value pairs for lib/storage when server storage is enabled
+const StorageEntrySchema = new mongoose.Schema({
+  tenantId: { type: String, required: true, default: 'default' },
+  // null for tenant-wide entries
+  userId: { type: String, default: null },
+  key: { type: String, required: true },
+  value: mongoose.Schema.Types.Mixed,
+  // MongoDB removes the entry shortly after this date
+  expiresAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, { minimize: false });
+
+StorageEntrySchema.index({ tenantId: 1, userId: 1, key: 1 }, { unique: true });
+StorageEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.StorageEntry || mongoose.model('StorageEntry', StorageEntrySchema);
@@ -0,0 +1,49 @@
+// src/lib/db/models/Tenant.js
+import mongoose from 'mongoose';
+import { RMA_PREFIX_PATTERN } from '@/lib/returns/rma';
+
+const TenantSchema = new mongoose.Schema({
+  // URL-safe identifier used as tenantId throughout the app
+  tenantId: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9][a-z0-9-]{1,62}$/, 'Tenant ID may only contain lowercase letters, numbers and dashes']
+  },
+  name: { type: String, required: true, trim: true },
+  isActive: { type: Boolean, default: true, index: true },
+  // Starts the tenant's RMA numbers, e.g. ACME in ACME-R-001234. Without
+  // one the prefix is made from the tenant ID.
+  rmaPrefix: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [RMA_PREFIX_PATTERN, 'RMA prefix must be 2-10 letters or numbers']
+  },
+  
+  // Shopify store connection. API credentials live encrypted in
+  // TenantCredential, never on this document.
+  shopify: {
+    shopDomain: String
+  },
+  
+  // Language settings
+  locale: {
+    defaultLanguage: { type: String, default: 'en' },
+    supportedLanguages: { type: [String], default: ['en'] },
+    detectBrowserLanguage: { type: Boolean, default: true }
+  },
+  
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Automatically update timestamps
+TenantSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.models.Tenant || mongoose.model('Tenant', TenantSchema);
@@ -0,0 +1,30 @@
+// src/lib/db/models/TenantCredential.js
+import mongoose from 'mongoose';
+
+const EncryptedBoxSchema = new mongoose.Schema({
+  iv: { type: String, required: true },
+  tag: { type: String, required: true },
+  ciphertext: { type: String, required: true }
+}, { _id: false });
+
+// Encrypted third-party credentials for a tenant (see lib/security/envelope)
+const TenantCredentialSchema = new mongoose.Schema({
+  tenantId: { type: String, required: true },
+  provider: { type: String, enum: ['shopify', 'oidc'], required: true },
+  masterKeyId: { type: String, required: true },
+  encryptedDataKey: { type: EncryptedBoxSchema, required: true },
+  payload: { type: EncryptedBoxSchema, required: true },
+  // Non-secret hints so admins can tell which credentials are active
+  hints: {
+    apiKeyLast4: String,
+    accessTokenLast4: String,
+    clientSecretLast4: String
+  },
+  rotatedAt: { type: Date, default: Date.now },
+  rotatedBy: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+TenantCredentialSchema.index({ tenantId: 1, provider: 1 }, { unique: true });
+
+export default mongoose.models.TenantCredential || mongoose.model('TenantCredential', TenantCredentialSchema);
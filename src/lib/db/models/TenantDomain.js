@@ -0,0 +1,18 @@
+// src/lib/db/models/TenantDomain.js
+import mongoose from 'mongoose';
+
+// Maps a hostname (custom domain or platform subdomain) to a tenant
+const TenantDomainSchema = new mongoose.Schema({
+  domain: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/, 'Invalid domain name']
+  },
+  tenantId: { type: String, required: true, index: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+export default mongoose.models.TenantDomain || mongoose.model('TenantDomain', TenantDomainSchema);
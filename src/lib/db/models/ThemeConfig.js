@@ -1,15 +1,26 @@
 // src/lib/db/models/ThemeConfig.js
 import mongoose from 'mongoose';
 
+// Accepts #rgb and #rrggbb hex colors
+const colorValidator = {
+  validator: value => !value || /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value),
+  message: props => `${props.value} is not a valid hex color`
+};
+
+const colorField = defaultValue => ({ type: String, default: defaultValue, validate: colorValidator });
+
 const ThemeConfigSchema = new mongoose.Schema({
   tenantId: { type: String, required: true, unique: true },
-  primaryColor: { type: String, default: '#4f46e5' },
-  secondaryColor: { type: String, default: '#f59e0b' },
-  accentColor: { type: String, default: '#10b981' },
-  backgroundColor: { type: String, default: '#ffffff' },
-  textColor: { type: String, default: '#111827' },
-  secondaryTextColor: { type: String, default: '#6b7280' },
-  borderColor: { type: String, default: '#e5e7eb' },
+  primaryColor: colorField('#4f46e5'),
+  secondaryColor: colorField('#f59e0b'),
+  accentColor: colorField('#10b981'),
+  backgroundColor: colorField('#ffffff'),
+  textColor: colorField('#111827'),
+  secondaryTextColor: colorField('#6b7280'),
+  borderColor: colorField('#e5e7eb'),
+  successColor: colorField('#10b981'),
+  warningColor: colorField('#f59e0b'),
+  dangerColor: colorField('#ef4444'),
   fontFamily: { type: String, default: 'Inter, system-ui, sans-serif' },
   headingFontFamily: { type: String, default: 'Inter, system-ui, sans-serif' },
   fontSize: { type: String, default: '16px' },
@@ -17,9 +28,15 @@ const ThemeConfigSchema = new mongoose.Schema({
   logoWidth: { type: String, default: '120px' },
   logoHeight: { type: String, default: 'auto' },
   favicon: String,
-  customCSS: String,
+  customCSS: { type: String, default: '' },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
-export default mongoose.models.ThemeConfig || mongoose.model('ThemeConfig', ThemeConfigSchema);
\ No newline at end of file
+// Automatically update timestamps
+ThemeConfigSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.models.ThemeConfig || mongoose.model('ThemeConfig', ThemeConfigSchema);
@@ -0,0 +1,85 @@
+// src/lib/documents/packingSlip.js
+import QRCode from 'qrcode';
+import { createPdf, drawQrCode, A4 } from '@/lib/documents/pdf';
+import { formatAddressLines } from '@/lib/shipping/carriers';
+import { isItemRejected } from '@/lib/returns/decisions';
+import { getReturnReference } from '@/lib/returns/rma';
+
+const MARGIN = 50;
+const FOOTER_SPACE = 90;
+const COLUMNS = { quantity: MARGIN, item: MARGIN + 40, option: MARGIN + 300, reason: MARGIN + 370 };
+
+// Helvetica averages about half the font size per character
+function truncate(value, width, size) {
+  const text = String(value || '');
+  const maxChars = Math.floor(width / (size * 0.5));
+  return text.length > maxChars ? `${text.slice(0, maxChars - 3)}...` : text;
+}
+
+function drawItemHeader(doc, top) {
+  doc.text('Qty', COLUMNS.quantity, top, { size: 9, bold: true });
+  doc.text('Item', COLUMNS.item, top, { size: 9, bold: true });
+  doc.text('Option', COLUMNS.option, top, { size: 9, bold: true });
+  doc.text('Reason', COLUMNS.reason, top, { size: 9, bold: true });
+  doc.line(MARGIN, top + 6, doc.width - MARGIN, top + 6, { lineWidth: 0.5 });
+  return top + 20;
+}
+
+/**
+ * Render the packing slip a customer puts in their return parcel: the RMA
+ * number as text and QR code for the warehouse to scan, the items being
+ * sent back, and where to send them. Rejected items are left off.
+ * @param {Object} input - { returnRecord, storeName, returnAddress }
+ * @returns {Buffer} - PDF file contents
+ */
+export function renderPackingSlip({ returnRecord, storeName, returnAddress }) {
+  const doc = createPdf(A4);
+  const reference = getReturnReference(returnRecord);
+  const items = (returnRecord.items || []).filter(item => !isItemRejected(item));
+
+  doc.text('Return Packing Slip', MARGIN, 70, { size: 20, bold: true });
+  if (storeName) {
+    doc.text(storeName, MARGIN, 90, { size: 11 });
+  }
+  doc.text('Return number', MARGIN, 124, { size: 9 });
+  doc.text(reference, MARGIN, 146, { size: 18, bold: true });
+  drawQrCode(doc, QRCode.create(reference, { errorCorrectionLevel: 'M' }), doc.width - MARGIN - 100, 40, 100);
+
+  const details = [
+    ['Order', returnRecord.orderNumber || returnRecord.orderId],
+    ['Requested', new Date(returnRecord.createdAt || Date.now()).toISOString().slice(0, 10)],
+    ['Customer', [returnRecord.customer?.name, returnRecord.customer?.email].filter(Boolean).join(', ')]
+  ];
+  details.forEach(([label, value], index) => {
+    doc.text(label, MARGIN, 180 + index * 15, { size: 9, bold: true });
+    doc.text(truncate(value, 220, 9), MARGIN + 70, 180 + index * 15, { size: 9 });
+  });
+
+  const addressLines = formatAddressLines(returnAddress);
+  doc.text('Send to', doc.width / 2 + 20, 180, { size: 9, bold: true });
+  (addressLines.length > 0 ? addressLines : ['The address in your return email']).forEach((line, index) => {
+    doc.text(truncate(line, doc.width / 2 - MARGIN - 20, 10), doc.width / 2 + 20, 195 + index * 14, { size: 10 });
+  });
+
+  let top = drawItemHeader(doc, 300);
+  items.forEach(item => {
+    if (top > doc.height - FOOTER_SPACE) {
+      doc.addPage();
+      doc.text(`${reference} (continued)`, MARGIN, 60, { size: 11, bold: true });
+      top = drawItemHeader(doc, 90);
+    }
+
+    const title = item.variant_title ? `${item.title} - ${item.variant_title}` : item.title;
+    doc.text(String(item.quantity || 1), COLUMNS.quantity, top, { size: 9 });
+    doc.text(truncate(title, COLUMNS.option - COLUMNS.item - 10, 9), COLUMNS.item, top, { size: 9 });
+    doc.text(item.returnOption === 'exchange' ? 'Exchange' : 'Return', COLUMNS.option, top, { size: 9 });
+    doc.text(truncate(item.returnReason?.reason, doc.width - MARGIN - COLUMNS.reason, 9), COLUMNS.reason, top, { size: 9 });
+    top += 16;
+  });
+
+  doc.line(MARGIN, doc.height - 70, doc.width - MARGIN, doc.height - 70, { lineWidth: 0.5 });
+  doc.text('Put this slip inside the parcel and write the return number on the outside.', MARGIN, doc.height - 52, { size: 9 });
+  doc.text('Only send the items listed above.', MARGIN, doc.height - 38, { size: 9 });
+
+  return doc.toBuffer();
+}
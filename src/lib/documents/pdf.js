@@ -0,0 +1,160 @@
+// src/lib/documents/pdf.js
+/**
+ * A small PDF writer for the printable documents the portal hands out
+ * (packing slips, carrier labels). It covers what those need: text in
+ * Helvetica, filled rectangles and lines, and multiple pages, without
+ * pulling a layout engine and its font files into the server bundle.
+ *
+ * Coordinates are in points from the top-left corner of the page.
+ */
+
+// A4 in points
+export const A4 = { width: 595, height: 842 };
+// 4x6 inch shipping label in points
+export const LABEL_4X6 = { width: 288, height: 432 };
+
+const FONTS = {
+  regular: 'Helvetica',
+  bold: 'Helvetica-Bold'
+};
+
+/**
+ * Make text safe for a PDF string literal. The standard fonts use
+ * WinAnsi encoding, so anything outside Latin-1 is replaced.
+ */
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/[^\x20-\xff]/g, '?')
+    .replace(/[\x7f-\x9f]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+}
+
+function formatNumber(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * Create a PDF document. Drawing goes to the current page; addPage starts
+ * a new one.
+ * @param {Object} pageSize - { width, height } in points, e.g. A4
+ * @returns {Object} - { width, height, addPage, text, rect, line, toBuffer }
+ */
+export function createPdf({ width, height } = A4) {
+  const pages = [];
+  let content = null;
+
+  const y = top => height - top;
+
+  const doc = {
+    width,
+    height,
+
+    addPage() {
+      content = [];
+      pages.push(content);
+      return doc;
+    },
+
+    /**
+     * Draw a line of text; top is the text's baseline
+     * @param {String} value - Text
+     * @param {Number} left - Distance from the left edge
+     * @param {Number} top - Distance from the top edge
+     * @param {Object} options - { size, bold }
+     */
+    text(value, left, top, { size = 10, bold = false } = {}) {
+      content.push(
+        `BT /${bold ? 'F2' : 'F1'} ${formatNumber(size)} Tf ` +
+        `${formatNumber(left)} ${formatNumber(y(top))} Td (${escapeText(value)}) Tj ET`
+      );
+      return doc;
+    },
+
+    /**
+     * Draw a filled (default) or outlined rectangle
+     * @param {Object} options - { fill, lineWidth }
+     */
+    rect(left, top, rectWidth, rectHeight, { fill = true, lineWidth = 1 } = {}) {
+      const path = `${formatNumber(left)} ${formatNumber(y(top + rectHeight))} ` +
+        `${formatNumber(rectWidth)} ${formatNumber(rectHeight)} re`;
+      content.push(fill ? `${path} f` : `${formatNumber(lineWidth)} w ${path} S`);
+      return doc;
+    },
+
+    line(fromLeft, fromTop, toLeft, toTop, { lineWidth = 1 } = {}) {
+      content.push(
+        `${formatNumber(lineWidth)} w ${formatNumber(fromLeft)} ${formatNumber(y(fromTop))} m ` +
+        `${formatNumber(toLeft)} ${formatNumber(y(toTop))} l S`
+      );
+      return doc;
+    },
+
+    /**
+     * Serialize the document
+     * @returns {Buffer} - PDF file contents
+     */
+    toBuffer() {
+      // 1: catalog, 2: page tree, 3-4: fonts, then a page and its content stream per page
+      const objects = [];
+      const pageIds = pages.map((_, index) => 5 + index * 2);
+
+      objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+      objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+      objects[3] = `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.regular} /Encoding /WinAnsiEncoding >>`;
+      objects[4] = `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.bold} /Encoding /WinAnsiEncoding >>`;
+
+      pages.forEach((commands, index) => {
+        const pageId = pageIds[index];
+        const stream = commands.join('\n');
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+      });
+
+      let output = '%PDF-1.4\n';
+      const offsets = [];
+      for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(output, 'latin1');
+        output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+      }
+
+      const xrefOffset = Buffer.byteLength(output, 'latin1');
+      output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+      for (let id = 1; id < objects.length; id++) {
+        output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+      }
+      output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Buffer.from(output, 'latin1');
+    }
+  };
+
+  return doc.addPage();
+}
+
+/**
+ * Draw a QR code as filled squares
+ * @param {Object} doc - Document from createPdf
+ * @param {Object} qr - Result of QRCode.create from the qrcode package
+ * @param {Number} left - Distance from the left edge
+ * @param {Number} top - Distance from the top edge
+ * @param {Number} size - Width and height in points, excluding the quiet zone
+ */
+export function drawQrCode(doc, qr, left, top, size) {
+  const { modules } = qr;
+  const cell = size / modules.size;
+
+  for (let row = 0; row < modules.size; row++) {
+    // Join dark modules in a row into one rectangle to keep the file small
+    let runStart = null;
+    for (let col = 0; col <= modules.size; col++) {
+      const dark = col < modules.size && modules.get(row, col);
+      if (dark && runStart === null) {
+        runStart = col;
+      } else if (!dark && runStart !== null) {
+        doc.rect(left + runStart * cell, top + row * cell, (col - runStart) * cell, cell);
+        runStart = null;
+      }
+    }
+  }
+}
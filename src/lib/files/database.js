@@ -0,0 +1,37 @@
+// src/lib/files/database.js
+import {
+  getStorageValue,
+  setStorageValue,
+  removeStorageValue
+} from '@/lib/services/storageService';
+
+// Files live in StorageEntry next to other tenant data, base64-encoded.
+// Fine for small generated documents; MongoDB caps a document at 16 MB.
+const keyFor = key => `files/${key}`;
+
+export async function putDatabaseFile(key, data, { tenantId, contentType, filename, expiresAt }) {
+  const ttlSeconds = expiresAt
+    ? Math.max(1, Math.ceil((new Date(expiresAt).getTime() - Date.now()) / 1000))
+    : undefined;
+
+  return setStorageValue(keyFor(key), {
+    contentType,
+    filename,
+    data: Buffer.from(data).toString('base64')
+  }, tenantId, null, { ttlSeconds });
+}
+
+export async function getDatabaseFile(key, tenantId) {
+  const stored = await getStorageValue(keyFor(key), tenantId);
+  if (!stored?.data) return null;
+
+  return {
+    data: Buffer.from(stored.data, 'base64'),
+    contentType: stored.contentType,
+    filename: stored.filename
+  };
+}
+
+export async function removeDatabaseFile(key, tenantId) {
+  return removeStorageValue(keyFor(key), tenantId);
+}
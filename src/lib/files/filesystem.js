@@ -0,0 +1,52 @@
+// src/lib/files/filesystem.js
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Files under FILE_STORAGE_DIR, one folder per tenant, with a JSON sidecar
+// for the content type and expiry. Only for single-instance deployments;
+// expired files are deleted when they are next read.
+function pathsFor(key, tenantId) {
+  const root = path.resolve(process.env.FILE_STORAGE_DIR || '.data/files');
+  const file = path.resolve(root, tenantId, key);
+  if (!file.startsWith(`${path.join(root, tenantId)}${path.sep}`)) {
+    throw new Error(`Invalid file key "${key}"`);
+  }
+  return { file, meta: `${file}.json` };
+}
+
+export async function putFilesystemFile(key, data, { tenantId, contentType, filename, expiresAt }) {
+  const { file, meta } = pathsFor(key, tenantId);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, data);
+  await fs.writeFile(meta, JSON.stringify({ contentType, filename, expiresAt: expiresAt || null }));
+  return true;
+}
+
+export async function getFilesystemFile(key, tenantId) {
+  const { file, meta } = pathsFor(key, tenantId);
+
+  let info;
+  try {
+    info = JSON.parse(await fs.readFile(meta, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  if (info.expiresAt && new Date(info.expiresAt) <= new Date()) {
+    await removeFilesystemFile(key, tenantId);
+    return null;
+  }
+
+  return {
+    data: await fs.readFile(file),
+    contentType: info.contentType,
+    filename: info.filename
+  };
+}
+
+export async function removeFilesystemFile(key, tenantId) {
+  const { file, meta } = pathsFor(key, tenantId);
+  const results = await Promise.allSettled([fs.unlink(file), fs.unlink(meta)]);
+  return results.some(result => result.status === 'fulfilled');
+}
@@ -0,0 +1,42 @@
+// src/lib/files/index.js
+import {
+  putDatabaseFile,
+  getDatabaseFile,
+  removeDatabaseFile
+} from './database';
+
+import {
+  putFilesystemFile,
+  getFilesystemFile,
+  removeFilesystemFile
+} from './filesystem';
+
+// Where generated files such as return labels are kept: 'database' (the
+// default, shared by every app instance) or 'filesystem'
+const useFilesystem = process.env.FILE_STORAGE === 'filesystem';
+
+// Server-only storage for generated files, the binary counterpart of lib/storage
+export const files = {
+  // options: { tenantId, contentType, filename, expiresAt }
+  put: async (key, data, options) => {
+    if (useFilesystem) {
+      return await putFilesystemFile(key, data, options);
+    }
+    return await putDatabaseFile(key, data, options);
+  },
+
+  // Resolves to { data, contentType, filename }, or null if missing or expired
+  get: async (key, tenantId = 'default') => {
+    if (useFilesystem) {
+      return await getFilesystemFile(key, tenantId);
+    }
+    return await getDatabaseFile(key, tenantId);
+  },
+
+  remove: async (key, tenantId = 'default') => {
+    if (useFilesystem) {
+      return await removeFilesystemFile(key, tenantId);
+    }
+    return await removeDatabaseFile(key, tenantId);
+  }
+};
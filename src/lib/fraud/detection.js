@@ -32,39 +32,21 @@ export async function getSettings(tenantId = 'default') {
   // Server-side approach (API calls during returns processing)
   if (typeof window === 'undefined') {
     try {
-      // For server-side processing, access settings directly from tenant configs
-      // This avoids making API calls that require authentication
-      if (typeof window === 'undefined') {
-        try {
-          // Use dynamic import instead of require()
-          const { tenantConfigs } = await import('../tenant/config');
-          const config = tenantConfigs[tenantId] || tenantConfigs.default;
-          
-          return {
-            ...defaultSettings,
-            ...config.settings,
-            fraudPrevention: {
-              ...defaultSettings.fraudPrevention,
-              ...(config.settings?.fraudPrevention || {})
-            }
-          };
-        } catch (error) {
-          console.error('Error loading tenant config:', error);
-          return defaultSettings;
-        }
-      }
-     const config = tenantConfigs[tenantId] || tenantConfigs.default;
+      // Read the persisted tenant settings directly, so the checks honour
+      // what admins saved without an authenticated API round-trip
+      const { getSettingsForTenant } = await import('../services/settingsService');
+      const settings = await getSettingsForTenant(tenantId);
       
       return {
         ...defaultSettings,
-        ...config.settings,
+        ...settings,
         fraudPrevention: {
           ...defaultSettings.fraudPrevention,
-          ...(config.settings?.fraudPrevention || {})
+          ...(settings.fraudPrevention || {})
         }
       };
     } catch (error) {
-      console.error('Error loading tenant config:', error);
+      console.error('Error loading tenant settings:', error);
       return defaultSettings;
     }
   }
@@ -78,6 +78,10 @@ const enTranslations = {
         subtitle: 'Return Request Submitted',
         message: 'Your return/exchange request has been successfully submitted. We\'ll email you with the next steps.',
         nextSteps: 'Next Steps',
+        rmaNumber: 'Your return number',
+        rmaDescription: 'Quote this number if you contact us, and write it on your parcel.',
+        downloadLabel: 'Return label',
+        downloadPackingSlip: 'Packing slip',
         steps: {
           email: {
             title: 'Check your email',
@@ -84,14 +84,22 @@ const noTranslations = {
       bonusAmount: '+{percent}% BONUS',
       originalValue: 'Opprinnelig verdi',
       giftCardValue: 'Gavekortverdi',
-      shippingDeduction: '-{percent}kr Frakt',
+      feeDeduction: '-{amount} i gebyrer',
       refundAmount: 'Refusjonsbeløp',
+      returnFees: 'Returgebyrer',
+      returnShippingFee: 'Returfrakt',
+      restockingFee: 'Returgebyr',
+      feesWaived: 'Ingen gebyrer for denne varen',
     },
     success: {
       title: 'Retur fullført',
       subtitle: 'Returforespørsel sendt inn',
       message: 'Din retur/bytteforespørsel er sendt inn. Vi sender deg en e-post med neste steg.',
       nextSteps: 'Neste steg',
+      rmaNumber: 'Ditt returnummer',
+      rmaDescription: 'Oppgi dette nummeret hvis du kontakter oss, og skriv det på pakken.',
+      downloadLabel: 'Returetikett',
+      downloadPackingSlip: 'Pakkseddel',
       steps: {
         email: {
           title: 'Sjekk e-posten din',
@@ -0,0 +1,117 @@
+// src/lib/returns/__tests__/fees.test.js
+import { describe, it, expect } from 'vitest';
+import { quoteReturnFees, getPayoutFees, FeeType } from '@/lib/returns/fees';
+
+const FEE_SETTINGS = {
+  enabled: true,
+  returnShippingFee: 5,
+  waiveForExchanges: true,
+  restockingFees: [
+    { productTypes: ['Shoes'], reasons: [], percent: 0.1 },
+    { productTypes: [], reasons: ['Changed my mind'], percent: 0.2 }
+  ]
+};
+
+const item = (overrides = {}) => ({
+  itemId: '1',
+  title: 'Sneaker',
+  quantity: 1,
+  unitPrice: '50.00',
+  productType: 'Shoes',
+  returnOption: 'return',
+  returnReason: { reason: 'Too small' },
+  ...overrides
+});
+
+describe('quoteReturnFees', () => {
+  it('charges nothing when fees are disabled', () => {
+    const quote = quoteReturnFees({ ...FEE_SETTINGS, enabled: false }, [item()]);
+
+    expect(quote.shippingFee).toBe(0);
+    expect(quote.totalFees).toBe(0);
+    expect(quote.total).toBe(50);
+  });
+
+  it('applies the first matching restocking rule and the shipping fee', () => {
+    const quote = quoteReturnFees(FEE_SETTINGS, [
+      item({ quantity: 2 }),
+      item({ itemId: '2', productType: 'Shirts', unitPrice: '20.00', returnReason: { reason: 'Changed my mind' } })
+    ]);
+
+    expect(quote.items.map(quoted => quoted.restockingFeePercent)).toEqual([0.1, 0.2]);
+    expect(quote.items.map(quoted => quoted.restockingFee)).toEqual([10, 4]);
+    expect(quote.shippingFee).toBe(5);
+    expect(quote.subtotal).toBe(120);
+    expect(quote.totalFees).toBe(19);
+    expect(quote.total).toBe(101);
+  });
+
+  it('waives restocking fees for waived reasons, ignoring case', () => {
+    const quote = quoteReturnFees(FEE_SETTINGS, [
+      item({ returnReason: { reason: 'defective' } }),
+      item({ itemId: '2' })
+    ]);
+
+    expect(quote.items[0]).toMatchObject({ waived: true, restockingFee: 0 });
+    expect(quote.items[1]).toMatchObject({ waived: false, restockingFee: 5 });
+    expect(quote.shippingFee).toBe(5);
+  });
+
+  it('waives the shipping fee when every item is waived', () => {
+    const quote = quoteReturnFees(FEE_SETTINGS, [item({ returnReason: 'Received wrong item' })]);
+
+    expect(quote.shippingFee).toBe(0);
+    expect(quote.totalFees).toBe(0);
+  });
+
+  it('waives the shipping fee for exchanges unless the tenant opted out', () => {
+    const items = [item(), item({ itemId: '2', returnOption: 'exchange' })];
+
+    expect(quoteReturnFees(FEE_SETTINGS, items).shippingFee).toBe(0);
+    expect(quoteReturnFees({ ...FEE_SETTINGS, waiveForExchanges: false }, items).shippingFee).toBe(5);
+  });
+
+  it('never charges exchanged items', () => {
+    const quote = quoteReturnFees(FEE_SETTINGS, [item({ returnOption: 'exchange' })]);
+
+    expect(quote.items[0]).toMatchObject({ subtotal: 0, restockingFee: 0, waived: true });
+  });
+
+  it('caps the fees at the refund', () => {
+    const quote = quoteReturnFees({ ...FEE_SETTINGS, returnShippingFee: 100 }, [item({ unitPrice: '10.00' })]);
+
+    expect(quote.totalFees).toBe(10);
+    expect(quote.total).toBe(0);
+  });
+});
+
+describe('getPayoutFees', () => {
+  const quote = quoteReturnFees(FEE_SETTINGS, [item({ quantity: 2 })]);
+
+  it('charges restocking on the amount paid out and the shipping fee once', () => {
+    const { fees, totalFees } = getPayoutFees(quote, [{ itemId: 1, subtotal: 50 }]);
+
+    expect(fees).toEqual([
+      expect.objectContaining({ type: FeeType.RESTOCKING, itemId: '1', amount: 5 }),
+      expect.objectContaining({ type: FeeType.RETURN_SHIPPING, amount: 5 })
+    ]);
+    expect(totalFees).toBe(10);
+  });
+
+  it('leaves the shipping fee off later payouts', () => {
+    const { fees, totalFees } = getPayoutFees(quote, [{ itemId: '1', subtotal: 50 }], { includeShippingFee: false });
+
+    expect(fees.map(fee => fee.type)).toEqual([FeeType.RESTOCKING]);
+    expect(totalFees).toBe(5);
+  });
+
+  it('caps the fees at the payout', () => {
+    const { totalFees } = getPayoutFees(quote, [{ itemId: '1', subtotal: 3 }]);
+
+    expect(totalFees).toBe(3);
+  });
+
+  it('charges nothing without a quote', () => {
+    expect(getPayoutFees(null, [{ itemId: '1', subtotal: 50 }])).toEqual({ fees: [], totalFees: 0 });
+  });
+});
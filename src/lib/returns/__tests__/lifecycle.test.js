@@ -0,0 +1,51 @@
+// src/lib/returns/__tests__/lifecycle.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  ReturnStatus,
+  canTransition,
+  getAllowedTransitions,
+  getFlaggedFrom,
+  getStoredStatuses,
+  normalizeStatus
+} from '@/lib/returns/lifecycle';
+
+describe('return lifecycle', () => {
+  it('follows the happy path from requested to closed', () => {
+    const path = ['requested', 'approved', 'in_transit', 'received', 'inspected', 'refunded', 'closed'];
+
+    path.slice(1).forEach((to, index) => {
+      expect(canTransition(path[index], to)).toBe(true);
+    });
+  });
+
+  it('refuses to reopen finished returns', () => {
+    expect(canTransition(ReturnStatus.REFUNDED, ReturnStatus.REQUESTED)).toBe(false);
+    expect(canTransition(ReturnStatus.REJECTED, ReturnStatus.APPROVED)).toBe(false);
+    expect(getAllowedTransitions(ReturnStatus.CLOSED)).toEqual([]);
+  });
+
+  it('treats legacy statuses as their lifecycle equivalents', () => {
+    expect(normalizeStatus('completed')).toBe(ReturnStatus.REFUNDED);
+    expect(canTransition('completed', ReturnStatus.REQUESTED)).toBe(false);
+    expect(canTransition('pending', ReturnStatus.APPROVED)).toBe(true);
+    expect(getStoredStatuses(ReturnStatus.REQUESTED)).toEqual(['requested', 'pending']);
+  });
+
+  it('resumes a flagged return where it was flagged from', () => {
+    const history = [
+      { status: ReturnStatus.REQUESTED },
+      { status: ReturnStatus.APPROVED, from: ReturnStatus.REQUESTED },
+      { status: ReturnStatus.FLAGGED, from: ReturnStatus.APPROVED }
+    ];
+    const flaggedFrom = getFlaggedFrom(history);
+
+    expect(flaggedFrom).toBe(ReturnStatus.APPROVED);
+    expect(getAllowedTransitions(ReturnStatus.FLAGGED, flaggedFrom)).toEqual([
+      'approved', 'in_transit', 'received', 'cancelled'
+    ]);
+  });
+
+  it('resumes at requested without a flag in the history', () => {
+    expect(getFlaggedFrom([])).toBe(ReturnStatus.REQUESTED);
+  });
+});
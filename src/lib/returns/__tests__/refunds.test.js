@@ -0,0 +1,36 @@
+// src/lib/returns/__tests__/refunds.test.js
+import { describe, it, expect } from 'vitest';
+import { getRefundableQuantity, isFullyRefunded } from '@/lib/returns/refunds';
+
+const received = quantity => ({ receivedAt: new Date(), receivedQuantity: quantity });
+
+describe('getRefundableQuantity', () => {
+  it('uses the requested quantity before the item is received', () => {
+    expect(getRefundableQuantity({ quantity: 3 })).toBe(3);
+    expect(getRefundableQuantity({})).toBe(1);
+  });
+
+  it('uses the received quantity once the item is received', () => {
+    expect(getRefundableQuantity({ quantity: 3, receiving: received(2) })).toBe(2);
+  });
+
+  it('subtracts units already refunded', () => {
+    expect(getRefundableQuantity({ quantity: 3, refundedQuantity: 1 })).toBe(2);
+    expect(getRefundableQuantity({ quantity: 3, receiving: received(1), refundedQuantity: 2 })).toBe(0);
+  });
+
+  it('never refunds exchanged or rejected items', () => {
+    expect(getRefundableQuantity({ quantity: 2, returnOption: 'exchange' })).toBe(0);
+    expect(getRefundableQuantity({ quantity: 2, decision: { status: 'rejected' } })).toBe(0);
+  });
+});
+
+describe('isFullyRefunded', () => {
+  it('is true once nothing is left to refund', () => {
+    expect(isFullyRefunded([
+      { quantity: 2, refundedQuantity: 2 },
+      { quantity: 1, returnOption: 'exchange' }
+    ])).toBe(true);
+    expect(isFullyRefunded([{ quantity: 2, refundedQuantity: 1 }])).toBe(false);
+  });
+});
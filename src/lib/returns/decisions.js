@@ -0,0 +1,46 @@
+// src/lib/returns/decisions.js
+/**
+ * Per-item approval of a return. Each item is approved or rejected on its
+ * own; once every item is decided the return follows: approved if anything
+ * was accepted, rejected if nothing was. Shared by the return services and
+ * the admin UI.
+ */
+import { ReturnStatus } from '@/lib/returns/lifecycle';
+
+export const ItemDecision = {
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+export const ITEM_DECISIONS = Object.values(ItemDecision);
+
+/**
+ * Whether an item was turned down. Rejected items are not sent back,
+ * inspected or paid for.
+ * @param {Object} item - Return item
+ * @returns {Boolean}
+ */
+export function isItemRejected(item) {
+  return item?.decision?.status === ItemDecision.REJECTED;
+}
+
+/**
+ * Whether an admin has approved or rejected an item
+ * @param {Object} item - Return item
+ * @returns {Boolean}
+ */
+export function isItemDecided(item) {
+  return ITEM_DECISIONS.includes(item?.decision?.status);
+}
+
+/**
+ * The status a return's item decisions add up to
+ * @param {Array} items - Return items
+ * @returns {String|null} - approved or rejected, or null while items are undecided
+ */
+export function getDecidedStatus(items = []) {
+  if (items.length === 0 || !items.every(isItemDecided)) {
+    return null;
+  }
+  return items.every(isItemRejected) ? ReturnStatus.REJECTED : ReturnStatus.APPROVED;
+}
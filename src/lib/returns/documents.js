@@ -0,0 +1,33 @@
+// src/lib/returns/documents.js
+/**
+ * Printable documents for a return: the packing slip that goes in the
+ * parcel and the carrier label that goes on it. Shared by the document
+ * service and the pages that link to them.
+ */
+
+export const ReturnDocument = {
+  PACKING_SLIP: 'packing-slip',
+  RETURN_LABEL: 'return-label'
+};
+
+export const RETURN_DOCUMENTS = Object.values(ReturnDocument);
+
+export const RETURN_DOCUMENT_LABELS = {
+  [ReturnDocument.PACKING_SLIP]: 'Packing slip',
+  [ReturnDocument.RETURN_LABEL]: 'Return label'
+};
+
+// Where each document is recorded on a return
+export const RETURN_DOCUMENT_FIELDS = {
+  [ReturnDocument.PACKING_SLIP]: 'packingSlip',
+  [ReturnDocument.RETURN_LABEL]: 'returnLabel'
+};
+
+/**
+ * Whether a recorded document can still be downloaded
+ * @param {Object} document - returnRecord.packingSlip or returnRecord.returnLabel
+ * @returns {Boolean}
+ */
+export function isDocumentAvailable(document) {
+  return !!(document?.url && (!document.expiresAt || new Date(document.expiresAt) > new Date()));
+}
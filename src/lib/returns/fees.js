@@ -0,0 +1,125 @@
+// src/lib/returns/fees.js
+/**
+ * Return fees: a flat return shipping fee per return and percentage
+ * restocking fees per item, set per tenant. A return is quoted once when it
+ * is submitted; refunds and credit deduct the fees from that quote. Shared by
+ * the return API, the refund and credit services and the review page.
+ */
+import { getItemReason } from '@/lib/returns/refundMethods';
+
+export const FeeType = {
+  RETURN_SHIPPING: 'return_shipping',
+  RESTOCKING: 'restocking'
+};
+
+export const FEE_LABELS = {
+  [FeeType.RETURN_SHIPPING]: 'Return shipping',
+  [FeeType.RESTOCKING]: 'Restocking fee'
+};
+
+// Reasons that are the shop's fault and never cost the customer anything
+export const DEFAULT_WAIVED_REASONS = ['Defective', 'Received wrong item'];
+
+const toAmount = value => Math.round(parseFloat(value || 0) * 100) / 100;
+const normalize = value => String(value || '').trim().toLowerCase();
+const includesNormalized = (list, value) => (list || []).some(entry => normalize(entry) === normalize(value));
+// Blank entries, e.g. from a trailing comma, don't narrow a rule
+const matchesAny = (list, value) => {
+  const entries = (list || []).filter(entry => normalize(entry));
+  return entries.length === 0 || includesNormalized(entries, value);
+};
+
+// The first rule whose product types and reasons match; an empty list matches anything
+function findRestockingRule(rules = [], productType, reason) {
+  return rules.find(rule =>
+    matchesAny(rule.productTypes, productType) && matchesAny(rule.reasons, reason)
+  );
+}
+
+/**
+ * Quote the fees for a return as submitted. Exchanged items and items
+ * returned for a waived reason carry no restocking fee. The shipping fee is
+ * waived when every item is exchanged or returned for a waived reason, and,
+ * if the tenant chose to, when anything is exchanged.
+ * @param {Object} feeSettings - settings.fees
+ * @param {Array} items - [{ itemId, title, quantity, unitPrice, productType, returnOption, returnReason }]
+ * @returns {Object} - { items: [{ itemId, title, quantity, unitPrice, subtotal, restockingFeePercent, restockingFee, waived }], shippingFee, subtotal, totalFees, total }
+ */
+export function quoteReturnFees(feeSettings, items = []) {
+  const enabled = !!feeSettings?.enabled;
+  const waivedReasons = feeSettings?.waivedReasons ?? DEFAULT_WAIVED_REASONS;
+
+  const quotedItems = items.map(item => {
+    const quantity = Number(item.quantity) || 1;
+    const exchanged = item.returnOption === 'exchange';
+    const subtotal = exchanged ? 0 : toAmount(parseFloat(item.unitPrice || 0) * quantity);
+    const reason = getItemReason(item);
+    const waived = exchanged || includesNormalized(waivedReasons, reason);
+    const rule = enabled && !waived
+      ? findRestockingRule(feeSettings.restockingFees, item.productType, reason)
+      : null;
+    const restockingFeePercent = rule?.percent || 0;
+
+    return {
+      itemId: String(item.itemId),
+      title: item.title,
+      quantity,
+      unitPrice: toAmount(item.unitPrice),
+      subtotal,
+      restockingFeePercent,
+      restockingFee: toAmount(subtotal * restockingFeePercent),
+      waived
+    };
+  });
+
+  const anyExchange = items.some(item => item.returnOption === 'exchange');
+  const allWaived = quotedItems.every(item => item.waived);
+  const shippingWaived = allWaived || (anyExchange && feeSettings?.waiveForExchanges !== false);
+  const shippingFee = enabled && !shippingWaived ? toAmount(feeSettings.returnShippingFee) : 0;
+
+  const subtotal = toAmount(quotedItems.reduce((sum, item) => sum + item.subtotal, 0));
+  // Fees never take more than the refund
+  const totalFees = Math.min(
+    toAmount(quotedItems.reduce((sum, item) => sum + item.restockingFee, 0) + shippingFee),
+    subtotal
+  );
+
+  return {
+    items: quotedItems,
+    shippingFee,
+    subtotal,
+    totalFees,
+    total: toAmount(subtotal - totalFees)
+  };
+}
+
+/**
+ * The fees to deduct from one payout on a quoted return. Restocking fees are
+ * charged on the value actually paid out for each item; the shipping fee is
+ * charged once, on the first payout.
+ * @param {Object} feeQuote - The return's quote from quoteReturnFees
+ * @param {Array} lines - [{ itemId, subtotal }] being paid out
+ * @param {Object} options - { includeShippingFee }
+ * @returns {Object} - { fees: [{ type, label, itemId, amount }], totalFees }
+ */
+export function getPayoutFees(feeQuote, lines = [], { includeShippingFee = true } = {}) {
+  const fees = [];
+
+  for (const line of lines) {
+    const quoted = feeQuote?.items?.find(item => item.itemId === String(line.itemId));
+    const amount = toAmount((line.subtotal || 0) * (quoted?.restockingFeePercent || 0));
+    if (amount > 0) {
+      fees.push({ type: FeeType.RESTOCKING, label: FEE_LABELS[FeeType.RESTOCKING], itemId: String(line.itemId), amount });
+    }
+  }
+
+  if (includeShippingFee && feeQuote?.shippingFee > 0) {
+    fees.push({ type: FeeType.RETURN_SHIPPING, label: FEE_LABELS[FeeType.RETURN_SHIPPING], amount: feeQuote.shippingFee });
+  }
+
+  const payout = lines.reduce((sum, line) => sum + (line.subtotal || 0), 0);
+  return {
+    fees,
+    totalFees: Math.min(toAmount(fees.reduce((sum, fee) => sum + fee.amount, 0)), toAmount(payout))
+  };
+}
@@ -0,0 +1,50 @@
+// src/lib/returns/inspection.js
+/**
+ * Warehouse receiving and inspection of individual return items. Shared by
+ * the inspection API and the admin UI.
+ */
+import { isItemRejected } from '@/lib/returns/decisions';
+
+export const ITEM_CONDITIONS = ['new', 'like_new', 'used', 'damaged'];
+
+export const CONDITION_LABELS = {
+  new: 'New / unopened',
+  like_new: 'Like new',
+  used: 'Used',
+  damaged: 'Damaged'
+};
+
+// Grades that can be sold again and go back into inventory
+export const RESTOCKABLE_CONDITIONS = ['new', 'like_new', 'used'];
+
+// Most photos kept per item
+export const MAX_INSPECTION_PHOTOS = 10;
+
+/**
+ * Whether an item has been counted in by the warehouse
+ * @param {Object} item - Return item
+ * @returns {Boolean}
+ */
+export function isItemReceived(item) {
+  return !!item?.receiving?.receivedAt;
+}
+
+/**
+ * Whether an item's inspection has been recorded
+ * @param {Object} item - Return item
+ * @returns {Boolean}
+ */
+export function isItemInspected(item) {
+  return !!item?.receiving?.inspectedAt;
+}
+
+/**
+ * Whether every item on a return has been inspected. Rejected items are
+ * not sent back, so they have nothing to inspect.
+ * @param {Array} items - Return items
+ * @returns {Boolean}
+ */
+export function allItemsInspected(items = []) {
+  const expected = items.filter(item => !isItemRejected(item));
+  return expected.length > 0 && expected.every(isItemInspected);
+}
@@ -0,0 +1,124 @@
+// src/lib/returns/lifecycle.js
+/**
+ * The return lifecycle: every status a return can be in and the moves
+ * between them. Shared by the API (to enforce it) and the admin UI (to only
+ * offer moves that will be accepted).
+ */
+
+export const ReturnStatus = {
+  REQUESTED: 'requested',
+  APPROVED: 'approved',
+  IN_TRANSIT: 'in_transit',
+  RECEIVED: 'received',
+  INSPECTED: 'inspected',
+  REFUNDED: 'refunded',
+  EXCHANGED: 'exchanged',
+  CLOSED: 'closed',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled',
+  FLAGGED: 'flagged'
+};
+
+export const RETURN_STATUSES = Object.values(ReturnStatus);
+
+export const STATUS_LABELS = {
+  requested: 'Requested',
+  approved: 'Approved',
+  in_transit: 'In Transit',
+  received: 'Received',
+  inspected: 'Inspected',
+  refunded: 'Refunded',
+  exchanged: 'Exchanged',
+  closed: 'Closed',
+  rejected: 'Rejected',
+  cancelled: 'Cancelled',
+  flagged: 'Flagged'
+};
+
+// Statuses stored before the lifecycle existed
+export const LEGACY_STATUSES = {
+  pending: ReturnStatus.REQUESTED,
+  completed: ReturnStatus.REFUNDED
+};
+
+// Where each status may go next. Approved returns can skip in_transit for
+// drop-offs that never get a tracking number.
+const TRANSITIONS = {
+  requested: ['approved', 'rejected', 'cancelled', 'flagged'],
+  approved: ['in_transit', 'received', 'cancelled', 'flagged'],
+  in_transit: ['received', 'flagged'],
+  received: ['inspected', 'flagged'],
+  inspected: ['refunded', 'exchanged', 'rejected', 'flagged'],
+  refunded: ['closed'],
+  exchanged: ['closed'],
+  rejected: ['closed'],
+  cancelled: ['closed'],
+  closed: []
+};
+
+/**
+ * Map a stored status onto the lifecycle
+ * @param {String} status - Status as stored
+ * @returns {String} - Lifecycle status
+ */
+export function normalizeStatus(status) {
+  return LEGACY_STATUSES[status] || status;
+}
+
+/**
+ * Get the statuses a return can move to next. A flagged return goes back to
+ * where it was flagged from, or anywhere that status could have gone.
+ * @param {String} status - Current status
+ * @param {String} flaggedFrom - Status before it was flagged, for flagged returns
+ * @returns {Array<String>} - Allowed next statuses
+ */
+export function getAllowedTransitions(status, flaggedFrom = ReturnStatus.REQUESTED) {
+  const current = normalizeStatus(status);
+
+  if (current === ReturnStatus.FLAGGED) {
+    const resumed = normalizeStatus(flaggedFrom);
+    return [resumed, ...(TRANSITIONS[resumed] || [])]
+      .filter(next => next !== ReturnStatus.FLAGGED);
+  }
+
+  return TRANSITIONS[current] || [];
+}
+
+/**
+ * Check whether a return may move between two statuses
+ * @param {String} from - Current status
+ * @param {String} to - Requested status
+ * @param {String} flaggedFrom - Status before it was flagged, for flagged returns
+ * @returns {Boolean}
+ */
+export function canTransition(from, to, flaggedFrom) {
+  return getAllowedTransitions(from, flaggedFrom).includes(to);
+}
+
+/**
+ * Find the status a flagged return was flagged from
+ * @param {Array} statusHistory - Return's status history, oldest first
+ * @returns {String} - Status before the latest flag
+ */
+export function getFlaggedFrom(statusHistory = []) {
+  for (let i = statusHistory.length - 1; i >= 0; i--) {
+    if (statusHistory[i].status === ReturnStatus.FLAGGED) {
+      const previous = statusHistory[i].from || statusHistory[i - 1]?.status;
+      return normalizeStatus(previous || ReturnStatus.REQUESTED);
+    }
+  }
+  return ReturnStatus.REQUESTED;
+}
+
+/**
+ * Get every stored value that means a lifecycle status, for queries that
+ * must also match returns saved under a legacy status
+ * @param {String} status - Lifecycle status
+ * @returns {Array<String>} - The status and its legacy aliases
+ */
+export function getStoredStatuses(status) {
+  return [
+    status,
+    ...Object.keys(LEGACY_STATUSES).filter(legacy => LEGACY_STATUSES[legacy] === status)
+  ];
+}
@@ -0,0 +1,120 @@
+// src/lib/returns/refundMethods.js
+/**
+ * The ways a customer can be paid back for a return, and which of them a
+ * tenant offers for a given return. Shared by the return API, the settings
+ * page and the customer review page; the server's evaluation is the one that
+ * counts.
+ */
+
+export const RefundMethod = {
+  ORIGINAL_PAYMENT: 'original_payment',
+  STORE_CREDIT: 'store_credit',
+  GIFT_CARD: 'gift_card',
+  // Nothing is paid back; the items are exchanged
+  EXCHANGE_ONLY: 'exchange_only'
+};
+
+export const REFUND_METHODS = Object.values(RefundMethod);
+
+export const REFUND_METHOD_LABELS = {
+  [RefundMethod.ORIGINAL_PAYMENT]: 'Original payment',
+  [RefundMethod.STORE_CREDIT]: 'Store credit',
+  [RefundMethod.GIFT_CARD]: 'Gift card',
+  [RefundMethod.EXCHANGE_ONLY]: 'Exchange only'
+};
+
+// Methods paid out as credit in the shop, which can carry a bonus
+export const CREDIT_METHODS = [RefundMethod.STORE_CREDIT, RefundMethod.GIFT_CARD];
+
+// What a tenant offers until an admin changes it
+export const DEFAULT_REFUND_METHOD_OPTIONS = [
+  { method: RefundMethod.ORIGINAL_PAYMENT, enabled: true, bonus: 0, reasons: [] },
+  { method: RefundMethod.GIFT_CARD, enabled: true, bonus: 0.1, reasons: [] },
+  { method: RefundMethod.STORE_CREDIT, enabled: false, bonus: 0.1, reasons: [] },
+  { method: RefundMethod.EXCHANGE_ONLY, enabled: false, bonus: 0, reasons: [] }
+];
+
+const normalizeReason = reason => String(reason || '').trim().toLowerCase();
+
+/**
+ * The reason a customer gave for returning an item
+ * @param {Object} item - Return item, with returnReason as { reason } or a string
+ * @returns {String}
+ */
+export function getItemReason(item) {
+  const reason = item?.returnReason ?? item?.return_reason;
+  return typeof reason === 'object' ? reason?.reason || '' : reason || '';
+}
+
+/**
+ * Whether a method's conditions hold for the items being returned for money.
+ * A method limited to some reasons applies only when every item was returned
+ * for one of them.
+ * @param {Object} option - { method, enabled, bonus, reasons }
+ * @param {Array} items - Items returned for money, not exchanged
+ * @param {Object} context - { hasCustomerAccount }
+ * @returns {Boolean}
+ */
+function isOptionEligible(option, items, { hasCustomerAccount }) {
+  if (!option.enabled) {
+    return false;
+  }
+  // Store credit lives on a Shopify customer account
+  if (option.method === RefundMethod.STORE_CREDIT && !hasCustomerAccount) {
+    return false;
+  }
+  if (!option.reasons?.length) {
+    return true;
+  }
+
+  const allowed = option.reasons.map(normalizeReason);
+  return items.every(item => allowed.includes(normalizeReason(getItemReason(item))));
+}
+
+/**
+ * Work out which refund methods a return may use. When exchange only applies
+ * the customer gets nothing back and must exchange instead, so no other
+ * method is offered. If no method applies, the original payment is refunded.
+ * @param {Object} refundMethodSettings - settings.refundMethods
+ * @param {Object} context - { items: return items with returnOption and returnReason, hasCustomerAccount }
+ * @returns {Object} - { exchangeOnly, methods: [{ method, label, bonus }] }
+ */
+export function evaluateRefundMethods(refundMethodSettings, { items = [], hasCustomerAccount = false } = {}) {
+  const options = refundMethodSettings?.options?.length
+    ? refundMethodSettings.options
+    : DEFAULT_REFUND_METHOD_OPTIONS;
+  const refundItems = items.filter(item => item.returnOption !== 'exchange');
+
+  // Everything is being exchanged, so there is nothing to pay back
+  if (refundItems.length === 0) {
+    return { exchangeOnly: false, methods: [] };
+  }
+
+  const context = { hasCustomerAccount };
+  const exchangeOnly = options.some(option =>
+    option.method === RefundMethod.EXCHANGE_ONLY && isOptionEligible(option, refundItems, context)
+  );
+  if (exchangeOnly) {
+    return { exchangeOnly: true, methods: [] };
+  }
+
+  const methods = options
+    .filter(option => option.method !== RefundMethod.EXCHANGE_ONLY)
+    .filter(option => isOptionEligible(option, refundItems, context))
+    .map(option => ({
+      method: option.method,
+      label: REFUND_METHOD_LABELS[option.method],
+      bonus: CREDIT_METHODS.includes(option.method) ? option.bonus || 0 : 0
+    }));
+
+  // A customer owed money always has some way to get it back
+  if (methods.length === 0) {
+    methods.push({
+      method: RefundMethod.ORIGINAL_PAYMENT,
+      label: REFUND_METHOD_LABELS[RefundMethod.ORIGINAL_PAYMENT],
+      bonus: 0
+    });
+  }
+
+  return { exchangeOnly: false, methods };
+}
@@ -0,0 +1,31 @@
+// src/lib/returns/refunds.js
+/**
+ * Which return items can still be refunded, and how many of each. Shared by
+ * the refund and credit services and the admin refund panel.
+ */
+import { isItemReceived } from '@/lib/returns/inspection';
+import { isItemRejected } from '@/lib/returns/decisions';
+
+/**
+ * Units of an item that can still be refunded: what came back (or what was
+ * requested, before receiving) less what has been refunded. Exchanged and
+ * rejected items are never refunded.
+ * @param {Object} item - Return item
+ * @returns {Number}
+ */
+export function getRefundableQuantity(item) {
+  if (item.returnOption === 'exchange' || isItemRejected(item)) {
+    return 0;
+  }
+  const returned = isItemReceived(item) ? item.receiving.receivedQuantity : (item.quantity || 1);
+  return Math.max(returned - (item.refundedQuantity || 0), 0);
+}
+
+/**
+ * Whether nothing on a return is left to refund
+ * @param {Array} items - Return items
+ * @returns {Boolean}
+ */
+export function isFullyRefunded(items = []) {
+  return items.every(item => getRefundableQuantity(item) === 0);
+}
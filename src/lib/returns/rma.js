@@ -0,0 +1,49 @@
+// src/lib/returns/rma.js
+/**
+ * Return merchandise authorization (RMA) numbers. Each tenant numbers its
+ * returns in sequence behind its own prefix, e.g. ACME-R-001234, so customers
+ * and warehouse staff have a short reference to quote and write on parcels.
+ */
+
+// Digits the sequence is padded to; larger numbers simply grow longer
+const RMA_SEQUENCE_DIGITS = 6;
+
+export const RMA_PREFIX_PATTERN = /^[A-Z0-9]{2,10}$/;
+
+/**
+ * The prefix a tenant's RMA numbers start with: its configured prefix, or
+ * one made from its tenant ID
+ * @param {Object} tenant - Tenant, or just { tenantId }
+ * @returns {String} - Uppercase prefix, e.g. ACME
+ */
+export function getRmaPrefix(tenant = {}) {
+  if (tenant.rmaPrefix && RMA_PREFIX_PATTERN.test(tenant.rmaPrefix)) {
+    return tenant.rmaPrefix;
+  }
+
+  const fromId = String(tenant.tenantId || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '')
+    .slice(0, 10);
+  return fromId.length >= 2 ? fromId : 'RMA';
+}
+
+/**
+ * Format an RMA number
+ * @param {String} prefix - Tenant prefix
+ * @param {Number} seq - Sequence number
+ * @returns {String} - e.g. ACME-R-001234
+ */
+export function formatRmaNumber(prefix, seq) {
+  return `${prefix}-R-${String(seq).padStart(RMA_SEQUENCE_DIGITS, '0')}`;
+}
+
+/**
+ * How to refer to a return: its RMA number, or its ID for returns created
+ * before RMA numbers existed
+ * @param {Object} returnRecord - Return request
+ * @returns {String}
+ */
+export function getReturnReference(returnRecord) {
+  return returnRecord?.rmaNumber || String(returnRecord?._id || returnRecord?.id || '');
+}
@@ -0,0 +1,101 @@
+// src/lib/security/__tests__/envelope.test.js
+import crypto from 'crypto';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { seal, open, needsResealing, isEncryptionConfigured } from '@/lib/security/envelope';
+
+const newMasterKey = () => crypto.randomBytes(32).toString('base64');
+
+const SECRET = { apiKey: 'key', apiSecret: 'secret', accessToken: 'shpat_token' };
+
+// Flip one bit of a base64 value
+function tamper(encoded) {
+  const bytes = Buffer.from(encoded, 'base64');
+  bytes[0] ^= 1;
+  return bytes.toString('base64');
+}
+
+describe('envelope encryption', () => {
+  beforeEach(() => {
+    vi.stubEnv('CREDENTIAL_MASTER_KEY', newMasterKey());
+    vi.stubEnv('CREDENTIAL_MASTER_KEY_PREVIOUS', '');
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('round-trips a value for the same context', () => {
+    const envelope = seal(SECRET, 'acme');
+
+    expect(open(envelope, 'acme')).toEqual(SECRET);
+  });
+
+  it('never stores the value or the data key in the clear', () => {
+    const serialized = JSON.stringify(seal(SECRET, 'acme'));
+
+    expect(serialized).not.toContain('shpat_token');
+    expect(serialized).not.toContain('secret');
+  });
+
+  it('uses a fresh data key and IV for every envelope', () => {
+    const first = seal(SECRET, 'acme');
+    const second = seal(SECRET, 'acme');
+
+    expect(first.encryptedDataKey.ciphertext).not.toBe(second.encryptedDataKey.ciphertext);
+    expect(first.payload.iv).not.toBe(second.payload.iv);
+  });
+
+  it('refuses to open an envelope under another context', () => {
+    const envelope = seal(SECRET, 'acme');
+
+    expect(() => open(envelope, 'globex')).toThrow();
+  });
+
+  it('refuses a tampered payload', () => {
+    const envelope = seal(SECRET, 'acme');
+
+    expect(() => open({ ...envelope, payload: { ...envelope.payload, ciphertext: tamper(envelope.payload.ciphertext) } }, 'acme'))
+      .toThrow();
+    expect(() => open({ ...envelope, payload: { ...envelope.payload, tag: tamper(envelope.payload.tag) } }, 'acme'))
+      .toThrow();
+  });
+
+  it('refuses a tampered data key', () => {
+    const envelope = seal(SECRET, 'acme');
+    const encryptedDataKey = { ...envelope.encryptedDataKey, ciphertext: tamper(envelope.encryptedDataKey.ciphertext) };
+
+    expect(() => open({ ...envelope, encryptedDataKey }, 'acme')).toThrow();
+  });
+
+  it('opens envelopes sealed with the previous master key after a rotation', () => {
+    const previousKey = process.env.CREDENTIAL_MASTER_KEY;
+    const envelope = seal(SECRET, 'acme');
+
+    vi.stubEnv('CREDENTIAL_MASTER_KEY', newMasterKey());
+    vi.stubEnv('CREDENTIAL_MASTER_KEY_PREVIOUS', previousKey);
+
+    expect(open(envelope, 'acme')).toEqual(SECRET);
+    expect(needsResealing(envelope)).toBe(true);
+    expect(needsResealing(seal(SECRET, 'acme'))).toBe(false);
+  });
+
+  it('fails clearly once the master key is gone', () => {
+    const envelope = seal(SECRET, 'acme');
+    vi.stubEnv('CREDENTIAL_MASTER_KEY', newMasterKey());
+
+    expect(() => open(envelope, 'acme')).toThrow(`No master key available for key ID ${envelope.masterKeyId}`);
+  });
+
+  it('needs a master key to seal', () => {
+    vi.stubEnv('CREDENTIAL_MASTER_KEY', '');
+
+    expect(isEncryptionConfigured()).toBe(false);
+    expect(() => seal(SECRET, 'acme')).toThrow('CREDENTIAL_MASTER_KEY is not configured');
+  });
+
+  it('rejects master keys of the wrong length', () => {
+    vi.stubEnv('CREDENTIAL_MASTER_KEY', crypto.randomBytes(16).toString('base64'));
+
+    expect(() => seal(SECRET, 'acme')).toThrow('Credential master keys must be 32 bytes');
+  });
+});
@@ -0,0 +1,119 @@
+// src/lib/security/envelope.js
+/**
+ * Envelope encryption for secrets stored in the database.
+ *
+ * Each secret is encrypted with its own random data key (AES-256-GCM), and
+ * the data key is encrypted with the master key from CREDENTIAL_MASTER_KEY.
+ * Only wrapped data keys ever touch the database. To rotate the master key,
+ * move the old value to CREDENTIAL_MASTER_KEY_PREVIOUS; envelopes sealed
+ * with it stay readable until they are re-sealed.
+ */
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+/**
+ * Parse a base64 master key and derive a short, non-secret identifier for it
+ */
+function parseMasterKey(encoded) {
+  const key = Buffer.from(encoded, 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`Credential master keys must be ${KEY_BYTES} bytes, base64-encoded`);
+  }
+  const id = crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+  return { id, key };
+}
+
+/**
+ * Master keys usable for decryption, current key first
+ */
+function getMasterKeys() {
+  return [process.env.CREDENTIAL_MASTER_KEY, process.env.CREDENTIAL_MASTER_KEY_PREVIOUS]
+    .filter(Boolean)
+    .map(parseMasterKey);
+}
+
+/**
+ * Whether a master key is configured
+ */
+export function isEncryptionConfigured() {
+  return !!process.env.CREDENTIAL_MASTER_KEY;
+}
+
+function encrypt(plaintext, key, context) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(context));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  };
+}
+
+function decrypt(box, key, context) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(box.iv, 'base64'));
+  decipher.setAAD(Buffer.from(context));
+  decipher.setAuthTag(Buffer.from(box.tag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(box.ciphertext, 'base64')),
+    decipher.final()
+  ]);
+}
+
+/**
+ * Encrypt a JSON-serializable value under a fresh data key
+ * @param {*} value - Secret to protect
+ * @param {String} context - Binds the envelope to its owner (e.g. tenant ID),
+ *   so it can't be copied onto another record and decrypted there
+ * @returns {Object} - Envelope safe to persist
+ */
+export function seal(value, context) {
+  const [masterKey] = getMasterKeys();
+  if (!masterKey) {
+    throw new Error('CREDENTIAL_MASTER_KEY is not configured');
+  }
+
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+  try {
+    return {
+      masterKeyId: masterKey.id,
+      encryptedDataKey: encrypt(dataKey, masterKey.key, context),
+      payload: encrypt(Buffer.from(JSON.stringify(value)), dataKey, context)
+    };
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+/**
+ * Decrypt an envelope created by seal()
+ * @param {Object} envelope - Persisted envelope
+ * @param {String} context - Same context passed to seal()
+ * @returns {*} - Original value
+ */
+export function open(envelope, context) {
+  const masterKey = getMasterKeys().find(candidate => candidate.id === envelope.masterKeyId);
+  if (!masterKey) {
+    throw new Error(`No master key available for key ID ${envelope.masterKeyId}`);
+  }
+
+  const dataKey = decrypt(envelope.encryptedDataKey, masterKey.key, context);
+  try {
+    return JSON.parse(decrypt(envelope.payload, dataKey, context).toString('utf8'));
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+/**
+ * Whether an envelope was sealed with an older master key
+ */
+export function needsResealing(envelope) {
+  const [masterKey] = getMasterKeys();
+  return !!masterKey && envelope.masterKeyId !== masterKey.id;
+}
@@ -0,0 +1,137 @@
+// src/lib/security/totp.js
+/**
+ * Time-based one-time passwords (RFC 6238) compatible with common
+ * authenticator apps: HMAC-SHA1, 6 digits, 30 second steps.
+ */
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+// Accept codes from one step either side to allow for clock drift
+const DEFAULT_WINDOW = 1;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random secret
+ * @returns {String} - Base32 secret (160 bits)
+ */
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Get the time step for a moment in time
+ * @param {Number} timestamp - Milliseconds since the epoch
+ * @returns {Number} - Step counter
+ */
+export function getTimeStep(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Generate the code for a time step
+ * @param {String} secret - Base32 secret
+ * @param {Number} step - Step counter
+ * @returns {String} - Zero-padded code
+ */
+export function generateCode(secret, step = getTimeStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code against a secret
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code entered by the user
+ * @param {Object} options - { window, afterStep } where afterStep rejects replayed codes
+ * @returns {Number|null} - The matching step, or null if the code is invalid
+ */
+export function verifyCode(secret, code, { window = DEFAULT_WINDOW, afterStep = null } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep();
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    if (afterStep !== null && step <= afterStep) {
+      continue;
+    }
+
+    const expected = Buffer.from(generateCode(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI authenticator apps scan from a QR code
+ * @param {String} secret - Base32 secret
+ * @param {String} accountName - Usually the user's email
+ * @param {String} issuer - Name shown in the app
+ * @returns {String} - Provisioning URI
+ */
+export function buildOtpauthUrl(secret, accountName, issuer = 'Return Portal') {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
@@ -0,0 +1,156 @@
+// src/lib/services/__tests__/adminSessionService.test.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import AdminSession from '@/lib/db/models/AdminSession';
+import AdminUser from '@/lib/db/models/AdminUser';
+import {
+  createAdminSession,
+  refreshAdminSession,
+  validateAdminSession
+} from '@/lib/services/adminSessionService';
+
+vi.mock('@/lib/db/connection', () => ({ default: vi.fn() }));
+vi.mock('@/lib/db/models/AdminSession', () => ({
+  default: { create: vi.fn(), findOne: vi.fn(), findOneAndUpdate: vi.fn(), updateOne: vi.fn(), exists: vi.fn() }
+}));
+vi.mock('@/lib/db/models/AdminUser', () => ({ default: { findOne: vi.fn() } }));
+vi.mock('@/lib/logging', async (importOriginal) => ({
+  ...await importOriginal(),
+  createLogger: () => ({ debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() })
+}));
+
+const JWT_SECRET = 'test-secret-that-is-long-enough-for-signing';
+const SESSION_ID = '0123456789abcdef01234567';
+const USER_ID = '89abcdef0123456789abcdef';
+
+const hash = token => crypto.createHash('sha256').update(token).digest('hex');
+const objectId = id => ({ toString: () => id });
+
+const user = overrides => ({
+  _id: objectId(USER_ID),
+  email: 'admin@example.com',
+  role: 'manager',
+  tenants: ['acme'],
+  isActive: true,
+  ...overrides
+});
+const session = overrides => ({ _id: objectId(SESSION_ID), userId: USER_ID, ...overrides });
+const request = { headers: { 'user-agent': 'Test', 'x-forwarded-for': '203.0.113.9' } };
+
+describe('admin sessions', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.stubEnv('JWT_SECRET', JWT_SECRET);
+    AdminSession.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('stores only a hash of the refresh token', async () => {
+    AdminSession.create.mockImplementation(async data => session(data));
+
+    const { token, refreshToken } = await createAdminSession(user(), request);
+
+    const stored = AdminSession.create.mock.calls[0][0];
+    expect(stored.refreshTokenHash).toBe(hash(refreshToken));
+    expect(JSON.stringify(stored)).not.toContain(refreshToken);
+    expect(stored.ipAddress).toBe('203.0.113.9');
+    expect(jwt.verify(token, JWT_SECRET)).toMatchObject({ id: USER_ID, sid: SESSION_ID, tenants: ['acme'] });
+  });
+
+  describe('refreshAdminSession', () => {
+    it('rotates the refresh token', async () => {
+      AdminSession.findOneAndUpdate.mockResolvedValue(session());
+      AdminUser.findOne.mockResolvedValue(user());
+
+      const result = await refreshAdminSession('old-token', request);
+
+      const [filter, update] = AdminSession.findOneAndUpdate.mock.calls[0];
+      expect(filter).toMatchObject({ refreshTokenHash: hash('old-token'), revokedAt: null });
+      expect(update.$set).toMatchObject({
+        refreshTokenHash: hash(result.refreshToken),
+        previousTokenHash: hash('old-token')
+      });
+      expect(result.refreshToken).not.toBe('old-token');
+      expect(jwt.verify(result.token, JWT_SECRET)).toMatchObject({ sid: SESSION_ID });
+    });
+
+    it('revokes the session when an old refresh token is reused', async () => {
+      AdminSession.findOneAndUpdate.mockResolvedValue(null);
+      AdminSession.findOne.mockResolvedValue(session({ rotatedAt: new Date(Date.now() - 60 * 1000) }));
+
+      await expect(refreshAdminSession('stolen-token', request)).resolves.toBeNull();
+
+      expect(AdminSession.findOne).toHaveBeenCalledWith({ previousTokenHash: hash('stolen-token'), revokedAt: null });
+      expect(AdminSession.updateOne).toHaveBeenCalledWith(
+        { _id: expect.anything(), userId: USER_ID, revokedAt: null },
+        { $set: expect.objectContaining({ revokedReason: 'refresh_token_reuse' }) }
+      );
+    });
+
+    it('tells a tab that lost a concurrent refresh to pick up the new token', async () => {
+      AdminSession.findOneAndUpdate.mockResolvedValue(null);
+      AdminSession.findOne.mockResolvedValue(session({ rotatedAt: new Date(Date.now() - 5 * 1000) }));
+
+      await expect(refreshAdminSession('old-token', request)).resolves.toEqual({ rotated: true });
+      expect(AdminSession.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('rejects unknown refresh tokens without revoking anything', async () => {
+      AdminSession.findOneAndUpdate.mockResolvedValue(null);
+      AdminSession.findOne.mockResolvedValue(null);
+
+      await expect(refreshAdminSession('unknown-token', request)).resolves.toBeNull();
+      expect(AdminSession.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('ends the session of a deactivated user', async () => {
+      AdminSession.findOneAndUpdate.mockResolvedValue(session());
+      AdminUser.findOne.mockResolvedValue(null);
+
+      await expect(refreshAdminSession('old-token', request)).resolves.toBeNull();
+      expect(AdminSession.updateOne).toHaveBeenCalledWith(
+        expect.anything(),
+        { $set: expect.objectContaining({ revokedReason: 'user_inactive' }) }
+      );
+    });
+
+    it('ignores missing tokens', async () => {
+      await expect(refreshAdminSession(undefined, request)).resolves.toBeNull();
+      expect(AdminSession.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateAdminSession', () => {
+    const decoded = { id: USER_ID, sid: SESSION_ID };
+
+    it('accepts a live session of an active user', async () => {
+      AdminSession.exists.mockResolvedValue({ _id: SESSION_ID });
+      AdminUser.findOne.mockResolvedValue(user());
+
+      await expect(validateAdminSession(decoded)).resolves.toMatchObject({ email: 'admin@example.com' });
+    });
+
+    it('rejects revoked sessions', async () => {
+      AdminSession.exists.mockResolvedValue(null);
+      AdminUser.findOne.mockResolvedValue(user());
+
+      await expect(validateAdminSession(decoded)).resolves.toBeNull();
+    });
+
+    it('rejects users who must reset their password', async () => {
+      AdminSession.exists.mockResolvedValue({ _id: SESSION_ID });
+      AdminUser.findOne.mockResolvedValue(user({ mustResetPassword: true }));
+
+      await expect(validateAdminSession(decoded)).resolves.toBeNull();
+    });
+
+    it('rejects tokens issued before sessions existed', async () => {
+      await expect(validateAdminSession({ id: USER_ID })).resolves.toBeNull();
+      expect(AdminSession.exists).not.toHaveBeenCalled();
+    });
+  });
+});
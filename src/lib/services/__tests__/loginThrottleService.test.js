@@ -0,0 +1,161 @@
+// src/lib/services/__tests__/loginThrottleService.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import LoginThrottle from '@/lib/db/models/LoginThrottle';
+import { checkLoginThrottle, recordLoginFailure, recordLoginSuccess } from '@/lib/services/loginThrottleService';
+
+vi.mock('@/lib/db/connection', () => ({ default: vi.fn() }));
+vi.mock('@/lib/db/models/LoginThrottle', () => ({
+  default: { find: vi.fn(), findOneAndUpdate: vi.fn(), deleteOne: vi.fn() }
+}));
+vi.mock('@/lib/logging', async (importOriginal) => ({
+  ...await importOriginal(),
+  createLogger: () => ({ debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() })
+}));
+
+const NOW = new Date('2026-01-01T12:00:00Z');
+const MINUTE = 60 * 1000;
+
+const entry = overrides => ({
+  _id: 'entry-id',
+  scope: 'account',
+  identifier: 'admin@example.com',
+  failures: 1,
+  lockCount: 0,
+  windowStartedAt: new Date(NOW.getTime() - MINUTE),
+  ...overrides
+});
+
+// The failure counter returns `counted`; the lockout update, if any, succeeds
+function countFailure(counted) {
+  LoginThrottle.findOneAndUpdate.mockImplementation(async (filter, update) => (
+    Array.isArray(update) ? counted : { ...counted, lockCount: counted.lockCount + 1 }
+  ));
+}
+
+const lockoutUpdate = () => LoginThrottle.findOneAndUpdate.mock.calls.find(([, update]) => !Array.isArray(update));
+
+describe('login throttle', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('checkLoginThrottle', () => {
+    it('lets attempts through without earlier failures', async () => {
+      LoginThrottle.find.mockResolvedValue([]);
+
+      await expect(checkLoginThrottle({ email: 'Admin@Example.com ', ip: '203.0.113.9' }))
+        .resolves.toEqual({ locked: false, retryAfterSeconds: 0 });
+      expect(LoginThrottle.find).toHaveBeenCalledWith({
+        $or: [
+          { scope: 'account', identifier: 'admin@example.com' },
+          { scope: 'ip', identifier: '203.0.113.9' }
+        ]
+      });
+    });
+
+    it('reports the longest running lockout', async () => {
+      LoginThrottle.find.mockResolvedValue([
+        entry({ lockedUntil: new Date(NOW.getTime() + 5 * MINUTE) }),
+        entry({ scope: 'ip', lockedUntil: new Date(NOW.getTime() + 30 * MINUTE) })
+      ]);
+
+      await expect(checkLoginThrottle({ email: 'admin@example.com', ip: '203.0.113.9' }))
+        .resolves.toEqual({ locked: true, retryAfterSeconds: 30 * 60 });
+    });
+
+    it('slows down attempts after repeated failures', async () => {
+      LoginThrottle.find.mockResolvedValue([entry({ failures: 4 })]);
+
+      let settled = false;
+      const check = checkLoginThrottle({ email: 'admin@example.com' }).then(() => { settled = true; });
+
+      await vi.advanceTimersByTimeAsync(999);
+      expect(settled).toBe(false);
+      await vi.advanceTimersByTimeAsync(1);
+      await check;
+      expect(settled).toBe(true);
+    });
+
+    it('ignores failures from an expired window', async () => {
+      LoginThrottle.find.mockResolvedValue([
+        entry({ failures: 4, windowStartedAt: new Date(NOW.getTime() - 20 * MINUTE) })
+      ]);
+
+      await expect(checkLoginThrottle({ email: 'admin@example.com' }))
+        .resolves.toEqual({ locked: false, retryAfterSeconds: 0 });
+    });
+  });
+
+  describe('recordLoginFailure', () => {
+    it('does not lock below the limit', async () => {
+      countFailure(entry({ failures: 4 }));
+
+      await expect(recordLoginFailure({ email: 'admin@example.com' }, 'bad_password'))
+        .resolves.toEqual({ locked: false, retryAfterSeconds: 0 });
+      expect(lockoutUpdate()).toBeUndefined();
+    });
+
+    it('locks an account for 15 minutes at the fifth failure', async () => {
+      countFailure(entry({ failures: 5 }));
+
+      await expect(recordLoginFailure({ email: 'admin@example.com' }, 'bad_password'))
+        .resolves.toEqual({ locked: true, retryAfterSeconds: 15 * 60 });
+
+      const [filter, update] = lockoutUpdate();
+      expect(filter).toEqual({ _id: 'entry-id', failures: 5 });
+      expect(update).toMatchObject({
+        $set: { lockedUntil: new Date(NOW.getTime() + 15 * MINUTE), failures: 0 },
+        $inc: { lockCount: 1 }
+      });
+    });
+
+    it('gives an IP address 20 failures', async () => {
+      countFailure(entry({ scope: 'ip', identifier: '203.0.113.9', failures: 19 }));
+      await expect(recordLoginFailure({ ip: '203.0.113.9' }, 'bad_password'))
+        .resolves.toMatchObject({ locked: false });
+
+      countFailure(entry({ scope: 'ip', identifier: '203.0.113.9', failures: 20 }));
+      await expect(recordLoginFailure({ ip: '203.0.113.9' }, 'bad_password'))
+        .resolves.toMatchObject({ locked: true });
+    });
+
+    it('doubles each lockout after the first, up to a day', async () => {
+      const lockoutMinutes = [];
+      for (const lockCount of [1, 2, 3, 10]) {
+        vi.clearAllMocks();
+        countFailure(entry({ failures: 5, lockCount }));
+        const { retryAfterSeconds } = await recordLoginFailure({ email: 'admin@example.com' }, 'bad_password');
+        lockoutMinutes.push(retryAfterSeconds / 60);
+      }
+
+      expect(lockoutMinutes).toEqual([30, 60, 120, 24 * 60]);
+    });
+
+    it('counts a failure against both the account and the IP', async () => {
+      countFailure(entry({ failures: 1 }));
+
+      await recordLoginFailure({ email: 'admin@example.com', ip: '203.0.113.9' }, 'bad_password');
+
+      const counted = LoginThrottle.findOneAndUpdate.mock.calls.map(([filter]) => filter);
+      expect(counted).toEqual([
+        { scope: 'account', identifier: 'admin@example.com' },
+        { scope: 'ip', identifier: '203.0.113.9' }
+      ]);
+    });
+  });
+
+  describe('recordLoginSuccess', () => {
+    it('clears the account but not the IP', async () => {
+      await recordLoginSuccess({ email: 'Admin@Example.com' });
+
+      expect(LoginThrottle.deleteOne).toHaveBeenCalledTimes(1);
+      expect(LoginThrottle.deleteOne).toHaveBeenCalledWith({ scope: 'account', identifier: 'admin@example.com' });
+    });
+  });
+});
@@ -0,0 +1,117 @@
+// src/lib/services/__tests__/refundService.test.js
+import { describe, it, expect, vi } from 'vitest';
+import ReturnRequest from '@/lib/db/models/ReturnRequest';
+import { resolveSelection, issueReturnRefund } from '@/lib/services/refundService';
+import { ErrorTypes } from '@/lib/api/errorHandler';
+
+vi.mock('@/lib/db/connection', () => ({ default: vi.fn() }));
+vi.mock('@/lib/db/models/ReturnRequest', () => ({
+  default: { findOne: vi.fn(), findOneAndUpdate: vi.fn() }
+}));
+vi.mock('@/lib/shopify/client', () => ({ getShopifyClientForTenant: vi.fn() }));
+vi.mock('@/lib/services/returnService', () => ({ updateReturnStatus: vi.fn() }));
+
+const item = (id, overrides = {}) => ({
+  _id: { toString: () => `object-${id}` },
+  id,
+  title: `Item ${id}`,
+  quantity: 2,
+  ...overrides
+});
+
+describe('resolveSelection', () => {
+  it('refunds everything still refundable without a selection', () => {
+    const returnRecord = {
+      items: [item('11'), item('12', { refundedQuantity: 2 }), item('13', { returnOption: 'exchange' })]
+    };
+
+    expect(resolveSelection(returnRecord, [])).toEqual([{ item: returnRecord.items[0], quantity: 2 }]);
+  });
+
+  it('finds items by line item ID or document ID', () => {
+    const returnRecord = { items: [item('11'), item('12')] };
+
+    const lines = resolveSelection(returnRecord, [
+      { itemId: 11, quantity: 1 },
+      { itemId: 'object-12', quantity: '2' }
+    ]);
+
+    expect(lines).toEqual([
+      { item: returnRecord.items[0], quantity: 1 },
+      { item: returnRecord.items[1], quantity: 2 }
+    ]);
+  });
+
+  it('rejects items that are not on the return', () => {
+    expect(() => resolveSelection({ items: [item('11')] }, [{ itemId: '99', quantity: 1 }]))
+      .toThrow('Item 99 is not part of this return');
+  });
+
+  it('rejects quantities beyond what is refundable', () => {
+    const returnRecord = { items: [item('11', { refundedQuantity: 1 })] };
+
+    expect(() => resolveSelection(returnRecord, [{ itemId: '11', quantity: 2 }]))
+      .toThrow('Item 11: refund quantity must be a whole number from 1 to 1');
+    expect(() => resolveSelection(returnRecord, [{ itemId: '11', quantity: 0.5 }]))
+      .toThrow('whole number');
+  });
+
+  it('adds up the units of an item listed more than once', () => {
+    const returnRecord = { items: [item('11', { quantity: 3 })] };
+
+    expect(resolveSelection(returnRecord, [
+      { itemId: '11', quantity: 1 },
+      { itemId: 'object-11', quantity: 2 }
+    ])).toEqual([{ item: returnRecord.items[0], quantity: 3 }]);
+  });
+
+  it('rejects an item listed more than once for more than is refundable', () => {
+    const returnRecord = { items: [item('11')] };
+
+    expect(() => resolveSelection(returnRecord, [
+      { itemId: '11', quantity: 2 },
+      { itemId: '11', quantity: 2 }
+    ])).toThrow('Item 11: refund quantity must be a whole number from 1 to 2');
+  });
+
+  it('rejects items without a Shopify line item', () => {
+    expect(() => resolveSelection({ items: [item('custom')] }, [{ itemId: 'custom', quantity: 1 }]))
+      .toThrow('Item custom is not linked to a Shopify line item');
+  });
+
+  it('rejects returns with nothing left to refund', () => {
+    const returnRecord = { items: [item('11', { decision: { status: 'rejected' } })] };
+
+    expect(() => resolveSelection(returnRecord)).toThrow('There is nothing left to refund on this return');
+  });
+
+  it('reports selection errors as bad requests', () => {
+    let thrown;
+    try {
+      resolveSelection({ items: [] }, [{ itemId: '1', quantity: 1 }]);
+    } catch (error) {
+      thrown = error;
+    }
+
+    expect(thrown).toMatchObject({ status: 400, code: ErrorTypes.BAD_REQUEST });
+  });
+});
+
+describe('issueReturnRefund', () => {
+  it('refuses to refund again while an earlier refund is unrecorded', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    ReturnRequest.findOne.mockResolvedValue({
+      status: 'inspected',
+      refundMethod: 'original_payment',
+      shopifyOrderId: '1001',
+      items: [item('11')],
+      unrecordedRefund: { shopifyRefundId: '555', failedAt: new Date() }
+    });
+
+    await expect(issueReturnRefund('0123456789abcdef01234567', 'default', {})).rejects.toMatchObject({
+      status: 409,
+      message: expect.stringContaining('Shopify refund 555 was issued but not recorded')
+    });
+    expect(ReturnRequest.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,125 @@
+// src/lib/services/__tests__/returnService.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import ReturnRequest from '@/lib/db/models/ReturnRequest';
+import { updateReturnStatus } from '@/lib/services/returnService';
+import { ReturnStatus } from '@/lib/returns/lifecycle';
+import { ErrorTypes } from '@/lib/api/errorHandler';
+
+vi.mock('@/lib/db/connection', () => ({ default: vi.fn() }));
+vi.mock('@/lib/db/models/ReturnRequest', () => ({
+  default: { findOne: vi.fn(), findOneAndUpdate: vi.fn() }
+}));
+vi.mock('@/lib/services/emailService', () => ({ sendEmail: vi.fn() }));
+vi.mock('@/lib/services/restockService', () => ({ restockReturnItems: vi.fn() }));
+vi.mock('@/lib/services/creditService', () => ({ issueReturnCredit: vi.fn() }));
+vi.mock('@/lib/services/settingsService', () => ({ getSettingsForTenant: vi.fn() }));
+vi.mock('@/lib/services/rmaService', () => ({ nextRmaNumber: vi.fn() }));
+
+const RETURN_ID = '0123456789abcdef01234567';
+
+const item = (overrides = {}) => ({ id: '11', quantity: 1, returnOption: 'return', ...overrides });
+const inspected = { receivedAt: new Date(), receivedQuantity: 1, inspectedAt: new Date() };
+
+// Move a return with the given fields to a status, resolving to the thrown error
+async function errorFromMove(returnRecord, status, options) {
+  ReturnRequest.findOne.mockResolvedValue({ statusHistory: [], items: [item()], ...returnRecord });
+  try {
+    await updateReturnStatus(RETURN_ID, 'default', status, options);
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+describe('updateReturnStatus guards', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('rejects moves the lifecycle does not allow', async () => {
+    const error = await errorFromMove({ status: ReturnStatus.REQUESTED }, ReturnStatus.REFUNDED);
+
+    expect(error).toMatchObject({
+      status: 409,
+      code: ErrorTypes.CONFLICT,
+      message: 'A Requested return cannot be moved to Refunded'
+    });
+    expect(ReturnRequest.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    [
+      'approving a return whose items were all rejected',
+      { status: ReturnStatus.REQUESTED, items: [item({ decision: { status: 'rejected' } })] },
+      ReturnStatus.APPROVED,
+      'Every item on this return has been rejected; reject the return instead'
+    ],
+    [
+      'rejecting a return without a reason',
+      { status: ReturnStatus.REQUESTED },
+      ReturnStatus.REJECTED,
+      'A reason is required to reject a return'
+    ],
+    [
+      'marking a return in transit without a tracking number',
+      { status: ReturnStatus.APPROVED },
+      ReturnStatus.IN_TRANSIT,
+      'A tracking number is required to mark a return as in transit'
+    ],
+    [
+      'marking a return inspected before every item is',
+      { status: ReturnStatus.RECEIVED, items: [item({ receiving: inspected }), item({ id: '12' })] },
+      ReturnStatus.INSPECTED,
+      'Every item must be inspected before the return is marked as inspected'
+    ],
+    [
+      'refunding a return of exchanges',
+      { status: ReturnStatus.INSPECTED, items: [item({ returnOption: 'exchange', receiving: inspected })] },
+      ReturnStatus.REFUNDED,
+      'Only returns with items sent back for a refund can be refunded'
+    ],
+    [
+      'marking a return refunded before a refund is issued',
+      { status: ReturnStatus.INSPECTED, items: [item({ receiving: inspected })], refunds: [] },
+      ReturnStatus.REFUNDED,
+      'Issue a refund before marking the return as refunded'
+    ],
+    [
+      'marking a store credit return refunded before the credit is issued',
+      { status: ReturnStatus.INSPECTED, items: [item({ receiving: inspected })], refundMethod: 'store_credit' },
+      ReturnStatus.REFUNDED,
+      'Issue the store credit before marking the return as refunded'
+    ],
+    [
+      'exchanging a return without exchanges',
+      { status: ReturnStatus.INSPECTED, items: [item({ receiving: inspected })] },
+      ReturnStatus.EXCHANGED,
+      'Only returns with items sent back for an exchange can be exchanged'
+    ]
+  ])('rejects %s', async (_, returnRecord, status, message) => {
+    const error = await errorFromMove(returnRecord, status);
+
+    expect(error).toMatchObject({
+      status: 409,
+      code: ErrorTypes.CONFLICT,
+      message,
+      details: { from: returnRecord.status, to: status }
+    });
+    expect(ReturnRequest.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('applies a move once its guard passes', async () => {
+    const error = await errorFromMove({ status: ReturnStatus.APPROVED }, ReturnStatus.IN_TRANSIT, {
+      trackingNumber: '1Z999'
+    });
+
+    // The mocked update finds nothing, as if someone else moved the return first
+    expect(error.message).toBe('This return was updated by someone else. Reload it and try again.');
+    expect(ReturnRequest.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: RETURN_ID, tenantId: 'default' }),
+      expect.objectContaining({ $set: expect.objectContaining({ status: ReturnStatus.IN_TRANSIT, trackingNumber: '1Z999' }) }),
+      expect.any(Object)
+    );
+  });
+});
@@ -0,0 +1,62 @@
+// src/lib/services/__tests__/rmaService.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import Counter from '@/lib/db/models/Counter';
+import { getTenantById } from '@/lib/services/tenantService';
+import { nextRmaNumber } from '@/lib/services/rmaService';
+
+vi.mock('@/lib/db/connection', () => ({ default: vi.fn() }));
+vi.mock('@/lib/db/models/Counter', () => ({ default: { findOneAndUpdate: vi.fn() } }));
+vi.mock('@/lib/services/tenantService', () => ({ getTenantById: vi.fn() }));
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+describe('nextRmaNumber', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    getTenantById.mockResolvedValue({ tenantId: 'acme', rmaPrefix: 'ACME' });
+  });
+
+  it('formats the next number in the tenant counter', async () => {
+    Counter.findOneAndUpdate.mockResolvedValue({ seq: 42 });
+
+    await expect(nextRmaNumber('acme')).resolves.toBe('ACME-R-000042');
+    expect(Counter.findOneAndUpdate).toHaveBeenCalledWith(
+      { tenantId: 'acme', name: 'rma' },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+  });
+
+  it('retries once when two first returns race to create the counter', async () => {
+    Counter.findOneAndUpdate
+      .mockRejectedValueOnce(duplicateKeyError())
+      .mockResolvedValueOnce({ seq: 2 });
+
+    await expect(nextRmaNumber('acme')).resolves.toBe('ACME-R-000002');
+    expect(Counter.findOneAndUpdate).toHaveBeenCalledTimes(2);
+  });
+
+  it('gives up if the retry fails too', async () => {
+    Counter.findOneAndUpdate
+      .mockRejectedValueOnce(duplicateKeyError())
+      .mockRejectedValueOnce(duplicateKeyError());
+
+    await expect(nextRmaNumber('acme')).rejects.toMatchObject({ code: 11000 });
+    expect(Counter.findOneAndUpdate).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not retry other errors', async () => {
+    Counter.findOneAndUpdate.mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(nextRmaNumber('acme')).rejects.toThrow('connection lost');
+    expect(Counter.findOneAndUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  it('derives the prefix from the tenant ID when none is set', async () => {
+    getTenantById.mockResolvedValue(null);
+    Counter.findOneAndUpdate.mockResolvedValue({ seq: 7 });
+
+    await expect(nextRmaNumber('north-shop')).resolves.toBe('NORTHSHOP-R-000007');
+  });
+});
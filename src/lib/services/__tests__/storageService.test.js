@@ -0,0 +1,57 @@
+// src/lib/services/__tests__/storageService.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import StorageEntry from '@/lib/db/models/StorageEntry';
+import { setStorageValue, MAX_TTL_SECONDS } from '@/lib/services/storageService';
+
+vi.mock('@/lib/db/connection', () => ({ default: vi.fn() }));
+vi.mock('@/lib/db/models/StorageEntry', () => ({
+  default: { exists: vi.fn(), countDocuments: vi.fn(), updateOne: vi.fn() }
+}));
+
+describe('setStorageValue', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    StorageEntry.updateOne.mockResolvedValue({});
+  });
+
+  it('caps the requested TTL', async () => {
+    await setStorageValue('draft', { a: 1 }, 'acme', 'admin:1', { ttlSeconds: MAX_TTL_SECONDS * 2 });
+
+    const { $set } = StorageEntry.updateOne.mock.calls[0][1];
+    const lifetimeMs = $set.expiresAt.getTime() - $set.updatedAt.getTime();
+    expect(lifetimeMs).toBe(MAX_TTL_SECONDS * 1000);
+  });
+
+  it('rejects a new key once the owner holds maxEntries keys', async () => {
+    StorageEntry.exists.mockResolvedValue(null);
+    StorageEntry.countDocuments.mockResolvedValue(10);
+
+    await expect(
+      setStorageValue('extra', 1, 'acme', 'session:abc', { maxEntries: 10 })
+    ).rejects.toMatchObject({ status: 429, details: { maxEntries: 10 } });
+    expect(StorageEntry.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('still replaces an existing key at the cap', async () => {
+    StorageEntry.exists.mockResolvedValue({ _id: 'entry' });
+
+    await expect(
+      setStorageValue('returnState', 1, 'acme', 'session:abc', { maxEntries: 10 })
+    ).resolves.toBe(true);
+    expect(StorageEntry.countDocuments).not.toHaveBeenCalled();
+    expect(StorageEntry.updateOne).toHaveBeenCalled();
+  });
+
+  it('only counts the owner\'s unexpired entries', async () => {
+    StorageEntry.exists.mockResolvedValue(null);
+    StorageEntry.countDocuments.mockResolvedValue(3);
+
+    await setStorageValue('extra', 1, 'acme', 'session:abc', { maxEntries: 10 });
+
+    expect(StorageEntry.countDocuments).toHaveBeenCalledWith(
+      expect.objectContaining({ tenantId: 'acme', userId: 'session:abc', $or: expect.any(Array) })
+    );
+    expect(StorageEntry.updateOne).toHaveBeenCalled();
+  });
+});
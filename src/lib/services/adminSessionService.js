@@ -0,0 +1,313 @@
+// src/lib/services/adminSessionService.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import AdminSession from '@/lib/db/models/AdminSession';
+import AdminUser from '@/lib/db/models/AdminUser';
+import connectToDatabase from '@/lib/db/connection';
+import { getAllowedTenants } from '@/lib/admin/tenantAccess';
+import { getJwtSecret } from '@/lib/admin/jwtSecret';
+import { getClientIp } from '@/lib/api/clientIp';
+import { createLogger, LogCategory } from '@/lib/logging';
+
+const logger = createLogger('admin-sessions');
+
+// Access tokens are short-lived; the refresh token renews them
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+
+// A session ends after this long without a refresh
+const SESSION_IDLE_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+
+// Two tabs can refresh with the same token at once. The loser of that race
+// is told to pick up the new token instead of being treated as a thief.
+const REUSE_GRACE_MS = 30 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newRefreshToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function describeClient(req) {
+  return {
+    userAgent: String(req?.headers?.['user-agent'] || '').slice(0, 256),
+    ipAddress: getClientIp(req)
+  };
+}
+
+/**
+ * Sign an access token for a session
+ * @param {Object} userDoc - Admin user document
+ * @param {String} sessionId - AdminSession ID
+ * @returns {String} - Signed JWT
+ */
+function issueAccessToken(userDoc, sessionId) {
+  return jwt.sign(
+    {
+      id: userDoc._id.toString(),
+      email: userDoc.email,
+      role: userDoc.role,
+      tenants: getAllowedTenants(userDoc),
+      sid: sessionId
+    },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+}
+
+/**
+ * Shape a session for API responses
+ * @param {Object} session - AdminSession document
+ * @param {String} currentSessionId - Session making the request
+ * @returns {Object} - Session without token hashes
+ */
+export function toPublicSession(session, currentSessionId) {
+  return {
+    id: session._id.toString(),
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    current: session._id.toString() === currentSessionId
+  };
+}
+
+/**
+ * Start a session for a user who has just signed in
+ * @param {Object} userDoc - Admin user document
+ * @param {Object} req - API request, for the device description
+ * @returns {Promise<Object>} - { token, refreshToken, expiresIn }
+ */
+export async function createAdminSession(userDoc, req) {
+  await connectToDatabase();
+
+  try {
+    const refreshToken = newRefreshToken();
+    const session = await AdminSession.create({
+      userId: userDoc._id.toString(),
+      refreshTokenHash: hashToken(refreshToken),
+      expiresAt: new Date(Date.now() + SESSION_IDLE_TTL_MS),
+      ...describeClient(req)
+    });
+
+    return {
+      token: issueAccessToken(userDoc, session._id.toString()),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    };
+  } catch (error) {
+    console.error('Error creating admin session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * The old refresh token stops working. Presenting it again later revokes
+ * the whole session, since only a copy of the token could do that.
+ * @param {String} refreshToken - Current refresh token
+ * @param {Object} req - API request, for the device description
+ * @returns {Promise<Object|null>} - { token, refreshToken, expiresIn, user },
+ *   { rotated: true } if another tab just refreshed, or null if invalid
+ */
+export async function refreshAdminSession(refreshToken, req) {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return null;
+  }
+
+  await connectToDatabase();
+
+  try {
+    const now = new Date();
+    const tokenHash = hashToken(refreshToken);
+    const nextToken = newRefreshToken();
+
+    // Conditional on the current hash so concurrent refreshes can't both win
+    const session = await AdminSession.findOneAndUpdate(
+      { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+      {
+        $set: {
+          refreshTokenHash: hashToken(nextToken),
+          previousTokenHash: tokenHash,
+          rotatedAt: now,
+          lastUsedAt: now,
+          expiresAt: new Date(now.getTime() + SESSION_IDLE_TTL_MS),
+          ...describeClient(req)
+        }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      const replayed = await AdminSession.findOne({ previousTokenHash: tokenHash, revokedAt: null });
+      if (replayed) {
+        if (now - replayed.rotatedAt < REUSE_GRACE_MS) {
+          return { rotated: true };
+        }
+
+        await revokeAdminSession(replayed.userId, replayed._id, 'refresh_token_reuse');
+        logger.warn('Refresh token reused; session revoked', {
+          userId: replayed.userId,
+          sessionId: replayed._id.toString()
+        }, LogCategory.SECURITY);
+      }
+      return null;
+    }
+
+    const user = await AdminUser.findOne({ _id: session.userId, isActive: true });
+    if (!user || user.mustResetPassword) {
+      await revokeAdminSession(session.userId, session._id, user ? 'password_reset' : 'user_inactive');
+      return null;
+    }
+
+    return {
+      token: issueAccessToken(user, session._id.toString()),
+      refreshToken: nextToken,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      user
+    };
+  } catch (error) {
+    console.error('Error refreshing admin session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check that the session behind an access token is still live and its user
+ * still active. Runs on every admin API request so revocation and
+ * deactivation take effect immediately.
+ * @param {Object} decoded - Verified access token payload
+ * @returns {Promise<Object|null>} - Admin user document, or null if the session has ended
+ */
+export async function validateAdminSession(decoded) {
+  const objectId = /^[0-9a-fA-F]{24}$/;
+  if (!objectId.test(String(decoded?.sid)) || !objectId.test(String(decoded?.id))) {
+    return null;
+  }
+
+  await connectToDatabase();
+
+  try {
+    const [session, user] = await Promise.all([
+      AdminSession.exists({
+        _id: decoded.sid,
+        userId: String(decoded.id),
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      }),
+      AdminUser.findOne({ _id: decoded.id, isActive: true })
+    ]);
+
+    if (!session || !user || user.mustResetPassword) {
+      return null;
+    }
+    return user;
+  } catch (error) {
+    console.error('Error validating admin session:', error);
+    throw error;
+  }
+}
+
+/**
+ * List a user's live sessions, most recently used first
+ * @param {String} userId - AdminUser ID
+ * @returns {Promise<Array>} - AdminSession documents
+ */
+export async function listAdminSessions(userId) {
+  await connectToDatabase();
+
+  try {
+    return await AdminSession.find({
+      userId: String(userId),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+  } catch (error) {
+    console.error('Error listing admin sessions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Revoke one of a user's sessions
+ * @param {String} userId - AdminUser ID that owns the session
+ * @param {String} sessionId - AdminSession ID
+ * @param {String} reason - Why it was revoked, for the audit trail
+ * @returns {Promise<Boolean>} - Whether a live session was revoked
+ */
+export async function revokeAdminSession(userId, sessionId, reason = 'revoked') {
+  await connectToDatabase();
+
+  try {
+    if (!sessionId || !/^[0-9a-fA-F]{24}$/.test(String(sessionId))) {
+      return false;
+    }
+
+    const result = await AdminSession.updateOne(
+      { _id: sessionId, userId: String(userId), revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount > 0;
+  } catch (error) {
+    console.error('Error revoking admin session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Revoke the session a refresh token belongs to (sign out of one device)
+ * @param {String} refreshToken - Refresh token held by the device
+ * @returns {Promise<Boolean>} - Whether a live session was revoked
+ */
+export async function revokeAdminSessionByRefreshToken(refreshToken) {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return false;
+  }
+
+  await connectToDatabase();
+
+  try {
+    const result = await AdminSession.updateOne(
+      { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+    );
+    return result.modifiedCount > 0;
+  } catch (error) {
+    console.error('Error revoking admin session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Sign a user out everywhere
+ * @param {String} userId - AdminUser ID
+ * @param {Object} options - { exceptSessionId } to keep the caller signed in, reason
+ * @returns {Promise<Number>} - Number of sessions revoked
+ */
+export async function revokeAllAdminSessions(userId, { exceptSessionId = null, reason = 'revoked' } = {}) {
+  await connectToDatabase();
+
+  try {
+    const filter = { userId: String(userId), revokedAt: null };
+    if (exceptSessionId) {
+      filter._id = { $ne: exceptSessionId };
+    }
+
+    const result = await AdminSession.updateMany(filter, {
+      $set: { revokedAt: new Date(), revokedReason: reason }
+    });
+
+    if (result.modifiedCount > 0) {
+      logger.info('Admin sessions revoked', {
+        userId: String(userId),
+        count: result.modifiedCount,
+        reason
+      }, LogCategory.SECURITY);
+    }
+    return result.modifiedCount;
+  } catch (error) {
+    console.error('Error revoking admin sessions:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,299 @@
+// src/lib/services/adminUserService.js
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import AdminUser from '@/lib/db/models/AdminUser';
+import connectToDatabase from '@/lib/db/connection';
+import { ALL_TENANTS } from '@/lib/admin/tenantAccess';
+import { sendEmail } from '@/lib/services/emailService';
+import { revokeAllAdminSessions } from '@/lib/services/adminSessionService';
+
+const BCRYPT_ROUNDS = 10;
+export const MIN_PASSWORD_LENGTH = 10;
+
+// How long emailed links stay valid
+const TOKEN_TTL_MS = {
+  invite: 7 * 24 * 60 * 60 * 1000,
+  reset: 24 * 60 * 60 * 1000
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Attach a fresh one-time password token to a user document
+ * @returns {String} - The raw token to email (never stored)
+ */
+function issuePasswordToken(userDoc, purpose) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  userDoc.passwordToken = {
+    hash: hashToken(token),
+    purpose,
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose])
+  };
+  return token;
+}
+
+/**
+ * Shape an admin user for API responses
+ * @param {Object} user - AdminUser document or plain object
+ * @returns {Object} - User without password or token hashes
+ */
+export function toPublicAdminUser(user) {
+  if (!user) return null;
+
+  return {
+    id: user._id.toString(),
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    tenants: user.tenants,
+    isActive: user.isActive,
+    mustResetPassword: !!user.mustResetPassword,
+    twoFactorEnabled: !!user.twoFactor?.enabled,
+    invitePending: !user.password && !user.sso?.subject,
+    ssoLinked: !!user.sso?.subject,
+    lastLoginAt: user.lastLoginAt,
+    createdAt: user.createdAt
+  };
+}
+
+/**
+ * List admin users who can access a tenant
+ * @param {String} tenantId - Tenant ID
+ * @returns {Promise<Array>} - Admin user documents
+ */
+export async function listAdminUsers(tenantId) {
+  await connectToDatabase();
+
+  try {
+    const tenantQuery = [tenantId, ALL_TENANTS];
+
+    // Users created before tenant scoping implicitly belong to the default tenant
+    const query = tenantId === 'default'
+      ? { $or: [{ tenants: { $in: tenantQuery } }, { tenants: { $exists: false } }, { tenants: { $size: 0 } }] }
+      : { tenants: { $in: tenantQuery } };
+
+    return await AdminUser.find(query).sort({ createdAt: 1 });
+  } catch (error) {
+    console.error('Error listing admin users:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get an admin user by ID
+ * @param {String} id - AdminUser ID
+ * @returns {Promise<Object|null>} - Admin user document
+ */
+export async function getAdminUserById(id) {
+  await connectToDatabase();
+
+  try {
+    if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+      return null;
+    }
+    return await AdminUser.findById(id);
+  } catch (error) {
+    console.error('Error fetching admin user:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get admin users by email address
+ * @param {Array<String>} emails - Email addresses
+ * @returns {Promise<Array>} - Admin user documents that exist
+ */
+export async function getAdminUsersByEmail(emails) {
+  await connectToDatabase();
+
+  try {
+    return await AdminUser.find({
+      email: { $in: emails.map(email => String(email).trim().toLowerCase()) }
+    });
+  } catch (error) {
+    console.error('Error fetching admin users by email:', error);
+    throw error;
+  }
+}
+
+/**
+ * Invite a new admin user. They choose their own password from the emailed link.
+ * @param {Object} userData - { email, name, role, tenants }
+ * @param {String} invitedBy - Who sent the invite
+ * @returns {Promise<Object>} - { user, token }
+ */
+export async function inviteAdminUser({ email, name, role, tenants }, invitedBy) {
+  await connectToDatabase();
+
+  try {
+    const userDoc = new AdminUser({ email, name, role, tenants, invitedBy });
+    const token = issuePasswordToken(userDoc, 'invite');
+    await userDoc.save();
+
+    return { user: userDoc, token };
+  } catch (error) {
+    console.error('Error inviting admin user:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update an admin user's profile, role, tenants or active state
+ * @param {String} id - AdminUser ID
+ * @param {Object} updates - { name, role, tenants, isActive }
+ * @returns {Promise<Object|null>} - Updated user, or null if not found
+ */
+export async function updateAdminUser(id, updates = {}) {
+  await connectToDatabase();
+
+  try {
+    const userDoc = await getAdminUserById(id);
+    if (!userDoc) {
+      return null;
+    }
+
+    ['name', 'role', 'tenants', 'isActive'].forEach(field => {
+      if (updates[field] !== undefined) {
+        userDoc[field] = updates[field];
+      }
+    });
+
+    const deactivated = userDoc.isModified('isActive') && !userDoc.isActive;
+    await userDoc.save();
+
+    // Sign a deactivated user out of every device
+    if (deactivated) {
+      await revokeAllAdminSessions(userDoc._id, { reason: 'user_deactivated' });
+    }
+    return userDoc;
+  } catch (error) {
+    console.error('Error updating admin user:', error);
+    throw error;
+  }
+}
+
+/**
+ * Require a user to choose a new password. Their current password and
+ * sessions stop working immediately. Users who never accepted their invite
+ * get a new invite.
+ * @param {String} id - AdminUser ID
+ * @returns {Promise<Object|null>} - { user, token }, or null if not found
+ */
+export async function requirePasswordReset(id) {
+  await connectToDatabase();
+
+  try {
+    const userDoc = await getAdminUserById(id);
+    if (!userDoc) {
+      return null;
+    }
+
+    const token = issuePasswordToken(userDoc, userDoc.password ? 'reset' : 'invite');
+    userDoc.mustResetPassword = !!userDoc.password;
+    await userDoc.save();
+    await revokeAllAdminSessions(userDoc._id, { reason: 'password_reset' });
+
+    return { user: userDoc, token };
+  } catch (error) {
+    console.error('Error requiring password reset:', error);
+    throw error;
+  }
+}
+
+/**
+ * Find the active user holding an unexpired password token
+ * @param {String} token - Raw token from the emailed link
+ * @returns {Promise<Object|null>} - Admin user document
+ */
+export async function findUserByPasswordToken(token) {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  await connectToDatabase();
+
+  try {
+    return await AdminUser.findOne({
+      'passwordToken.hash': hashToken(token),
+      'passwordToken.expiresAt': { $gt: new Date() },
+      isActive: true
+    });
+  } catch (error) {
+    console.error('Error looking up password token:', error);
+    throw error;
+  }
+}
+
+/**
+ * Set a new password using an invite or reset token. The token can only be used once.
+ * @param {String} token - Raw token from the emailed link
+ * @param {String} password - New password
+ * @returns {Promise<Object|null>} - Updated user, or null if the token is invalid
+ */
+export async function completePasswordToken(token, password) {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const userDoc = await findUserByPasswordToken(token);
+  if (!userDoc) {
+    return null;
+  }
+
+  try {
+    userDoc.password = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    userDoc.mustResetPassword = false;
+    userDoc.passwordToken = undefined;
+    await userDoc.save();
+
+    // Anyone holding a session from before the change is signed out
+    await revokeAllAdminSessions(userDoc._id, { reason: 'password_changed' });
+
+    return userDoc;
+  } catch (error) {
+    console.error('Error setting admin password:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check a user's password
+ * @param {Object} userDoc - Admin user document
+ * @param {String} password - Password to check
+ * @returns {Promise<Boolean>} - Whether it matches
+ */
+export async function verifyAdminPassword(userDoc, password) {
+  if (!userDoc?.password || !password) {
+    return false;
+  }
+  return bcrypt.compare(password, userDoc.password);
+}
+
+/**
+ * Email a user the link for accepting their invite or resetting their password
+ * @param {Object} userDoc - Admin user document
+ * @param {String} token - Raw token from inviteAdminUser or requirePasswordReset
+ * @param {String} baseUrl - Public base URL of the admin portal
+ * @returns {Promise<Boolean>} - Whether the email was delivered
+ */
+export async function sendPasswordTokenEmail(userDoc, token, baseUrl) {
+  const link = `${baseUrl}/admin/set-password?token=${encodeURIComponent(token)}`;
+  const isInvite = userDoc.passwordToken?.purpose === 'invite';
+
+  const subject = isInvite
+    ? 'You have been invited to the Return Portal admin'
+    : 'Reset your Return Portal admin password';
+  const text = isInvite
+    ? `You have been invited to manage returns as ${userDoc.role}. Choose a password to get started:\n\n${link}\n\nThis link expires in 7 days.`
+    : `An administrator has asked you to choose a new password:\n\n${link}\n\nThis link expires in 24 hours.`;
+
+  try {
+    return await sendEmail({ to: userDoc.email, subject, text });
+  } catch (error) {
+    // The token is already saved, so the link can still be passed on by hand
+    console.error('Error sending password email:', error);
+    return false;
+  }
+}
@@ -0,0 +1,166 @@
+// src/lib/services/apiKeyService.js
+import crypto from 'crypto';
+import ApiKey from '@/lib/db/models/ApiKey';
+import connectToDatabase from '@/lib/db/connection';
+import { API_KEY_SCOPES } from '@/lib/admin/permissions';
+
+// Marks a bearer token as an API key rather than an admin JWT
+export const API_KEY_PREFIX = 'rpk_';
+
+// Last-used details are written at most this often per key
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Check whether a bearer token is an API key
+ * @param {String} token - Bearer token
+ * @returns {Boolean} - Whether it has the API key prefix
+ */
+export function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Shape an API key for API responses
+ * @param {Object} apiKey - ApiKey document
+ * @returns {Object} - Key details without the hash
+ */
+export function toPublicApiKey(apiKey) {
+  return {
+    id: apiKey._id.toString(),
+    name: apiKey.name,
+    keyPrefix: apiKey.keyPrefix,
+    scopes: apiKey.scopes,
+    createdBy: apiKey.createdBy,
+    createdAt: apiKey.createdAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    lastUsedIp: apiKey.lastUsedIp,
+    expiresAt: apiKey.expiresAt,
+    revokedAt: apiKey.revokedAt
+  };
+}
+
+/**
+ * List a tenant's API keys, newest first
+ * @param {String} tenantId - Tenant ID
+ * @returns {Promise<Array>} - ApiKey documents, including revoked ones
+ */
+export async function listApiKeys(tenantId) {
+  await connectToDatabase();
+
+  try {
+    return await ApiKey.find({ tenantId }).sort({ createdAt: -1 });
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create an API key for a tenant
+ * @param {Object} data - { tenantId, name, scopes, expiresInDays }
+ * @param {String} createdBy - ID of the admin creating it
+ * @returns {Promise<Object>} - { apiKey, key } where key is shown to the admin once
+ */
+export async function createApiKey({ tenantId, name, scopes, expiresInDays }, createdBy) {
+  const requestedScopes = [...new Set(scopes || [])];
+  if (requestedScopes.length === 0) {
+    throw new Error('Choose at least one scope');
+  }
+
+  const unknownScopes = requestedScopes.filter(scope => !API_KEY_SCOPES[scope]);
+  if (unknownScopes.length > 0) {
+    throw new Error(`Unknown scopes: ${unknownScopes.join(', ')}`);
+  }
+
+  await connectToDatabase();
+
+  try {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const apiKey = await ApiKey.create({
+      tenantId,
+      name,
+      keyHash: hashKey(key),
+      keyPrefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      scopes: requestedScopes,
+      createdBy,
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000)
+        : undefined
+    });
+
+    return { apiKey, key };
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    throw error;
+  }
+}
+
+/**
+ * Revoke one of a tenant's API keys. It stops working immediately.
+ * @param {String} id - ApiKey ID
+ * @param {String} tenantId - Tenant that owns the key
+ * @param {String} revokedBy - ID of the admin revoking it
+ * @returns {Promise<Object|null>} - Revoked key, or null if not found
+ */
+export async function revokeApiKey(id, tenantId, revokedBy) {
+  await connectToDatabase();
+
+  try {
+    if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+      return null;
+    }
+
+    return await ApiKey.findOneAndUpdate(
+      { _id: id, tenantId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy, updatedAt: new Date() } },
+      { new: true }
+    );
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    throw error;
+  }
+}
+
+/**
+ * Look up a live API key and note that it was used
+ * @param {String} key - Key presented by the caller
+ * @param {String} ip - Caller's IP address
+ * @returns {Promise<Object|null>} - ApiKey document, or null if unknown, revoked or expired
+ */
+export async function authenticateApiKey(key, ip) {
+  if (!isApiKey(key)) {
+    return null;
+  }
+
+  await connectToDatabase();
+
+  try {
+    const now = new Date();
+    const apiKey = await ApiKey.findOne({
+      keyHash: hashKey(key),
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    });
+
+    if (!apiKey) {
+      return null;
+    }
+
+    // Skip the write when the key was used moments ago
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_INTERVAL_MS) {
+      await ApiKey.updateOne(
+        { _id: apiKey._id },
+        { $set: { lastUsedAt: now, lastUsedIp: ip } }
+      );
+    }
+
+    return apiKey;
+  } catch (error) {
+    console.error('Error authenticating API key:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,252 @@
+// src/lib/services/credentialService.js
+import TenantCredential from '@/lib/db/models/TenantCredential';
+import Tenant from '@/lib/db/models/Tenant';
+import connectToDatabase from '@/lib/db/connection';
+import { tenantConfigs } from '@/lib/tenant/config';
+import { seal, open, needsResealing, isEncryptionConfigured } from '@/lib/security/envelope';
+
+const SHOPIFY_SECRET_FIELDS = ['apiKey', 'apiSecret', 'accessToken'];
+
+function envelopeContext(tenantId, provider) {
+  return `tenant:${tenantId}:${provider}`;
+}
+
+function lastFour(value) {
+  return value ? String(value).slice(-4) : undefined;
+}
+
+/**
+ * Store (or rotate) a tenant's Shopify credentials, encrypted at rest
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} credentials - { apiKey, apiSecret, accessToken }
+ * @param {String} rotatedBy - Who made the change
+ * @returns {Promise<Object>} - Credential status (never the secrets)
+ */
+export async function storeShopifyCredentials(tenantId, credentials, rotatedBy = 'system') {
+  const missingFields = SHOPIFY_SECRET_FIELDS.filter(field => !credentials?.[field]);
+  if (missingFields.length > 0) {
+    throw new Error(`Missing Shopify credential fields: ${missingFields.join(', ')}`);
+  }
+
+  await connectToDatabase();
+
+  try {
+    const secrets = {};
+    SHOPIFY_SECRET_FIELDS.forEach(field => { secrets[field] = String(credentials[field]); });
+
+    // Every rotation gets a fresh data key
+    const envelope = seal(secrets, envelopeContext(tenantId, 'shopify'));
+
+    await TenantCredential.updateOne(
+      { tenantId, provider: 'shopify' },
+      {
+        $set: {
+          ...envelope,
+          hints: {
+            apiKeyLast4: lastFour(secrets.apiKey),
+            accessTokenLast4: lastFour(secrets.accessToken)
+          },
+          rotatedAt: new Date(),
+          rotatedBy
+        },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true }
+    );
+
+    // Drop any plaintext copies left on the tenant record by older versions
+    await Tenant.collection.updateOne(
+      { tenantId },
+      { $unset: { 'shopify.apiKey': '', 'shopify.apiSecret': '', 'shopify.accessToken': '' } }
+    );
+
+    return getShopifyCredentialStatus(tenantId);
+  } catch (error) {
+    console.error('Error storing Shopify credentials:', error);
+    throw error;
+  }
+}
+
+/**
+ * Decrypt a tenant's Shopify credentials for immediate use. Tenants without
+ * stored credentials fall back to the env vars named in the seed config.
+ * @param {String} tenantId - Tenant ID
+ * @returns {Promise<Object|null>} - { apiKey, apiSecret, accessToken }, or null
+ */
+export async function getShopifyCredentials(tenantId) {
+  await connectToDatabase();
+
+  try {
+    const record = await TenantCredential.findOne({ tenantId, provider: 'shopify' }).lean();
+
+    if (record) {
+      const context = envelopeContext(tenantId, 'shopify');
+      const credentials = open(record, context);
+
+      // Re-wrap envelopes left over from a previous master key
+      if (needsResealing(record)) {
+        await TenantCredential.updateOne(
+          { _id: record._id },
+          { $set: seal(credentials, context) }
+        );
+      }
+
+      return credentials;
+    }
+
+    const seed = tenantConfigs[tenantId]?.shopify;
+    if (seed && SHOPIFY_SECRET_FIELDS.every(field => seed[field])) {
+      return {
+        apiKey: seed.apiKey,
+        apiSecret: seed.apiSecret,
+        accessToken: seed.accessToken
+      };
+    }
+
+    return null;
+  } catch (error) {
+    console.error('Error loading Shopify credentials:', error);
+    throw error;
+  }
+}
+
+/**
+ * Describe a tenant's stored credentials without revealing them
+ * @param {String} tenantId - Tenant ID
+ * @returns {Promise<Object>} - Credential status
+ */
+export async function getShopifyCredentialStatus(tenantId) {
+  await connectToDatabase();
+
+  try {
+    const record = await TenantCredential.findOne({ tenantId, provider: 'shopify' }).lean();
+
+    if (!record) {
+      const seed = tenantConfigs[tenantId]?.shopify;
+      return {
+        configured: !!seed && SHOPIFY_SECRET_FIELDS.every(field => seed[field]),
+        source: seed ? 'environment' : null,
+        encryptionConfigured: isEncryptionConfigured()
+      };
+    }
+
+    return {
+      configured: true,
+      source: 'vault',
+      encryptionConfigured: isEncryptionConfigured(),
+      apiKeyLast4: record.hints?.apiKeyLast4,
+      accessTokenLast4: record.hints?.accessTokenLast4,
+      rotatedAt: record.rotatedAt,
+      rotatedBy: record.rotatedBy
+    };
+  } catch (error) {
+    console.error('Error loading Shopify credential status:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a tenant's stored Shopify credentials
+ * @param {String} tenantId - Tenant ID
+ * @returns {Promise<Boolean>} - Whether credentials were removed
+ */
+export async function deleteShopifyCredentials(tenantId) {
+  await connectToDatabase();
+
+  try {
+    const result = await TenantCredential.deleteOne({ tenantId, provider: 'shopify' });
+    return result.deletedCount > 0;
+  } catch (error) {
+    console.error('Error deleting Shopify credentials:', error);
+    throw error;
+  }
+}
+
+/**
+ * Store (or rotate) the client secret for a tenant's SSO provider, encrypted at rest
+ * @param {String} tenantId - Tenant ID
+ * @param {String} clientSecret - OIDC client secret
+ * @param {String} rotatedBy - Who made the change
+ * @returns {Promise<void>}
+ */
+export async function storeOidcClientSecret(tenantId, clientSecret, rotatedBy = 'system') {
+  if (!clientSecret) {
+    throw new Error('Missing OIDC client secret');
+  }
+
+  await connectToDatabase();
+
+  try {
+    const envelope = seal({ clientSecret: String(clientSecret) }, envelopeContext(tenantId, 'oidc'));
+
+    await TenantCredential.updateOne(
+      { tenantId, provider: 'oidc' },
+      {
+        $set: {
+          ...envelope,
+          hints: { clientSecretLast4: lastFour(clientSecret) },
+          rotatedAt: new Date(),
+          rotatedBy
+        },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error('Error storing OIDC client secret:', error);
+    throw error;
+  }
+}
+
+/**
+ * Decrypt the client secret for a tenant's SSO provider
+ * @param {String} tenantId - Tenant ID
+ * @returns {Promise<Object|null>} - { clientSecret, last4, rotatedAt }, or null if none is stored
+ */
+export async function getOidcClientSecret(tenantId) {
+  await connectToDatabase();
+
+  try {
+    const record = await TenantCredential.findOne({ tenantId, provider: 'oidc' }).lean();
+    if (!record) {
+      return null;
+    }
+
+    const context = envelopeContext(tenantId, 'oidc');
+    const { clientSecret } = open(record, context);
+
+    // Re-wrap envelopes left over from a previous master key
+    if (needsResealing(record)) {
+      await TenantCredential.updateOne(
+        { _id: record._id },
+        { $set: seal({ clientSecret }, context) }
+      );
+    }
+
+    return {
+      clientSecret,
+      last4: record.hints?.clientSecretLast4,
+      rotatedAt: record.rotatedAt
+    };
+  } catch (error) {
+    console.error('Error loading OIDC client secret:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove the client secret for a tenant's SSO provider
+ * @param {String} tenantId - Tenant ID
+ * @returns {Promise<Boolean>} - Whether a secret was removed
+ */
+export async function deleteOidcClientSecret(tenantId) {
+  await connectToDatabase();
+
+  try {
+    const result = await TenantCredential.deleteOne({ tenantId, provider: 'oidc' });
+    return result.deletedCount > 0;
+  } catch (error) {
+    console.error('Error deleting OIDC client secret:', error);
+    throw error;
+  }
+}
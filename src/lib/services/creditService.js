@@ -0,0 +1,308 @@
+// src/lib/services/creditService.js
+import ReturnRequest from '@/lib/db/models/ReturnRequest';
+import connectToDatabase from '@/lib/db/connection';
+import { getShopifyClientForTenant } from '@/lib/shopify/client';
+import { sendEmail } from '@/lib/services/emailService';
+import { createApiError, ErrorTypes } from '@/lib/api/errorHandler';
+import { createLogger, LogCategory } from '@/lib/logging';
+import { ReturnStatus } from '@/lib/returns/lifecycle';
+import { getRefundableQuantity } from '@/lib/returns/refunds';
+import { RefundMethod, CREDIT_METHODS, REFUND_METHOD_LABELS } from '@/lib/returns/refundMethods';
+import { getPayoutFees } from '@/lib/returns/fees';
+import { getReturnReference } from '@/lib/returns/rma';
+
+const logger = createLogger('credit');
+
+// Credit can be issued from approval until the return is closed out
+const ISSUABLE_STATUSES = [
+  ReturnStatus.APPROVED,
+  ReturnStatus.IN_TRANSIT,
+  ReturnStatus.RECEIVED,
+  ReturnStatus.INSPECTED
+];
+
+// Like restocks, only failed issues are retried. A pending one may have
+// reached Shopify, so it is left for someone to check rather than risk
+// paying out twice.
+const SETTLED_CREDIT_STATUSES = ['pending', 'issued', 'skipped'];
+
+const GIFT_CARD_CREATE_MUTATION = `
+  mutation giftCardCreate($input: GiftCardCreateInput!) {
+    giftCardCreate(input: $input) {
+      giftCard {
+        id
+        lastCharacters
+        initialValue {
+          amount
+          currencyCode
+        }
+      }
+      giftCardCode
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const STORE_CREDIT_MUTATION = `
+  mutation storeCreditAccountCredit($id: ID!, $creditInput: StoreCreditAccountCreditInput!) {
+    storeCreditAccountCredit(id: $id, creditInput: $creditInput) {
+      storeCreditAccountTransaction {
+        id
+        amount {
+          amount
+          currencyCode
+        }
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const toAmount = value => Math.round(parseFloat(value || 0) * 100) / 100;
+
+/**
+ * Value of the items being returned for money: what came back, or what was
+ * requested before the items arrive. Exchanged items are not paid back.
+ * @param {Array} items - Return items
+ * @returns {Number}
+ */
+export function getCreditBaseAmount(items = []) {
+  return toAmount(items.reduce(
+    (sum, item) => sum + parseFloat(item.price || 0) * getRefundableQuantity(item),
+    0
+  ));
+}
+
+/**
+ * Fees on a credit, from the quote the customer saw when submitting
+ * @param {Object} returnRecord - ReturnRequest document
+ * @returns {Object} - { fees, totalFees }
+ */
+function getCreditFees(returnRecord) {
+  return getPayoutFees(returnRecord.fees, returnRecord.items.map(item => ({
+    itemId: item.id,
+    subtotal: toAmount(parseFloat(item.price || 0) * getRefundableQuantity(item))
+  })));
+}
+
+async function createGiftCard(clients, returnRecord, amount) {
+  const response = await clients.graphql.query({
+    data: {
+      query: GIFT_CARD_CREATE_MUTATION,
+      variables: {
+        input: {
+          initialValue: amount.toFixed(2),
+          note: `Return ${getReturnReference(returnRecord)} for order ${returnRecord.orderNumber || returnRecord.orderId}`
+        }
+      }
+    }
+  });
+  const result = response.body?.data?.giftCardCreate;
+
+  if (!result?.giftCard || result.userErrors?.length > 0) {
+    throw new Error(result?.userErrors?.[0]?.message || 'Shopify did not create the gift card');
+  }
+
+  return {
+    fields: {
+      shopifyGiftCardId: result.giftCard.id,
+      lastCharacters: result.giftCard.lastCharacters,
+      currency: result.giftCard.initialValue?.currencyCode
+    },
+    code: result.giftCardCode
+  };
+}
+
+async function creditStoreAccount(clients, returnRecord, amount) {
+  const customerId = returnRecord.customer?.shopifyCustomerId;
+  if (!customerId) {
+    throw new Error('The order has no Shopify customer to credit');
+  }
+  if (!returnRecord.currency) {
+    throw new Error('The order currency is unknown');
+  }
+
+  const response = await clients.graphql.query({
+    data: {
+      query: STORE_CREDIT_MUTATION,
+      variables: {
+        id: `gid://shopify/Customer/${customerId}`,
+        creditInput: {
+          creditAmount: { amount: amount.toFixed(2), currencyCode: returnRecord.currency }
+        }
+      }
+    }
+  });
+  const result = response.body?.data?.storeCreditAccountCredit;
+
+  if (!result?.storeCreditAccountTransaction || result.userErrors?.length > 0) {
+    throw new Error(result?.userErrors?.[0]?.message || 'Shopify did not add the store credit');
+  }
+
+  return {
+    fields: {
+      shopifyTransactionId: result.storeCreditAccountTransaction.id,
+      currency: result.storeCreditAccountTransaction.amount?.currencyCode
+    }
+  };
+}
+
+// Shopify calls for each credit method
+const ISSUERS = {
+  [RefundMethod.GIFT_CARD]: createGiftCard,
+  [RefundMethod.STORE_CREDIT]: creditStoreAccount
+};
+
+async function emailCustomer(returnRecord, issued, amount) {
+  if (!returnRecord.customer?.email) {
+    return false;
+  }
+
+  const order = returnRecord.orderNumber || returnRecord.orderId;
+  const reference = returnRecord.rmaNumber ? `return ${returnRecord.rmaNumber}, order ${order}` : `order ${order}`;
+  const value = `${amount.toFixed(2)}${issued.fields.currency ? ` ${issued.fields.currency}` : ''}`;
+
+  if (returnRecord.refundMethod === RefundMethod.GIFT_CARD) {
+    return sendEmail({
+      to: returnRecord.customer.email,
+      subject: `Your gift card for ${reference}`,
+      text: `Thanks for your return. Here is your gift card worth ${value}:\n\n${issued.code}\n\nEnter the code at checkout to use it.`
+    });
+  }
+
+  return sendEmail({
+    to: returnRecord.customer.email,
+    subject: `Store credit for ${reference}`,
+    text: `Thanks for your return. We have added ${value} of store credit to your account. It is applied at checkout when you are signed in.`
+  });
+}
+
+/**
+ * Issue the store credit or Shopify gift card a customer chose instead of a
+ * refund, worth the returned items less fees, plus the bonus they were
+ * offered, and email them about it. The credit is claimed before Shopify is called so it
+ * is issued at most once; Shopify's IDs are recorded on the return, a gift
+ * card's code is not.
+ * @param {String} returnId - Return ID
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} actor - From actorFromAdmin
+ * @returns {Promise<Object>} - { method, status, amount, reason, error }, or null if the return doesn't exist
+ */
+export async function issueReturnCredit(returnId, tenantId, actor) {
+  await connectToDatabase();
+
+  try {
+    if (!/^[0-9a-fA-F]{24}$/.test(returnId)) {
+      return null;
+    }
+
+    const returnRecord = await ReturnRequest.findOne({ _id: returnId, tenantId });
+    if (!returnRecord) {
+      return null;
+    }
+
+    const method = returnRecord.refundMethod;
+    if (!CREDIT_METHODS.includes(method)) {
+      throw createApiError(ErrorTypes.BAD_REQUEST, 'The customer did not choose store credit or a gift card for this return');
+    }
+    if (!ISSUABLE_STATUSES.includes(returnRecord.status)) {
+      throw createApiError(
+        ErrorTypes.CONFLICT,
+        'Credit can only be issued for approved returns that have not been processed',
+        { status: returnRecord.status }
+      );
+    }
+
+    const bonusRate = returnRecord.credit?.bonusRate || 0;
+    const baseAmount = getCreditBaseAmount(returnRecord.items);
+    const { fees, totalFees } = getCreditFees(returnRecord);
+    const amount = toAmount((baseAmount - totalFees) * (1 + bonusRate));
+
+    // Claim the credit so concurrent runs can't issue it twice
+    const claimed = await ReturnRequest.findOneAndUpdate(
+      { _id: returnId, tenantId, 'credit.status': { $nin: SETTLED_CREDIT_STATUSES } },
+      {
+        $set: {
+          'credit.status': 'pending',
+          'credit.bonusRate': bonusRate,
+          'credit.baseAmount': baseAmount,
+          'credit.fees': fees,
+          'credit.totalFees': totalFees,
+          'credit.amount': amount,
+          'credit.attemptedAt': new Date(),
+          'credit.issuedBy': actor
+        },
+        $unset: { 'credit.error': 1, 'credit.reason': 1 }
+      }
+    );
+    if (!claimed) {
+      throw createApiError(
+        ErrorTypes.CONFLICT,
+        `${REFUND_METHOD_LABELS[method]} has already been issued for this return`,
+        { creditStatus: returnRecord.credit?.status }
+      );
+    }
+
+    let outcome;
+    let issued;
+    if (amount <= 0) {
+      outcome = { status: 'skipped', reason: 'Nothing on the return is owed back' };
+    } else {
+      try {
+        const clients = await getShopifyClientForTenant(tenantId);
+        issued = await ISSUERS[method](clients, returnRecord, amount);
+        outcome = { status: 'issued', ...issued.fields, issuedAt: new Date() };
+      } catch (error) {
+        console.error(`Error issuing credit for return ${returnId}:`, error);
+        outcome = { status: 'failed', error: error.message };
+      }
+    }
+
+    // The credit exists now; a failed email must not make it look unissued
+    if (issued) {
+      try {
+        if (await emailCustomer(returnRecord, issued, amount)) {
+          outcome.emailedAt = new Date();
+        }
+      } catch (error) {
+        console.error(`Error emailing credit for return ${returnId}:`, error);
+      }
+    }
+
+    const fields = Object.fromEntries(
+      Object.entries(outcome).map(([key, value]) => [`credit.${key}`, value])
+    );
+    await ReturnRequest.updateOne(
+      { _id: returnId, tenantId },
+      {
+        $set: {
+          ...fields,
+          ...(outcome.status === 'issued' ? { totalRefundAmount: amount } : {}),
+          updatedAt: new Date()
+        }
+      }
+    );
+
+    logger.info('Return credit processed', {
+      returnId,
+      tenantId,
+      method,
+      amount,
+      bonusRate,
+      totalFees,
+      ...outcome,
+      actor
+    }, LogCategory.RETURN);
+
+    return { method, amount, ...outcome };
+  } catch (error) {
+    console.error('Error issuing return credit:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,134 @@
+// src/lib/services/decisionService.js
+import ReturnRequest from '@/lib/db/models/ReturnRequest';
+import connectToDatabase from '@/lib/db/connection';
+import { createApiError, ErrorTypes } from '@/lib/api/errorHandler';
+import { createLogger, LogCategory } from '@/lib/logging';
+import { updateReturnStatus, actorFromAdmin } from '@/lib/services/returnService';
+import { findReturnItem } from '@/lib/services/inspectionService';
+import { ReturnStatus, normalizeStatus, getFlaggedFrom } from '@/lib/returns/lifecycle';
+import { ITEM_DECISIONS, ItemDecision, getDecidedStatus, isItemRejected } from '@/lib/returns/decisions';
+
+const logger = createLogger('decisions');
+
+// Items are decided while the return waits for approval, including while
+// it is flagged for review before approval
+function isAwaitingDecision(returnRecord) {
+  const status = normalizeStatus(returnRecord.status);
+  const waiting = status === ReturnStatus.FLAGGED ? getFlaggedFrom(returnRecord.statusHistory) : status;
+  return waiting === ReturnStatus.REQUESTED;
+}
+
+// Once every item is decided the return follows. The decision is already
+// saved, so a transition someone else beat us to is only logged.
+async function settleReturn(returnRecord, tenantId, actor) {
+  const id = returnRecord._id.toString();
+  const status = getDecidedStatus(returnRecord.items);
+  if (!status) {
+    return returnRecord;
+  }
+
+  const rejected = returnRecord.items.filter(isItemRejected);
+  const notes = status === ReturnStatus.REJECTED
+    ? rejected.map(item => `${item.title}: ${item.decision.reason}`).join('\n')
+    : `Approved ${returnRecord.items.length - rejected.length} of ${returnRecord.items.length} items`;
+
+  try {
+    return await updateReturnStatus(id, tenantId, status, { notes, actor });
+  } catch (error) {
+    if (error.status !== 409) throw error;
+    logger.warn('Could not settle return after item decisions', {
+      returnId: id,
+      tenantId,
+      reason: error.message
+    }, LogCategory.RETURN);
+    return ReturnRequest.findOne({ _id: id, tenantId });
+  }
+}
+
+/**
+ * Approve or reject one item on a return awaiting approval. Decisions can be
+ * changed until every item is decided; then the return is approved if any
+ * item was approved, or rejected if none was. Rejected items are not
+ * received or paid for.
+ * @param {String} returnId - Return ID
+ * @param {String} tenantId - Tenant ID
+ * @param {String} itemId - Item ID (line item ID or item _id)
+ * @param {Object} input - { decision: approved|rejected, reason }
+ * @param {Object} actor - From actorFromAdmin
+ * @returns {Promise<Object>} - { returnRecord, item }, or null if the return or item doesn't exist
+ */
+export async function decideReturnItem(returnId, tenantId, itemId, { decision, reason } = {}, actor) {
+  await connectToDatabase();
+
+  try {
+    if (!/^[0-9a-fA-F]{24}$/.test(returnId)) {
+      return null;
+    }
+
+    const returnRecord = await ReturnRequest.findOne({ _id: returnId, tenantId });
+    const item = returnRecord && findReturnItem(returnRecord, itemId);
+    if (!item) {
+      return null;
+    }
+
+    if (!ITEM_DECISIONS.includes(decision)) {
+      throw createApiError(
+        ErrorTypes.BAD_REQUEST,
+        `Decision must be one of: ${ITEM_DECISIONS.join(', ')}`
+      );
+    }
+    const trimmedReason = String(reason || '').trim();
+    if (decision === ItemDecision.REJECTED && !trimmedReason) {
+      throw createApiError(ErrorTypes.BAD_REQUEST, 'A reason is required to reject an item');
+    }
+    if (!isAwaitingDecision(returnRecord)) {
+      throw createApiError(
+        ErrorTypes.CONFLICT,
+        'Items can only be approved or rejected while the return is waiting for approval',
+        { status: returnRecord.status }
+      );
+    }
+
+    const by = actor || actorFromAdmin(null);
+    const now = new Date();
+
+    // Only apply if the return hasn't moved on since it was read
+    const updated = await ReturnRequest.findOneAndUpdate(
+      { _id: returnId, tenantId, status: returnRecord.status, 'items._id': item._id },
+      {
+        $set: {
+          'items.$.decision': {
+            status: decision,
+            ...(trimmedReason ? { reason: trimmedReason } : {}),
+            decidedAt: now,
+            decidedBy: by
+          },
+          updatedAt: now
+        }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      throw createApiError(
+        ErrorTypes.CONFLICT,
+        'This return was updated by someone else. Reload it and try again.'
+      );
+    }
+
+    logger.info('Return item decided', {
+      returnId,
+      tenantId,
+      itemId,
+      decision,
+      reason: trimmedReason || undefined,
+      actor: by
+    }, LogCategory.RETURN);
+
+    const current = await settleReturn(updated, tenantId, by);
+    return { returnRecord: current, item: findReturnItem(current, itemId) };
+  } catch (error) {
+    console.error('Error deciding return item:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,227 @@
+// src/lib/services/documentService.js
+import crypto from 'crypto';
+import ReturnRequest from '@/lib/db/models/ReturnRequest';
+import connectToDatabase from '@/lib/db/connection';
+import { files } from '@/lib/files';
+import { getSettingsForTenant } from '@/lib/services/settingsService';
+import { getTenantById } from '@/lib/services/tenantService';
+import { createLogger, LogCategory } from '@/lib/logging';
+import { renderPackingSlip } from '@/lib/documents/packingSlip';
+import { getCarrierProvider } from '@/lib/shipping';
+import { isAddressComplete } from '@/lib/shipping/carriers';
+import { getReturnReference } from '@/lib/returns/rma';
+import { isItemRejected } from '@/lib/returns/decisions';
+import { ReturnDocument, RETURN_DOCUMENT_FIELDS, isDocumentAvailable } from '@/lib/returns/documents';
+
+const logger = createLogger('documents');
+
+const DOCUMENT_PATH = '/api/returns/documents';
+const DOCUMENT_TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+const DEFAULT_EXPIRY_DAYS = 30;
+
+// The download token is the only thing standing between the link and the
+// file, so it is long and random
+const fileKeyFor = token => `documents/${token}`;
+
+async function storeDocument(data, { tenantId, filename, expiresAt }) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const fileKey = fileKeyFor(token);
+
+  await files.put(fileKey, data, { tenantId, contentType: 'application/pdf', filename, expiresAt });
+
+  return {
+    url: `${DOCUMENT_PATH}/${token}`,
+    fileKey,
+    generatedAt: new Date(),
+    expiresAt
+  };
+}
+
+// Book a label with the tenant's carrier. A missing address or a refused
+// booking is logged and leaves the return with a packing slip only.
+async function createCarrierLabel(returnRecord, tenantId, shipping, expiresAt) {
+  const provider = getCarrierProvider(shipping?.carrier);
+  if (!provider) {
+    return null;
+  }
+
+  const returnId = returnRecord._id.toString();
+  if (!isAddressComplete(shipping.returnAddress)) {
+    logger.warn('Return address incomplete, skipping carrier label', {
+      returnId,
+      tenantId,
+      carrier: provider.name
+    }, LogCategory.RETURN);
+    return null;
+  }
+
+  try {
+    const reference = getReturnReference(returnRecord);
+    const booked = await provider.createLabel({
+      rmaNumber: reference,
+      from: {
+        name: returnRecord.customer?.name,
+        phone: returnRecord.customer?.phone
+      },
+      to: shipping.returnAddress,
+      parcel: {
+        itemCount: returnRecord.items
+          .filter(item => !isItemRejected(item))
+          .reduce((sum, item) => sum + (item.quantity || 1), 0)
+      }
+    });
+
+    // The link never outlives the label
+    const labelExpiresAt = booked.expiresAt && booked.expiresAt < expiresAt ? booked.expiresAt : expiresAt;
+    const stored = await storeDocument(booked.label, {
+      tenantId,
+      filename: `${reference}-return-label.pdf`,
+      expiresAt: labelExpiresAt
+    });
+
+    return {
+      returnLabel: { ...stored, carrier: booked.carrier },
+      trackingNumber: booked.trackingNumber,
+      trackingUrl: booked.trackingUrl
+    };
+  } catch (error) {
+    logger.warn('Carrier label could not be created', {
+      returnId,
+      tenantId,
+      carrier: provider.name,
+      error: error.message
+    }, LogCategory.RETURN);
+    return null;
+  }
+}
+
+/**
+ * Generate the packing slip for a return, and a carrier label when the
+ * tenant books labels with a carrier. The packing slip from an earlier run
+ * is replaced and its file removed. Every label is a paid booking for one
+ * parcel, so a label whose link still works is kept unless a new one is
+ * asked for. A label's tracking number is kept on the return unless it
+ * already has one.
+ * @param {String} returnId - Return ID
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} options - { newLabel } to book a label even if the current one still works
+ * @returns {Promise<Object|null>} - Updated return, or null if it doesn't exist
+ */
+export async function generateReturnDocuments(returnId, tenantId = 'default', { newLabel = false } = {}) {
+  await connectToDatabase();
+
+  try {
+    if (!/^[0-9a-fA-F]{24}$/.test(returnId)) {
+      return null;
+    }
+
+    const returnRecord = await ReturnRequest.findOne({ _id: returnId, tenantId });
+    if (!returnRecord) {
+      return null;
+    }
+
+    const [settings, tenant] = await Promise.all([
+      getSettingsForTenant(tenantId),
+      getTenantById(tenantId)
+    ]);
+    const shipping = settings.shipping || {};
+    const expiryDays = shipping.documentExpiryDays || DEFAULT_EXPIRY_DAYS;
+    const expiresAt = new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000);
+    const reference = getReturnReference(returnRecord);
+
+    const packingSlip = await storeDocument(
+      renderPackingSlip({
+        returnRecord,
+        storeName: tenant?.name,
+        returnAddress: shipping.returnAddress
+      }),
+      { tenantId, filename: `${reference}-packing-slip.pdf`, expiresAt }
+    );
+    const keepLabel = !newLabel && isDocumentAvailable(returnRecord.returnLabel);
+    const label = keepLabel ? null : await createCarrierLabel(returnRecord, tenantId, shipping, expiresAt);
+
+    const update = { packingSlip, updatedAt: new Date() };
+    if (label) {
+      update.returnLabel = label.returnLabel;
+      if (!returnRecord.trackingNumber && label.trackingNumber) {
+        update.trackingNumber = label.trackingNumber;
+        if (label.trackingUrl) update.trackingUrl = label.trackingUrl;
+      }
+    }
+
+    const updated = await ReturnRequest.findOneAndUpdate(
+      { _id: returnId, tenantId },
+      { $set: update },
+      { new: true }
+    );
+
+    // Earlier links stop working once they are replaced
+    const replaced = [returnRecord.packingSlip?.fileKey, label && returnRecord.returnLabel?.fileKey].filter(Boolean);
+    await Promise.all(replaced.map(fileKey => files.remove(fileKey, tenantId).catch(error => {
+      logger.warn('Could not remove replaced return document', {
+        returnId,
+        tenantId,
+        fileKey,
+        error: error.message
+      }, LogCategory.RETURN);
+    })));
+
+    logger.info('Return documents generated', {
+      returnId,
+      tenantId,
+      rmaNumber: returnRecord.rmaNumber,
+      carrier: label?.returnLabel.carrier,
+      keptLabel: keepLabel,
+      expiresAt
+    }, LogCategory.RETURN);
+
+    return updated;
+  } catch (error) {
+    console.error('Error generating return documents:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a document by the token in its download link
+ * @param {String} token - Token from the document URL
+ * @param {String} tenantId - Tenant ID
+ * @returns {Promise<Object|null>} - { data, contentType, filename }, or null if missing or expired
+ */
+export async function getDocumentByToken(token, tenantId = 'default') {
+  if (!DOCUMENT_TOKEN_PATTERN.test(String(token || ''))) {
+    return null;
+  }
+
+  try {
+    return await files.get(fileKeyFor(token), tenantId);
+  } catch (error) {
+    console.error('Error fetching return document:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get one of a return's documents
+ * @param {String} returnId - Return ID
+ * @param {String} tenantId - Tenant ID
+ * @param {String} document - ReturnDocument value
+ * @returns {Promise<Object|null>} - { data, contentType, filename }, or null if missing or expired
+ */
+export async function getReturnDocument(returnId, tenantId, document = ReturnDocument.PACKING_SLIP) {
+  await connectToDatabase();
+
+  try {
+    const field = RETURN_DOCUMENT_FIELDS[document];
+    if (!field || !/^[0-9a-fA-F]{24}$/.test(returnId)) {
+      return null;
+    }
+
+    const returnRecord = await ReturnRequest.findOne({ _id: returnId, tenantId }).select(field).lean();
+    const fileKey = returnRecord?.[field]?.fileKey;
+    return fileKey ? files.get(fileKey, tenantId) : null;
+  } catch (error) {
+    console.error('Error fetching return document:', error);
+    throw error;
+  }
+}
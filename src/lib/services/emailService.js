@@ -0,0 +1,76 @@
+// src/lib/services/emailService.js
+import { createLogger, LogCategory } from '@/lib/logging';
+
+const logger = createLogger('email');
+
+const RESEND_API_URL = 'https://api.resend.com/emails';
+
+/**
+ * Whether outgoing email is actually delivered. Without a provider, emails
+ * are only written to the log so local development works without one.
+ * @returns {Boolean}
+ */
+export function isEmailConfigured() {
+  return !!(process.env.RESEND_API_KEY && process.env.EMAIL_FROM);
+}
+
+/**
+ * Get the public base URL for links in emails. APP_URL is required in
+ * production so a forged Host header can't redirect links elsewhere.
+ * @param {Object} req - API request, used as a fallback outside production
+ * @returns {String} - Base URL without a trailing slash
+ */
+export function getAppBaseUrl(req) {
+  if (process.env.APP_URL) {
+    return process.env.APP_URL.replace(/\/$/, '');
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('APP_URL must be set to send emails with links');
+  }
+
+  return `http://${req?.headers?.host || 'localhost:3000'}`;
+}
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Boolean>} - Whether the email was handed to a provider
+ */
+export async function sendEmail({ to, subject, text, html }) {
+  if (!isEmailConfigured()) {
+    // Bodies can carry one-time links, so they are only logged in development
+    logger.info('Email delivery not configured, skipping send', {
+      to,
+      subject,
+      text: process.env.NODE_ENV === 'production' ? undefined : text
+    }, LogCategory.SYSTEM);
+    return false;
+  }
+
+  try {
+    const response = await fetch(RESEND_API_URL, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${process.env.RESEND_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        from: process.env.EMAIL_FROM,
+        to: Array.isArray(to) ? to : [to],
+        subject,
+        text,
+        html
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Email provider responded with ${response.status}`);
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error sending email:', error);
+    throw error;
+  }
+}
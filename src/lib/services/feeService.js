@@ -0,0 +1,60 @@
+// src/lib/services/feeService.js
+import { quoteReturnFees } from '@/lib/returns/fees';
+
+/**
+ * Look up the product types of an order's products, which restocking fee
+ * rules match on. Line items don't carry them.
+ * @param {Object} client - Shopify REST client
+ * @param {Array} productIds - Shopify product IDs
+ * @returns {Promise<Map>} - Product ID to product type
+ */
+export async function getProductTypes(client, productIds = []) {
+  const ids = [...new Set(productIds.filter(Boolean).map(String))];
+  if (ids.length === 0) {
+    return new Map();
+  }
+
+  try {
+    const { body } = await client.get({
+      path: 'products',
+      query: { ids: ids.join(','), fields: 'id,product_type', limit: ids.length }
+    });
+    return new Map((body?.products || []).map(product => [String(product.id), product.product_type || '']));
+  } catch (error) {
+    // A missing product type only means type-specific rules don't match
+    console.error('Error fetching product types:', error);
+    return new Map();
+  }
+}
+
+/**
+ * Quote the fees for items a customer is returning from a Shopify order.
+ * Prices come from the order, never from the request.
+ * @param {Object} client - Shopify REST client
+ * @param {Object} order - Shopify order with line_items and currency
+ * @param {Array} items - [{ id, quantity, returnOption, returnReason }]
+ * @param {Object} feeSettings - settings.fees
+ * @returns {Promise<Object>} - { quote, productTypes }
+ */
+export async function quoteOrderReturn(client, order, items, feeSettings) {
+  const lineItems = new Map((order.line_items || []).map(lineItem => [String(lineItem.id), lineItem]));
+  const productTypes = await getProductTypes(
+    client,
+    items.map(item => lineItems.get(String(item.id))?.product_id)
+  );
+
+  const quote = quoteReturnFees(feeSettings, items.map(item => {
+    const lineItem = lineItems.get(String(item.id));
+    return {
+      itemId: item.id,
+      title: lineItem?.title || 'Unknown Item',
+      quantity: parseInt(item.quantity, 10) || 1,
+      unitPrice: parseFloat(lineItem?.price || 0),
+      productType: productTypes.get(String(lineItem?.product_id)) || '',
+      returnOption: item.returnOption,
+      returnReason: item.returnReason
+    };
+  }));
+
+  return { quote: { ...quote, currency: order.currency }, productTypes };
+}
@@ -0,0 +1,197 @@
+// src/lib/services/inspectionService.js
+import ReturnRequest from '@/lib/db/models/ReturnRequest';
+import connectToDatabase from '@/lib/db/connection';
+import { createApiError, ErrorTypes } from '@/lib/api/errorHandler';
+import { createLogger, LogCategory } from '@/lib/logging';
+import { updateReturnStatus, actorFromAdmin } from '@/lib/services/returnService';
+import { ReturnStatus } from '@/lib/returns/lifecycle';
+import {
+  ITEM_CONDITIONS,
+  MAX_INSPECTION_PHOTOS,
+  isItemReceived,
+  allItemsInspected
+} from '@/lib/returns/inspection';
+import { isItemRejected } from '@/lib/returns/decisions';
+
+const logger = createLogger('inspection');
+
+// The warehouse can record items from approval until the return is inspected
+const RECEIVING_STATUSES = [ReturnStatus.APPROVED, ReturnStatus.IN_TRANSIT, ReturnStatus.RECEIVED];
+
+/**
+ * Find an item on a return by its line item ID or its own _id
+ * @param {Object} returnRecord - ReturnRequest document
+ * @param {String} itemId - Item ID
+ * @returns {Object|undefined} - Return item
+ */
+export function findReturnItem(returnRecord, itemId) {
+  return returnRecord.items.find(item => item.id === itemId || item._id?.toString() === itemId);
+}
+
+function validatePhotos(photos) {
+  if (!Array.isArray(photos)) {
+    throw createApiError(ErrorTypes.BAD_REQUEST, 'Photos must be a list of URLs');
+  }
+  if (photos.length > MAX_INSPECTION_PHOTOS) {
+    throw createApiError(ErrorTypes.BAD_REQUEST, `An item can have at most ${MAX_INSPECTION_PHOTOS} photos`);
+  }
+
+  return photos.map(photo => {
+    let url;
+    try {
+      url = new URL(String(photo).trim());
+    } catch {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      throw createApiError(ErrorTypes.BAD_REQUEST, `Invalid photo URL: ${photo}`);
+    }
+    return url.toString();
+  });
+}
+
+// Move the return along once the warehouse has the items in hand. The item
+// record is already saved, so a transition someone else beat us to is only logged.
+async function advanceReturn(returnRecord, tenantId, actor) {
+  const id = returnRecord._id.toString();
+  let current = returnRecord;
+
+  try {
+    if (current.status !== ReturnStatus.RECEIVED && current.items.some(isItemReceived)) {
+      current = await updateReturnStatus(id, tenantId, ReturnStatus.RECEIVED, {
+        notes: 'Items received in the warehouse',
+        actor
+      });
+    }
+
+    if (current.status === ReturnStatus.RECEIVED && allItemsInspected(current.items)) {
+      current = await updateReturnStatus(id, tenantId, ReturnStatus.INSPECTED, {
+        notes: 'All items inspected',
+        actor
+      });
+    }
+  } catch (error) {
+    if (error.status !== 409) throw error;
+    logger.warn('Could not advance return after inspection', {
+      returnId: id,
+      tenantId,
+      reason: error.message
+    }, LogCategory.RETURN);
+    current = await ReturnRequest.findOne({ _id: id, tenantId });
+  }
+
+  return current;
+}
+
+/**
+ * Record the warehouse receiving and/or inspection of one return item. The
+ * first received item moves the return to received, and inspecting the last
+ * item moves it to inspected. An item received with quantity 0 has nothing
+ * to inspect and counts as inspected.
+ * @param {String} returnId - Return ID
+ * @param {String} tenantId - Tenant ID
+ * @param {String} itemId - Item ID (line item ID or item _id)
+ * @param {Object} input - { receivedQuantity, condition, notes, photos }
+ * @param {Object} actor - From actorFromAdmin
+ * @returns {Promise<Object>} - { returnRecord, item }, or null if the return or item doesn't exist
+ */
+export async function recordItemReceiving(returnId, tenantId, itemId, input, actor) {
+  await connectToDatabase();
+
+  try {
+    if (!/^[0-9a-fA-F]{24}$/.test(returnId)) {
+      return null;
+    }
+
+    const returnRecord = await ReturnRequest.findOne({ _id: returnId, tenantId });
+    const item = returnRecord && findReturnItem(returnRecord, itemId);
+    if (!item) {
+      return null;
+    }
+
+    if (!RECEIVING_STATUSES.includes(returnRecord.status)) {
+      throw createApiError(
+        ErrorTypes.CONFLICT,
+        'Items can only be received or inspected while a return is approved, in transit or received',
+        { status: returnRecord.status }
+      );
+    }
+    if (isItemRejected(item)) {
+      throw createApiError(ErrorTypes.CONFLICT, 'This item was rejected and is not part of the return');
+    }
+
+    const { receivedQuantity, condition, notes, photos } = input;
+    const by = actor || actorFromAdmin(null);
+    const now = new Date();
+    const receiving = { ...(item.toObject().receiving || {}) };
+
+    if (receivedQuantity !== undefined) {
+      const quantity = Number(receivedQuantity);
+      const ordered = item.quantity || 1;
+      if (!Number.isInteger(quantity) || quantity < 0 || quantity > ordered) {
+        throw createApiError(
+          ErrorTypes.BAD_REQUEST,
+          `Received quantity must be a whole number from 0 to ${ordered}`
+        );
+      }
+      receiving.receivedQuantity = quantity;
+      receiving.receivedAt = now;
+      receiving.receivedBy = by;
+    }
+
+    if (notes !== undefined) {
+      receiving.notes = String(notes).trim();
+    }
+
+    if (photos !== undefined) {
+      receiving.photos = validatePhotos(photos);
+    }
+
+    if (condition !== undefined) {
+      if (!receiving.receivedAt) {
+        throw createApiError(ErrorTypes.BAD_REQUEST, 'Record the received quantity before inspecting an item');
+      }
+      if (!ITEM_CONDITIONS.includes(condition)) {
+        throw createApiError(
+          ErrorTypes.BAD_REQUEST,
+          `Condition must be one of: ${ITEM_CONDITIONS.join(', ')}`
+        );
+      }
+      receiving.condition = condition;
+      receiving.inspectedAt = now;
+      receiving.inspectedBy = by;
+    } else if (receiving.receivedQuantity === 0 && !receiving.inspectedAt) {
+      receiving.inspectedAt = now;
+      receiving.inspectedBy = by;
+    }
+
+    // Only apply if the return is still open for receiving
+    const updated = await ReturnRequest.findOneAndUpdate(
+      { _id: returnId, tenantId, status: { $in: RECEIVING_STATUSES }, 'items._id': item._id },
+      { $set: { 'items.$.receiving': receiving, updatedAt: now } },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      throw createApiError(
+        ErrorTypes.CONFLICT,
+        'This return was updated by someone else. Reload it and try again.'
+      );
+    }
+
+    logger.info('Return item receiving recorded', {
+      returnId,
+      tenantId,
+      itemId,
+      receivedQuantity: receiving.receivedQuantity,
+      condition: receiving.condition,
+      actor: by
+    }, LogCategory.RETURN);
+
+    const current = await advanceReturn(updated, tenantId, by);
+    return { returnRecord: current, item: findReturnItem(current, itemId) };
+  } catch (error) {
+    console.error('Error recording item receiving:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,269 @@
+// src/lib/services/loginThrottleService.js
+import LoginThrottle from '@/lib/db/models/LoginThrottle';
+import connectToDatabase from '@/lib/db/connection';
+import { createLogger, LogCategory } from '@/lib/logging';
+
+const logger = createLogger('login-throttle');
+
+// Failures allowed within the window before a lockout. An IP gets more room
+// since several people can share one address.
+const POLICIES = {
+  account: { maxFailures: 5, windowMs: 15 * 60 * 1000 },
+  ip: { maxFailures: 20, windowMs: 15 * 60 * 1000 }
+};
+
+// The first lockout lasts BASE_LOCKOUT_MS and each one after that doubles
+const BASE_LOCKOUT_MS = 15 * 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+// Attempts after FREE_ATTEMPTS failures are slowed down, doubling each time
+const FREE_ATTEMPTS = 2;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+
+// How long an entry outlives its last failure or lockout
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function subjectKeys({ email, ip }) {
+  const keys = [];
+  if (normalizeEmail(email)) keys.push({ scope: 'account', identifier: normalizeEmail(email) });
+  if (ip) keys.push({ scope: 'ip', identifier: ip });
+  return keys;
+}
+
+function failuresInWindow(entry, now) {
+  const { windowMs } = POLICIES[entry.scope];
+  return entry.windowStartedAt > new Date(now - windowMs) ? entry.failures : 0;
+}
+
+function delayFor(failures) {
+  if (failures <= FREE_ATTEMPTS) return 0;
+  return Math.min(BASE_DELAY_MS * 2 ** (failures - FREE_ATTEMPTS - 1), MAX_DELAY_MS);
+}
+
+/**
+ * Shape a lockout for API responses
+ * @param {Object} entry - LoginThrottle document
+ * @returns {Object} - Lockout summary
+ */
+export function toPublicLockout(entry) {
+  return {
+    id: entry._id.toString(),
+    scope: entry.scope,
+    identifier: entry.identifier,
+    lockedUntil: entry.lockedUntil,
+    lockCount: entry.lockCount,
+    lastFailureAt: entry.lastFailureAt,
+    lastIpAddress: entry.lastIpAddress
+  };
+}
+
+/**
+ * Check whether a sign-in attempt may go ahead. Attempts following recent
+ * failures are delayed here before this resolves.
+ * @param {Object} subject - { email, ip }
+ * @returns {Promise<Object>} - { locked, retryAfterSeconds }
+ */
+export async function checkLoginThrottle(subject) {
+  const keys = subjectKeys(subject);
+  if (keys.length === 0) {
+    return { locked: false, retryAfterSeconds: 0 };
+  }
+
+  await connectToDatabase();
+
+  try {
+    const now = Date.now();
+    const entries = await LoginThrottle.find({ $or: keys });
+
+    const lockedUntil = Math.max(0, ...entries.map(entry => entry.lockedUntil?.getTime() || 0));
+    if (lockedUntil > now) {
+      return { locked: true, retryAfterSeconds: Math.ceil((lockedUntil - now) / 1000) };
+    }
+
+    const delayMs = Math.max(0, ...entries.map(entry => delayFor(failuresInWindow(entry, now))));
+    if (delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+
+    return { locked: false, retryAfterSeconds: 0 };
+  } catch (error) {
+    console.error('Error checking login throttle:', error);
+    throw error;
+  }
+}
+
+/**
+ * Count a failure against one account or IP, locking it once the limit is reached
+ * @returns {Promise<Date|null>} - End of a lockout this failure started
+ */
+async function recordFailure({ scope, identifier }, extra) {
+  const { maxFailures, windowMs } = POLICIES[scope];
+  const now = new Date();
+  const inWindow = { $gt: ['$windowStartedAt', new Date(now - windowMs)] };
+
+  // A pipeline update so concurrent failures on other instances all count
+  const entry = await LoginThrottle.findOneAndUpdate(
+    { scope, identifier },
+    [{
+      $set: {
+        failures: { $cond: [inWindow, { $add: [{ $ifNull: ['$failures', 0] }, 1] }, 1] },
+        windowStartedAt: { $cond: [inWindow, '$windowStartedAt', now] },
+        lastFailureAt: now,
+        lockCount: { $ifNull: ['$lockCount', 0] },
+        createdAt: { $ifNull: ['$createdAt', now] },
+        expiresAt: {
+          $add: [{ $max: [{ $ifNull: ['$lockedUntil', now] }, now] }, RETENTION_MS]
+        },
+        ...extra
+      }
+    }],
+    // The pipeline sets every field itself; schema defaults don't apply to pipelines
+    { upsert: true, new: true, setDefaultsOnInsert: false }
+  );
+
+  if (entry.failures < maxFailures) {
+    return null;
+  }
+
+  const lockedUntil = new Date(now.getTime() + Math.min(BASE_LOCKOUT_MS * 2 ** entry.lockCount, MAX_LOCKOUT_MS));
+
+  // Only the request that reached the limit starts the lockout
+  const locked = await LoginThrottle.findOneAndUpdate(
+    { _id: entry._id, failures: entry.failures },
+    {
+      $set: {
+        lockedUntil,
+        failures: 0,
+        windowStartedAt: now,
+        expiresAt: new Date(lockedUntil.getTime() + RETENTION_MS)
+      },
+      $inc: { lockCount: 1 }
+    },
+    { new: true }
+  );
+
+  if (locked) {
+    logger.warn('Admin sign-in locked', {
+      scope,
+      identifier,
+      lockedUntil,
+      lockCount: locked.lockCount
+    }, LogCategory.SECURITY);
+  }
+  return lockedUntil;
+}
+
+/**
+ * Record a failed sign-in against the account and the IP address
+ * @param {Object} subject - { email, ip }
+ * @param {String} reason - Why it failed, for the security log
+ * @returns {Promise<Object>} - { locked, retryAfterSeconds } after this failure
+ */
+export async function recordLoginFailure(subject, reason) {
+  await connectToDatabase();
+
+  try {
+    logger.info('Failed admin sign-in', {
+      email: normalizeEmail(subject.email),
+      ip: subject.ip,
+      reason
+    }, LogCategory.SECURITY);
+
+    const lockouts = await Promise.all(subjectKeys(subject).map(key => recordFailure(
+      key,
+      key.scope === 'account' ? { lastIpAddress: subject.ip } : {}
+    )));
+
+    const lockedUntil = Math.max(0, ...lockouts.map(date => date?.getTime() || 0));
+    return {
+      locked: lockedUntil > 0,
+      retryAfterSeconds: lockedUntil > 0 ? Math.ceil((lockedUntil - Date.now()) / 1000) : 0
+    };
+  } catch (error) {
+    console.error('Error recording login failure:', error);
+    throw error;
+  }
+}
+
+/**
+ * Clear an account's failures after a successful sign-in. The IP's count is
+ * left alone so one valid account can't reset it for the others.
+ * @param {Object} subject - { email }
+ * @returns {Promise<void>}
+ */
+export async function recordLoginSuccess({ email }) {
+  if (!normalizeEmail(email)) return;
+
+  await connectToDatabase();
+
+  try {
+    await LoginThrottle.deleteOne({ scope: 'account', identifier: normalizeEmail(email) });
+  } catch (error) {
+    console.error('Error clearing login failures:', error);
+    throw error;
+  }
+}
+
+/**
+ * List accounts that are currently locked
+ * @returns {Promise<Array>} - LoginThrottle documents, latest lockout first
+ */
+export async function listLockedAccounts() {
+  await connectToDatabase();
+
+  try {
+    return await LoginThrottle.find({
+      scope: 'account',
+      lockedUntil: { $gt: new Date() }
+    }).sort({ lockedUntil: -1 });
+  } catch (error) {
+    console.error('Error listing locked accounts:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a lockout entry by ID
+ * @param {String} id - LoginThrottle ID
+ * @returns {Promise<Object|null>} - LoginThrottle document
+ */
+export async function getLockoutById(id) {
+  await connectToDatabase();
+
+  try {
+    if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+      return null;
+    }
+    return await LoginThrottle.findById(id);
+  } catch (error) {
+    console.error('Error fetching lockout:', error);
+    throw error;
+  }
+}
+
+/**
+ * Lift a lockout and forget its failures and escalation
+ * @param {Object} entry - LoginThrottle document
+ * @param {String} unlockedBy - ID of the admin lifting it
+ * @returns {Promise<void>}
+ */
+export async function unlockLogin(entry, unlockedBy) {
+  await connectToDatabase();
+
+  try {
+    await LoginThrottle.deleteOne({ _id: entry._id });
+    logger.info('Admin sign-in unlocked', {
+      scope: entry.scope,
+      identifier: entry.identifier,
+      unlockedBy
+    }, LogCategory.SECURITY);
+  } catch (error) {
+    console.error('Error unlocking login:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,434 @@
+// src/lib/services/refundService.js
+import { DataType } from '@shopify/shopify-api';
+import ReturnRequest from '@/lib/db/models/ReturnRequest';
+import connectToDatabase from '@/lib/db/connection';
+import { getShopifyClientForTenant } from '@/lib/shopify/client';
+import { createApiError, ErrorTypes } from '@/lib/api/errorHandler';
+import { createLogger, LogCategory } from '@/lib/logging';
+import { updateReturnStatus } from '@/lib/services/returnService';
+import { ReturnStatus } from '@/lib/returns/lifecycle';
+import { getRefundableQuantity, isFullyRefunded } from '@/lib/returns/refunds';
+import { RefundMethod, REFUND_METHOD_LABELS } from '@/lib/returns/refundMethods';
+import { FeeType, getPayoutFees } from '@/lib/returns/fees';
+import { getReturnReference } from '@/lib/returns/rma';
+
+const logger = createLogger('refunds');
+
+// Refunds are issued once the items have been inspected
+const REFUNDABLE_STATUSES = [ReturnStatus.INSPECTED];
+
+// A lock older than this belongs to a request that died before finishing
+const REFUND_LOCK_TTL_MS = 5 * 60 * 1000;
+
+const toAmount = value => Math.round(parseFloat(value || 0) * 100) / 100;
+
+async function loadRefundableReturn(returnId, tenantId) {
+  if (!/^[0-9a-fA-F]{24}$/.test(returnId)) {
+    return null;
+  }
+
+  const returnRecord = await ReturnRequest.findOne({ _id: returnId, tenantId });
+  if (!returnRecord) {
+    return null;
+  }
+
+  if (!REFUNDABLE_STATUSES.includes(returnRecord.status)) {
+    throw createApiError(
+      ErrorTypes.CONFLICT,
+      'Refunds can only be issued once a return has been inspected',
+      { status: returnRecord.status }
+    );
+  }
+  if (returnRecord.refundMethod !== RefundMethod.ORIGINAL_PAYMENT) {
+    throw createApiError(
+      ErrorTypes.CONFLICT,
+      `The customer chose ${REFUND_METHOD_LABELS[returnRecord.refundMethod].toLowerCase()} instead of a refund for this return`
+    );
+  }
+  if (!returnRecord.shopifyOrderId) {
+    throw createApiError(ErrorTypes.BAD_REQUEST, 'This return is not linked to a Shopify order');
+  }
+  if (returnRecord.unrecordedRefund?.failedAt) {
+    throw createApiError(
+      ErrorTypes.CONFLICT,
+      `Shopify refund ${returnRecord.unrecordedRefund.shopifyRefundId} was issued but not recorded on this return; reconcile it before issuing another refund`
+    );
+  }
+
+  return returnRecord;
+}
+
+/**
+ * Turn a requested selection into the units to refund. Without a selection
+ * everything still refundable is refunded. An item listed more than once is
+ * refunded for the units of all its entries together.
+ * @param {Object} returnRecord - ReturnRequest document
+ * @param {Array} selection - [{ itemId, quantity }]
+ * @returns {Array} - [{ item, quantity }]
+ */
+export function resolveSelection(returnRecord, selection) {
+  const requested = Array.isArray(selection) && selection.length > 0
+    ? selection
+    : returnRecord.items.map(item => ({ itemId: item.id, quantity: getRefundableQuantity(item) }));
+
+  const quantityError = item => createApiError(
+    ErrorTypes.BAD_REQUEST,
+    `${item.title || 'Item'}: refund quantity must be a whole number from 1 to ${getRefundableQuantity(item)}`
+  );
+
+  const unitsByItem = new Map();
+  for (const { itemId, quantity } of requested) {
+    const item = returnRecord.items.find(entry => entry.id === String(itemId) || entry._id.toString() === String(itemId));
+    if (!item) {
+      throw createApiError(ErrorTypes.BAD_REQUEST, `Item ${itemId} is not part of this return`);
+    }
+
+    const units = Number(quantity);
+    if (units === 0 && getRefundableQuantity(item) === 0 && !selection?.length) {
+      continue;
+    }
+    if (!Number.isInteger(units) || units < 1) {
+      throw quantityError(item);
+    }
+    unitsByItem.set(item, (unitsByItem.get(item) || 0) + units);
+  }
+
+  const lines = [];
+  for (const [item, units] of unitsByItem) {
+    if (units > getRefundableQuantity(item)) {
+      throw quantityError(item);
+    }
+    if (!/^\d+$/.test(String(item.id))) {
+      throw createApiError(ErrorTypes.BAD_REQUEST, `${item.title || 'Item'} is not linked to a Shopify line item`);
+    }
+
+    lines.push({ item, quantity: units });
+  }
+
+  if (lines.length === 0) {
+    throw createApiError(ErrorTypes.BAD_REQUEST, 'There is nothing left to refund on this return');
+  }
+  return lines;
+}
+
+/**
+ * Take fees off the refund's transactions, starting with the last one, so
+ * the payments refunded add up to the amount owed after fees
+ * @param {Array} transactions - From the Shopify calculation
+ * @param {Number} totalFees - Amount to deduct
+ * @returns {Array} - Transactions with reduced amounts; emptied ones are dropped
+ */
+function deductFees(transactions, totalFees) {
+  let remaining = totalFees;
+  return [...transactions].reverse()
+    .map(transaction => {
+      const deducted = Math.min(transaction.amount, remaining);
+      remaining = toAmount(remaining - deducted);
+      return { ...transaction, amount: toAmount(transaction.amount - deducted) };
+    })
+    .reverse()
+    .filter(transaction => transaction.amount > 0);
+}
+
+function toShopifyError(error) {
+  const details = error.response?.body?.errors || error.message;
+  console.error('Shopify refund error:', details);
+  return createApiError(
+    ErrorTypes.SHOPIFY_API_ERROR,
+    `Shopify rejected the refund: ${typeof details === 'string' ? details : JSON.stringify(details)}`
+  );
+}
+
+// Ask Shopify what the selected units are worth, after discounts and with
+// tax, and take off the fees quoted when the return was submitted
+async function calculate(client, returnRecord, lines, includeShipping) {
+  let body;
+  try {
+    ({ body } = await client.post({
+      path: `orders/${returnRecord.shopifyOrderId}/refunds/calculate`,
+      type: DataType.JSON,
+      data: {
+        refund: {
+          ...(includeShipping ? { shipping: { full_refund: true } } : {}),
+          refund_line_items: lines.map(({ item, quantity }) => ({
+            line_item_id: Number(item.id),
+            quantity,
+            // Stock is handled by the restocking step after inspection
+            restock_type: 'no_restock'
+          }))
+        }
+      }
+    }));
+  } catch (error) {
+    throw toShopifyError(error);
+  }
+
+  const calculation = body.refund;
+  const lineTotals = new Map((calculation.refund_line_items || [])
+    .map(line => [String(line.line_item_id), line]));
+
+  const items = lines.map(({ item, quantity }) => {
+    const line = lineTotals.get(String(item.id)) || {};
+    return {
+      itemId: item.id,
+      title: item.title,
+      quantity,
+      subtotal: toAmount(line.subtotal),
+      tax: toAmount(line.total_tax)
+    };
+  });
+
+  const calculated = (calculation.transactions || []).map(transaction => ({
+    parentId: String(transaction.parent_id),
+    gateway: transaction.gateway,
+    amount: toAmount(transaction.amount),
+    maximumRefundable: toAmount(transaction.maximum_refundable)
+  }));
+  const gross = toAmount(calculated.reduce((sum, transaction) => sum + transaction.amount, 0));
+
+  // The return shipping fee comes off the first refund only
+  const shippingFeeCharged = (returnRecord.refunds || []).some(refund =>
+    refund.fees?.some(fee => fee.type === FeeType.RETURN_SHIPPING)
+  );
+  const { fees, totalFees: quotedFees } = getPayoutFees(
+    returnRecord.fees,
+    items.map(({ itemId, subtotal }) => ({ itemId, subtotal })),
+    { includeShippingFee: !shippingFeeCharged }
+  );
+  const totalFees = Math.min(quotedFees, gross);
+  const transactions = deductFees(calculated, totalFees);
+
+  const shipping = includeShipping ? toAmount(calculation.shipping?.amount) : 0;
+  const shippingTax = includeShipping ? toAmount(calculation.shipping?.tax) : 0;
+  const subtotal = toAmount(items.reduce((sum, item) => sum + item.subtotal, 0));
+  const tax = toAmount(items.reduce((sum, item) => sum + item.tax, 0) + shippingTax);
+
+  return {
+    currency: calculation.currency || calculation.transactions?.[0]?.currency,
+    items,
+    subtotal,
+    shipping,
+    tax,
+    fees,
+    totalFees,
+    total: toAmount(gross - totalFees),
+    transactions
+  };
+}
+
+/**
+ * Calculate a refund for a return with Shopify's refund calculation,
+ * covering line items, discounts, taxes and optionally shipping, less the
+ * return's fees
+ * @param {String} returnId - Return ID
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} options - { items: [{ itemId, quantity }], includeShipping }
+ * @returns {Promise<Object>} - Quote { currency, items, subtotal, shipping, tax, fees, totalFees, total, transactions }, or null if the return doesn't exist
+ */
+export async function calculateReturnRefund(returnId, tenantId, { items, includeShipping = false } = {}) {
+  await connectToDatabase();
+
+  try {
+    const returnRecord = await loadRefundableReturn(returnId, tenantId);
+    if (!returnRecord) {
+      return null;
+    }
+
+    const lines = resolveSelection(returnRecord, items);
+    const { rest: client } = await getShopifyClientForTenant(tenantId);
+    return await calculate(client, returnRecord, lines, includeShipping);
+  } catch (error) {
+    console.error('Error calculating return refund:', error);
+    throw error;
+  }
+}
+
+/**
+ * Refund a return's items to the original payment method. The amount comes
+ * from a fresh Shopify calculation, less fees; the refund, its transaction IDs and the
+ * refunded quantities are stored on the return. Once nothing is left to
+ * refund the return moves to refunded.
+ * @param {String} returnId - Return ID
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} options - { items: [{ itemId, quantity }], includeShipping, note, notify }
+ * @param {Object} actor - From actorFromAdmin
+ * @returns {Promise<Object>} - { refund, returnRecord }, or null if the return doesn't exist
+ */
+export async function issueReturnRefund(returnId, tenantId, { items, includeShipping = false, note = '', notify = true } = {}, actor) {
+  await connectToDatabase();
+
+  try {
+    if (!await loadRefundableReturn(returnId, tenantId)) {
+      return null;
+    }
+
+    // Only one refund per return at a time, so a double submit can't pay out
+    // twice. The selection is checked against the locked copy: a refund that
+    // finished since the read above has already changed what is refundable.
+    const now = new Date();
+    const locked = await ReturnRequest.findOneAndUpdate(
+      {
+        _id: returnId,
+        tenantId,
+        status: { $in: REFUNDABLE_STATUSES },
+        unrecordedRefund: null,
+        $or: [
+          { refundLockedAt: null },
+          { refundLockedAt: { $lt: new Date(now.getTime() - REFUND_LOCK_TTL_MS) } }
+        ]
+      },
+      { $set: { refundLockedAt: now } },
+      { new: true }
+    );
+    if (!locked) {
+      throw createApiError(ErrorTypes.CONFLICT, 'A refund is already being issued for this return');
+    }
+
+    let refund;
+    let lines;
+    try {
+      lines = resolveSelection(locked, items);
+      const { rest: client } = await getShopifyClientForTenant(tenantId);
+      const quote = await calculate(client, locked, lines, includeShipping);
+
+      // When fees take the whole amount the items are still marked refunded, with no payment
+      if (quote.total <= 0 && quote.totalFees <= 0) {
+        throw createApiError(ErrorTypes.BAD_REQUEST, 'There is no amount to refund for the selected items');
+      }
+
+      try {
+        const { body } = await client.post({
+          path: `orders/${locked.shopifyOrderId}/refunds`,
+          type: DataType.JSON,
+          data: {
+            refund: {
+              currency: quote.currency,
+              notify,
+              note: note || `Return ${getReturnReference(locked)}`,
+              ...(includeShipping ? { shipping: { amount: quote.shipping } } : {}),
+              refund_line_items: lines.map(({ item, quantity }) => ({
+                line_item_id: Number(item.id),
+                quantity,
+                restock_type: 'no_restock'
+              })),
+              transactions: quote.transactions.map(transaction => ({
+                parent_id: Number(transaction.parentId),
+                amount: transaction.amount,
+                kind: 'refund',
+                gateway: transaction.gateway
+              }))
+            }
+          }
+        });
+        refund = { shopifyRefund: body.refund, quote };
+      } catch (error) {
+        throw toShopifyError(error);
+      }
+    } catch (error) {
+      // Nothing was refunded, so the return can be tried again right away
+      await ReturnRequest.updateOne({ _id: returnId, tenantId }, { $unset: { refundLockedAt: 1 } });
+      throw error;
+    }
+
+    const { shopifyRefund, quote } = refund;
+    const record = {
+      shopifyRefundId: String(shopifyRefund.id),
+      amount: quote.total,
+      currency: quote.currency,
+      shipping: quote.shipping,
+      tax: quote.tax,
+      fees: quote.fees,
+      totalFees: quote.totalFees,
+      items: quote.items.map(({ itemId, quantity, subtotal, tax }) => ({ itemId, quantity, subtotal, tax })),
+      transactions: (shopifyRefund.transactions || []).map(transaction => ({
+        id: String(transaction.id),
+        parentId: transaction.parent_id ? String(transaction.parent_id) : undefined,
+        kind: transaction.kind,
+        gateway: transaction.gateway,
+        amount: toAmount(transaction.amount),
+        status: transaction.status
+      })),
+      note,
+      createdAt: new Date(),
+      createdBy: actor
+    };
+
+    const increments = { totalRefundAmount: quote.total };
+    const arrayFilters = [];
+    lines.forEach(({ item, quantity }, index) => {
+      const refunded = quote.items.find(entry => entry.itemId === item.id);
+      const itemFees = quote.fees
+        .filter(fee => fee.itemId === String(item.id))
+        .reduce((sum, fee) => sum + fee.amount, 0);
+      increments[`items.$[i${index}].refundedQuantity`] = quantity;
+      increments[`items.$[i${index}].refundAmount`] = toAmount((refunded?.subtotal || 0) + (refunded?.tax || 0) - itemFees);
+      arrayFilters.push({ [`i${index}._id`]: item._id });
+    });
+
+    let updated;
+    try {
+      updated = await ReturnRequest.findOneAndUpdate(
+        { _id: returnId, tenantId },
+        {
+          $push: { refunds: record },
+          $inc: increments,
+          $set: { updatedAt: new Date() },
+          $unset: { refundLockedAt: 1 }
+        },
+        { new: true, arrayFilters }
+      );
+    } catch (error) {
+      // The money has moved. Block further refunds until this one is
+      // reconciled; the lock alone expires and would allow a second payout.
+      const blocked = await ReturnRequest.updateOne(
+        { _id: returnId, tenantId },
+        {
+          $set: {
+            unrecordedRefund: {
+              shopifyRefundId: record.shopifyRefundId,
+              amount: record.amount,
+              currency: record.currency,
+              failedAt: new Date()
+            }
+          }
+        }
+      ).then(() => true, () => false);
+
+      logger.error(
+        blocked
+          ? 'Refund issued but not recorded; refunds are blocked until it is reconciled'
+          : 'Refund issued but not recorded and refunds could not be blocked; a double refund is possible once the lock expires',
+        {
+          returnId,
+          tenantId,
+          blocked,
+          refund: record,
+          error: error.message
+        },
+        LogCategory.RETURN
+      );
+      throw error;
+    }
+
+    logger.info('Return refund issued', {
+      returnId,
+      tenantId,
+      shopifyRefundId: record.shopifyRefundId,
+      amount: record.amount,
+      currency: record.currency,
+      actor
+    }, LogCategory.RETURN);
+
+    if (isFullyRefunded(updated.items)) {
+      updated = await updateReturnStatus(returnId, tenantId, ReturnStatus.REFUNDED, {
+        notes: `Refunded ${record.amount.toFixed(2)} ${record.currency || ''}`.trim(),
+        actor
+      });
+    }
+
+    return { refund: record, returnRecord: updated };
+  } catch (error) {
+    console.error('Error issuing return refund:', error);
+    throw error;
+  }
+}
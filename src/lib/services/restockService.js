@@ -0,0 +1,245 @@
+// src/lib/services/restockService.js
+import ReturnRequest from '@/lib/db/models/ReturnRequest';
+import connectToDatabase from '@/lib/db/connection';
+import { getShopifyClientForTenant } from '@/lib/shopify/client';
+import { getSettingsForTenant } from '@/lib/services/settingsService';
+import { createLogger, LogCategory } from '@/lib/logging';
+import { RESTOCKABLE_CONDITIONS, isItemInspected } from '@/lib/returns/inspection';
+
+const logger = createLogger('restock');
+
+// Restocks that were started, finished or ruled out are never retried; only
+// failed ones are. A pending restock may have reached Shopify, so it is left
+// for someone to check rather than risk counting the stock twice.
+const SETTLED_RESTOCK_STATUSES = ['pending', 'restocked', 'skipped'];
+
+const VARIANT_INVENTORY_QUERY = `
+  query variantInventoryItem($id: ID!) {
+    productVariant(id: $id) {
+      inventoryItem {
+        id
+        tracked
+      }
+    }
+  }
+`;
+
+const ADJUST_INVENTORY_MUTATION = `
+  mutation inventoryAdjustQuantities($input: InventoryAdjustQuantitiesInput!) {
+    inventoryAdjustQuantities(input: $input) {
+      inventoryAdjustmentGroup {
+        id
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+function toGlobalId(type, id) {
+  return String(id).startsWith('gid://') ? String(id) : `gid://shopify/${type}/${id}`;
+}
+
+/**
+ * List the tenant's active Shopify locations, for choosing where returns are restocked
+ * @param {String} tenantId - Tenant ID
+ * @returns {Promise<Array>} - [{ id, name }]
+ */
+export async function getShopifyLocations(tenantId) {
+  try {
+    const { rest: client } = await getShopifyClientForTenant(tenantId);
+    const { body } = await client.get({ path: 'locations' });
+
+    return (body?.locations || [])
+      .filter(location => location.active)
+      .map(location => ({ id: location.id.toString(), name: location.name }));
+  } catch (error) {
+    console.error('Error fetching Shopify locations:', error);
+    throw error;
+  }
+}
+
+// Items saved before variant IDs were stored are looked up on the order
+async function resolveVariantId(client, returnRecord, item) {
+  if (item.variant_id) {
+    return item.variant_id;
+  }
+  if (!returnRecord.shopifyOrderId) {
+    return null;
+  }
+
+  const { body } = await client.get({
+    path: `orders/${returnRecord.shopifyOrderId}`,
+    query: { fields: 'line_items' }
+  });
+  const lineItem = body?.order?.line_items?.find(line => line.id.toString() === String(item.id));
+  return lineItem?.variant_id ? lineItem.variant_id.toString() : null;
+}
+
+async function adjustInventory(clients, returnRecord, item, locationId) {
+  const variantId = await resolveVariantId(clients.rest, returnRecord, item);
+  if (!variantId) {
+    return { status: 'skipped', reason: 'The Shopify variant for this item is unknown' };
+  }
+
+  const variantResponse = await clients.graphql.query({
+    data: {
+      query: VARIANT_INVENTORY_QUERY,
+      variables: { id: toGlobalId('ProductVariant', variantId) }
+    }
+  });
+  const inventoryItem = variantResponse.body?.data?.productVariant?.inventoryItem;
+
+  if (!inventoryItem) {
+    return { status: 'skipped', reason: 'The Shopify variant no longer exists' };
+  }
+  if (!inventoryItem.tracked) {
+    return { status: 'skipped', reason: 'Shopify does not track inventory for this variant' };
+  }
+
+  const adjustResponse = await clients.graphql.query({
+    data: {
+      query: ADJUST_INVENTORY_MUTATION,
+      variables: {
+        input: {
+          reason: 'restock',
+          name: 'available',
+          referenceDocumentUri: `gid://return-portal/ReturnRequest/${returnRecord._id}`,
+          changes: [{
+            delta: item.receiving.receivedQuantity,
+            inventoryItemId: inventoryItem.id,
+            locationId: toGlobalId('Location', locationId)
+          }]
+        }
+      }
+    }
+  });
+  const result = adjustResponse.body?.data?.inventoryAdjustQuantities;
+
+  if (!result || result.userErrors?.length > 0) {
+    throw new Error(result?.userErrors?.[0]?.message || 'Shopify did not adjust the inventory');
+  }
+
+  return {
+    status: 'restocked',
+    inventoryItemId: inventoryItem.id,
+    adjustmentGroupId: result.inventoryAdjustmentGroup?.id
+  };
+}
+
+/**
+ * Put a return's inspected, resellable items back into Shopify inventory at
+ * the tenant's return location. Each item is adjusted at most once: it is
+ * claimed before Shopify is called and the outcome is recorded on the item.
+ * Damaged items, items received with quantity 0 and untracked variants are
+ * skipped. Does nothing unless restocking is enabled for the tenant.
+ * @param {String} returnId - Return ID
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} actor - From actorFromAdmin
+ * @returns {Promise<Object>} - { enabled, results: [{ itemId, status, reason, error }] }
+ */
+export async function restockReturnItems(returnId, tenantId, actor) {
+  await connectToDatabase();
+
+  try {
+    if (!/^[0-9a-fA-F]{24}$/.test(returnId)) {
+      return null;
+    }
+
+    const settings = await getSettingsForTenant(tenantId);
+    const { enabled, locationId } = settings.restocking || {};
+
+    if (!enabled) {
+      return { enabled: false, results: [] };
+    }
+    if (!locationId) {
+      throw new Error('Restocking is enabled but no return location is set');
+    }
+
+    const returnRecord = await ReturnRequest.findOne({ _id: returnId, tenantId });
+    if (!returnRecord) {
+      return null;
+    }
+
+    const candidates = returnRecord.items.filter(item =>
+      isItemInspected(item) && !SETTLED_RESTOCK_STATUSES.includes(item.restock?.status)
+    );
+    const results = [];
+    let clients = null;
+
+    for (const item of candidates) {
+      const itemId = item.id || item._id.toString();
+      const quantity = item.receiving.receivedQuantity || 0;
+
+      // Claim the item so concurrent runs can't adjust it twice
+      const claimed = await ReturnRequest.findOneAndUpdate(
+        {
+          _id: returnId,
+          tenantId,
+          items: { $elemMatch: { _id: item._id, 'restock.status': { $nin: SETTLED_RESTOCK_STATUSES } } }
+        },
+        {
+          $set: {
+            'items.$.restock': {
+              status: 'pending',
+              quantity,
+              locationId,
+              attemptedAt: new Date(),
+              adjustedBy: actor
+            }
+          }
+        }
+      );
+      if (!claimed) {
+        continue;
+      }
+
+      let outcome;
+      if (quantity === 0) {
+        outcome = { status: 'skipped', reason: 'Nothing was received' };
+      } else if (!RESTOCKABLE_CONDITIONS.includes(item.receiving.condition)) {
+        outcome = { status: 'skipped', reason: 'Graded as not resellable' };
+      } else {
+        try {
+          clients = clients || await getShopifyClientForTenant(tenantId);
+          outcome = await adjustInventory(clients, returnRecord, item, locationId);
+        } catch (error) {
+          console.error(`Error restocking item ${itemId} of return ${returnId}:`, error);
+          outcome = { status: 'failed', error: error.message };
+        }
+      }
+
+      await ReturnRequest.updateOne(
+        { _id: returnId, tenantId, 'items._id': item._id },
+        {
+          $set: {
+            'items.$.restock.status': outcome.status,
+            'items.$.restock.reason': outcome.reason,
+            'items.$.restock.error': outcome.error,
+            'items.$.restock.inventoryItemId': outcome.inventoryItemId,
+            'items.$.restock.adjustmentGroupId': outcome.adjustmentGroupId,
+            ...(outcome.status === 'restocked' ? { 'items.$.restock.adjustedAt': new Date() } : {})
+          }
+        }
+      );
+
+      logger.info('Return item restock processed', {
+        returnId,
+        tenantId,
+        itemId,
+        quantity,
+        locationId,
+        ...outcome
+      }, LogCategory.RETURN);
+
+      results.push({ itemId, ...outcome });
+    }
+
+    return { enabled: true, results };
+  } catch (error) {
+    console.error('Error restocking return items:', error);
+    throw error;
+  }
+}
@@ -2,6 +2,25 @@
 import mongoose from 'mongoose';
 import ReturnRequest from '@/lib/db/models/ReturnRequest';
 import connectToDatabase from '@/lib/db/connection';
+import { createApiError, ErrorTypes } from '@/lib/api/errorHandler';
+import { sendEmail } from '@/lib/services/emailService';
+import { restockReturnItems } from '@/lib/services/restockService';
+import { issueReturnCredit } from '@/lib/services/creditService';
+import { getSettingsForTenant } from '@/lib/services/settingsService';
+import { nextRmaNumber } from '@/lib/services/rmaService';
+import { createLogger, LogCategory } from '@/lib/logging';
+import {
+  ReturnStatus,
+  STATUS_LABELS,
+  getAllowedTransitions,
+  getFlaggedFrom,
+  getStoredStatuses
+} from '@/lib/returns/lifecycle';
+import { allItemsInspected } from '@/lib/returns/inspection';
+import { ItemDecision, isItemRejected } from '@/lib/returns/decisions';
+import { CREDIT_METHODS, REFUND_METHOD_LABELS } from '@/lib/returns/refundMethods';
+
+const logger = createLogger('returns');
 
 /**
  * Create a new return request in the database
@@ -44,9 +63,13 @@ export async function createReturnRequest(returnData) {
     // Ensure the model is registered
     const ReturnRequestModel = mongoose.models.ReturnRequest || mongoose.model('ReturnRequest');
 
+    // Number the return before saving; the number stays with it for good
+    const rmaNumber = await nextRmaNumber(returnData.tenantId || 'default');
+
     // Create the new return request
     const newReturn = new ReturnRequestModel({
       ...returnData,
+      rmaNumber,
       createdAt: new Date(),
       updatedAt: new Date()
     });
@@ -60,6 +83,7 @@ export async function createReturnRequest(returnData) {
     
     console.log('🔍 Mongoose Model Before Save:', JSON.stringify({
       modelId: newReturn._id,
+      rmaNumber: newReturn.rmaNumber,
       status: newReturn.status,
       itemIds: newReturn.items?.map(item => item.id)
     }, null, 2));
@@ -70,6 +94,7 @@ export async function createReturnRequest(returnData) {
     
     console.log('✅ Return Saved Successfully:', JSON.stringify({
       savedId: savedReturn._id,
+      savedRmaNumber: savedReturn.rmaNumber,
       savedOrderNumber: savedReturn.orderNumber,
       savedItemCount: savedReturn.items?.length
     }, null, 2));
@@ -158,7 +183,7 @@ export async function getAllReturns(filters = {}, page = 1, limit = 10) {
     
     // Apply filters
     if (filters.status) {
-      query.status = filters.status;
+      query.status = { $in: getStoredStatuses(filters.status) };
     }
     
     if (filters.dateRange && filters.dateRange !== 'all') {
@@ -184,7 +209,8 @@ export async function getAllReturns(filters = {}, page = 1, limit = 10) {
         { 'customer.name': searchRegex },
         { 'customer.email': searchRegex },
         { orderId: searchRegex },
-        { orderNumber: searchRegex }
+        { orderNumber: searchRegex },
+        { rmaNumber: searchRegex }
       ];
     }
     
@@ -198,13 +224,20 @@ export async function getAllReturns(filters = {}, page = 1, limit = 10) {
       .limit(limit);
     
     // Calculate statistics
+    const countStatus = status => ReturnRequest.countDocuments({
+      ...query,
+      status: { $in: getStoredStatuses(status) }
+    });
     const stats = {
       totalReturns: await ReturnRequest.countDocuments({ tenantId: filters.tenantId || 'default' }),
-      pendingReturns: await ReturnRequest.countDocuments({ ...query, status: 'pending' }),
-      approvedReturns: await ReturnRequest.countDocuments({ ...query, status: 'approved' }),
-      completedReturns: await ReturnRequest.countDocuments({ ...query, status: 'completed' }),
-      flaggedReturns: await ReturnRequest.countDocuments({ ...query, status: 'flagged' }),
-      rejectedReturns: await ReturnRequest.countDocuments({ ...query, status: 'rejected' })
+      requestedReturns: await countStatus(ReturnStatus.REQUESTED),
+      approvedReturns: await countStatus(ReturnStatus.APPROVED),
+      inTransitReturns: await countStatus(ReturnStatus.IN_TRANSIT),
+      receivedReturns: await countStatus(ReturnStatus.RECEIVED),
+      refundedReturns: await countStatus(ReturnStatus.REFUNDED),
+      exchangedReturns: await countStatus(ReturnStatus.EXCHANGED),
+      flaggedReturns: await countStatus(ReturnStatus.FLAGGED),
+      rejectedReturns: await countStatus(ReturnStatus.REJECTED)
     };
     
     return {
@@ -220,26 +253,257 @@ export async function getAllReturns(filters = {}, page = 1, limit = 10) {
   }
 }
 
+// Conditions a return must meet before it may enter a status. Each returns
+// an error message, or null when the transition may go ahead.
+const STATUS_GUARDS = {
+  [ReturnStatus.APPROVED]: ({ returnRecord }) => (
+    returnRecord.items.every(isItemRejected)
+      ? 'Every item on this return has been rejected; reject the return instead'
+      : null
+  ),
+  [ReturnStatus.REJECTED]: ({ notes }) => (
+    notes ? null : 'A reason is required to reject a return'
+  ),
+  [ReturnStatus.IN_TRANSIT]: ({ returnRecord, trackingNumber }) => (
+    trackingNumber || returnRecord.trackingNumber
+      ? null
+      : 'A tracking number is required to mark a return as in transit'
+  ),
+  [ReturnStatus.INSPECTED]: ({ returnRecord }) => (
+    allItemsInspected(returnRecord.items)
+      ? null
+      : 'Every item must be inspected before the return is marked as inspected'
+  ),
+  [ReturnStatus.REFUNDED]: ({ returnRecord }) => {
+    if (!returnRecord.items.some(item => item.returnOption !== 'exchange' && !isItemRejected(item))) {
+      return 'Only returns with items sent back for a refund can be refunded';
+    }
+    if (CREDIT_METHODS.includes(returnRecord.refundMethod)) {
+      return returnRecord.credit?.status === 'issued'
+        ? null
+        : `Issue the ${REFUND_METHOD_LABELS[returnRecord.refundMethod].toLowerCase()} before marking the return as refunded`;
+    }
+    return returnRecord.refunds?.length > 0
+      ? null
+      : 'Issue a refund before marking the return as refunded';
+  },
+  [ReturnStatus.EXCHANGED]: ({ returnRecord }) => (
+    returnRecord.items.some(item => item.returnOption === 'exchange' && !isItemRejected(item))
+      ? null
+      : 'Only returns with items sent back for an exchange can be exchanged'
+  )
+};
+
+// Customer emails for statuses they need to hear about
+const CUSTOMER_MESSAGES = {
+  [ReturnStatus.APPROVED]: {
+    subject: 'Your return has been approved',
+    text: 'Your return has been approved. Please send the items back to us.'
+  },
+  [ReturnStatus.REJECTED]: {
+    subject: 'Your return could not be accepted',
+    text: 'Unfortunately we could not accept your return.'
+  },
+  [ReturnStatus.REFUNDED]: {
+    subject: 'Your refund is on its way',
+    text: 'We have received your items and refunded your return.'
+  },
+  [ReturnStatus.EXCHANGED]: {
+    subject: 'Your exchange is on its way',
+    text: 'We have received your items and sent out your exchange.'
+  }
+};
+
+async function notifyCustomer(returnRecord, { notes }) {
+  const message = CUSTOMER_MESSAGES[returnRecord.status];
+  if (!message || !returnRecord.customer?.email) return;
+
+  const order = returnRecord.orderNumber || returnRecord.orderId;
+  const reference = returnRecord.rmaNumber ? `return ${returnRecord.rmaNumber}, order ${order}` : `order ${order}`;
+  // Approved parcels are matched to the return by the RMA number on them
+  const parcelNote = returnRecord.status === ReturnStatus.APPROVED && returnRecord.rmaNumber
+    ? `\n\nPlease write your return number ${returnRecord.rmaNumber} on the parcel.`
+    : '';
+  const reason = returnRecord.status === ReturnStatus.REJECTED && notes ? `\n\nReason: ${notes}` : '';
+  // A partly approved return lists what we are not taking back
+  const rejectedItems = returnRecord.status === ReturnStatus.APPROVED
+    ? returnRecord.items.filter(isItemRejected)
+    : [];
+  const rejected = rejectedItems.length > 0
+    ? `\n\nWe could not accept these items, so please don't send them:\n${rejectedItems
+      .map(item => `- ${item.title}${item.decision.reason ? `: ${item.decision.reason}` : ''}`)
+      .join('\n')}`
+    : '';
+
+  await sendEmail({
+    to: returnRecord.customer.email,
+    subject: `${message.subject} (${reference})`,
+    text: `${message.text}${parcelNote}${reason}${rejected}`
+  });
+}
+
+async function restockItems(returnRecord, { actor }) {
+  await restockReturnItems(returnRecord._id.toString(), returnRecord.tenantId, actor);
+}
+
+// Store credit and gift cards go out at the point in the return the tenant chose
+async function issueCredit(returnRecord, { actor }) {
+  if (!CREDIT_METHODS.includes(returnRecord.refundMethod) || returnRecord.credit?.status) return;
+
+  const settings = await getSettingsForTenant(returnRecord.tenantId);
+  if ((settings.refundMethods?.issueCreditOn || ReturnStatus.RECEIVED) !== returnRecord.status) return;
+
+  await issueReturnCredit(returnRecord._id.toString(), returnRecord.tenantId, actor);
+}
+
+// Side effects run once a transition is saved. A failing hook is logged
+// but does not undo the transition.
+const STATUS_HOOKS = {
+  [ReturnStatus.APPROVED]: [notifyCustomer, issueCredit],
+  [ReturnStatus.RECEIVED]: [issueCredit],
+  [ReturnStatus.INSPECTED]: [restockItems],
+  [ReturnStatus.REJECTED]: [notifyCustomer],
+  [ReturnStatus.REFUNDED]: [notifyCustomer],
+  [ReturnStatus.EXCHANGED]: [notifyCustomer]
+};
+
+// Deciding a whole return decides its items: approving it approves the
+// items nobody has decided on, rejecting it rejects them all
+const ITEM_DECISIONS_FOR_STATUS = {
+  [ReturnStatus.APPROVED]: {
+    decision: ItemDecision.APPROVED,
+    filter: { 'open.decision.status': { $exists: false } }
+  },
+  [ReturnStatus.REJECTED]: {
+    decision: ItemDecision.REJECTED,
+    filter: { 'open.decision.status': { $ne: ItemDecision.REJECTED } }
+  }
+};
+
 /**
- * Update a return's status
+ * Describe the admin or API key behind a request for a return's status history
+ * @param {Object} admin - req.admin from withAdminAuth
+ * @returns {Object} - { id, type, name }
+ */
+export function actorFromAdmin(admin) {
+  if (!admin) {
+    return { id: 'system', type: 'system', name: 'System' };
+  }
+  return {
+    id: admin.apiKeyId || String(admin.id),
+    type: admin.apiKeyId ? 'api-key' : 'admin',
+    name: admin.name || admin.email
+  };
+}
+
+/**
+ * Move a return to a new status. The move must be allowed by the return
+ * lifecycle and pass that status's guard; it is recorded in the status
+ * history with the acting user, and the status's hooks run afterwards.
+ * Approving or rejecting a return also decides its items.
  * @param {String} id - Return ID
+ * @param {String} tenantId - Tenant ID
  * @param {String} status - New status
- * @param {String} adminNotes - Admin notes
- * @param {String} updatedBy - User who updated the status
- * @returns {Promise<Object>} - Updated return
+ * @param {Object} options - { notes, actor from actorFromAdmin, trackingNumber }
+ * @returns {Promise<Object>} - Updated return, or null if it doesn't exist
  */
-export async function updateReturnStatus(id, status, adminNotes, updatedBy = 'admin') {
+export async function updateReturnStatus(id, tenantId, status, { notes = '', actor, trackingNumber } = {}) {
   await connectToDatabase();
   
   try {
-    const returnRecord = await ReturnRequest.findById(id);
+    if (!/^[0-9a-fA-F]{24}$/.test(id)) {
+      return null;
+    }
     
+    const returnRecord = await ReturnRequest.findOne({ _id: id, tenantId });
     if (!returnRecord) {
-      throw new Error('Return not found');
+      return null;
+    }
+    
+    const from = returnRecord.status;
+    const allowed = getAllowedTransitions(from, getFlaggedFrom(returnRecord.statusHistory));
+    
+    if (!allowed.includes(status)) {
+      throw createApiError(
+        ErrorTypes.CONFLICT,
+        `A ${STATUS_LABELS[from] || from} return cannot be moved to ${STATUS_LABELS[status] || status}`,
+        { from, to: status, allowed }
+      );
+    }
+    
+    const guardError = STATUS_GUARDS[status]?.({ returnRecord, notes, trackingNumber });
+    if (guardError) {
+      throw createApiError(ErrorTypes.CONFLICT, guardError, { from, to: status, allowed });
+    }
+    
+    const by = actor || actorFromAdmin(null);
+    const now = new Date();
+    const update = {
+      $set: {
+        status,
+        updatedAt: now,
+        ...(notes ? { adminNotes: notes } : {}),
+        ...(trackingNumber ? { trackingNumber } : {}),
+        ...([ReturnStatus.REFUNDED, ReturnStatus.EXCHANGED].includes(status) ? { processedAt: now } : {})
+      },
+      $push: {
+        statusHistory: {
+          status,
+          from,
+          timestamp: now,
+          notes,
+          updatedBy: by.name || by.id,
+          actor: by
+        }
+      }
+    };
+    
+    const itemDecisions = ITEM_DECISIONS_FOR_STATUS[status];
+    if (itemDecisions) {
+      update.$set['items.$[open].decision'] = {
+        status: itemDecisions.decision,
+        ...(status === ReturnStatus.REJECTED ? { reason: notes } : {}),
+        decidedAt: now,
+        decidedBy: by
+      };
+    }
+    
+    // Only apply if nobody else changed the status since it was read
+    const updated = await ReturnRequest.findOneAndUpdate(
+      { _id: id, tenantId, status: { $in: getStoredStatuses(from) } },
+      update,
+      {
+        new: true,
+        runValidators: true,
+        ...(itemDecisions ? { arrayFilters: [itemDecisions.filter] } : {})
+      }
+    );
+    
+    if (!updated) {
+      throw createApiError(
+        ErrorTypes.CONFLICT,
+        'This return was updated by someone else. Reload it and try again.',
+        { from, to: status, allowed }
+      );
+    }
+    
+    logger.info('Return status changed', {
+      returnId: id,
+      tenantId,
+      from,
+      to: status,
+      actor: by
+    }, LogCategory.RETURN);
+    
+    for (const hook of STATUS_HOOKS[status] || []) {
+      try {
+        await hook(updated, { from, notes, actor: by });
+      } catch (hookError) {
+        console.error(`Error running ${status} hook for return ${id}:`, hookError);
+      }
     }
     
-    // Use the method we defined in the model
-    return returnRecord.updateStatus(status, adminNotes, updatedBy);
+    return updated;
   } catch (error) {
     console.error('Error updating return status:', error);
     throw error;
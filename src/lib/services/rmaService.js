@@ -0,0 +1,42 @@
+// src/lib/services/rmaService.js
+import Counter from '@/lib/db/models/Counter';
+import connectToDatabase from '@/lib/db/connection';
+import { getTenantById } from '@/lib/services/tenantService';
+import { getRmaPrefix, formatRmaNumber } from '@/lib/returns/rma';
+
+const RMA_COUNTER = 'rma';
+
+/**
+ * Reserve the next RMA number for a tenant. The counter is incremented
+ * atomically, so concurrent returns never get the same number; a number
+ * reserved for a return that then fails to save is skipped, not reused.
+ * @param {String} tenantId - Tenant ID
+ * @returns {Promise<String>} - e.g. ACME-R-001234
+ */
+export async function nextRmaNumber(tenantId = 'default') {
+  await connectToDatabase();
+
+  try {
+    const increment = () => Counter.findOneAndUpdate(
+      { tenantId, name: RMA_COUNTER },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+
+    let counter;
+    try {
+      counter = await increment();
+    } catch (error) {
+      // Two first returns for a tenant can race to create the counter;
+      // the loser's upsert fails and the retry increments the winner's
+      if (error.code !== 11000) throw error;
+      counter = await increment();
+    }
+
+    const tenant = await getTenantById(tenantId);
+    return formatRmaNumber(getRmaPrefix(tenant || { tenantId }), counter.seq);
+  } catch (error) {
+    console.error('Error reserving RMA number:', error);
+    throw error;
+  }
+}
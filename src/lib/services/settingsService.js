@@ -0,0 +1,183 @@
+// src/lib/services/settingsService.js
+import Setting from '@/lib/db/models/Setting';
+import connectToDatabase from '@/lib/db/connection';
+import { tenantConfigs } from '@/lib/tenant/config';
+import { ALL_TENANTS } from '@/lib/admin/tenantAccess';
+
+// Fields that clients may never overwrite through an update
+const PROTECTED_FIELDS = ['_id', '__v', 'tenantId', 'createdAt', 'updatedAt'];
+
+/**
+ * Build the initial settings for a tenant from the static tenant configuration
+ * @param {String} tenantId - Tenant ID
+ * @returns {Object} - Settings used to seed the Setting document
+ */
+function getSeedSettings(tenantId) {
+  const tenantConfig = tenantConfigs[tenantId] || tenantConfigs.default;
+  return { ...(tenantConfig.settings || {}) };
+}
+
+/**
+ * Convert a Setting document into the plain object returned to callers
+ * @param {Object} settingDoc - Mongoose document
+ * @returns {Object} - Plain settings object
+ */
+function toSettingsObject(settingDoc) {
+  const settings = settingDoc.toObject();
+  delete settings._id;
+  delete settings.__v;
+  return settings;
+}
+
+/**
+ * Merge an update into the current settings, keeping nested groups intact
+ * so a partial update of e.g. fraudPrevention does not wipe sibling fields
+ * @param {Object} current - Current settings
+ * @param {Object} updates - Requested changes
+ * @returns {Object} - Merged settings
+ */
+function mergeSettings(current, updates) {
+  const merged = { ...current, ...updates };
+
+  if (updates.fraudPrevention) {
+    merged.fraudPrevention = {
+      ...(current.fraudPrevention || {}),
+      ...updates.fraudPrevention,
+      suspiciousPatterns: {
+        ...(current.fraudPrevention?.suspiciousPatterns || {}),
+        ...(updates.fraudPrevention.suspiciousPatterns || {})
+      }
+    };
+  }
+
+  if (updates.security) {
+    merged.security = {
+      ...(current.security || {}),
+      ...updates.security
+    };
+  }
+
+  if (updates.restocking) {
+    merged.restocking = {
+      ...(current.restocking || {}),
+      ...updates.restocking
+    };
+  }
+
+  // The options list is replaced as a whole
+  if (updates.refundMethods) {
+    merged.refundMethods = {
+      ...(current.refundMethods || {}),
+      ...updates.refundMethods
+    };
+  }
+
+  // Rules and waived reasons are replaced as a whole
+  if (updates.fees) {
+    merged.fees = {
+      ...(current.fees || {}),
+      ...updates.fees
+    };
+  }
+
+  if (updates.shipping) {
+    merged.shipping = {
+      ...(current.shipping || {}),
+      ...updates.shipping,
+      returnAddress: {
+        ...(current.shipping?.returnAddress || {}),
+        ...(updates.shipping.returnAddress || {})
+      }
+    };
+  }
+
+  return merged;
+}
+
+/**
+ * Load the settings document for a tenant, seeding it on first access
+ * @param {String} tenantId - Tenant ID
+ * @returns {Promise<Object>} - Mongoose document
+ */
+async function findOrCreateSettingDoc(tenantId) {
+  const existing = await Setting.findOne({ tenantId });
+  if (existing) {
+    return existing;
+  }
+
+  try {
+    return await Setting.create({ tenantId, ...getSeedSettings(tenantId) });
+  } catch (error) {
+    // Another request seeded the document first
+    if (error.code === 11000) {
+      return Setting.findOne({ tenantId });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the persisted settings for a tenant
+ * @param {String} tenantId - Tenant ID
+ * @returns {Promise<Object>} - Tenant settings
+ */
+export async function getSettingsForTenant(tenantId = 'default') {
+  await connectToDatabase();
+
+  try {
+    const settingDoc = await findOrCreateSettingDoc(tenantId);
+    return toSettingsObject(settingDoc);
+  } catch (error) {
+    console.error('Error fetching tenant settings:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update the persisted settings for a tenant
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} updates - Settings to change
+ * @returns {Promise<Object>} - Updated tenant settings
+ */
+export async function updateSettingsForTenant(tenantId = 'default', updates = {}) {
+  await connectToDatabase();
+
+  try {
+    const settingDoc = await findOrCreateSettingDoc(tenantId);
+
+    const sanitizedUpdates = { ...updates };
+    PROTECTED_FIELDS.forEach(field => delete sanitizedUpdates[field]);
+
+    settingDoc.set(mergeSettings(toSettingsObject(settingDoc), sanitizedUpdates));
+
+    // Runs schema validation (ranges, types) before persisting
+    await settingDoc.save();
+
+    return toSettingsObject(settingDoc);
+  } catch (error) {
+    console.error('Error updating tenant settings:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check whether any of the given tenants requires admins to use two-factor
+ * authentication. Tenants that never saved settings use the default (off).
+ * @param {Array<String>} tenants - Tenant IDs, possibly including ALL_TENANTS
+ * @returns {Promise<Boolean>} - Whether two-factor authentication is required
+ */
+export async function isTwoFactorRequired(tenants = []) {
+  await connectToDatabase();
+
+  try {
+    const query = { 'security.requireTwoFactor': true };
+    if (!tenants.includes(ALL_TENANTS)) {
+      query.tenantId = { $in: tenants };
+    }
+
+    return !!(await Setting.exists(query));
+  } catch (error) {
+    console.error('Error checking two-factor requirement:', error);
+    throw error;
+  }
+}
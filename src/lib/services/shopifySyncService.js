@@ -2,6 +2,10 @@
 import { getShopifyClientForTenant } from '@/lib/shopify/client';
 import ReturnRequest from '@/lib/db/models/ReturnRequest';
 import connectToDatabase from '@/lib/db/connection';
+import { nextRmaNumber } from '@/lib/services/rmaService';
+import { ReturnStatus, canTransition, getFlaggedFrom } from '@/lib/returns/lifecycle';
+
+const SYNC_ACTOR = { id: 'shopify-sync', type: 'system', name: 'Shopify sync' };
 
 /**
  * Synchronize returns from Shopify to MongoDB
@@ -83,24 +87,26 @@ export async function syncReturnsFromShopify(tenantId = 'default', daysBack = 90
         const items = extractReturnItems(order);
         
         if (existingReturn) {
+          // Shopify can only move a return along its lifecycle, never back
+          const from = existingReturn.status;
+          const statusChanged = from !== status &&
+            canTransition(from, status, getFlaggedFrom(existingReturn.statusHistory));
+          
           // Update only if there are changes
-          if (
-            existingReturn.status !== status || 
-            existingReturn.items.length !== items.length
-          ) {
-            existingReturn.status = status;
-            existingReturn.items = items;
-            existingReturn.updatedAt = new Date();
-            
-            // Add status history entry if status changed
-            if (existingReturn.status !== status) {
+          if (statusChanged || existingReturn.items.length !== items.length) {
+            if (statusChanged) {
+              existingReturn.status = status;
               existingReturn.statusHistory.push({
                 status,
+                from,
                 timestamp: new Date(),
                 notes: 'Updated from Shopify sync',
-                updatedBy: 'system'
+                updatedBy: SYNC_ACTOR.name,
+                actor: SYNC_ACTOR
               });
             }
+            existingReturn.items = items;
+            existingReturn.updatedAt = new Date();
             
             await existingReturn.save();
             results.updated++;
@@ -110,6 +116,7 @@ export async function syncReturnsFromShopify(tenantId = 'default', daysBack = 90
         } else {
           // Create a new return record
           const returnData = {
+            rmaNumber: await nextRmaNumber(tenantId),
             orderId: order.order_number.toString(),
             orderNumber: order.order_number.toString(),
             shopifyOrderId: order.id.toString(),
@@ -126,7 +133,8 @@ export async function syncReturnsFromShopify(tenantId = 'default', daysBack = 90
               status,
               timestamp: new Date(),
               notes: 'Created from Shopify sync',
-              updatedBy: 'system'
+              updatedBy: SYNC_ACTOR.name,
+              actor: SYNC_ACTOR
             }],
             totalRefundAmount: calculateTotalRefund(order),
             tenantId
@@ -235,25 +243,26 @@ function determineReturnStatus(order) {
   // Define status mappings
   const statusMappings = {
     // Norwegian status terms
-    'ferdig': 'completed',
-    'sluttført': 'completed',
-    'refundert': 'completed',
-    'godkjent': 'approved',
-    'avvist': 'rejected',
-    'flagget': 'flagged',
-    'pågår': 'pending',
-    'delvis': 'approved', // "partially" typically means approved but not completed
+    'ferdig': ReturnStatus.REFUNDED,
+    'sluttført': ReturnStatus.REFUNDED,
+    'refundert': ReturnStatus.REFUNDED,
+    'godkjent': ReturnStatus.APPROVED,
+    'avvist': ReturnStatus.REJECTED,
+    'flagget': ReturnStatus.FLAGGED,
+    'pågår': ReturnStatus.REQUESTED,
+    'delvis': ReturnStatus.APPROVED, // "partially" typically means approved but not refunded
     
     // English status terms
-    'completed': 'completed',
-    'approved': 'approved',
-    'rejected': 'rejected',
-    'flagged': 'flagged',
-    'pending': 'pending'
+    'completed': ReturnStatus.REFUNDED,
+    'refunded': ReturnStatus.REFUNDED,
+    'approved': ReturnStatus.APPROVED,
+    'rejected': ReturnStatus.REJECTED,
+    'flagged': ReturnStatus.FLAGGED,
+    'pending': ReturnStatus.REQUESTED
   };
   
   // Start with default status
-  let status = 'pending';
+  let status = ReturnStatus.REQUESTED;
   
   // Check tags first
   for (const [keyword, mappedStatus] of Object.entries(statusMappings)) {
@@ -265,22 +274,22 @@ function determineReturnStatus(order) {
   
   // Financial status indicators
   if (financialStatus === 'refunded') {
-    status = 'completed';
+    status = ReturnStatus.REFUNDED;
   } else if (financialStatus === 'partially_refunded') {
-    if (status === 'pending') {
-      status = 'approved';
+    if (status === ReturnStatus.REQUESTED) {
+      status = ReturnStatus.APPROVED;
     }
   }
   
   // Explicit return tags override other indicators
   if (tagsArray.includes('return-approved') || tagsArray.includes('retur-godkjent')) {
-    status = 'approved';
+    status = ReturnStatus.APPROVED;
   } else if (tagsArray.includes('return-flagged') || tagsArray.includes('retur-flagget')) {
-    status = 'flagged';
+    status = ReturnStatus.FLAGGED;
   } else if (tagsArray.includes('return-rejected') || tagsArray.includes('retur-avvist')) {
-    status = 'rejected';
+    status = ReturnStatus.REJECTED;
   } else if (tagsArray.includes('return-completed') || tagsArray.includes('retur-fullført')) {
-    status = 'completed';
+    status = ReturnStatus.REFUNDED;
   }
   
   return status;
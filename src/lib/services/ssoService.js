@@ -0,0 +1,289 @@
+// src/lib/services/ssoService.js
+import SsoConfig from '@/lib/db/models/SsoConfig';
+import AdminUser from '@/lib/db/models/AdminUser';
+import connectToDatabase from '@/lib/db/connection';
+import {
+  storeOidcClientSecret,
+  getOidcClientSecret,
+  deleteOidcClientSecret
+} from '@/lib/services/credentialService';
+import { createLogger, LogCategory } from '@/lib/logging';
+
+const logger = createLogger('sso');
+
+// NextAuth provider IDs are `oidc-<tenantId>`
+export const SSO_PROVIDER_PREFIX = 'oidc-';
+
+// Highest first, so a user in several mapped groups gets the strongest role
+const ROLE_ORDER = ['admin', 'manager', 'staff'];
+
+// Sign-in failures, shown on the login page as ?error=<code>
+export const SsoErrors = {
+  EMAIL_MISSING: 'SsoEmailMissing',
+  DOMAIN_NOT_ALLOWED: 'SsoDomainNotAllowed',
+  NOT_PROVISIONED: 'SsoNotProvisioned',
+  ACCOUNT_CONFLICT: 'SsoAccountConflict',
+  ACCOUNT_DISABLED: 'SsoAccountDisabled'
+};
+
+const EDITABLE_FIELDS = [
+  'enabled', 'displayName', 'issuer', 'clientId', 'scopes', 'autoProvision',
+  'defaultRole', 'groupClaim', 'roleMappings', 'allowedDomains'
+];
+
+/**
+ * Get the NextAuth provider ID for a tenant's SSO
+ * @param {String} tenantId - Tenant ID
+ * @returns {String} - Provider ID
+ */
+export function getSsoProviderId(tenantId) {
+  return `${SSO_PROVIDER_PREFIX}${tenantId}`;
+}
+
+/**
+ * Get the tenant behind an SSO provider ID
+ * @param {String} providerId - NextAuth provider ID
+ * @returns {String|null} - Tenant ID, or null for other providers
+ */
+export function getSsoTenantId(providerId) {
+  return typeof providerId === 'string' && providerId.startsWith(SSO_PROVIDER_PREFIX)
+    ? providerId.slice(SSO_PROVIDER_PREFIX.length)
+    : null;
+}
+
+/**
+ * Shape a tenant's SSO configuration for API responses
+ * @param {Object} config - SsoConfig document
+ * @param {Object|null} secret - Result of getOidcClientSecret
+ * @returns {Object} - Configuration without the client secret
+ */
+export function toPublicSsoConfig(config, secret) {
+  return {
+    enabled: config.enabled,
+    displayName: config.displayName,
+    issuer: config.issuer,
+    clientId: config.clientId,
+    scopes: config.scopes,
+    autoProvision: config.autoProvision,
+    defaultRole: config.defaultRole,
+    groupClaim: config.groupClaim,
+    roleMappings: {
+      admin: config.roleMappings?.admin || [],
+      manager: config.roleMappings?.manager || [],
+      staff: config.roleMappings?.staff || []
+    },
+    allowedDomains: config.allowedDomains,
+    clientSecretSet: !!secret,
+    clientSecretLast4: secret?.last4,
+    updatedAt: config.updatedAt,
+    updatedBy: config.updatedBy
+  };
+}
+
+/**
+ * Get a tenant's SSO configuration
+ * @param {String} tenantId - Tenant ID
+ * @returns {Promise<Object|null>} - SsoConfig document
+ */
+export async function getSsoConfig(tenantId) {
+  await connectToDatabase();
+
+  try {
+    return await SsoConfig.findOne({ tenantId });
+  } catch (error) {
+    console.error('Error fetching SSO config:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create or update a tenant's SSO configuration
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} updates - Fields to change, plus clientSecret to rotate the secret
+ * @param {String} updatedBy - Who made the change
+ * @returns {Promise<Object>} - Saved SsoConfig document
+ */
+export async function saveSsoConfig(tenantId, updates = {}, updatedBy = 'system') {
+  await connectToDatabase();
+
+  try {
+    const config = (await SsoConfig.findOne({ tenantId })) || new SsoConfig({ tenantId });
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) {
+        config[field] = updates[field];
+      }
+    });
+    config.updatedBy = updatedBy;
+
+    await config.save();
+
+    if (updates.clientSecret) {
+      await storeOidcClientSecret(tenantId, updates.clientSecret, updatedBy);
+    }
+
+    return config;
+  } catch (error) {
+    console.error('Error saving SSO config:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a tenant's SSO configuration and client secret. Users it created
+ * keep their accounts but can no longer sign in with SSO.
+ * @param {String} tenantId - Tenant ID
+ * @returns {Promise<Boolean>} - Whether a configuration was removed
+ */
+export async function deleteSsoConfig(tenantId) {
+  await connectToDatabase();
+
+  try {
+    const result = await SsoConfig.deleteOne({ tenantId });
+    await deleteOidcClientSecret(tenantId);
+    return result.deletedCount > 0;
+  } catch (error) {
+    console.error('Error deleting SSO config:', error);
+    throw error;
+  }
+}
+
+/**
+ * Build the NextAuth provider for a tenant's SSO, if it's enabled and complete
+ * @param {String} tenantId - Tenant ID
+ * @returns {Promise<Object|null>} - NextAuth OAuth provider options
+ */
+export async function getSsoProvider(tenantId) {
+  const config = await getSsoConfig(tenantId);
+  if (!config?.enabled) {
+    return null;
+  }
+
+  const secret = await getOidcClientSecret(tenantId);
+  if (!secret) {
+    return null;
+  }
+
+  return {
+    id: getSsoProviderId(tenantId),
+    name: config.displayName,
+    type: 'oauth',
+    wellKnown: `${config.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`,
+    clientId: config.clientId,
+    clientSecret: secret.clientSecret,
+    authorization: { params: { scope: config.scopes } },
+    idToken: true,
+    checks: ['pkce', 'state'],
+    profile(profile) {
+      return {
+        id: profile.sub,
+        email: profile.email,
+        name: profile.name || profile.preferred_username
+      };
+    }
+  };
+}
+
+/**
+ * Pick a role from the user's IdP groups
+ * @param {Object} config - SsoConfig document
+ * @param {Object} profile - ID token claims
+ * @returns {String} - Admin role
+ */
+export function resolveSsoRole(config, profile) {
+  const claim = profile?.[config.groupClaim || 'groups'];
+  const groups = Array.isArray(claim) ? claim.map(String) : claim ? [String(claim)] : [];
+
+  const mapped = ROLE_ORDER.find(role =>
+    (config.roleMappings?.[role] || []).some(group => groups.includes(group))
+  );
+  return mapped || config.defaultRole;
+}
+
+/**
+ * Find or create the admin user for an SSO sign-in, and bring their role in
+ * line with their IdP groups.
+ *
+ * An existing password account is only linked when it belongs to this tenant
+ * alone, so one tenant's IdP can never sign someone into another tenant.
+ * @param {String} tenantId - Tenant whose IdP vouched for the user
+ * @param {Object} profile - ID token claims
+ * @returns {Promise<Object>} - { user } on success, or { error } with a code from SsoErrors
+ */
+export async function provisionSsoUser(tenantId, profile) {
+  const config = await getSsoConfig(tenantId);
+  if (!config?.enabled) {
+    return { error: SsoErrors.NOT_PROVISIONED };
+  }
+
+  const email = String(profile?.email || '').trim().toLowerCase();
+  if (!email || profile.email_verified === false) {
+    return { error: SsoErrors.EMAIL_MISSING };
+  }
+
+  const domain = email.split('@')[1];
+  const allowedDomains = (config.allowedDomains || []).map(item => item.toLowerCase());
+  if (allowedDomains.length > 0 && !allowedDomains.includes(domain)) {
+    return { error: SsoErrors.DOMAIN_NOT_ALLOWED };
+  }
+
+  try {
+    const role = resolveSsoRole(config, profile);
+    const subject = String(profile.sub);
+
+    let user = await AdminUser.findOne({ 'sso.tenantId': tenantId, 'sso.subject': subject });
+
+    if (!user) {
+      user = await AdminUser.findOne({ email });
+
+      if (user) {
+        const tenants = user.tenants || [];
+        if (tenants.length !== 1 || tenants[0] !== tenantId) {
+          logger.warn('SSO sign-in matched an account outside the tenant', {
+            tenantId,
+            email
+          }, LogCategory.SECURITY);
+          return { error: SsoErrors.ACCOUNT_CONFLICT };
+        }
+
+        user.sso = { tenantId, subject };
+      } else if (config.autoProvision) {
+        user = new AdminUser({
+          email,
+          name: profile.name || profile.preferred_username,
+          role,
+          tenants: [tenantId],
+          sso: { tenantId, subject },
+          invitedBy: `sso:${tenantId}`
+        });
+
+        logger.info('Admin user provisioned by SSO', { tenantId, email, role }, LogCategory.SECURITY);
+      } else {
+        return { error: SsoErrors.NOT_PROVISIONED };
+      }
+    }
+
+    if (!user.isActive) {
+      return { error: SsoErrors.ACCOUNT_DISABLED };
+    }
+
+    // The IdP is the source of truth for roles
+    if (user.role !== role) {
+      logger.info('Admin role updated from SSO groups', {
+        tenantId,
+        email,
+        from: user.role,
+        to: role
+      }, LogCategory.SECURITY);
+      user.role = role;
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    return { user };
+  } catch (error) {
+    console.error('Error provisioning SSO user:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,111 @@
+// src/lib/services/storageService.js
+import StorageEntry from '@/lib/db/models/StorageEntry';
+import connectToDatabase from '@/lib/db/connection';
+import { createApiError, ErrorTypes } from '@/lib/api/errorHandler';
+
+// Longest lifetime a caller may request for a single entry
+export const MAX_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+/**
+ * Build the query matching an owner's entries, excluding ones past their TTL
+ * that MongoDB has not removed yet
+ */
+function ownerQuery(tenantId, userId) {
+  return {
+    tenantId,
+    userId: userId || null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  };
+}
+
+function entryQuery(key, tenantId, userId) {
+  return { ...ownerQuery(tenantId, userId), key };
+}
+
+/**
+ * Get a stored value
+ * @param {String} key - Storage key
+ * @param {String} tenantId - Tenant ID
+ * @param {String|null} userId - Owner, or null for a tenant-wide entry
+ * @param {*} defaultValue - Returned when the key is missing or expired
+ * @returns {Promise<*>} - Stored value
+ */
+export async function getStorageValue(key, tenantId = 'default', userId = null, defaultValue = null) {
+  await connectToDatabase();
+
+  try {
+    const entry = await StorageEntry.findOne(entryQuery(key, tenantId, userId)).lean();
+    return entry ? entry.value : defaultValue;
+  } catch (error) {
+    console.error(`Error getting storage key "${key}":`, error);
+    throw error;
+  }
+}
+
+/**
+ * Store a value, replacing any previous value for the key
+ * @param {String} key - Storage key
+ * @param {*} value - JSON-serializable value
+ * @param {String} tenantId - Tenant ID
+ * @param {String|null} userId - Owner, or null for a tenant-wide entry
+ * @param {Object} options - { ttlSeconds } to expire the entry, { maxEntries } to
+ *   cap how many keys the owner may hold
+ * @returns {Promise<Boolean>} - Success status
+ */
+export async function setStorageValue(key, value, tenantId = 'default', userId = null, options = {}) {
+  await connectToDatabase();
+
+  try {
+    // Replacing an existing key never counts against the cap
+    if (options.maxEntries && !(await StorageEntry.exists(entryQuery(key, tenantId, userId)))) {
+      const entryCount = await StorageEntry.countDocuments(ownerQuery(tenantId, userId));
+      if (entryCount >= options.maxEntries) {
+        throw createApiError(
+          ErrorTypes.TOO_MANY_REQUESTS,
+          `Storage is limited to ${options.maxEntries} keys`,
+          { maxEntries: options.maxEntries }
+        );
+      }
+    }
+
+    const ttlSeconds = options.ttlSeconds ? Math.min(options.ttlSeconds, MAX_TTL_SECONDS) : null;
+    const now = new Date();
+
+    await StorageEntry.updateOne(
+      { tenantId, userId: userId || null, key },
+      {
+        $set: {
+          value,
+          expiresAt: ttlSeconds ? new Date(now.getTime() + ttlSeconds * 1000) : null,
+          updatedAt: now
+        },
+        $setOnInsert: { createdAt: now }
+      },
+      { upsert: true }
+    );
+
+    return true;
+  } catch (error) {
+    console.error(`Error setting storage key "${key}":`, error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a stored value
+ * @param {String} key - Storage key
+ * @param {String} tenantId - Tenant ID
+ * @param {String|null} userId - Owner, or null for a tenant-wide entry
+ * @returns {Promise<Boolean>} - Whether an entry was removed
+ */
+export async function removeStorageValue(key, tenantId = 'default', userId = null) {
+  await connectToDatabase();
+
+  try {
+    const result = await StorageEntry.deleteOne({ tenantId, userId: userId || null, key });
+    return result.deletedCount > 0;
+  } catch (error) {
+    console.error(`Error removing storage key "${key}":`, error);
+    throw error;
+  }
+}
@@ -1,6 +1,7 @@
 import { getShopifyClientForTenant } from '@/lib/shopify/client';
 import ReturnRequest from '@/lib/db/models/ReturnRequest';
 import connectToDatabase from '@/lib/db/connection';
+import { ReturnStatus, getStoredStatuses } from '@/lib/returns/lifecycle';
 
 export async function syncReturnsWithShopify(tenantId = 'default') {
   await connectToDatabase();
@@ -13,7 +14,7 @@ export async function syncReturnsWithShopify(tenantId = 'default') {
     // Get returns that need status update
     const pendingReturns = await ReturnRequest.find({ 
       tenantId,
-      status: { $in: ['pending', 'approved'] }
+      status: { $in: [...getStoredStatuses(ReturnStatus.REQUESTED), ReturnStatus.APPROVED] }
     }).limit(100);
     
     for (const returnRequest of pendingReturns) {
@@ -0,0 +1,397 @@
+// src/lib/services/tenantService.js
+import Tenant from '@/lib/db/models/Tenant';
+import TenantDomain from '@/lib/db/models/TenantDomain';
+import connectToDatabase from '@/lib/db/connection';
+import { tenantConfigs } from '@/lib/tenant/config';
+import { storeShopifyCredentials } from '@/lib/services/credentialService';
+import { isEncryptionConfigured } from '@/lib/security/envelope';
+
+// Tenant lookups happen on nearly every request, so keep them briefly in memory
+const TENANT_CACHE_TTL_MS = 60 * 1000;
+const tenantCache = new Map();
+
+// Fields that clients may never overwrite through an update
+const PROTECTED_FIELDS = ['_id', '__v', 'tenantId', 'createdAt', 'updatedAt'];
+
+/**
+ * Build a Tenant document from the static seed configuration
+ * @param {String} tenantId - Tenant ID
+ * @returns {Object|null} - Tenant data, or null if there is no seed for it
+ */
+function getSeedTenant(tenantId) {
+  const seed = tenantConfigs[tenantId];
+  if (!seed) return null;
+
+  return {
+    tenantId,
+    name: seed.name,
+    rmaPrefix: seed.rmaPrefix,
+    shopify: { shopDomain: seed.shopify?.shopDomain },
+    locale: seed.locale
+  };
+}
+
+/**
+ * Convert a Tenant document into a plain object
+ * @param {Object} tenantDoc - Mongoose document
+ * @returns {Object} - Plain tenant object
+ */
+function toTenantObject(tenantDoc) {
+  const tenant = tenantDoc.toObject();
+  delete tenant._id;
+  delete tenant.__v;
+  return tenant;
+}
+
+/**
+ * Shape a tenant for API responses
+ * @param {Object} tenant - Plain tenant object
+ * @returns {Object} - Tenant safe to expose in API responses
+ */
+export function toPublicTenant(tenant) {
+  if (!tenant) return null;
+
+  return {
+    ...tenant,
+    shopify: { shopDomain: tenant.shopify?.shopDomain || null }
+  };
+}
+
+/**
+ * Drop a tenant from the in-memory cache after it changes
+ * @param {String} tenantId - Tenant ID
+ */
+export function invalidateTenantCache(tenantId) {
+  if (tenantId) {
+    tenantCache.delete(tenantId);
+  } else {
+    tenantCache.clear();
+  }
+}
+
+/**
+ * Find a tenant in the registry, seeding it from config.js on first access
+ * @param {String} tenantId - Tenant ID
+ * @returns {Promise<Object|null>} - Mongoose document, or null if unknown
+ */
+async function findOrSeedTenantDoc(tenantId) {
+  const existing = await Tenant.findOne({ tenantId });
+  if (existing) {
+    return existing;
+  }
+
+  const seed = getSeedTenant(tenantId);
+  if (!seed) {
+    return null;
+  }
+
+  let tenantDoc;
+  try {
+    tenantDoc = await Tenant.create(seed);
+  } catch (error) {
+    // Another request seeded the document first
+    if (error.code === 11000) {
+      return Tenant.findOne({ tenantId });
+    }
+    throw error;
+  }
+
+  // Move env-provided Shopify credentials into the encrypted vault
+  const seedCredentials = tenantConfigs[tenantId].shopify || {};
+  if (isEncryptionConfigured() && seedCredentials.apiKey && seedCredentials.apiSecret && seedCredentials.accessToken) {
+    await storeShopifyCredentials(tenantId, seedCredentials, 'seed');
+  }
+
+  return tenantDoc;
+}
+
+/**
+ * Get a tenant from the registry
+ * @param {String} tenantId - Tenant ID
+ * @returns {Promise<Object|null>} - Plain tenant object, or null if unknown
+ */
+export async function getTenantById(tenantId) {
+  const cached = tenantCache.get(tenantId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.tenant;
+  }
+
+  await connectToDatabase();
+
+  try {
+    const tenantDoc = await findOrSeedTenantDoc(tenantId);
+    const tenant = tenantDoc ? toTenantObject(tenantDoc) : null;
+
+    tenantCache.set(tenantId, { tenant, expiresAt: Date.now() + TENANT_CACHE_TTL_MS });
+    return tenant;
+  } catch (error) {
+    console.error('Error fetching tenant:', error);
+    throw error;
+  }
+}
+
+/**
+ * Resolve the configuration for a tenant, falling back to the default tenant
+ * for unknown or deactivated IDs
+ * @param {String} tenantId - Tenant ID
+ * @returns {Promise<Object>} - Tenant configuration
+ */
+export async function resolveTenantConfig(tenantId = 'default') {
+  const tenant = await getTenantById(tenantId);
+  if (tenant && tenant.isActive) {
+    return tenant;
+  }
+
+  if (tenantId !== 'default') {
+    console.warn(`Unknown or inactive tenant "${tenantId}", using default tenant`);
+  }
+  return getTenantById('default');
+}
+
+/**
+ * List tenants in the registry
+ * @param {Object} options - { includeInactive }
+ * @returns {Promise<Array>} - Plain tenant objects
+ */
+export async function listTenants({ includeInactive = false } = {}) {
+  await connectToDatabase();
+
+  try {
+    const query = includeInactive ? {} : { isActive: true };
+    const tenants = await Tenant.find(query).sort({ createdAt: 1 });
+    return tenants.map(toTenantObject);
+  } catch (error) {
+    console.error('Error listing tenants:', error);
+    throw error;
+  }
+}
+
+/**
+ * Register a new tenant
+ * @param {Object} tenantData - Tenant fields
+ * @returns {Promise<Object>} - Created tenant
+ */
+export async function createTenant(tenantData) {
+  await connectToDatabase();
+
+  try {
+    const tenantDoc = await Tenant.create({
+      ...tenantData,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+
+    invalidateTenantCache(tenantDoc.tenantId);
+    return toTenantObject(tenantDoc);
+  } catch (error) {
+    console.error('Error creating tenant:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a tenant and its domain mappings. Only for undoing a registration
+ * that failed part way; live tenants are deactivated instead.
+ * @param {String} tenantId - Tenant ID
+ * @returns {Promise<void>}
+ */
+export async function removeTenant(tenantId) {
+  await connectToDatabase();
+
+  try {
+    await TenantDomain.deleteMany({ tenantId });
+    await Tenant.deleteOne({ tenantId });
+    invalidateTenantCache(tenantId);
+  } catch (error) {
+    console.error('Error removing tenant:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update an existing tenant
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} updates - Fields to change
+ * @returns {Promise<Object|null>} - Updated tenant, or null if not found
+ */
+export async function updateTenant(tenantId, updates = {}) {
+  await connectToDatabase();
+
+  try {
+    const tenantDoc = await findOrSeedTenantDoc(tenantId);
+    if (!tenantDoc) {
+      return null;
+    }
+
+    const sanitizedUpdates = { ...updates };
+    PROTECTED_FIELDS.forEach(field => delete sanitizedUpdates[field]);
+
+    // Merge nested groups so a partial update keeps the other fields
+    // (Shopify secrets are dropped by the schema; they go through the vault)
+    ['shopify', 'locale'].forEach(group => {
+      if (sanitizedUpdates[group]) {
+        sanitizedUpdates[group] = {
+          ...(tenantDoc.toObject()[group] || {}),
+          ...sanitizedUpdates[group]
+        };
+      }
+    });
+
+    tenantDoc.set(sanitizedUpdates);
+    await tenantDoc.save();
+
+    invalidateTenantCache(tenantId);
+    return toTenantObject(tenantDoc);
+  } catch (error) {
+    console.error('Error updating tenant:', error);
+    throw error;
+  }
+}
+
+/**
+ * Deactivate a tenant. Tenants are never hard-deleted because returns,
+ * settings and themes reference them by ID.
+ * @param {String} tenantId - Tenant ID
+ * @returns {Promise<Boolean>} - Whether a tenant was deactivated
+ */
+export async function deactivateTenant(tenantId) {
+  await connectToDatabase();
+
+  try {
+    const result = await Tenant.updateOne(
+      { tenantId },
+      { $set: { isActive: false, updatedAt: new Date() } }
+    );
+
+    invalidateTenantCache(tenantId);
+    return result.modifiedCount > 0;
+  } catch (error) {
+    console.error('Error deactivating tenant:', error);
+    throw error;
+  }
+}
+
+/**
+ * Normalize a Host header value into a bare lowercase hostname
+ * @param {String} host - Host header, possibly with a port
+ * @returns {String} - Hostname
+ */
+export function normalizeHost(host = '') {
+  return String(host).trim().toLowerCase().replace(/:\d+$/, '').replace(/\.$/, '');
+}
+
+/**
+ * Resolve which tenant serves a hostname. Explicit domain mappings win;
+ * otherwise a subdomain of the platform root domain is matched against
+ * tenant IDs (acme.returnportal.app -> acme).
+ * @param {String} host - Request hostname
+ * @param {String} rootDomain - Platform root domain, e.g. returnportal.app
+ * @returns {Promise<String|null>} - Tenant ID, or null if the host is not mapped
+ */
+export async function resolveTenantIdForHost(host, rootDomain = process.env.TENANT_ROOT_DOMAIN) {
+  const hostname = normalizeHost(host);
+  if (!hostname) return null;
+
+  await connectToDatabase();
+
+  try {
+    const mapping = await TenantDomain.findOne({ domain: hostname }).lean();
+    if (mapping) {
+      const tenant = await getTenantById(mapping.tenantId);
+      return tenant?.isActive ? tenant.tenantId : null;
+    }
+
+    const root = rootDomain ? normalizeHost(rootDomain) : null;
+    if (root && hostname.endsWith(`.${root}`)) {
+      const subdomain = hostname.slice(0, -(root.length + 1));
+
+      // Only single-level subdomains map to tenants
+      if (subdomain && !subdomain.includes('.') && subdomain !== 'www') {
+        const tenant = await getTenantById(subdomain);
+        return tenant?.isActive ? tenant.tenantId : null;
+      }
+    }
+
+    return null;
+  } catch (error) {
+    console.error('Error resolving tenant for host:', error);
+    throw error;
+  }
+}
+
+/**
+ * List the domains mapped to a tenant
+ * @param {String} tenantId - Tenant ID
+ * @returns {Promise<Array<String>>} - Hostnames
+ */
+export async function listTenantDomains(tenantId) {
+  await connectToDatabase();
+
+  try {
+    const mappings = await TenantDomain.find({ tenantId }).sort({ domain: 1 }).lean();
+    return mappings.map(mapping => mapping.domain);
+  } catch (error) {
+    console.error('Error listing tenant domains:', error);
+    throw error;
+  }
+}
+
+/**
+ * Find which of the given domains are already mapped to a tenant
+ * @param {Array<String>} domains - Hostnames
+ * @param {String} exceptTenantId - Tenant whose own mappings don't count
+ * @returns {Promise<Array<String>>} - Hostnames that are taken
+ */
+export async function findMappedDomains(domains = [], exceptTenantId = null) {
+  const normalized = [...new Set(domains.map(normalizeHost).filter(Boolean))];
+  if (normalized.length === 0) return [];
+
+  await connectToDatabase();
+
+  try {
+    const mappings = await TenantDomain.find({
+      domain: { $in: normalized },
+      ...(exceptTenantId ? { tenantId: { $ne: exceptTenantId } } : {})
+    }).lean();
+    return mappings.map(mapping => mapping.domain);
+  } catch (error) {
+    console.error('Error checking tenant domains:', error);
+    throw error;
+  }
+}
+
+/**
+ * Replace the domains mapped to a tenant
+ * @param {String} tenantId - Tenant ID
+ * @param {Array<String>} domains - Hostnames the tenant should serve
+ * @returns {Promise<Array<String>>} - Mapped hostnames
+ */
+export async function setTenantDomains(tenantId, domains = []) {
+  await connectToDatabase();
+
+  try {
+    const normalized = [...new Set(domains.map(normalizeHost).filter(Boolean))];
+
+    // Validate every domain before touching existing mappings
+    for (const domain of normalized) {
+      const validationError = new TenantDomain({ domain, tenantId }).validateSync();
+      if (validationError) throw validationError;
+    }
+
+    await TenantDomain.deleteMany({ tenantId, domain: { $nin: normalized } });
+
+    for (const domain of normalized) {
+      // Fails with a duplicate key error if another tenant already owns it
+      await TenantDomain.updateOne(
+        { domain, tenantId },
+        { $setOnInsert: { domain, tenantId, createdAt: new Date() } },
+        { upsert: true }
+      );
+    }
+
+    return listTenantDomains(tenantId);
+  } catch (error) {
+    console.error('Error setting tenant domains:', error);
+    throw error;
+  }
+}
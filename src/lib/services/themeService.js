@@ -0,0 +1,95 @@
+// src/lib/services/themeService.js
+import ThemeConfig from '@/lib/db/models/ThemeConfig';
+import connectToDatabase from '@/lib/db/connection';
+import { tenantConfigs } from '@/lib/tenant/config';
+
+// Fields that clients may never overwrite through an update
+const PROTECTED_FIELDS = ['_id', '__v', 'tenantId', 'createdAt', 'updatedAt'];
+
+/**
+ * Build the initial theme for a tenant from the static tenant configuration
+ * @param {String} tenantId - Tenant ID
+ * @returns {Object} - Theme used to seed the ThemeConfig document
+ */
+function getSeedTheme(tenantId) {
+  const tenantConfig = tenantConfigs[tenantId] || tenantConfigs.default;
+  return { ...(tenantConfig.theme || {}) };
+}
+
+/**
+ * Convert a ThemeConfig document into the plain theme object used by the UI
+ * @param {Object} themeDoc - Mongoose document
+ * @returns {Object} - Plain theme object
+ */
+function toThemeObject(themeDoc) {
+  const theme = themeDoc.toObject();
+  delete theme._id;
+  delete theme.__v;
+  return theme;
+}
+
+/**
+ * Load the theme document for a tenant, seeding it on first access
+ * @param {String} tenantId - Tenant ID
+ * @returns {Promise<Object>} - Mongoose document
+ */
+async function findOrCreateThemeDoc(tenantId) {
+  const existing = await ThemeConfig.findOne({ tenantId });
+  if (existing) {
+    return existing;
+  }
+
+  try {
+    return await ThemeConfig.create({ tenantId, ...getSeedTheme(tenantId) });
+  } catch (error) {
+    // Another request seeded the document first
+    if (error.code === 11000) {
+      return ThemeConfig.findOne({ tenantId });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the persisted theme for a tenant
+ * @param {String} tenantId - Tenant ID
+ * @returns {Promise<Object>} - Tenant theme
+ */
+export async function getThemeForTenant(tenantId = 'default') {
+  await connectToDatabase();
+
+  try {
+    const themeDoc = await findOrCreateThemeDoc(tenantId);
+    return toThemeObject(themeDoc);
+  } catch (error) {
+    console.error('Error fetching tenant theme:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update the persisted theme for a tenant
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} updates - Theme fields to change
+ * @returns {Promise<Object>} - Updated tenant theme
+ */
+export async function updateThemeForTenant(tenantId = 'default', updates = {}) {
+  await connectToDatabase();
+
+  try {
+    const themeDoc = await findOrCreateThemeDoc(tenantId);
+
+    const sanitizedUpdates = { ...updates };
+    PROTECTED_FIELDS.forEach(field => delete sanitizedUpdates[field]);
+
+    themeDoc.set(sanitizedUpdates);
+
+    // Runs schema validation (color formats) before persisting
+    await themeDoc.save();
+
+    return toThemeObject(themeDoc);
+  } catch (error) {
+    console.error('Error updating tenant theme:', error);
+    throw error;
+  }
+}
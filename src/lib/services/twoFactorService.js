@@ -0,0 +1,199 @@
+// src/lib/services/twoFactorService.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import { generateSecret, verifyCode, buildOtpauthUrl } from '@/lib/security/totp';
+import { seal, open, isEncryptionConfigured } from '@/lib/security/envelope';
+import { getJwtSecret } from '@/lib/admin/jwtSecret';
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Time allowed between the password step and the code step of a login
+const CHALLENGE_TTL = '5m';
+
+function secretContext(userId) {
+  return `admin:${userId}:totp`;
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+}
+
+/**
+ * Wrap a TOTP secret for storage on the user
+ */
+function protectSecret(userDoc, secret) {
+  return isEncryptionConfigured() ? seal(secret, secretContext(userDoc._id.toString())) : secret;
+}
+
+function revealSecret(userDoc, storedSecret) {
+  if (!storedSecret) return null;
+  return typeof storedSecret === 'string'
+    ? storedSecret
+    : open(storedSecret, secretContext(userDoc._id.toString()));
+}
+
+/**
+ * Generate fresh recovery codes and store their hashes on the user
+ * @returns {Array<String>} - Plain codes to show the user once
+ */
+function issueRecoveryCodes(userDoc) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  userDoc.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+}
+
+// Login challenges are signed with a key derived from JWT_SECRET so they can
+// never be mistaken for (or used as) an admin session token
+function challengeSecret() {
+  return `${getJwtSecret()}:two-factor`;
+}
+
+/**
+ * Issue a short-lived token proving the password step of a login succeeded
+ * @param {Object} userDoc - Admin user document
+ * @returns {String} - Signed challenge token
+ */
+export function issueLoginChallenge(userDoc) {
+  return jwt.sign({ id: userDoc._id.toString() }, challengeSecret(), { expiresIn: CHALLENGE_TTL });
+}
+
+/**
+ * Verify a login challenge token
+ * @param {String} token - Challenge token
+ * @returns {String|null} - AdminUser ID, or null if invalid or expired
+ */
+export function verifyLoginChallenge(token) {
+  try {
+    return jwt.verify(token, challengeSecret()).id;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Start enrolling a user. The secret only takes effect once a code from it is confirmed.
+ * @param {Object} userDoc - Admin user document
+ * @returns {Promise<Object>} - { secret, otpauthUrl, qrCode } where qrCode is a data URL
+ */
+export async function beginEnrollment(userDoc) {
+  try {
+    const secret = generateSecret();
+    const otpauthUrl = buildOtpauthUrl(secret, userDoc.email);
+
+    userDoc.set('twoFactor.pendingSecret', protectSecret(userDoc, secret));
+    userDoc.markModified('twoFactor.pendingSecret');
+    await userDoc.save();
+
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl)
+    };
+  } catch (error) {
+    console.error('Error starting two-factor enrollment:', error);
+    throw error;
+  }
+}
+
+/**
+ * Finish enrolling a user with a code from their authenticator app
+ * @param {Object} userDoc - Admin user document
+ * @param {String} code - Current TOTP code
+ * @returns {Promise<Array<String>|null>} - Recovery codes, or null if the code is wrong
+ */
+export async function confirmEnrollment(userDoc, code) {
+  try {
+    const secret = revealSecret(userDoc, userDoc.twoFactor?.pendingSecret);
+    const step = secret ? verifyCode(secret, code) : null;
+    if (step === null) {
+      return null;
+    }
+
+    userDoc.twoFactor.secret = userDoc.twoFactor.pendingSecret;
+    userDoc.twoFactor.pendingSecret = undefined;
+    userDoc.twoFactor.enabled = true;
+    userDoc.twoFactor.enabledAt = new Date();
+    userDoc.twoFactor.lastUsedStep = step;
+    const recoveryCodes = issueRecoveryCodes(userDoc);
+
+    userDoc.markModified('twoFactor');
+    await userDoc.save();
+    return recoveryCodes;
+  } catch (error) {
+    console.error('Error confirming two-factor enrollment:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check a TOTP code or a recovery code. Recovery codes work once, and a
+ * TOTP code can't be replayed.
+ * @param {Object} userDoc - Admin user document
+ * @param {String} code - TOTP code or recovery code
+ * @returns {Promise<Boolean>} - Whether the code is valid
+ */
+export async function verifySecondFactor(userDoc, code) {
+  if (!userDoc.twoFactor?.enabled || !code) {
+    return false;
+  }
+
+  try {
+    const secret = revealSecret(userDoc, userDoc.twoFactor.secret);
+    const step = verifyCode(secret, code, { afterStep: userDoc.twoFactor.lastUsedStep ?? null });
+
+    if (step !== null) {
+      userDoc.twoFactor.lastUsedStep = step;
+    } else {
+      const codeHash = hashRecoveryCode(String(code));
+      const index = userDoc.twoFactor.recoveryCodes.indexOf(codeHash);
+      if (index === -1) {
+        return false;
+      }
+      userDoc.twoFactor.recoveryCodes.splice(index, 1);
+    }
+
+    userDoc.markModified('twoFactor');
+    await userDoc.save();
+    return true;
+  } catch (error) {
+    console.error('Error verifying two-factor code:', error);
+    throw error;
+  }
+}
+
+/**
+ * Replace a user's recovery codes
+ * @param {Object} userDoc - Admin user document
+ * @returns {Promise<Array<String>>} - New recovery codes
+ */
+export async function regenerateRecoveryCodes(userDoc) {
+  try {
+    const recoveryCodes = issueRecoveryCodes(userDoc);
+    userDoc.markModified('twoFactor');
+    await userDoc.save();
+    return recoveryCodes;
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    throw error;
+  }
+}
+
+/**
+ * Turn off two-factor authentication for a user
+ * @param {Object} userDoc - Admin user document
+ * @returns {Promise<void>}
+ */
+export async function disableTwoFactor(userDoc) {
+  try {
+    userDoc.twoFactor = { enabled: false };
+    await userDoc.save();
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,43 @@
+// src/lib/shipping/carriers.js
+/**
+ * Carriers return labels can be booked with. Kept apart from the providers
+ * in ./index so the admin UI can list them without loading the providers.
+ */
+
+export const Carrier = {
+  NONE: 'none',
+  MOCK: 'mock'
+};
+
+export const CARRIERS = Object.values(Carrier);
+
+export const CARRIER_LABELS = {
+  [Carrier.NONE]: 'No carrier label (packing slip only)',
+  [Carrier.MOCK]: 'Mock carrier (for testing, labels are not valid)'
+};
+
+/**
+ * The lines of a postal address, skipping blank fields
+ * @param {Object} address - { name, company, address1, address2, zip, city, province, country, phone }
+ * @returns {Array<String>}
+ */
+export function formatAddressLines(address = {}) {
+  const cityLine = [address.zip, address.city].filter(Boolean).join(' ');
+  return [
+    address.name,
+    address.company,
+    address.address1,
+    address.address2,
+    [cityLine, address.province].filter(Boolean).join(', '),
+    address.country
+  ].filter(Boolean);
+}
+
+/**
+ * Whether an address has enough to ship a parcel to
+ * @param {Object} address - Return address
+ * @returns {Boolean}
+ */
+export function isAddressComplete(address) {
+  return !!(address?.address1 && address?.city && address?.zip && address?.country);
+}
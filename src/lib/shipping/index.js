@@ -0,0 +1,28 @@
+// src/lib/shipping/index.js
+/**
+ * Carrier label providers. A provider books a return shipment with its
+ * carrier and hands back a printable label:
+ *
+ *   {
+ *     name: 'acme-post',          // listed in Carrier (./carriers)
+ *     async createLabel({ rmaNumber, from, to, parcel: { itemCount } }) {
+ *       return { carrier, trackingNumber, trackingUrl, label, contentType, expiresAt };
+ *     }
+ *   }
+ *
+ * from and to are postal addresses (see formatAddressLines); label is the
+ * file as a Buffer. Providers throw when the carrier refuses the booking.
+ * Add a carrier by writing a provider and listing it below.
+ */
+import mockCarrier from '@/lib/shipping/mockCarrier';
+
+const PROVIDERS = [mockCarrier];
+
+/**
+ * Get the label provider for a carrier
+ * @param {String} carrier - Carrier name from tenant settings
+ * @returns {Object|null} - Provider, or null for none or an unknown carrier
+ */
+export function getCarrierProvider(carrier) {
+  return PROVIDERS.find(provider => provider.name === carrier) || null;
+}
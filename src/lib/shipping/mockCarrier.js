@@ -0,0 +1,55 @@
+// src/lib/shipping/mockCarrier.js
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { createPdf, drawQrCode, LABEL_4X6 } from '@/lib/documents/pdf';
+import { Carrier, formatAddressLines } from '@/lib/shipping/carriers';
+
+const LABEL_TTL_DAYS = 30;
+
+/**
+ * A carrier that books nothing. It makes labels that look like the real
+ * thing, with a made-up tracking number, for trying the return flow out
+ * locally and in staging.
+ */
+const mockCarrier = {
+  name: Carrier.MOCK,
+
+  async createLabel({ rmaNumber, from, to, parcel }) {
+    const trackingNumber = `MOCK${crypto.randomInt(0, 1e9).toString().padStart(9, '0')}`;
+    const doc = createPdf(LABEL_4X6);
+
+    doc.rect(12, 12, doc.width - 24, doc.height - 24, { fill: false, lineWidth: 2 });
+    doc.text('MOCK CARRIER', 24, 40, { size: 16, bold: true });
+    doc.text('TEST LABEL - NOT VALID FOR SHIPPING', 24, 56, { size: 8 });
+    doc.line(12, 68, doc.width - 12, 68);
+
+    doc.text('FROM', 24, 86, { size: 7, bold: true });
+    formatAddressLines(from).slice(0, 3).forEach((line, index) => {
+      doc.text(line, 24, 98 + index * 11, { size: 9 });
+    });
+
+    doc.text('TO', 24, 150, { size: 7, bold: true });
+    formatAddressLines(to).forEach((line, index) => {
+      doc.text(line, 24, 166 + index * 15, { size: 12, bold: index === 0 });
+    });
+    doc.line(12, 262, doc.width - 12, 262);
+
+    drawQrCode(doc, QRCode.create(trackingNumber, { errorCorrectionLevel: 'M' }), 24, 276, 96);
+    doc.text('TRACKING', 136, 290, { size: 7, bold: true });
+    doc.text(trackingNumber, 136, 304, { size: 11, bold: true });
+    doc.text('REFERENCE', 136, 326, { size: 7, bold: true });
+    doc.text(rmaNumber || '', 136, 340, { size: 11, bold: true });
+    doc.text(`${parcel?.itemCount || 1} item(s)`, 136, 360, { size: 9 });
+
+    return {
+      carrier: Carrier.MOCK,
+      trackingNumber,
+      trackingUrl: null,
+      label: doc.toBuffer(),
+      contentType: 'application/pdf',
+      expiresAt: new Date(Date.now() + LABEL_TTL_DAYS * 24 * 60 * 60 * 1000)
+    };
+  }
+};
+
+export default mockCarrier;
@@ -2,6 +2,8 @@
 import { shopifyApi, Session } from '@shopify/shopify-api';
 import { restResources } from '@shopify/shopify-api/rest/admin/2024-01';
 import '@shopify/shopify-api/adapters/node';
+import { resolveTenantConfig } from '@/lib/services/tenantService';
+import { getShopifyCredentials } from '@/lib/services/credentialService';
 
 // Create a client factory that can be used to create clients for different stores
 export function createShopifyClient(config) {
@@ -22,7 +24,7 @@ export function createShopifyClient(config) {
   const shopify = shopifyApi({
     apiKey,
     apiSecretKey: apiSecret,
-    scopes: ['read_orders', 'write_orders'],
+    scopes: ['read_orders', 'write_orders', 'read_inventory', 'write_inventory', 'read_locations', 'write_gift_cards', 'write_store_credit_account_transactions'],
     hostName: shopDomain.replace(/^https?:\/\//, ''),
     apiVersion,
     isPrivateApp: true,
@@ -59,29 +61,41 @@ const defaultClient = createShopifyClient({});
 
 export const { rest: client, graphql: graphqlClient } = defaultClient;
 
-// Future multi-tenant support
+// Per-tenant clients, rebuilt periodically so credential rotations made on
+// other instances are picked up
+const CLIENT_CACHE_TTL_MS = 5 * 60 * 1000;
 const clientCache = new Map();
 
+/**
+ * Forget the cached client for a tenant, e.g. after rotating its credentials
+ */
+export function invalidateShopifyClient(tenantId) {
+  clientCache.delete(tenantId);
+}
+
 export async function getShopifyClientForTenant(tenantId = 'default') {
   // Check if we have a cached client
-  if (clientCache.has(tenantId)) {
-    return clientCache.get(tenantId);
+  const cached = clientCache.get(tenantId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.client;
   }
 
-  // For the demo, just return the default client
-  if (tenantId === 'default') {
-    clientCache.set('default', defaultClient);
-    return defaultClient;
+  const tenant = await resolveTenantConfig(tenantId);
+  const credentials = await getShopifyCredentials(tenant.tenantId);
+
+  if (!credentials || !tenant.shopify?.shopDomain) {
+    throw new Error(`Shopify is not configured for tenant "${tenant.tenantId}"`);
   }
 
-  // In the future, we would look up the tenant's configuration from a database
-  // const tenantConfig = await database.getTenantConfig(tenantId);
-  // const client = createShopifyClient(tenantConfig);
-  // clientCache.set(tenantId, client);
-  // return client;
+  // Pass every field explicitly so a tenant never falls back to the
+  // default store's env credentials
+  const client = createShopifyClient({
+    apiKey: credentials.apiKey,
+    apiSecret: credentials.apiSecret,
+    accessToken: credentials.accessToken,
+    shopDomain: tenant.shopify.shopDomain,
+  });
 
-  // For now, return the default client
-  clientCache.set(tenantId, defaultClient);
-  return defaultClient;
+  clientCache.set(tenantId, { client, expiresAt: Date.now() + CLIENT_CACHE_TTL_MS });
+  return client;
 }
-
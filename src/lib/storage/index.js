@@ -8,6 +8,7 @@
   import {
     getServerStorage,
     setServerStorage,
+    removeServerStorage,
   } from './server';
   
   // Determine which storage to use
@@ -22,16 +23,17 @@
       return getLocalStorage(key, defaultValue);
     },
     
-    set: async (key, value, tenantId = 'default', userId = null) => {
+    // options.ttlSeconds expires server-stored entries (ignored for localStorage)
+    set: async (key, value, tenantId = 'default', userId = null, options = {}) => {
       if (useServerStorage) {
-        return await setServerStorage(key, value, tenantId, userId);
+        return await setServerStorage(key, value, tenantId, userId, options);
       }
       return setLocalStorage(key, value);
     },
     
-    remove: async (key) => {
+    remove: async (key, tenantId = 'default', userId = null) => {
       if (useServerStorage) {
-        return await setServerStorage(key, undefined);
+        return await removeServerStorage(key, tenantId, userId);
       }
       return removeLocalStorage(key);
     }
@@ -1,13 +1,81 @@
 // src/lib/storage/server.js
-// This will be a placeholder for future server-side storage
-export async function getServerStorage(defaultValue = null) {
-  // In the future, this will fetch from a database
-  console.log('Server storage not implemented yet');
-  return defaultValue;
-}
-
-export async function setServerStorage() {
-  // In the future, this will save to a database
-  console.log('Server storage not implemented yet');
-  return false;
-}
\ No newline at end of file
+// Server-side storage backed by MongoDB. On the server it talks to the
+// database directly; in the browser it goes through /api/storage, which
+// scopes entries to the signed-in admin or the visitor's session.
+
+// The middleware takes a public request's tenant from ?tenantId= (a tenant's
+// own domain always wins), so the browser passes it the same way pages do
+function storageUrl(key, tenantId) {
+  const query = tenantId ? `?tenantId=${encodeURIComponent(tenantId)}` : '';
+  return `/api/storage/${encodeURIComponent(key)}${query}`;
+}
+
+function storageHeaders() {
+  const headers = { 'Content-Type': 'application/json' };
+  const adminToken = window.localStorage.getItem('adminToken');
+  if (adminToken) {
+    headers['Authorization'] = `Bearer ${adminToken}`;
+  }
+  return headers;
+}
+
+export async function getServerStorage(key, tenantId = 'default', userId = null, defaultValue = null) {
+  try {
+    if (typeof window === 'undefined') {
+      const { getStorageValue } = await import('@/lib/services/storageService');
+      return await getStorageValue(key, tenantId, userId, defaultValue);
+    }
+
+    const response = await fetch(storageUrl(key, tenantId), { headers: storageHeaders() });
+    if (response.status === 404) return defaultValue;
+    if (!response.ok) throw new Error(`Storage request failed with ${response.status}`);
+
+    const data = await response.json();
+    return data.value;
+  } catch (error) {
+    console.error(`Error getting server storage key "${key}":`, error);
+    return defaultValue;
+  }
+}
+
+export async function setServerStorage(key, value, tenantId = 'default', userId = null, options = {}) {
+  if (value === undefined) {
+    return removeServerStorage(key, tenantId, userId);
+  }
+
+  try {
+    if (typeof window === 'undefined') {
+      const { setStorageValue } = await import('@/lib/services/storageService');
+      return await setStorageValue(key, value, tenantId, userId, options);
+    }
+
+    const response = await fetch(storageUrl(key, tenantId), {
+      method: 'PUT',
+      headers: storageHeaders(),
+      body: JSON.stringify({ value, ttlSeconds: options.ttlSeconds })
+    });
+    return response.ok;
+  } catch (error) {
+    console.error(`Error setting server storage key "${key}":`, error);
+    return false;
+  }
+}
+
+export async function removeServerStorage(key, tenantId = 'default', userId = null) {
+  try {
+    if (typeof window === 'undefined') {
+      const { removeStorageValue } = await import('@/lib/services/storageService');
+      await removeStorageValue(key, tenantId, userId);
+      return true;
+    }
+
+    const response = await fetch(storageUrl(key, tenantId), {
+      method: 'DELETE',
+      headers: storageHeaders()
+    });
+    return response.ok;
+  } catch (error) {
+    console.error(`Error removing server storage key "${key}":`, error);
+    return false;
+  }
+}
@@ -1,7 +1,13 @@
 // src/lib/tenant/config.js
+// Seed data for the tenant registry. Tenants listed here are copied into the
+// Tenant, Setting and ThemeConfig collections the first time they are looked
+// up; after that the database is the source of truth. New merchants are added
+// through /api/admin/tenants, not here.
 export const tenantConfigs = {
   default: {
     name: 'Demo Store',
+    // Prefix for RMA numbers, e.g. DEMO-R-000001
+    rmaPrefix: 'DEMO',
     // Shopify credentials
     shopify: {
       apiKey: process.env.SHOPIFY_API_KEY,
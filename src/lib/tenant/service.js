@@ -1,55 +1,132 @@
   // src/lib/tenant/service.js
     import { tenantConfigs } from './config';
+    import { storage } from '@/lib/storage';
 
     export async function getTenantConfig(tenantId = 'default') {
-    // In production, this would fetch from a database
-    return tenantConfigs[tenantId] || tenantConfigs.default;
+      // On the server, look the tenant up in the registry
+      if (typeof window === 'undefined') {
+        const { resolveTenantConfig } = await import('@/lib/services/tenantService');
+        return resolveTenantConfig(tenantId);
+      }
+    
+      // In the browser, only the public tenant configuration is available
+      try {
+        const response = await fetch(`/api/tenant/settings?tenantId=${encodeURIComponent(tenantId)}`);
+        if (!response.ok) {
+          throw new Error('Failed to fetch tenant config');
+        }
+        return await response.json();
+      } catch (error) {
+        console.error('Error fetching tenant config:', error);
+        return tenantConfigs[tenantId] || tenantConfigs.default;
+      }
     }
 
     export async function getTenantTheme(tenantId = 'default') {
-      console.log('Getting tenant theme for:', tenantId);
-      
+      // On the server, read the persisted theme directly
+      if (typeof window === 'undefined') {
+        const { getThemeForTenant } = await import('@/lib/services/themeService');
+        const tenant = await getTenantConfig(tenantId);
+        return getThemeForTenant(tenant.tenantId);
+      }
+    
+      // Admin previews are unsaved drafts kept in the admin's storage
+      if (tenantId === 'preview') {
+        const previewTheme = await storage.get('tenant-theme-preview');
+        if (previewTheme) {
+          return previewTheme;
+        }
+      }
+    
       try {
-        // First, check localStorage for persisted theme
-        if (typeof window !== 'undefined') {
-          const storedTheme = localStorage.getItem(`tenant-theme-${tenantId}`);
-          if (storedTheme) {
-            const parsedTheme = JSON.parse(storedTheme);
-            console.log('Loaded theme from localStorage:', parsedTheme);
-            return parsedTheme;
-          }
+        const response = await fetch(`/api/tenant/theme?tenantId=${encodeURIComponent(tenantId)}`);
+        if (!response.ok) {
+          throw new Error('Failed to fetch tenant theme');
         }
+        return await response.json();
       } catch (error) {
-        console.error('Error loading stored theme:', error);
+        console.error('Error fetching tenant theme:', error);
       }
     
-      // Fallback to configuration
-      const config = await getTenantConfig(tenantId);
-      console.log('Loaded theme from config:', config.theme);
+      // Fallback to the seed configuration
+      const config = tenantConfigs[tenantId] || tenantConfigs.default;
       return config.theme;
     }
     
     export async function updateTenantTheme(tenantId, newTheme) {
-      console.log('Updating tenant theme:', newTheme);
-      
-      try {
-        // Update localStorage
-        if (typeof window !== 'undefined') {
-          localStorage.setItem(`tenant-theme-${tenantId}`, JSON.stringify(newTheme));
-        }
-      } catch (error) {
-        console.error('Error storing theme:', error);
+      // On the server, write straight to the database
+      if (typeof window === 'undefined') {
+        const { updateThemeForTenant } = await import('@/lib/services/themeService');
+        return updateThemeForTenant(tenantId, newTheme);
       }
     
-      return newTheme;
+      const response = await fetch('/api/admin/theme', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('adminToken')}`,
+          'x-tenant-id': tenantId
+        },
+        body: JSON.stringify(newTheme)
+      });
+    
+      if (!response.ok) {
+        throw new Error('Failed to update tenant theme');
+      }
+    
+      const data = await response.json();
+      return data.settings;
     }
   
   export async function getTenantSettings(tenantId = 'default') {
-    const config = await getTenantConfig(tenantId);
-    return config.settings;
+    // On the server, read the persisted settings admins saved
+    if (typeof window === 'undefined') {
+      const { getSettingsForTenant } = await import('@/lib/services/settingsService');
+      const tenant = await getTenantConfig(tenantId);
+      return getSettingsForTenant(tenant.tenantId);
+    }
+  
+    // In the browser, go through the public tenant endpoint
+    try {
+      const response = await fetch(`/api/tenant/settings?tenantId=${encodeURIComponent(tenantId)}`);
+      if (!response.ok) {
+        throw new Error('Failed to fetch tenant settings');
+      }
+      const data = await response.json();
+      return data.settings;
+    } catch (error) {
+      console.error('Error fetching tenant settings:', error);
+      const config = tenantConfigs[tenantId] || tenantConfigs.default;
+      return config.settings;
+    }
   }
   
+  // Server-only: includes decrypted API credentials
   export async function getTenantShopifyConfig(tenantId = 'default') {
     const config = await getTenantConfig(tenantId);
-    return config.shopify;
-  }
\ No newline at end of file
+    const { getShopifyCredentials } = await import('@/lib/services/credentialService');
+    const credentials = await getShopifyCredentials(config.tenantId);
+    return { ...config.shopify, ...(credentials || {}) };
+  }
+  /**
+   * getServerSideProps for storefront pages: resolves the tenant theme on the
+   * server so the first paint is branded. Pages that don't export it stay
+   * static and load the theme in the browser.
+   */
+  export async function getTenantThemeProps({ req }) {
+    // Set by the middleware from the domain or ?tenantId=
+    const tenantId = req.headers['x-tenant-id'] || 'default';
+
+    // Preview themes only exist in the admin's browser
+    if (tenantId === 'preview') {
+      return { props: {} };
+    }
+
+    try {
+      const initialTheme = await getTenantTheme(tenantId);
+      return { props: { initialTheme } };
+    } catch (error) {
+      console.error('Error resolving tenant theme for SSR:', error);
+      return { props: {} };
+    }
+  }
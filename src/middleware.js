@@ -1,29 +1,126 @@
-  // src/middleware.js - For Next.js middleware to handle tenant routing
-  import { NextResponse } from 'next/server';
-  
-  export function middleware(request) {
-    const { pathname } = request.nextUrl;
-    
-    // Skip API routes and _next paths
-    if (pathname.startsWith('/api/') || pathname.startsWith('/_next/')) {
-      return NextResponse.next();
+// src/middleware.js - Resolves the tenant for every page and API request
+import { NextResponse } from 'next/server';
+
+// Endpoint that maps hostnames to tenants (the edge runtime can't reach MongoDB)
+const RESOLVER_PATH = '/api/tenant/resolve';
+
+// Keep host lookups briefly so most requests never hit the resolver
+const HOST_CACHE_TTL_MS = 60 * 1000;
+const hostCache = new Map();
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,62}$/;
+
+// Routes where an admin may pick the tenant to manage through x-tenant-id.
+// The admin API checks that the signed-in user may access that tenant.
+const ADMIN_PATH_PREFIXES = ['/admin', '/api/admin', '/api/auth'];
+
+/**
+ * Whether the host is the platform itself rather than a tenant's domain
+ */
+function isPlatformHost(hostname) {
+  const rootDomain = (process.env.TENANT_ROOT_DOMAIN || '').toLowerCase();
+  return (
+    hostname === 'localhost' ||
+    hostname === '127.0.0.1' ||
+    (rootDomain && (hostname === rootDomain || hostname === `www.${rootDomain}`))
+  );
+}
+
+function isAdminPath(pathname) {
+  return ADMIN_PATH_PREFIXES.some(prefix => pathname === prefix || pathname.startsWith(`${prefix}/`));
+}
+
+function rejectTenant(status, message) {
+  return NextResponse.json({ error: 'Invalid Tenant', message }, { status });
+}
+
+/**
+ * Look up the tenant mapped to a hostname
+ * @returns {Promise<string|null>} - Tenant ID, or null if the host isn't mapped
+ */
+async function resolveTenantForHost(request, hostname) {
+  const cached = hostCache.get(hostname);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.tenantId;
+  }
+
+  const resolverUrl = new URL(RESOLVER_PATH, request.nextUrl.origin);
+  resolverUrl.searchParams.set('host', hostname);
+
+  const response = await fetch(resolverUrl, {
+    headers: process.env.TENANT_RESOLVER_SECRET
+      ? { 'x-tenant-resolver-secret': process.env.TENANT_RESOLVER_SECRET }
+      : {}
+  });
+
+  if (response.status !== 200 && response.status !== 404) {
+    throw new Error(`Tenant resolver responded with ${response.status}`);
+  }
+
+  const tenantId = response.status === 200 ? (await response.json()).tenantId : null;
+  hostCache.set(hostname, { tenantId, expiresAt: Date.now() + HOST_CACHE_TTL_MS });
+  return tenantId;
+}
+
+export async function middleware(request) {
+  const { pathname, searchParams } = request.nextUrl;
+
+  // Skip _next paths and the resolver itself
+  if (pathname.startsWith('/_next/') || pathname === RESOLVER_PATH) {
+    return NextResponse.next();
+  }
+
+  const hostname = (request.headers.get('host') || '').toLowerCase().replace(/:\d+$/, '');
+  const claimedTenantId = request.headers.get('x-tenant-id');
+
+  // Custom domains (returns.acme.com) and subdomains (acme.returnportal.app)
+  let hostTenantId = null;
+  if (hostname && !isPlatformHost(hostname)) {
+    try {
+      hostTenantId = await resolveTenantForHost(request, hostname);
+    } catch (error) {
+      console.error('Error resolving tenant for host:', error);
+      return NextResponse.json(
+        { error: 'Service Unavailable', message: 'Unable to resolve tenant for this domain' },
+        { status: 503 }
+      );
     }
-    
-    // For demo purposes, use a default tenant
-    // In production, you would extract the tenant from the hostname or path
-    const tenantId = 'default';
-    
-    // Set tenant ID in request headers for API routes
-    const requestHeaders = new Headers(request.headers);
-    requestHeaders.set('x-tenant-id', tenantId);
-    
-    return NextResponse.next({
-      request: {
-        headers: requestHeaders,
-      },
-    });
   }
-  
-  export const config = {
-    matcher: ['/((?!_next/static|favicon.ico).*)'],
-  };
\ No newline at end of file
+
+  let tenantId;
+  if (hostTenantId) {
+    // A tenant's own domain always serves that tenant
+    if (claimedTenantId && claimedTenantId !== hostTenantId) {
+      return rejectTenant(403, 'Tenant header does not match the requested domain');
+    }
+    tenantId = hostTenantId;
+  } else if (isAdminPath(pathname)) {
+    tenantId = claimedTenantId || 'default';
+  } else {
+    // Public pages on the platform domain select a tenant via ?tenantId=
+    tenantId = searchParams.get('tenantId') || 'default';
+    if (claimedTenantId && claimedTenantId !== tenantId) {
+      return rejectTenant(403, 'Tenant header is not allowed on this route');
+    }
+  }
+
+  if (!TENANT_ID_PATTERN.test(tenantId)) {
+    return rejectTenant(400, 'Invalid tenant ID');
+  }
+
+  // Overwrite whatever the client sent so handlers can trust x-tenant-id.
+  // x-tenant-source tells the admin API whether the tenant is fixed by the domain.
+  const requestHeaders = new Headers(request.headers);
+  requestHeaders.set('x-tenant-id', tenantId);
+  requestHeaders.set('x-tenant-source', hostTenantId ? 'domain' : 'request');
+
+  return NextResponse.next({
+    request: {
+      headers: requestHeaders,
+    },
+  });
+}
+
+export const config = {
+  matcher: ['/((?!_next/static|favicon.ico).*)'],
+};
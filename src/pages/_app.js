@@ -64,7 +64,7 @@ export default function App(props) {
   const withProviders = (children) => {
     // Always wrap with theme and locale providers
     return (
-      <ThemeProvider tenantId={tenantId}>
+      <ThemeProvider tenantId={tenantId} initialTheme={props.pageProps?.initialTheme}>
         <LocaleProvider tenantId={tenantId}>
           {children}
         </LocaleProvider>
@@ -86,4 +86,4 @@ export default function App(props) {
       <ProgressTracker {...props} />
     </ReturnProvider>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,217 @@
+// src/pages/admin/account.js
+import React, { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import Image from 'next/image';
+import { ShieldCheck, AlertCircle, CheckCircle } from 'lucide-react';
+import Card from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import AdminLayout from '@/components/admin/Layout';
+import { useAdmin } from '@/lib/context/AdminContext';
+
+export default function AdminAccount() {
+  const { authFetch, user } = useAdmin();
+
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      const response = await authFetch('/api/admin/two-factor');
+      if (!response.ok) {
+        throw new Error('Failed to load two-factor status');
+      }
+      setStatus(await response.json());
+    } catch (err) {
+      console.error('Error loading two-factor status:', err);
+      setError(err.message);
+    }
+  }, [authFetch]);
+
+  useEffect(() => {
+    loadStatus();
+  }, [user?.id, loadStatus]);
+
+  // Run a two-factor request and report its outcome
+  const runAction = async (url, method, body, onSuccess) => {
+    setWorking(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const response = await authFetch(url, {
+        method,
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Request failed');
+      }
+
+      onSuccess(data);
+    } catch (err) {
+      console.error('Two-factor request error:', err);
+      setError(err.message);
+    } finally {
+      setCode('');
+      setWorking(false);
+    }
+  };
+
+  const startSetup = () => runAction('/api/admin/two-factor', 'POST', null, data => {
+    setRecoveryCodes(null);
+    setSetup(data);
+  });
+
+  const confirmSetup = (e) => {
+    e.preventDefault();
+    runAction('/api/admin/two-factor', 'PUT', { code }, data => {
+      setSetup(null);
+      setRecoveryCodes(data.recoveryCodes);
+      setSuccess('Two-factor authentication is now enabled.');
+      loadStatus();
+    });
+  };
+
+  const disable = (e) => {
+    e.preventDefault();
+    runAction('/api/admin/two-factor', 'DELETE', { code }, () => {
+      setSuccess('Two-factor authentication has been turned off.');
+      loadStatus();
+    });
+  };
+
+  const regenerateCodes = () => runAction('/api/admin/two-factor/recovery-codes', 'POST', { code }, data => {
+    setRecoveryCodes(data.recoveryCodes);
+    setSuccess('New recovery codes generated. Your old codes no longer work.');
+    loadStatus();
+  });
+
+  return (
+    <AdminLayout title="Account">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-lg font-medium text-gray-900">Account</h2>
+          <p className="text-sm text-gray-500">{user?.email}</p>
+        </div>
+        <Link href="/admin/sessions" className="text-sm font-medium text-blue-600 hover:text-blue-800">
+          Manage signed-in devices
+        </Link>
+      </div>
+
+      {success && (
+        <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg flex items-start">
+          <CheckCircle className="w-5 h-5 text-green-500 mt-0.5 mr-3" />
+          <p className="text-green-800">{success}</p>
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start">
+          <AlertCircle className="w-5 h-5 text-red-500 mt-0.5 mr-3" />
+          <p className="text-red-800">{error}</p>
+        </div>
+      )}
+
+      <Card title="Two-Factor Authentication" padding="normal">
+        {!status ? (
+          <p className="text-sm text-gray-500">Loading...</p>
+        ) : (
+          <div className="space-y-6">
+            <div className="flex items-center">
+              <ShieldCheck className={`w-5 h-5 mr-2 ${status.enabled ? 'text-green-500' : 'text-gray-400'}`} />
+              <p className="text-sm text-gray-700">
+                {status.enabled
+                  ? `Enabled. ${status.recoveryCodesRemaining} recovery codes remaining.`
+                  : 'Not enabled. Use an authenticator app to protect your account with a second step at login.'}
+                {status.required && ' Required by your organization.'}
+              </p>
+            </div>
+
+            {recoveryCodes && (
+              <div>
+                <p className="text-sm text-gray-700 mb-2">
+                  Save these recovery codes somewhere safe. Each one can be used once.
+                </p>
+                <ul className="grid grid-cols-2 md:grid-cols-5 gap-2 font-mono text-sm bg-gray-50 border border-gray-200 rounded-lg p-4">
+                  {recoveryCodes.map(recoveryCode => (
+                    <li key={recoveryCode}>{recoveryCode}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {!status.enabled && !setup && (
+              <Button variant="primary" onClick={startSetup} isLoading={working}>
+                Set Up Two-Factor Authentication
+              </Button>
+            )}
+
+            {setup && (
+              <form onSubmit={confirmSetup} className="space-y-4 max-w-sm">
+                <p className="text-sm text-gray-700">
+                  Scan this code with your authenticator app, then enter the 6-digit code it shows.
+                </p>
+                <Image
+                  src={setup.qrCode}
+                  alt="Two-factor QR code"
+                  width={192}
+                  height={192}
+                  unoptimized
+                  className="w-48 h-48"
+                />
+                <p className="text-xs text-gray-500 break-all">
+                  Or enter this key manually: <code>{setup.secret}</code>
+                </p>
+                <input
+                  type="text"
+                  autoComplete="one-time-code"
+                  value={code}
+                  onChange={e => setCode(e.target.value)}
+                  placeholder="123456"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  required
+                />
+                <Button type="submit" variant="primary" isLoading={working}>
+                  Enable
+                </Button>
+              </form>
+            )}
+
+            {status.enabled && (
+              <form onSubmit={disable} className="space-y-4 max-w-sm">
+                <label className="block text-sm font-medium text-gray-700">
+                  Current code (required for changes)
+                </label>
+                <input
+                  type="text"
+                  autoComplete="one-time-code"
+                  value={code}
+                  onChange={e => setCode(e.target.value)}
+                  placeholder="123456"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  required
+                />
+                <div className="flex space-x-3">
+                  <Button type="button" variant="outline" onClick={regenerateCodes} isLoading={working} disabled={!code}>
+                    New Recovery Codes
+                  </Button>
+                  {!status.required && (
+                    <Button type="submit" variant="danger" isLoading={working}>
+                      Turn Off
+                    </Button>
+                  )}
+                </div>
+              </form>
+            )}
+          </div>
+        )}
+      </Card>
+    </AdminLayout>
+  );
+}
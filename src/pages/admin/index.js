@@ -5,6 +5,7 @@ import Card from '@/components/ui/Card';
 import Button from '@/components/ui/Button';
 import Link from 'next/link';
 import AdminLayout from '@/components/admin/Layout';
+import ReturnStatusBadge from '@/components/admin/ReturnStatusBadge';
 import { useAdminReturns } from '@/hooks/useAdminReturns';
 
 export default function AdminDashboard() {
@@ -42,9 +43,9 @@ export default function AdminDashboard() {
               <Package className="h-6 w-6 text-amber-600" />
             </div>
             <div className="ml-4">
-              <h3 className="text-sm font-medium text-gray-500">Pending</h3>
+              <h3 className="text-sm font-medium text-gray-500">Requested</h3>
               <span className="text-2xl font-semibold text-gray-900">
-                {loading ? '-' : stats.pendingReturns}
+                {loading ? '-' : stats.requestedReturns}
               </span>
             </div>
           </div>
@@ -56,9 +57,9 @@ export default function AdminDashboard() {
               <RefreshCw className="h-6 w-6 text-green-600" />
             </div>
             <div className="ml-4">
-              <h3 className="text-sm font-medium text-gray-500">Completed</h3>
+              <h3 className="text-sm font-medium text-gray-500">Refunded</h3>
               <span className="text-2xl font-semibold text-gray-900">
-                {loading ? '-' : stats.completedReturns}
+                {loading ? '-' : stats.refundedReturns}
               </span>
             </div>
           </div>
@@ -121,7 +122,7 @@ export default function AdminDashboard() {
                   recentReturns.map((ret) => (
                     <tr key={ret.id}>
                       <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                        {ret.id}
+                        {ret.rmaNumber || ret.id}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                         {ret.order_id}
@@ -138,14 +139,7 @@ export default function AdminDashboard() {
                       </td>
 
                       <td className="px-6 py-4 whitespace-nowrap">
-                        <span className={`px-2 py-1 text-xs rounded-full font-medium
-                          ${ret.status === 'pending' ? 'bg-amber-100 text-amber-800' : ''}
-                          ${ret.status === 'approved' ? 'bg-blue-100 text-blue-800' : ''}
-                          ${ret.status === 'completed' ? 'bg-green-100 text-green-800' : ''}
-                          ${ret.status === 'flagged' ? 'bg-purple-100 text-purple-800' : ''}
-                        `}>
-                          {ret.status.charAt(0).toUpperCase() + ret.status.slice(1)}
-                        </span>
+                        <ReturnStatusBadge status={ret.status} />
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                         <Link href={`/admin/returns/${ret.id}`}>
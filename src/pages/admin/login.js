@@ -2,18 +2,47 @@
 import React, { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
 import Head from 'next/head';
+import Image from 'next/image';
+import { getCsrfToken } from 'next-auth/react';
 import Card from '@/components/ui/Card';
 import Button from '@/components/ui/Button';
 import { useAdmin } from '@/lib/context/AdminContext';
 
+// Sign-in errors passed back as ?error=<code> after single sign-on
+const SSO_ERROR_MESSAGES = {
+  SsoEmailMissing: 'Your identity provider did not share a verified email address.',
+  SsoDomainNotAllowed: 'Your email domain is not allowed to sign in here.',
+  SsoNotProvisioned: 'You do not have an admin account yet. Ask an administrator to invite you.',
+  SsoAccountConflict: 'An account with your email already exists. Ask an administrator to link it.',
+  SsoAccountDisabled: 'Your account has been deactivated.',
+  OAuthSignin: 'Single sign-on could not be started. Please try again.',
+  OAuthCallback: 'Single sign-on failed. Please try again.',
+  AccessDenied: 'Single sign-on was denied.'
+};
+
 export default function AdminLogin() {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   
+  // Two-factor step: 'code' for enrolled users, 'setup' to enroll, 'recovery' to show new codes
+  const [twoFactorStep, setTwoFactorStep] = useState(null);
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [completedLogin, setCompletedLogin] = useState(null);
+  const [ssoProvider, setSsoProvider] = useState(null);
+  
   const router = useRouter();
-  const { login, isAuthenticated, loading: authLoading } = useAdmin();
+  const {
+    login,
+    verifyTwoFactor,
+    completeLogin,
+    isAuthenticated,
+    loading: authLoading,
+    error: authError
+  } = useAdmin();
   
   // Redirect if already authenticated
   useEffect(() => {
@@ -22,29 +51,127 @@ export default function AdminLogin() {
     }
   }, [isAuthenticated, router]);
 
+  // Offer single sign-on when the tenant has it (?tenant=<id> on the platform domain)
+  const tenantParam = router.query.tenant;
+  useEffect(() => {
+    if (!router.isReady) return;
+
+    fetch('/api/admin/sso/providers', {
+      headers: tenantParam ? { 'x-tenant-id': tenantParam } : {}
+    })
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => setSsoProvider(data?.enabled ? data : null))
+      .catch(err => console.error('Error loading sign-in options:', err));
+  }, [router.isReady, tenantParam]);
+
+  // Back from the identity provider: swap the SSO sign-in for an admin session
+  const { error: ssoError, sso: ssoStatus } = router.query;
+  useEffect(() => {
+    if (!router.isReady) return;
+
+    if (ssoError) {
+      setError(SSO_ERROR_MESSAGES[ssoError] || 'Sign-in failed. Please try again.');
+      return;
+    }
+    if (ssoStatus !== 'complete') return;
+
+    setLoading(true);
+    fetch('/api/admin/sso/session', {
+      method: 'POST',
+      headers: tenantParam ? { 'x-tenant-id': tenantParam } : {}
+    })
+      .then(async response => {
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.message || 'Single sign-on failed');
+        }
+        completeLogin(data);
+        router.replace('/admin');
+      })
+      .catch(err => {
+        console.error('SSO sign-in error:', err);
+        setError(err.message);
+        setLoading(false);
+      });
+  }, [router, ssoError, ssoStatus, tenantParam, completeLogin]);
+
+  // Start the OIDC flow. Posted directly rather than through signIn() so the
+  // provider is found from its ID even on the platform domain.
+  const handleSsoLogin = async () => {
+    setError('');
+    setLoading(true);
+
+    try {
+      const callbackUrl = `/admin/login?sso=complete${tenantParam ? `&tenant=${encodeURIComponent(tenantParam)}` : ''}`;
+      const response = await fetch(`/api/auth/signin/${ssoProvider.providerId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ csrfToken: await getCsrfToken(), callbackUrl, json: 'true' })
+      });
+      const data = await response.json();
+      window.location.href = data.url;
+    } catch (err) {
+      console.error('SSO sign-in error:', err);
+      setError('Single sign-on could not be started. Please try again.');
+      setLoading(false);
+    }
+  };
+
   const handleLogin = async (e) => {
     e.preventDefault();
     setError('');
     setLoading(true);
     
     try {
-      const success = await login(email, password);
+      const result = await login(email, password);
+      
+      // On failure the context holds the API's message (shown below)
+      if (result === true) {
+        router.push('/admin');
+      } else if (result) {
+        setChallengeToken(result.challengeToken);
+        setSetup(result.setup || null);
+        setTwoFactorStep(result.twoFactorSetupRequired ? 'setup' : 'code');
+      }
+    } catch (err) {
+      console.error(err);
+      setError('An unexpected error occurred');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleVerifyCode = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+    
+    try {
+      const result = await verifyTwoFactor(challengeToken, code);
       
-      if (success) {
+      if (result?.recoveryCodes) {
+        // Just enrolled: show the recovery codes before entering the admin
+        setCompletedLogin(result);
+        setTwoFactorStep('recovery');
+      } else if (result) {
         router.push('/admin');
-      } else {
-        setError('Invalid email or password');
       }
     } catch (err) {
       console.error(err);
       setError('An unexpected error occurred');
     } finally {
+      setCode('');
       setLoading(false);
     }
   };
 
+  const handleFinishEnrollment = () => {
+    completeLogin(completedLogin);
+    router.push('/admin');
+  };
+
   // If still checking authentication status, show loading
-  if (authLoading) {
+  if (authLoading && !twoFactorStep) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
         <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
@@ -64,55 +191,151 @@ export default function AdminLogin() {
       </Head>
       
       <div className="w-full max-w-md p-4">
-        <Card title="Admin Login" padding="large" elevation="medium">
-          <form onSubmit={handleLogin} className="space-y-6">
-            {error && (
-              <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
-                <p className="text-sm text-red-600">{error}</p>
-              </div>
-            )}
-            
-            <div className="space-y-4">
+        <Card title={twoFactorStep ? 'Two-Factor Authentication' : 'Admin Login'} padding="large" elevation="medium">
+          {twoFactorStep === 'recovery' ? (
+            <div className="space-y-6">
+              <p className="text-sm text-gray-700">
+                Two-factor authentication is on. Save these recovery codes somewhere safe.
+                Each one can be used once if you lose access to your authenticator app.
+              </p>
+              <ul className="grid grid-cols-2 gap-2 font-mono text-sm bg-gray-50 border border-gray-200 rounded-lg p-4">
+                {completedLogin.recoveryCodes.map(recoveryCode => (
+                  <li key={recoveryCode}>{recoveryCode}</li>
+                ))}
+              </ul>
+              <Button variant="primary" fullWidth size="lg" onClick={handleFinishEnrollment}>
+                I have saved my codes
+              </Button>
+            </div>
+          ) : twoFactorStep ? (
+            <form onSubmit={handleVerifyCode} className="space-y-6">
+              {(error || authError) && (
+                <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+                  <p className="text-sm text-red-600">{error || authError}</p>
+                </div>
+              )}
+              
+              {twoFactorStep === 'setup' && setup && (
+                <div className="space-y-3">
+                  <p className="text-sm text-gray-700">
+                    Your organization requires two-factor authentication. Scan this code with an
+                    authenticator app, then enter the 6-digit code it shows.
+                  </p>
+                  <Image
+                    src={setup.qrCode}
+                    alt="Two-factor QR code"
+                    width={192}
+                    height={192}
+                    unoptimized
+                    className="mx-auto w-48 h-48"
+                  />
+                  <p className="text-xs text-gray-500 text-center break-all">
+                    Or enter this key manually: <code>{setup.secret}</code>
+                  </p>
+                </div>
+              )}
+              
               <div>
-                <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
-                  Email Address
+                <label htmlFor="code" className="block text-sm font-medium text-gray-700 mb-1">
+                  Authentication Code
                 </label>
                 <input
-                  id="email"
-                  type="email"
-                  value={email}
-                  onChange={(e) => setEmail(e.target.value)}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md"
-                  placeholder="admin@example.com"
+                  id="code"
+                  type="text"
+                  autoComplete="one-time-code"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md tracking-widest"
+                  placeholder="123456"
                   required
                 />
+                {twoFactorStep === 'code' && (
+                  <p className="mt-1 text-xs text-gray-500">
+                    Enter the code from your authenticator app, or one of your recovery codes.
+                  </p>
+                )}
               </div>
               
-              <div>
-                <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
-                  Password
-                </label>
-                <input
-                  id="password"
-                  type="password"
-                  value={password}
-                  onChange={(e) => setPassword(e.target.value)}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md"
-                  required
-                />
+              <Button
+                type="submit"
+                variant="primary"
+                fullWidth
+                size="lg"
+                isLoading={loading}
+              >
+                {twoFactorStep === 'setup' ? 'Enable and Log In' : 'Verify'}
+              </Button>
+            </form>
+          ) : (
+            <form onSubmit={handleLogin} className="space-y-6">
+              {(error || authError) && (
+                <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+                  <p className="text-sm text-red-600">{error || authError}</p>
+                </div>
+              )}
+            
+              <div className="space-y-4">
+                <div>
+                  <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+                    Email Address
+                  </label>
+                  <input
+                    id="email"
+                    type="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                    placeholder="admin@example.com"
+                    required
+                  />
+                </div>
+              
+                <div>
+                  <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
+                    Password
+                  </label>
+                  <input
+                    id="password"
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                    required
+                  />
+                </div>
               </div>
-            </div>
             
-            <Button
-              type="submit"
-              variant="primary"
-              fullWidth
-              size="lg"
-              isLoading={loading}
-            >
-              {loading ? 'Logging in...' : 'Log In'}
-            </Button>
-          </form>
+              <Button
+                type="submit"
+                variant="primary"
+                fullWidth
+                size="lg"
+                isLoading={loading}
+              >
+                {loading ? 'Logging in...' : 'Log In'}
+              </Button>
+              
+              {ssoProvider && (
+                <>
+                  <div className="flex items-center">
+                    <div className="flex-grow border-t border-gray-200" />
+                    <span className="px-3 text-xs text-gray-500 uppercase">or</span>
+                    <div className="flex-grow border-t border-gray-200" />
+                  </div>
+                  <Button
+                    type="button"
+                    variant="outline"
+                    fullWidth
+                    size="lg"
+                    disabled={loading}
+                    onClick={handleSsoLogin}
+                  >
+                    Sign in with {ssoProvider.name}
+                  </Button>
+                </>
+              )}
+            </form>
+          )}
         </Card>
       </div>
     </div>
@@ -3,36 +3,73 @@ import React, { useState } from 'react';
 import Link from 'next/link';
 import { useRouter } from 'next/router';
 import { 
-  ArrowLeft, User, Package, RefreshCw, CheckCircle, 
-  XCircle, AlertTriangle, Shield, Truck
+  ArrowLeft, User, Package, CheckCircle, XCircle, AlertTriangle, Shield, Truck,
+  Inbox, ClipboardCheck, Repeat, Archive, Slash, RotateCcw, Gift, Download, FileText
 } from 'lucide-react';
 import Card from '@/components/ui/Card';
 import Button from '@/components/ui/Button';
 import ReturnItemCard from '@/components/admin/ReturnItemCard'; // Our new component
+import ReturnStatusBadge from '@/components/admin/ReturnStatusBadge';
+import ItemInspectionForm from '@/components/admin/ItemInspectionForm';
+import RefundPanel from '@/components/admin/RefundPanel';
 import AdminLayout from '@/components/admin/Layout';
 import { useAdminReturnDetail } from '@/hooks/useAdminReturns';
+import { useAdmin } from '@/lib/context/AdminContext';
+import { Permissions, hasPermission, getStatusPermission } from '@/lib/admin/permissions';
+import { STATUS_LABELS, getFlaggedFrom } from '@/lib/returns/lifecycle';
+import { CREDIT_METHODS, REFUND_METHOD_LABELS } from '@/lib/returns/refundMethods';
+import { ItemDecision, isItemRejected } from '@/lib/returns/decisions';
+import {
+  RETURN_DOCUMENTS,
+  RETURN_DOCUMENT_FIELDS,
+  RETURN_DOCUMENT_LABELS,
+  isDocumentAvailable
+} from '@/lib/returns/documents';
+
+// How each status a return can be moved to is offered
+const TRANSITION_ACTIONS = {
+  requested: { label: 'Back to Requested', variant: 'outline', icon: RotateCcw },
+  approved: { label: 'Approve', variant: 'success', icon: CheckCircle },
+  in_transit: { label: 'Mark In Transit', variant: 'outline', icon: Truck },
+  received: { label: 'Mark Received', variant: 'outline', icon: Inbox },
+  inspected: { label: 'Mark Inspected', variant: 'outline', icon: ClipboardCheck },
+  refunded: { label: 'Refund', variant: 'primary', icon: CheckCircle },
+  exchanged: { label: 'Complete Exchange', variant: 'primary', icon: Repeat },
+  closed: { label: 'Close', variant: 'secondary', icon: Archive },
+  rejected: { label: 'Reject', variant: 'danger', icon: XCircle },
+  cancelled: { label: 'Cancel Return', variant: 'secondary', icon: Slash },
+  flagged: { label: 'Flag for Review', variant: 'secondary', icon: AlertTriangle }
+};
+
+// The happy path, for the progress tracker
+const PROGRESS_STEPS = ['requested', 'approved', 'in_transit', 'received', 'inspected', 'processed', 'closed'];
 
 export default function ReturnDetail() {
   const router = useRouter();
   const { id } = router.query;
+  const { user } = useAdmin();
   
   const {
     returnData,
     loading,
     error,
     actionLoading,
-    approveReturn,
-    rejectReturn,
-    completeReturn,
-    flagReturn
+    actionError,
+    updateReturnStatus,
+    recordItemReceiving,
+    decideItem,
+    retryRestock,
+    generateDocuments,
+    downloadDocument,
+    calculateRefund,
+    issueRefund,
+    issueCredit
   } = useAdminReturnDetail(id);
   
   const [adminNotes, setAdminNotes] = useState('');
+  const [trackingNumber, setTrackingNumber] = useState('');
   const [rejectionReason, setRejectionReason] = useState('');
   const [showRejectModal, setShowRejectModal] = useState(false);
-  
-  // New state for warehouse status
-  const [warehouseStatus, setWarehouseStatus] = useState('awaiting'); // awaiting, received, inspected
 
   // Format date string
   const formatDate = (dateString) => {
@@ -55,11 +92,17 @@ export default function ReturnDetail() {
     }).format(amount);
   };
 
-  // Handle approving the return
-  const handleApprove = async () => {
-    const success = await approveReturn(adminNotes);
+  // Move the return to another status; rejections ask for a reason first
+  const handleTransition = async (status, notes = adminNotes) => {
+    if (status === 'rejected') {
+      setShowRejectModal(true);
+      return;
+    }
+
+    const success = await updateReturnStatus(status, notes, { trackingNumber: trackingNumber || undefined });
     if (success) {
       setAdminNotes('');
+      setTrackingNumber('');
     }
   };
 
@@ -67,7 +110,7 @@ export default function ReturnDetail() {
   const handleReject = async () => {
     // Combine admin notes with rejection reason
     const notes = `Rejection reason: ${rejectionReason}\n\n${adminNotes}`.trim();
-    const success = await rejectReturn(notes);
+    const success = await updateReturnStatus('rejected', notes);
     if (success) {
       setAdminNotes('');
       setRejectionReason('');
@@ -75,41 +118,6 @@ export default function ReturnDetail() {
     }
   };
 
-  // Handle marking the return as complete
-  const handleComplete = async () => {
-    const success = await completeReturn(adminNotes);
-    if (success) {
-      setAdminNotes('');
-    }
-  };
-
-  // Handle flagging the return for manual review
-  const handleFlag = async () => {
-    const success = await flagReturn(adminNotes);
-    if (success) {
-      setAdminNotes('');
-    }
-  };
-  
-  // Handle warehouse status updates
-  const handleWarehouseStatusChange = async (status) => {
-    setWarehouseStatus(status);
-    // In a real implementation, you would save this to your database
-    // and potentially trigger automations based on the new status
-    
-    // For example, if status is 'received', you might want to:
-    if (status === 'received') {
-      // Update admin notes
-      setAdminNotes(prev => prev + '\nItems received by warehouse on ' + new Date().toLocaleString());
-    }
-    
-    // If status is 'inspected', you might automatically approve if everything is OK
-    if (status === 'inspected') {
-      // Update admin notes
-      setAdminNotes(prev => prev + '\nItems inspected by warehouse on ' + new Date().toLocaleString());
-    }
-  };
-
   // Check if return is potentially fraudulent
   const checkFraudRisk = () => {
     if (!returnData) return { isHighRisk: false, factors: [] };
@@ -144,32 +152,49 @@ export default function ReturnDetail() {
   // Calculate fraud risk
   const fraudRisk = returnData ? checkFraudRisk() : { isHighRisk: false, factors: [] };
 
-  // Display status badge with appropriate styling
-  const StatusBadge = ({ status }) => {
-    const statusStyles = {
-      pending: 'bg-amber-100 text-amber-800',
-      approved: 'bg-blue-100 text-blue-800',
-      completed: 'bg-green-100 text-green-800',
-      rejected: 'bg-red-100 text-red-800',
-      flagged: 'bg-purple-100 text-purple-800'
-    };
-    
-    const statusIcon = {
-      pending: <Package className="w-4 h-4 mr-1" />,
-      approved: <RefreshCw className="w-4 h-4 mr-1" />,
-      completed: <CheckCircle className="w-4 h-4 mr-1" />,
-      rejected: <XCircle className="w-4 h-4 mr-1" />,
-      flagged: <AlertTriangle className="w-4 h-4 mr-1" />
-    };
-    
-    return (
-      <span className={`px-3 py-1 rounded-full text-sm font-medium flex items-center ${statusStyles[status] || 'bg-gray-100'}`}>
-        {statusIcon[status]}
-        {status.charAt(0).toUpperCase() + status.slice(1)}
-      </span>
-    );
-  };
-  
+  // Only offer the moves the lifecycle allows and the user's role may make.
+  // Refunded follows from paying the customer back, so it is only offered once they have been.
+  const isCreditReturn = CREDIT_METHODS.includes(returnData?.refundMethod);
+  const hasPaidBack = isCreditReturn
+    ? returnData?.credit?.status === 'issued'
+    : returnData?.refunds?.length > 0;
+  const transitions = (returnData?.allowed_transitions || [])
+    .filter(status => hasPermission(user?.role, getStatusPermission(status)))
+    .filter(status => status !== 'refunded' || hasPaidBack);
+  const needsTrackingNumber = transitions.includes('in_transit') && !returnData?.trackingNumber;
+
+  // Items are approved or rejected one by one while the return waits for approval
+  const canDecideItems = (returnData?.status === 'requested' ||
+    (returnData?.status === 'flagged' && getFlaggedFrom(returnData.statusHistory) === 'requested')) &&
+    hasPermission(user?.role, Permissions.RETURNS_APPROVE);
+
+  // The warehouse records items from approval until the return is inspected
+  const canReceiveItems = ['approved', 'in_transit', 'received'].includes(returnData?.status) &&
+    hasPermission(user?.role, Permissions.RETURNS_INSPECT);
+  const canRetryRestock = hasPermission(user?.role, Permissions.RETURNS_INSPECT) &&
+    (returnData?.items || []).some(item => item.restock?.status === 'failed');
+  const canIssueRefund = returnData?.status === 'inspected' &&
+    (returnData?.refundMethod || 'original_payment') === 'original_payment' &&
+    hasPermission(user?.role, Permissions.RETURNS_REFUND);
+  // Credit can be issued by hand from approval on, if it isn't out already
+  const canIssueCredit = isCreditReturn &&
+    ['approved', 'in_transit', 'received', 'inspected'].includes(returnData?.status) &&
+    (!returnData?.credit?.status || returnData.credit.status === 'failed') &&
+    hasPermission(user?.role, Permissions.RETURNS_REFUND);
+
+  // Packing slips and labels can be made again once their links expire
+  const canGenerateDocuments = hasPermission(user?.role, Permissions.RETURNS_INSPECT) &&
+    !['rejected', 'cancelled', 'closed'].includes(returnData?.status);
+  const hasDocuments = RETURN_DOCUMENTS.some(document => returnData?.[RETURN_DOCUMENT_FIELDS[document]]?.url);
+
+  // Where the return is on the happy path; flagged returns show where they were flagged
+  const progressStatus = returnData?.status === 'flagged'
+    ? getFlaggedFrom(returnData.statusHistory)
+    : returnData?.status;
+  const progressIndex = PROGRESS_STEPS.indexOf(
+    ['refunded', 'exchanged'].includes(progressStatus) ? 'processed' : progressStatus
+  );
+
   // Loading state
   if (loading) {
     return (
@@ -215,7 +240,7 @@ export default function ReturnDetail() {
   }
 
   return (
-    <AdminLayout title={`Return ${returnData.id}`}>
+    <AdminLayout title={`Return ${returnData.rmaNumber || returnData.id}`}>
       {/* Back button */}
       <div className="mb-4">
         <Link href="/admin/returns" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700">
@@ -228,8 +253,8 @@ export default function ReturnDetail() {
       <div className="mb-6 flex flex-col sm:flex-row sm:items-center sm:justify-between bg-white p-4 rounded-lg border border-gray-200">
         <div>
           <div className="flex items-center space-x-2">
-            <h2 className="text-xl font-semibold text-gray-900">Return #{returnData.id}</h2>
-            <StatusBadge status={returnData.status} />
+            <h2 className="text-xl font-semibold text-gray-900">Return #{returnData.rmaNumber || returnData.id}</h2>
+            <ReturnStatusBadge status={returnData.status} size="md" showIcon />
             {fraudRisk.isHighRisk && (
               <span className="px-2 py-1 bg-red-100 text-red-800 text-xs font-medium rounded-full flex items-center">
                 <AlertTriangle className="w-3 h-3 mr-1" /> High Risk
@@ -240,154 +265,85 @@ export default function ReturnDetail() {
         </div>
         
         <div className="mt-4 sm:mt-0 flex flex-wrap gap-2">
-          {returnData.status === 'pending' && (
-            <>
+          {transitions.map(status => {
+            const action = TRANSITION_ACTIONS[status];
+            const Icon = action.icon;
+            return (
               <Button
-                variant="success"
+                key={status}
+                variant={action.variant}
                 size="sm"
-                onClick={handleApprove}
+                onClick={() => handleTransition(status)}
                 isLoading={actionLoading}
-                icon={<CheckCircle className="w-4 h-4" />}
+                disabled={status === 'in_transit' && needsTrackingNumber && !trackingNumber}
+                icon={<Icon className="w-4 h-4" />}
               >
-                Approve
+                {action.label}
               </Button>
-              <Button
-                variant="danger"
-                size="sm"
-                onClick={() => setShowRejectModal(true)}
-                isLoading={actionLoading}
-                icon={<XCircle className="w-4 h-4" />}
-              >
-                Reject
-              </Button>
-              <Button
-                variant="secondary"
-                size="sm"
-                onClick={handleFlag}
-                isLoading={actionLoading}
-                icon={<AlertTriangle className="w-4 h-4" />}
-              >
-                Flag for Review
-              </Button>
-            </>
-          )}
-          
-          {returnData.status === 'approved' && !returnData.is_fully_refunded && (
-            <Button
-              variant="primary"
-              size="sm"
-              onClick={handleComplete}
-              isLoading={actionLoading}
-              icon={<CheckCircle className="w-4 h-4" />}
-            >
-              Complete Refund
-            </Button>
-          )}
+            );
+          })}
         </div>
       </div>
+
+      {actionError && (
+        <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start">
+          <AlertTriangle className="w-5 h-5 text-red-500 mt-0.5 mr-3" />
+          <p className="text-red-800">{actionError}</p>
+        </div>
+      )}
       
       {/* Two-column layout */}
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         {/* Return details - left column */}
         <div className="lg:col-span-2 space-y-6">
-          {/* Warehouse Status Tracking - NEW SECTION */}
-          <Card title="Warehouse Status" padding="normal">
-            <div className="mb-4">
+          {/* Progress through the return lifecycle */}
+          <Card title="Progress" padding="normal">
+            {['rejected', 'cancelled'].includes(returnData.status) ? (
+              <p className="text-sm text-gray-600">
+                This return was {STATUS_LABELS[returnData.status].toLowerCase()} and will not be processed further.
+              </p>
+            ) : (
               <div className="relative">
                 {/* Status Progress Bar */}
                 <div className="overflow-hidden h-2 text-xs flex rounded bg-gray-200">
-                  <div 
-                    className="shadow-none flex flex-col text-center whitespace-nowrap text-white justify-center bg-blue-500"
-                    style={{ 
-                      width: warehouseStatus === 'awaiting' ? '0%' : 
-                             warehouseStatus === 'received' ? '50%' : '100%' 
-                    }}
+                  <div
+                    className={`shadow-none flex flex-col ${returnData.status === 'flagged' ? 'bg-purple-500' : 'bg-blue-500'}`}
+                    style={{ width: `${(Math.max(progressIndex, 0) / (PROGRESS_STEPS.length - 1)) * 100}%` }}
                   ></div>
                 </div>
-                
+
                 {/* Step Indicators */}
                 <div className="flex justify-between text-xs mt-2">
-                  <div className={`flex flex-col items-center ${
-                    warehouseStatus === 'awaiting' ? 'text-blue-600 font-medium' : 'text-gray-500'
-                  }`}>
-                    <div className={`rounded-full w-6 h-6 flex items-center justify-center mb-1 ${
-                      warehouseStatus === 'awaiting' ? 'bg-blue-100 text-blue-600' : 
-                      warehouseStatus === 'received' || warehouseStatus === 'inspected' ? 'bg-green-100 text-green-600' : 'bg-gray-100'
-                    }`}>
-                      {warehouseStatus === 'received' || warehouseStatus === 'inspected' ? <CheckCircle className="w-3 h-3" /> : 1}
-                    </div>
-                    Awaiting
-                  </div>
-                  
-                  <div className={`flex flex-col items-center ${
-                    warehouseStatus === 'received' ? 'text-blue-600 font-medium' : 'text-gray-500'
-                  }`}>
-                    <div className={`rounded-full w-6 h-6 flex items-center justify-center mb-1 ${
-                      warehouseStatus === 'received' ? 'bg-blue-100 text-blue-600' : 
-                      warehouseStatus === 'inspected' ? 'bg-green-100 text-green-600' : 'bg-gray-100'
-                    }`}>
-                      {warehouseStatus === 'inspected' ? <CheckCircle className="w-3 h-3" /> : 2}
-                    </div>
-                    Received
-                  </div>
-                  
-                  <div className={`flex flex-col items-center ${
-                    warehouseStatus === 'inspected' ? 'text-blue-600 font-medium' : 'text-gray-500'
-                  }`}>
-                    <div className={`rounded-full w-6 h-6 flex items-center justify-center mb-1 ${
-                      warehouseStatus === 'inspected' ? 'bg-blue-100 text-blue-600' : 'bg-gray-100'
-                    }`}>
-                      3
+                  {PROGRESS_STEPS.map((step, index) => (
+                    <div
+                      key={step}
+                      className={`flex flex-col items-center ${
+                        index === progressIndex ? 'text-blue-600 font-medium' : 'text-gray-500'
+                      }`}
+                    >
+                      <div className={`rounded-full w-6 h-6 flex items-center justify-center mb-1 ${
+                        index < progressIndex ? 'bg-green-100 text-green-600' :
+                        index === progressIndex ? 'bg-blue-100 text-blue-600' : 'bg-gray-100'
+                      }`}>
+                        {index < progressIndex ? <CheckCircle className="w-3 h-3" /> : index + 1}
+                      </div>
+                      {step === 'processed'
+                        ? (progressStatus === 'exchanged' ? 'Exchanged' : 'Refunded')
+                        : STATUS_LABELS[step]}
                     </div>
-                    Inspected
-                  </div>
+                  ))}
                 </div>
               </div>
-            </div>
-            
-            <div className="flex justify-between space-x-2 mt-6">
-              <Button
-                variant={warehouseStatus === 'awaiting' ? 'primary' : 'outline'}
-                size="sm"
-                onClick={() => handleWarehouseStatusChange('awaiting')}
-                icon={<Package className="w-4 h-4" />}
-                disabled={warehouseStatus === 'awaiting'}
-              >
-                Not Received
-              </Button>
-              
-              <Button
-                variant={warehouseStatus === 'received' ? 'primary' : 'outline'}
-                size="sm"
-                onClick={() => handleWarehouseStatusChange('received')}
-                icon={<Truck className="w-4 h-4" />}
-                disabled={warehouseStatus === 'received'}
-              >
-                Mark Received
-              </Button>
-              
-              <Button
-                variant={warehouseStatus === 'inspected' ? 'primary' : 'outline'}
-                size="sm"
-                onClick={() => handleWarehouseStatusChange('inspected')}
-                icon={<CheckCircle className="w-4 h-4" />}
-                disabled={warehouseStatus === 'inspected'}
-              >
-                Mark Inspected
-              </Button>
-            </div>
-            
+            )}
+
             {/* Issue Reporting Section */}
-            {warehouseStatus === 'inspected' && (
+            {returnData.status === 'inspected' && (
               <div className="mt-4 pt-4 border-t border-gray-200">
                 <h4 className="font-medium text-gray-800 mb-2">Inspection Issues</h4>
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
                   <button
                     className="px-3 py-2 border border-amber-200 bg-amber-50 text-amber-800 rounded-lg text-sm hover:bg-amber-100 flex items-center"
-                    onClick={() => {
-                      setAdminNotes(prev => prev + '\nItem condition issue detected during inspection');
-                      handleFlag();
-                    }}
+                    onClick={() => handleTransition('flagged', `${adminNotes}\nItem condition issue detected during inspection`.trim())}
                   >
                     <AlertTriangle className="w-4 h-4 mr-2" /> 
                     Item Condition Issue
@@ -397,7 +353,6 @@ export default function ReturnDetail() {
                     className="px-3 py-2 border border-red-200 bg-red-50 text-red-800 rounded-lg text-sm hover:bg-red-100 flex items-center"
                     onClick={() => {
                       setRejectionReason('Missing components');
-                      setAdminNotes(prev => prev + '\nItems missing components or parts');
                       setShowRejectModal(true);
                     }}
                   >
@@ -407,25 +362,11 @@ export default function ReturnDetail() {
                   
                   <button
                     className="px-3 py-2 border border-purple-200 bg-purple-50 text-purple-800 rounded-lg text-sm hover:bg-purple-100 flex items-center"
-                    onClick={() => {
-                      setAdminNotes(prev => prev + '\nWrong item returned');
-                      handleFlag();
-                    }}
+                    onClick={() => handleTransition('flagged', `${adminNotes}\nWrong item returned`.trim())}
                   >
                     <AlertTriangle className="w-4 h-4 mr-2" /> 
                     Wrong Item Returned
                   </button>
-                  
-                  <button
-                    className="px-3 py-2 border border-green-200 bg-green-50 text-green-800 rounded-lg text-sm hover:bg-green-100 flex items-center"
-                    onClick={() => {
-                      setAdminNotes(prev => prev + '\nInspection passed - all items in good condition');
-                      handleApprove();
-                    }}
-                  >
-                    <CheckCircle className="w-4 h-4 mr-2" /> 
-                    Approve & Process
-                  </button>
                 </div>
               </div>
             )}
@@ -499,8 +440,8 @@ export default function ReturnDetail() {
     }
     
     return (
+      <div key={item.id || item._id}>
       <ReturnItemCard
-        key={item.id || item._id} 
         item={{
           id: item.id || item._id,
           title: item.title || "Unknown Item",
@@ -516,11 +457,24 @@ export default function ReturnDetail() {
           image: item.image,
           imageUrl: item.imageUrl,
           variant_image: item.variant_image,
-          product_image: item.product_image
+          product_image: item.product_image,
+          decision: item.decision
         }}
         status={returnData.status}
-        showActions={false}
+        showActions={canDecideItems}
+        onApprove={itemId => decideItem(itemId, ItemDecision.APPROVED)}
+        onReject={(itemId, reason) => decideItem(itemId, ItemDecision.REJECTED, reason)}
+        saving={actionLoading}
       />
+      {((canReceiveItems && !isItemRejected(item)) || item.receiving?.receivedAt) && (
+        <ItemInspectionForm
+          item={item}
+          editable={canReceiveItems}
+          saving={actionLoading}
+          onSave={recordItemReceiving}
+        />
+      )}
+      </div>
     );
   })
 ) : (
@@ -531,6 +485,19 @@ export default function ReturnDetail() {
             </div>
           </Card>
 
+          {/* Refunds to the original payment method */}
+          {(canIssueRefund || returnData.refunds?.length > 0) && (
+            <RefundPanel
+              key={returnData.refunds?.length || 0}
+              items={returnData.items || []}
+              refunds={returnData.refunds || []}
+              editable={canIssueRefund}
+              saving={actionLoading}
+              onCalculate={calculateRefund}
+              onIssue={issueRefund}
+            />
+          )}
+
           {/* Fraud Detection Results */}
           {fraudRisk.factors.length > 0 && (
             <Card title="Risk Assessment" padding="normal">
@@ -598,46 +565,62 @@ export default function ReturnDetail() {
                 ></textarea>
               </div>
               
-              {returnData.status === 'pending' && (
+              {needsTrackingNumber && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Tracking Number
+                  </label>
+                  <input
+                    type="text"
+                    className="w-full rounded-md border border-gray-300 shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                    placeholder="Needed to mark the return in transit"
+                    value={trackingNumber}
+                    onChange={(e) => setTrackingNumber(e.target.value)}
+                  />
+                </div>
+              )}
+              
+              {transitions.length > 0 ? (
                 <div className="grid grid-cols-2 gap-2">
-                  <Button
-                    variant="success"
-                    fullWidth
-                    onClick={handleApprove}
-                    isLoading={actionLoading}
-                  >
-                    Approve
-                  </Button>
-                  <Button
-                    variant="danger"
-                    fullWidth
-                    onClick={() => setShowRejectModal(true)}
-                    isLoading={actionLoading}
-                  >
-                    Reject
-                  </Button>
+                  {transitions.map(status => (
+                    <Button
+                      key={status}
+                      variant={TRANSITION_ACTIONS[status].variant}
+                      fullWidth
+                      onClick={() => handleTransition(status)}
+                      isLoading={actionLoading}
+                      disabled={status === 'in_transit' && needsTrackingNumber && !trackingNumber}
+                    >
+                      {TRANSITION_ACTIONS[status].label}
+                    </Button>
+                  ))}
                 </div>
+              ) : (
+                <p className="text-sm text-gray-500">No further status changes are available.</p>
               )}
               
-              {returnData.status === 'approved' && !returnData.is_fully_refunded && (
+              {canIssueCredit && (
                 <Button
-                  variant="primary"
+                  variant="outline"
                   fullWidth
-                  onClick={handleComplete}
+                  onClick={issueCredit}
                   isLoading={actionLoading}
+                  icon={<Gift className="w-4 h-4" />}
                 >
-                  Mark Complete
+                  {returnData.credit?.status === 'failed'
+                    ? `Retry ${REFUND_METHOD_LABELS[returnData.refundMethod]}`
+                    : `Issue ${REFUND_METHOD_LABELS[returnData.refundMethod]} Now`}
                 </Button>
               )}
               
-              {returnData.status === 'pending' && (
+              {canRetryRestock && (
                 <Button
-                  variant="secondary"
+                  variant="outline"
                   fullWidth
-                  onClick={handleFlag}
+                  onClick={retryRestock}
                   isLoading={actionLoading}
                 >
-                  Flag for Review
+                  Retry Restock
                 </Button>
               )}
             </div>
@@ -653,6 +636,48 @@ export default function ReturnDetail() {
                 </span>
               </div>
               
+              <div className="flex justify-between items-center">
+                <span className="text-gray-600">Refund Method</span>
+                <span className="text-gray-900 font-medium">
+                  {REFUND_METHOD_LABELS[returnData.refundMethod || 'original_payment']}
+                </span>
+              </div>
+              
+              {returnData.fees?.totalFees > 0 && (
+                <div className="flex justify-between items-start">
+                  <span className="text-gray-600">Quoted Fees</span>
+                  <span className="text-right text-sm text-gray-900">
+                    {formatMoney(returnData.fees.totalFees)}
+                    {returnData.fees.shippingFee > 0 && (
+                      <span className="block text-xs text-gray-500">
+                        Includes {formatMoney(returnData.fees.shippingFee)} return shipping
+                      </span>
+                    )}
+                  </span>
+                </div>
+              )}
+
+              {isCreditReturn && (
+                <div className="flex justify-between items-start">
+                  <span className="text-gray-600">Credit</span>
+                  <span className={`text-right text-sm ${returnData.credit?.status === 'failed' ? 'text-red-600' : 'text-gray-900'}`}>
+                    {returnData.credit?.status === 'issued' && (
+                      <>
+                        {formatMoney(returnData.credit.amount)} issued
+                        {returnData.credit.lastCharacters && `, ends in ${returnData.credit.lastCharacters}`}
+                        <span className="block text-xs text-gray-500">
+                          {returnData.credit.emailedAt ? `Emailed ${formatDate(returnData.credit.emailedAt)}` : 'Customer not emailed'}
+                        </span>
+                      </>
+                    )}
+                    {returnData.credit?.status === 'pending' && 'Being issued'}
+                    {returnData.credit?.status === 'skipped' && `Not issued: ${returnData.credit.reason}`}
+                    {returnData.credit?.status === 'failed' && `Failed: ${returnData.credit.error}`}
+                    {!returnData.credit?.status && `Not issued yet (+${Math.round((returnData.credit?.bonusRate || 0) * 100)}% bonus)`}
+                  </span>
+                </div>
+              )}
+              
               <div className="flex justify-between items-center">
                 <span className="text-gray-600">Total Refund</span>
                 <span className="text-gray-900 font-medium">
@@ -662,7 +687,7 @@ export default function ReturnDetail() {
               
               <div className="flex justify-between items-center">
                 <span className="text-gray-600">Status</span>
-                <StatusBadge status={returnData.status} />
+                <ReturnStatusBadge status={returnData.status} />
               </div>
               
               <div className="flex justify-between items-center">
@@ -675,17 +700,70 @@ export default function ReturnDetail() {
               <div className="flex justify-between items-center">
                 <span className="text-gray-600">Processed</span>
                 <span className="text-gray-900 font-medium">
-                  {returnData.is_fully_refunded ? 'Yes' : 'No'}
+                  {returnData.processedAt ? formatDate(returnData.processedAt) : 'No'}
                 </span>
               </div>
             </div>
           </Card>
           
+          {/* Packing slip and carrier label */}
+          <Card title="Return Documents" padding="normal">
+            <div className="space-y-3">
+              {RETURN_DOCUMENTS.map(document => {
+                const stored = returnData[RETURN_DOCUMENT_FIELDS[document]];
+                if (!stored?.url) return null;
+                const available = isDocumentAvailable(stored);
+                return (
+                  <div key={document} className="flex justify-between items-center">
+                    <div>
+                      <span className="text-gray-900 font-medium flex items-center">
+                        <FileText className="w-4 h-4 mr-1 text-gray-500" />
+                        {RETURN_DOCUMENT_LABELS[document]}
+                        {stored.carrier && <span className="ml-1 text-xs text-gray-500">({stored.carrier})</span>}
+                      </span>
+                      <span className={`block text-xs ${available ? 'text-gray-500' : 'text-red-600'}`}>
+                        {available
+                          ? `Link expires ${formatDate(stored.expiresAt)}`
+                          : `Expired ${formatDate(stored.expiresAt)}`}
+                      </span>
+                    </div>
+                    {available && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        icon={<Download className="w-4 h-4" />}
+                        onClick={() => downloadDocument(document)}
+                      >
+                        Download
+                      </Button>
+                    )}
+                  </div>
+                );
+              })}
+              
+              {!hasDocuments && (
+                <p className="text-sm text-gray-500">No packing slip or label has been generated</p>
+              )}
+              
+              {canGenerateDocuments && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  fullWidth
+                  onClick={generateDocuments}
+                  disabled={actionLoading}
+                >
+                  {hasDocuments ? 'Generate Again' : 'Generate Documents'}
+                </Button>
+              )}
+            </div>
+          </Card>
+          
           {/* Return history */}
           <Card title="History" padding="normal">
             <div className="space-y-4">
-              {returnData.history && returnData.history.length > 0 ? (
-                returnData.history.map((event, index) => (
+              {returnData.statusHistory && returnData.statusHistory.length > 0 ? (
+                [...returnData.statusHistory].reverse().map((event, index) => (
                   <div key={index} className="flex items-start">
                     <div className="flex-shrink-0 h-4 w-4 mt-1">
                       <div className="h-full w-full rounded-full bg-blue-100 flex items-center justify-center">
@@ -693,10 +771,17 @@ export default function ReturnDetail() {
                       </div>
                     </div>
                     <div className="ml-3 flex-grow">
-                      <p className="text-sm font-medium text-gray-900">{event.title}</p>
-                      <p className="text-xs text-gray-500">{formatDate(event.timestamp)}</p>
+                      <p className="text-sm font-medium text-gray-900">
+                        {event.from
+                          ? `${STATUS_LABELS[event.from] || event.from} → ${STATUS_LABELS[event.status] || event.status}`
+                          : STATUS_LABELS[event.status] || event.status}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {formatDate(event.timestamp)}
+                        {(event.actor?.name || event.updatedBy) && ` by ${event.actor?.name || event.updatedBy}`}
+                      </p>
                       {event.notes && (
-                        <p className="text-xs text-gray-600 mt-1">{event.notes}</p>
+                        <p className="text-xs text-gray-600 mt-1 whitespace-pre-line">{event.notes}</p>
                       )}
                     </div>
                   </div>
@@ -5,6 +5,7 @@ import { Search, Download, AlertTriangle, CheckCircle, Package, Clock } from 'lu
 import Card from '@/components/ui/Card';
 import Button from '@/components/ui/Button';
 import AdminLayout from '@/components/admin/Layout';
+import ReturnStatusBadge from '@/components/admin/ReturnStatusBadge';
 import { useAdminReturns } from '@/hooks/useAdminReturns';
 
 export default function ReturnsManagement() {
@@ -23,7 +24,7 @@ export default function ReturnsManagement() {
   const [viewMode, setViewMode] = useState('list'); // 'list' or 'cards'
   const [expandedReturn, setExpandedReturn] = useState(null);
   const [searchInput, setSearchInput] = useState('');
-  const [selectedTab, setSelectedTab] = useState('all'); // 'all', 'flagged', 'pending'
+  const [selectedTab, setSelectedTab] = useState('all'); // 'all', 'flagged', 'requested'
 
   // Memoize tab selection handler to prevent unnecessary renders
   const handleTabChange = useCallback((tabName) => {
@@ -34,8 +35,8 @@ export default function ReturnsManagement() {
         updateFilters({ status: 'all' });
       } else if (tabName === 'flagged') {
         updateFilters({ status: 'flagged' });
-      } else if (tabName === 'pending') {
-        updateFilters({ status: 'pending' });
+      } else if (tabName === 'requested') {
+        updateFilters({ status: 'requested' });
       } else if (tabName === 'manual') {
         // For returns that need manual handling
         updateFilters({ status: 'flagged' });
@@ -149,7 +150,7 @@ export default function ReturnsManagement() {
                 <div className="flex justify-between items-start">
                   <div>
                     <h3 className="text-lg font-medium text-gray-900">
-                      Return #{ret.id}
+                      Return #{ret.rmaNumber || ret.id}
                     </h3>
                     <p className="text-sm text-gray-600">
                       {typeof ret.customer === 'object' && ret.customer !== null ? ret.customer.name : ret.customer} • {formatDate(ret.date)}
@@ -213,20 +214,12 @@ export default function ReturnsManagement() {
                 <div className="flex flex-col h-full">
                   <div className="flex justify-between items-start mb-3">
                     <div>
-                      <span className="text-gray-600 text-xs">Return #{ret.id}</span>
+                      <span className="text-gray-600 text-xs">Return #{ret.rmaNumber || ret.id}</span>
                       <h3 className="font-medium text-gray-900">
                         {typeof ret.customer === 'object' && ret.customer !== null ? ret.customer.name : ret.customer}
                       </h3>
                     </div>
-                    <span className={`px-2 py-1 text-xs rounded-full font-medium
-                      ${ret.status === 'pending' ? 'bg-amber-100 text-amber-800' : ''}
-                      ${ret.status === 'approved' ? 'bg-blue-100 text-blue-800' : ''}
-                      ${ret.status === 'completed' ? 'bg-green-100 text-green-800' : ''}
-                      ${ret.status === 'flagged' ? 'bg-purple-100 text-purple-800' : ''}
-                      ${ret.status === 'rejected' ? 'bg-red-100 text-red-800' : ''}
-                    `}>
-                      {ret.status.charAt(0).toUpperCase() + ret.status.slice(1)}
-                    </span>
+                    <ReturnStatusBadge status={ret.status} />
                   </div>
                   
                   <div className="text-sm text-gray-600 mb-2">
@@ -287,7 +280,7 @@ export default function ReturnsManagement() {
                           onClick={() => toggleExpandReturn(ret.id)}
                           className="text-left focus:outline-none"
                         >
-                          <div className="text-sm font-medium text-gray-900">#{ret.id}</div>
+                          <div className="text-sm font-medium text-gray-900">#{ret.rmaNumber || ret.id}</div>
                           <div className="text-xs text-gray-500">{ret.order_id}</div>
                         </button>
                       </td>
@@ -307,15 +300,7 @@ export default function ReturnsManagement() {
                         <div className="text-xs text-gray-500">${ret.total.toFixed(2)}</div>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
-                        <span className={`px-2 py-1 text-xs rounded-full font-medium
-                          ${ret.status === 'pending' ? 'bg-amber-100 text-amber-800' : ''}
-                          ${ret.status === 'approved' ? 'bg-blue-100 text-blue-800' : ''}
-                          ${ret.status === 'completed' ? 'bg-green-100 text-green-800' : ''}
-                          ${ret.status === 'flagged' ? 'bg-purple-100 text-purple-800' : ''}
-                          ${ret.status === 'rejected' ? 'bg-red-100 text-red-800' : ''}
-                        `}>
-                          {ret.status.charAt(0).toUpperCase() + ret.status.slice(1)}
-                        </span>
+                        <ReturnStatusBadge status={ret.status} />
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                         <Link href={`/admin/returns/${ret.id}`}>
@@ -417,8 +402,8 @@ export default function ReturnsManagement() {
               <Clock className="h-5 w-5 text-amber-600" />
             </div>
             <div>
-              <h3 className="text-sm font-medium text-gray-700">Pending</h3>
-              <div className="text-2xl font-semibold text-gray-900">{stats.pendingReturns}</div>
+              <h3 className="text-sm font-medium text-gray-700">Requested</h3>
+              <div className="text-2xl font-semibold text-gray-900">{stats.requestedReturns}</div>
             </div>
           </div>
         </Card>
@@ -429,8 +414,8 @@ export default function ReturnsManagement() {
               <CheckCircle className="h-5 w-5 text-green-600" />
             </div>
             <div>
-              <h3 className="text-sm font-medium text-gray-700">Completed</h3>
-              <div className="text-2xl font-semibold text-gray-900">{stats.completedReturns}</div>
+              <h3 className="text-sm font-medium text-gray-700">Refunded</h3>
+              <div className="text-2xl font-semibold text-gray-900">{stats.refundedReturns}</div>
             </div>
           </div>
         </Card>
@@ -463,14 +448,14 @@ export default function ReturnsManagement() {
               All Returns
             </button>
             <button
-              onClick={() => handleTabChange('pending')}
+              onClick={() => handleTabChange('requested')}
               className={`mr-1 py-2 px-4 text-sm font-medium ${
-                selectedTab === 'pending'
+                selectedTab === 'requested'
                   ? 'border-b-2 border-blue-500 text-blue-600'
                   : 'text-gray-500 hover:text-gray-700 hover:border-b-2 hover:border-gray-300'
               }`}
             >
-              Pending ({stats.pendingReturns})
+              Requested ({stats.requestedReturns})
             </button>
             <button
               onClick={() => handleTabChange('flagged')}
@@ -507,7 +492,7 @@ export default function ReturnsManagement() {
             <input
               type="text"
               className="block w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md leading-5 bg-white placeholder-gray-500 focus:outline-none focus:placeholder-gray-400 focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
-              placeholder="Search by order ID, customer name or email"
+              placeholder="Search by return number, order ID, customer name or email"
               value={searchInput}
               onChange={(e) => setSearchInput(e.target.value)}
             />
@@ -0,0 +1,186 @@
+// src/pages/admin/sessions.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { Monitor, AlertCircle, CheckCircle } from 'lucide-react';
+import Card from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import AdminLayout from '@/components/admin/Layout';
+import { useAdmin } from '@/lib/context/AdminContext';
+
+// Rough "Browser on OS" label from a user agent string
+function describeDevice(userAgent = '') {
+  const browser = [
+    ['Edg/', 'Edge'],
+    ['Firefox/', 'Firefox'],
+    ['Chrome/', 'Chrome'],
+    ['Safari/', 'Safari']
+  ].find(([token]) => userAgent.includes(token))?.[1];
+
+  const os = [
+    ['iPhone', 'iOS'],
+    ['iPad', 'iPadOS'],
+    ['Android', 'Android'],
+    ['Mac OS X', 'macOS'],
+    ['Windows', 'Windows'],
+    ['Linux', 'Linux']
+  ].find(([token]) => userAgent.includes(token))?.[1];
+
+  if (!browser && !os) return 'Unknown device';
+  return [browser || 'Browser', os && `on ${os}`].filter(Boolean).join(' ');
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toLocaleString() : '—';
+}
+
+export default function AdminSessions() {
+  const { authFetch, logout, user } = useAdmin();
+
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(null);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const response = await authFetch('/api/admin/sessions');
+      if (!response.ok) {
+        throw new Error('Failed to load sessions');
+      }
+      const data = await response.json();
+      setSessions(data.sessions || []);
+    } catch (err) {
+      console.error('Error loading sessions:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [authFetch]);
+
+  useEffect(() => {
+    loadSessions();
+  }, [user?.id, loadSessions]);
+
+  const revokeSession = async (session) => {
+    setWorking(session.id);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const response = await authFetch(`/api/admin/sessions/${session.id}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.message || 'Failed to sign out the session');
+      }
+
+      // Revoking this device is the same as logging out
+      if (session.current) {
+        logout();
+        return;
+      }
+
+      setSuccess('The device has been signed out.');
+      await loadSessions();
+    } catch (err) {
+      console.error('Error revoking session:', err);
+      setError(err.message);
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  const revokeOtherSessions = async () => {
+    setWorking('others');
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const response = await authFetch('/api/admin/sessions', { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to sign out other sessions');
+      }
+
+      setSuccess(`Signed out ${data.revoked} other ${data.revoked === 1 ? 'session' : 'sessions'}.`);
+      await loadSessions();
+    } catch (err) {
+      console.error('Error revoking sessions:', err);
+      setError(err.message);
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  const hasOtherSessions = sessions.some(session => !session.current);
+
+  return (
+    <AdminLayout title="Sessions">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-lg font-medium text-gray-900">Your Sessions</h2>
+          <p className="text-sm text-gray-500">Devices currently signed in to your account</p>
+        </div>
+        {hasOtherSessions && (
+          <Button
+            variant="outline"
+            onClick={revokeOtherSessions}
+            isLoading={working === 'others'}
+          >
+            Sign Out Other Sessions
+          </Button>
+        )}
+      </div>
+
+      {success && (
+        <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg flex items-start">
+          <CheckCircle className="w-5 h-5 text-green-500 mt-0.5 mr-3" />
+          <p className="text-green-800">{success}</p>
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start">
+          <AlertCircle className="w-5 h-5 text-red-500 mt-0.5 mr-3" />
+          <p className="text-red-800">{error}</p>
+        </div>
+      )}
+
+      <Card padding="none">
+        {loading ? (
+          <p className="p-6 text-sm text-gray-500">Loading...</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {sessions.map(session => (
+              <li key={session.id} className="flex items-center justify-between p-4">
+                <div className="flex items-start">
+                  <Monitor className="w-5 h-5 text-gray-400 mt-0.5 mr-3" />
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {describeDevice(session.userAgent)}
+                      {session.current && (
+                        <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-800">
+                          This device
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {session.ipAddress || 'Unknown IP'} · Signed in {formatDate(session.createdAt)} · Last active {formatDate(session.lastUsedAt)}
+                    </p>
+                  </div>
+                </div>
+                <Button
+                  variant={session.current ? 'outline' : 'danger'}
+                  size="sm"
+                  onClick={() => revokeSession(session)}
+                  isLoading={working === session.id}
+                >
+                  {session.current ? 'Sign Out' : 'Revoke'}
+                </Button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </Card>
+    </AdminLayout>
+  );
+}
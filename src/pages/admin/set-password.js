@@ -0,0 +1,162 @@
+// src/pages/admin/set-password.js
+import React, { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import Link from 'next/link';
+import Card from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+
+export default function SetPassword() {
+  const router = useRouter();
+  const { token } = router.query;
+
+  const [tokenInfo, setTokenInfo] = useState(null);
+  const [checking, setChecking] = useState(true);
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [done, setDone] = useState(false);
+
+  // Check the link before showing the form
+  useEffect(() => {
+    if (!router.isReady) return;
+
+    const checkToken = async () => {
+      try {
+        const response = await fetch(`/api/admin/set-password?token=${encodeURIComponent(token || '')}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.message || 'This link is invalid or has expired');
+        }
+
+        setTokenInfo(data);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setChecking(false);
+      }
+    };
+
+    checkToken();
+  }, [router.isReady, token]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setSaving(true);
+
+    try {
+      const response = await fetch('/api/admin/set-password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, password })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to set password');
+      }
+
+      setDone(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const title = tokenInfo?.purpose === 'invite' ? 'Accept Invitation' : 'Choose a New Password';
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+      <Head>
+        <title>{`${title} - Return Portal`}</title>
+      </Head>
+
+      <div className="w-full max-w-md p-4">
+        <Card title={title} padding="large" elevation="medium">
+          {checking ? (
+            <div className="flex justify-center py-6">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : done ? (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-700">Your password has been set.</p>
+              <Link href="/admin/login" className="text-blue-600 hover:underline text-sm">
+                Continue to login
+              </Link>
+            </div>
+          ) : !tokenInfo ? (
+            <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+              <p className="text-sm text-red-600">{error}</p>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              {error && (
+                <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+                  <p className="text-sm text-red-600">{error}</p>
+                </div>
+              )}
+
+              <p className="text-sm text-gray-600">
+                Setting the password for <span className="font-medium">{tokenInfo.email}</span>
+              </p>
+
+              <div className="space-y-4">
+                <div>
+                  <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
+                    New Password
+                  </label>
+                  <input
+                    id="password"
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    minLength={tokenInfo.minPasswordLength}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                    required
+                  />
+                  <p className="mt-1 text-xs text-gray-500">
+                    At least {tokenInfo.minPasswordLength} characters
+                  </p>
+                </div>
+
+                <div>
+                  <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                    Confirm Password
+                  </label>
+                  <input
+                    id="confirmPassword"
+                    type="password"
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                    required
+                  />
+                </div>
+              </div>
+
+              <Button
+                type="submit"
+                variant="primary"
+                fullWidth
+                size="lg"
+                isLoading={saving}
+              >
+                Set Password
+              </Button>
+            </form>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+}
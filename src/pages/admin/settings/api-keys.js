@@ -0,0 +1,276 @@
+// src/pages/admin/settings/api-keys.js
+import React, { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { ArrowLeft, KeyRound, AlertCircle, CheckCircle } from 'lucide-react';
+import Card from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import AdminLayout from '@/components/admin/Layout';
+import { useAdmin } from '@/lib/context/AdminContext';
+import { API_KEY_SCOPES } from '@/lib/admin/permissions';
+
+const EMPTY_FORM = { name: '', scopes: ['returns:read'], expiresInDays: '' };
+
+function formatDate(date) {
+  return date ? new Date(date).toLocaleString() : '—';
+}
+
+export default function AdminApiKeys() {
+  const { authFetch, tenantId } = useAdmin();
+
+  const [apiKeys, setApiKeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [creating, setCreating] = useState(false);
+  const [newKey, setNewKey] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadApiKeys = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await authFetch('/api/admin/api-keys');
+
+      if (!response.ok) {
+        throw new Error('Failed to load API keys');
+      }
+
+      const data = await response.json();
+      setApiKeys(data.apiKeys || []);
+    } catch (err) {
+      console.error('Error loading API keys:', err);
+      setError('Failed to load API keys. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [authFetch]);
+
+  // A newly created key is only shown for the tenant it was created in
+  useEffect(() => {
+    setNewKey(null);
+  }, [tenantId]);
+
+  // Load keys on mount and when switching tenants
+  useEffect(() => {
+    loadApiKeys();
+  }, [tenantId, loadApiKeys]);
+
+  const toggleScope = (scope) => {
+    setForm(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter(item => item !== scope)
+        : [...prev.scopes, scope]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    setError(null);
+    setNewKey(null);
+
+    try {
+      const response = await authFetch('/api/admin/api-keys', {
+        method: 'POST',
+        body: JSON.stringify({
+          name: form.name,
+          scopes: form.scopes,
+          expiresInDays: form.expiresInDays ? Number(form.expiresInDays) : undefined
+        })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to create API key');
+      }
+
+      setApiKeys(prev => [data.apiKey, ...prev]);
+      setNewKey({ name: data.apiKey.name, key: data.key });
+      setForm(EMPTY_FORM);
+    } catch (err) {
+      console.error('Error creating API key:', err);
+      setError(err.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Anything using it will stop working immediately.`)) {
+      return;
+    }
+
+    setError(null);
+
+    try {
+      const response = await authFetch(`/api/admin/api-keys/${apiKey.id}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to revoke API key');
+      }
+
+      setApiKeys(prev => prev.map(item => (item.id === apiKey.id ? data.apiKey : item)));
+    } catch (err) {
+      console.error('Error revoking API key:', err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <AdminLayout title="API Keys">
+      <div className="mb-6">
+        <Link href="/admin/settings" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 mb-2">
+          <ArrowLeft className="w-4 h-4 mr-1" />
+          Back to Settings
+        </Link>
+        <h2 className="text-lg font-medium text-gray-900">API Keys</h2>
+        <p className="text-sm text-gray-500">
+          Give warehouse systems and reporting tools access to this store&apos;s returns.
+          Send the key as <code>Authorization: Bearer &lt;key&gt;</code>.
+        </p>
+      </div>
+
+      {/* New key, shown once */}
+      {newKey && (
+        <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg flex items-start">
+          <CheckCircle className="w-5 h-5 text-green-500 mt-0.5 mr-3" />
+          <div>
+            <p className="text-green-800">
+              Created &quot;{newKey.name}&quot;. Copy this key now. It will not be shown again.
+            </p>
+            <code className="mt-2 block p-2 bg-white border border-green-200 rounded text-sm break-all">
+              {newKey.key}
+            </code>
+          </div>
+        </div>
+      )}
+
+      {/* Error Message */}
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start">
+          <AlertCircle className="w-5 h-5 text-red-500 mt-0.5 mr-3" />
+          <p className="text-red-800">{error}</p>
+        </div>
+      )}
+
+      <div className="space-y-6">
+        <Card title="Create API Key" padding="normal">
+          <form onSubmit={handleCreate} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={e => setForm({ ...form, name: e.target.value })}
+                  placeholder="Warehouse system"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Expires after (days)</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={form.expiresInDays}
+                  onChange={e => setForm({ ...form, expiresInDays: e.target.value })}
+                  placeholder="Never"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+            </div>
+
+            <fieldset>
+              <legend className="block text-sm font-medium text-gray-700 mb-2">Scopes</legend>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                {Object.entries(API_KEY_SCOPES).map(([scope, { label }]) => (
+                  <label key={scope} className="flex items-center">
+                    <input
+                      type="checkbox"
+                      checked={form.scopes.includes(scope)}
+                      onChange={() => toggleScope(scope)}
+                      className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                    />
+                    <span className="ml-2 text-sm text-gray-700">
+                      <code>{scope}</code> — {label}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+
+            <Button
+              type="submit"
+              variant="primary"
+              isLoading={creating}
+              disabled={form.scopes.length === 0}
+              icon={<KeyRound className="w-4 h-4" />}
+            >
+              Create Key
+            </Button>
+          </form>
+        </Card>
+
+        <Card title="Keys" padding="none">
+          {loading ? (
+            <div className="p-6 text-sm text-gray-500">Loading API keys...</div>
+          ) : apiKeys.length === 0 ? (
+            <div className="p-6 text-sm text-gray-500">No API keys yet.</div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Scopes</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Used</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Expires</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {apiKeys.map(apiKey => (
+                    <tr key={apiKey.id} className={apiKey.revokedAt ? 'opacity-60' : ''}>
+                      <td className="px-6 py-4">
+                        <p className="text-sm font-medium text-gray-900">{apiKey.name}</p>
+                        <p className="text-xs text-gray-500"><code>{apiKey.keyPrefix}…</code></p>
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-700">
+                        {apiKey.scopes.join(', ')}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-500">
+                        {apiKey.lastUsedAt ? (
+                          <>
+                            {formatDate(apiKey.lastUsedAt)}
+                            {apiKey.lastUsedIp && <span className="block text-xs">{apiKey.lastUsedIp}</span>}
+                          </>
+                        ) : 'Never'}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-500">
+                        {apiKey.expiresAt ? formatDate(apiKey.expiresAt) : 'Never'}
+                      </td>
+                      <td className="px-6 py-4 text-right whitespace-nowrap">
+                        {apiKey.revokedAt ? (
+                          <span className="px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                            Revoked
+                          </span>
+                        ) : (
+                          <Button variant="danger" size="sm" onClick={() => handleRevoke(apiKey)}>
+                            Revoke
+                          </Button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </Card>
+      </div>
+    </AdminLayout>
+  );
+}
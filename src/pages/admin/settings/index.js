@@ -1,13 +1,31 @@
 // src/pages/admin/settings/index.js
 import React, { useState, useEffect } from 'react';
-import { Save, AlertCircle, CheckCircle } from 'lucide-react';
+import Link from 'next/link';
+import { Save, KeyRound, LogIn, AlertCircle, CheckCircle } from 'lucide-react';
 import Card from '@/components/ui/Card';
 import Button from '@/components/ui/Button';
 import AdminLayout from '@/components/admin/Layout';
 import { useAdmin } from '@/lib/context/AdminContext';
+import { Permissions, hasPermission } from '@/lib/admin/permissions';
+import {
+  RefundMethod,
+  REFUND_METHOD_LABELS,
+  CREDIT_METHODS,
+  DEFAULT_REFUND_METHOD_OPTIONS
+} from '@/lib/returns/refundMethods';
+import { DEFAULT_WAIVED_REASONS } from '@/lib/returns/fees';
+import { CARRIERS, CARRIER_LABELS, Carrier } from '@/lib/shipping/carriers';
+
+// What each refund method means for the customer
+const REFUND_METHOD_DESCRIPTIONS = {
+  [RefundMethod.ORIGINAL_PAYMENT]: 'Refunded to the card or account the order was paid with',
+  [RefundMethod.STORE_CREDIT]: 'Added to the customer\'s Shopify store credit; only offered for orders placed with a customer account',
+  [RefundMethod.GIFT_CARD]: 'A Shopify gift card whose code is emailed to the customer',
+  [RefundMethod.EXCHANGE_ONLY]: 'When this applies, customers get nothing back and must exchange their items instead'
+};
 
 export default function AdminSettings() {
-  const { authFetch } = useAdmin();
+  const { authFetch, tenantId, user } = useAdmin();
   
   // Settings state
   const [settings, setSettings] = useState({
@@ -37,10 +55,47 @@ export default function AdminSettings() {
         addressMismatch: true
       },
       autoFlagThreshold: 2 // Number of suspicious indicators before auto-flagging
+    },
+    
+    // Admin security policy
+    security: {
+      requireTwoFactor: false
+    },
+    
+    // Putting inspected items back into Shopify inventory
+    restocking: {
+      enabled: false,
+      locationId: ''
+    },
+    
+    // How customers can be paid back
+    refundMethods: {
+      options: DEFAULT_REFUND_METHOD_OPTIONS,
+      issueCreditOn: 'received'
+    },
+    
+    // Fees deducted from refunds and credit
+    fees: {
+      enabled: false,
+      returnShippingFee: 0,
+      restockingFees: [],
+      waivedReasons: DEFAULT_WAIVED_REASONS,
+      waiveForExchanges: true
+    },
+    
+    // Packing slips and carrier labels
+    shipping: {
+      carrier: Carrier.NONE,
+      returnAddress: {},
+      documentExpiryDays: 30
     }
   });
   
+  // Shopify locations returns can be restocked to; null until loaded or if they can't be
+  const [locations, setLocations] = useState(null);
+  
   // Form state
+  const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
@@ -60,7 +115,19 @@ export default function AdminSettings() {
         }
         
         const data = await response.json();
-        setSettings(data);
+        setSettings(prev => ({
+          ...prev,
+          ...data,
+          security: { ...prev.security, ...data.security },
+          restocking: { ...prev.restocking, ...data.restocking },
+          refundMethods: { ...prev.refundMethods, ...data.refundMethods },
+          fees: { ...prev.fees, ...data.fees },
+          shipping: {
+            ...prev.shipping,
+            ...data.shipping,
+            returnAddress: { ...prev.shipping.returnAddress, ...data.shipping?.returnAddress }
+          }
+        }));
       } catch (err) {
         console.error('Error loading settings:', err);
         setError('Failed to load settings. Please try again.');
@@ -69,8 +136,25 @@ export default function AdminSettings() {
       }
     }
     
+    // Without Shopify access the location is entered by ID instead
+    async function loadLocations() {
+      try {
+        const response = await authFetch('/api/admin/locations');
+        if (response.ok) {
+          const data = await response.json();
+          setLocations(data.locations);
+        } else {
+          setLocations(null);
+        }
+      } catch (err) {
+        console.error('Error loading locations:', err);
+        setLocations(null);
+      }
+    }
+    
     loadSettings();
-  }, [authFetch]);
+    loadLocations();
+  }, [tenantId, authFetch]);
   
   // Save settings
   const handleSave = async () => {
@@ -120,7 +204,51 @@ export default function AdminSettings() {
       returnReasons: updatedReasons
     });
   };
-  
+
+  // Change one refund method's options
+  const updateRefundMethodOption = (method, changes) => {
+    setSettings({
+      ...settings,
+      refundMethods: {
+        ...settings.refundMethods,
+        options: settings.refundMethods.options.map(option => (
+          option.method === method ? { ...option, ...changes } : option
+        ))
+      }
+    });
+  };
+
+  // Change the fee settings
+  const updateFees = (changes) => {
+    setSettings({
+      ...settings,
+      fees: { ...settings.fees, ...changes }
+    });
+  };
+
+  // Change one restocking fee rule
+  const updateRestockingFee = (index, changes) => {
+    updateFees({
+      restockingFees: settings.fees.restockingFees.map((rule, i) => (
+        i === index ? { ...rule, ...changes } : rule
+      ))
+    });
+  };
+
+  // Change the return address printed on packing slips and labels
+  const updateReturnAddress = (changes) => {
+    setSettings({
+      ...settings,
+      shipping: {
+        ...settings.shipping,
+        returnAddress: { ...settings.shipping.returnAddress, ...changes }
+      }
+    });
+  };
+
+  // Reasons fees can be waived for: the tenant's reasons and any already waived
+  const feeReasons = [...new Set([...settings.returnReasons, ...settings.fees.waivedReasons])];
+
   return (
     <AdminLayout title="Settings">
       <div className="mb-6 flex justify-between items-center">
@@ -129,14 +257,35 @@ export default function AdminSettings() {
           <p className="text-sm text-gray-500">Configure your return portal settings</p>
         </div>
         
-        <Button
-          variant="primary"
-          onClick={handleSave}
-          isLoading={saving}
-          icon={<Save className="w-4 h-4" />}
-        >
-          Save Changes
-        </Button>
+        <div className="flex items-center space-x-3">
+          {hasPermission(user?.role, Permissions.API_KEYS_MANAGE) && (
+            <Link
+              href="/admin/settings/api-keys"
+              className="inline-flex items-center text-sm font-medium text-blue-600 hover:text-blue-800"
+            >
+              <KeyRound className="w-4 h-4 mr-1" />
+              API Keys
+            </Link>
+          )}
+          {hasPermission(user?.role, Permissions.USERS_MANAGE) && (
+            <Link
+              href="/admin/settings/sso"
+              className="inline-flex items-center text-sm font-medium text-blue-600 hover:text-blue-800"
+            >
+              <LogIn className="w-4 h-4 mr-1" />
+              Single Sign-On
+            </Link>
+          )}
+          <Button
+            variant="primary"
+            onClick={handleSave}
+            isLoading={saving}
+            disabled={loading}
+            icon={<Save className="w-4 h-4" />}
+          >
+            Save Changes
+          </Button>
+        </div>
       </div>
       
       {/* Success Message */}
@@ -501,6 +650,429 @@ export default function AdminSettings() {
             </div>
           </div>
         </Card>
+        
+        {/* Restocking Settings */}
+        <Card title="Restocking" padding="normal">
+          <div className="space-y-4">
+            <div className="flex items-start">
+              <input
+                type="checkbox"
+                id="restockingEnabled"
+                checked={settings.restocking.enabled}
+                onChange={e => setSettings({
+                  ...settings,
+                  restocking: {
+                    ...settings.restocking,
+                    enabled: e.target.checked
+                  }
+                })}
+                className="h-4 w-4 mt-0.5 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              <div className="ml-2">
+                <label htmlFor="restockingEnabled" className="block text-sm text-gray-700 font-medium">
+                  Restock Returned Items Automatically
+                </label>
+                <p className="text-xs text-gray-500">
+                  When a return has been inspected, items graded as resellable are added back to Shopify inventory. Damaged items are never restocked.
+                </p>
+              </div>
+            </div>
+            
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Return Location
+              </label>
+              {locations ? (
+                <select
+                  value={settings.restocking.locationId || ''}
+                  onChange={e => setSettings({
+                    ...settings,
+                    restocking: {
+                      ...settings.restocking,
+                      locationId: e.target.value
+                    }
+                  })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="">Select a location...</option>
+                  {locations.map(location => (
+                    <option key={location.id} value={location.id}>{location.name}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type="text"
+                  value={settings.restocking.locationId || ''}
+                  onChange={e => setSettings({
+                    ...settings,
+                    restocking: {
+                      ...settings.restocking,
+                      locationId: e.target.value
+                    }
+                  })}
+                  placeholder="Shopify location ID"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                />
+              )}
+              <p className="mt-1 text-sm text-gray-500">
+                Shopify location whose stock returned items are added to
+              </p>
+            </div>
+          </div>
+        </Card>
+        
+        {/* Refund Method Settings */}
+        <Card title="Refund Methods" padding="normal">
+          <div className="space-y-4">
+            <p className="text-sm text-gray-500">
+              Choose how customers can be paid back. Limiting a method to some reasons offers it only when every returned item was sent back for one of them. If no method applies, the original payment is refunded.
+            </p>
+            
+            {settings.refundMethods.options.map(option => (
+              <div key={option.method} className="border border-gray-200 rounded-md p-4">
+                <div className="flex items-start">
+                  <input
+                    type="checkbox"
+                    id={`refundMethod-${option.method}`}
+                    checked={option.enabled}
+                    onChange={e => updateRefundMethodOption(option.method, { enabled: e.target.checked })}
+                    className="h-4 w-4 mt-0.5 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                  />
+                  <div className="ml-2 flex-grow">
+                    <label htmlFor={`refundMethod-${option.method}`} className="block text-sm text-gray-700 font-medium">
+                      {REFUND_METHOD_LABELS[option.method]}
+                    </label>
+                    <p className="text-xs text-gray-500">{REFUND_METHOD_DESCRIPTIONS[option.method]}</p>
+                  </div>
+                  {CREDIT_METHODS.includes(option.method) && (
+                    <div className="ml-4 w-28">
+                      <label className="block text-xs font-medium text-gray-700 mb-1">Bonus (%)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={Math.round((option.bonus || 0) * 100)}
+                        onChange={e => updateRefundMethodOption(option.method, {
+                          bonus: (parseInt(e.target.value, 10) || 0) / 100
+                        })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                      />
+                    </div>
+                  )}
+                </div>
+                
+                {option.enabled && settings.returnReasons.length > 0 && (
+                  <div className="mt-3 ml-6">
+                    <p className="text-xs font-medium text-gray-700 mb-1">Only for these reasons</p>
+                    <div className="flex flex-wrap gap-x-4 gap-y-1">
+                      {settings.returnReasons.map(reason => (
+                        <label key={reason} className="flex items-center text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={(option.reasons || []).includes(reason)}
+                            onChange={e => updateRefundMethodOption(option.method, {
+                              reasons: e.target.checked
+                                ? [...(option.reasons || []), reason]
+                                : (option.reasons || []).filter(r => r !== reason)
+                            })}
+                            className="h-4 w-4 mr-1 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                          />
+                          {reason}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            ))}
+            
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Issue Store Credit and Gift Cards When
+              </label>
+              <select
+                value={settings.refundMethods.issueCreditOn}
+                onChange={e => setSettings({
+                  ...settings,
+                  refundMethods: {
+                    ...settings.refundMethods,
+                    issueCreditOn: e.target.value
+                  }
+                })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="approved">The return is approved</option>
+                <option value="received">The items are received</option>
+              </select>
+              <p className="mt-1 text-sm text-gray-500">
+                The customer is emailed as soon as their credit is issued
+              </p>
+            </div>
+          </div>
+        </Card>
+        
+        {/* Return Fee Settings */}
+        <Card title="Return Fees" padding="normal">
+          <div className="space-y-4">
+            <div className="flex items-start">
+              <input
+                type="checkbox"
+                id="feesEnabled"
+                checked={settings.fees.enabled}
+                onChange={e => updateFees({ enabled: e.target.checked })}
+                className="h-4 w-4 mt-0.5 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              <div className="ml-2">
+                <label htmlFor="feesEnabled" className="block text-sm text-gray-700 font-medium">
+                  Charge return fees
+                </label>
+                <p className="text-xs text-gray-500">
+                  Fees are shown to customers before they submit and deducted from their refund or credit. They never take more than the refund.
+                </p>
+              </div>
+            </div>
+            
+            {settings.fees.enabled && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Return Shipping Fee
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={settings.fees.returnShippingFee}
+                    onChange={e => updateFees({ returnShippingFee: parseFloat(e.target.value) || 0 })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <p className="mt-1 text-sm text-gray-500">
+                    Flat amount per return in the shop currency, taken off the first refund
+                  </p>
+                </div>
+                
+                <div>
+                  <p className="text-sm font-medium text-gray-700 mb-1">Restocking Fees</p>
+                  <p className="text-xs text-gray-500 mb-2">
+                    Each item gets the fee of the first rule that matches its product type and reason. Leave product types or reasons empty to match any.
+                  </p>
+                  <div className="space-y-3">
+                    {settings.fees.restockingFees.map((rule, index) => (
+                      <div key={index} className="border border-gray-200 rounded-md p-4">
+                        <div className="flex items-end gap-4">
+                          <div className="w-28">
+                            <label className="block text-xs font-medium text-gray-700 mb-1">Fee (%)</label>
+                            <input
+                              type="number"
+                              min="0"
+                              max="100"
+                              value={Math.round((rule.percent || 0) * 100)}
+                              onChange={e => updateRestockingFee(index, {
+                                percent: (parseInt(e.target.value, 10) || 0) / 100
+                              })}
+                              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                            />
+                          </div>
+                          <div className="flex-grow">
+                            <label className="block text-xs font-medium text-gray-700 mb-1">Product types</label>
+                            <input
+                              type="text"
+                              value={(rule.productTypes || []).join(', ')}
+                              onChange={e => updateRestockingFee(index, {
+                                productTypes: e.target.value.split(',').map(type => type.trim())
+                              })}
+                              placeholder="Any product type"
+                              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                            />
+                          </div>
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => updateFees({
+                              restockingFees: settings.fees.restockingFees.filter((_, i) => i !== index)
+                            })}
+                          >
+                            Remove
+                          </Button>
+                        </div>
+                        
+                        {settings.returnReasons.length > 0 && (
+                          <div className="mt-3">
+                            <p className="text-xs font-medium text-gray-700 mb-1">Only for these reasons</p>
+                            <div className="flex flex-wrap gap-x-4 gap-y-1">
+                              {settings.returnReasons.map(reason => (
+                                <label key={reason} className="flex items-center text-sm text-gray-700">
+                                  <input
+                                    type="checkbox"
+                                    checked={(rule.reasons || []).includes(reason)}
+                                    onChange={e => updateRestockingFee(index, {
+                                      reasons: e.target.checked
+                                        ? [...(rule.reasons || []), reason]
+                                        : (rule.reasons || []).filter(r => r !== reason)
+                                    })}
+                                    className="h-4 w-4 mr-1 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                                  />
+                                  {reason}
+                                </label>
+                              ))}
+                            </div>
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    className="mt-3"
+                    onClick={() => updateFees({
+                      restockingFees: [...settings.fees.restockingFees, { percent: 0.1, productTypes: [], reasons: [] }]
+                    })}
+                  >
+                    Add Rule
+                  </Button>
+                </div>
+                
+                <div>
+                  <p className="text-sm font-medium text-gray-700 mb-1">Waive Fees For</p>
+                  <div className="flex flex-wrap gap-x-4 gap-y-1">
+                    {feeReasons.map(reason => (
+                      <label key={reason} className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={settings.fees.waivedReasons.includes(reason)}
+                          onChange={e => updateFees({
+                            waivedReasons: e.target.checked
+                              ? [...settings.fees.waivedReasons, reason]
+                              : settings.fees.waivedReasons.filter(r => r !== reason)
+                          })}
+                          className="h-4 w-4 mr-1 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                        />
+                        {reason}
+                      </label>
+                    ))}
+                  </div>
+                  <p className="mt-1 text-sm text-gray-500">
+                    Items returned for these reasons carry no fees, and neither does a return made up only of them
+                  </p>
+                </div>
+                
+                <div className="flex items-center">
+                  <input
+                    type="checkbox"
+                    id="waiveForExchanges"
+                    checked={settings.fees.waiveForExchanges}
+                    onChange={e => updateFees({ waiveForExchanges: e.target.checked })}
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                  />
+                  <label htmlFor="waiveForExchanges" className="ml-2 block text-sm text-gray-700">
+                    No return shipping fee when the customer exchanges an item
+                  </label>
+                </div>
+              </>
+            )}
+          </div>
+        </Card>
+        
+        {/* Return Shipping Settings */}
+        <Card title="Return Shipping" padding="normal">
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Carrier Labels
+              </label>
+              <select
+                value={settings.shipping.carrier}
+                onChange={e => setSettings({
+                  ...settings,
+                  shipping: { ...settings.shipping, carrier: e.target.value }
+                })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              >
+                {CARRIERS.map(carrier => (
+                  <option key={carrier} value={carrier}>{CARRIER_LABELS[carrier]}</option>
+                ))}
+              </select>
+              <p className="mt-1 text-sm text-gray-500">
+                Customers can download a packing slip for every return, and a shipping label when a carrier is chosen
+              </p>
+            </div>
+            
+            <div>
+              <p className="text-sm font-medium text-gray-700 mb-2">Return Address</p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {[
+                  ['name', 'Name'],
+                  ['company', 'Company'],
+                  ['address1', 'Address'],
+                  ['address2', 'Address line 2'],
+                  ['zip', 'Postal code'],
+                  ['city', 'City'],
+                  ['province', 'State or province'],
+                  ['country', 'Country'],
+                  ['phone', 'Phone']
+                ].map(([field, label]) => (
+                  <div key={field}>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">{label}</label>
+                    <input
+                      type="text"
+                      value={settings.shipping.returnAddress[field] || ''}
+                      onChange={e => updateReturnAddress({ [field]: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </div>
+                ))}
+              </div>
+              <p className="mt-1 text-sm text-gray-500">
+                Printed on packing slips and labels. Carrier labels need at least an address, postal code, city and country.
+              </p>
+            </div>
+            
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Download Links Expire After (days)
+              </label>
+              <input
+                type="number"
+                min="1"
+                max="90"
+                value={settings.shipping.documentExpiryDays}
+                onChange={e => setSettings({
+                  ...settings,
+                  shipping: { ...settings.shipping, documentExpiryDays: parseInt(e.target.value, 10) || 30 }
+                })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+          </div>
+        </Card>
+        
+        {/* Admin Security Settings */}
+        <Card title="Admin Security" padding="normal">
+          <div className="flex items-start">
+            <input
+              type="checkbox"
+              id="requireTwoFactor"
+              checked={settings.security.requireTwoFactor}
+              onChange={e => setSettings({
+                ...settings,
+                security: {
+                  ...settings.security,
+                  requireTwoFactor: e.target.checked
+                }
+              })}
+              className="h-4 w-4 mt-0.5 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+            />
+            <div className="ml-2">
+              <label htmlFor="requireTwoFactor" className="block text-sm text-gray-700 font-medium">
+                Require Two-Factor Authentication
+              </label>
+              <p className="text-xs text-gray-500">
+                Every admin with access to this store must set up an authenticator app the next time they log in
+              </p>
+            </div>
+          </div>
+        </Card>
       </div>
     </AdminLayout>
   );
@@ -0,0 +1,325 @@
+// src/pages/admin/settings/sso.js
+import React, { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { ArrowLeft, Save, AlertCircle, CheckCircle } from 'lucide-react';
+import Card from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import AdminLayout from '@/components/admin/Layout';
+import { useAdmin } from '@/lib/context/AdminContext';
+
+const ROLES = ['admin', 'manager', 'staff'];
+
+const EMPTY_FORM = {
+  enabled: false,
+  displayName: 'Single sign-on',
+  issuer: '',
+  clientId: '',
+  clientSecret: '',
+  scopes: 'openid email profile',
+  autoProvision: true,
+  defaultRole: 'staff',
+  groupClaim: 'groups',
+  roleMappings: { admin: '', manager: '', staff: '' },
+  allowedDomains: ''
+};
+
+// The API returns lists; the form edits them as comma-separated text
+function toForm(config) {
+  return {
+    ...EMPTY_FORM,
+    ...config,
+    clientSecret: '',
+    roleMappings: Object.fromEntries(ROLES.map(role => [role, (config.roleMappings?.[role] || []).join(', ')])),
+    allowedDomains: (config.allowedDomains || []).join(', ')
+  };
+}
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500';
+
+export default function AdminSsoSettings() {
+  const { authFetch, tenantId } = useAdmin();
+
+  const [config, setConfig] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const loadConfig = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await authFetch('/api/admin/sso');
+
+      if (!response.ok) {
+        throw new Error('Failed to load SSO settings');
+      }
+
+      const data = await response.json();
+      setConfig(data.config);
+      setForm(data.config ? toForm(data.config) : EMPTY_FORM);
+    } catch (err) {
+      console.error('Error loading SSO settings:', err);
+      setError('Failed to load SSO settings. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [authFetch]);
+
+  // A save message only applies to the tenant it was saved for
+  useEffect(() => {
+    setSuccess(null);
+  }, [tenantId]);
+
+  // Load settings on mount and when switching tenants
+  useEffect(() => {
+    loadConfig();
+  }, [tenantId, loadConfig]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const response = await authFetch('/api/admin/sso', {
+        method: 'PUT',
+        body: JSON.stringify(form)
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to save SSO settings');
+      }
+
+      setConfig(data.config);
+      setForm(toForm(data.config));
+      setSuccess(data.message);
+    } catch (err) {
+      console.error('Error saving SSO settings:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (!window.confirm('Remove single sign-on? Users it created keep their accounts but will need a password to sign in.')) {
+      return;
+    }
+
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const response = await authFetch('/api/admin/sso', { method: 'DELETE' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to remove SSO settings');
+      }
+
+      setConfig(null);
+      setForm(EMPTY_FORM);
+      setSuccess(data.message);
+    } catch (err) {
+      console.error('Error removing SSO settings:', err);
+      setError(err.message);
+    }
+  };
+
+  const callbackUrl = typeof window !== 'undefined'
+    ? `${window.location.origin}/api/auth/callback/oidc-${tenantId}`
+    : '';
+
+  return (
+    <AdminLayout title="Single Sign-On">
+      <div className="mb-6">
+        <Link href="/admin/settings" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 mb-2">
+          <ArrowLeft className="w-4 h-4 mr-1" />
+          Back to Settings
+        </Link>
+        <h2 className="text-lg font-medium text-gray-900">Single Sign-On</h2>
+        <p className="text-sm text-gray-500">
+          Let admins sign in with your OpenID Connect identity provider.
+          Register <code>{callbackUrl}</code> as the redirect URI.
+        </p>
+      </div>
+
+      {/* Success Message */}
+      {success && (
+        <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg flex items-start">
+          <CheckCircle className="w-5 h-5 text-green-500 mt-0.5 mr-3" />
+          <p className="text-green-800">{success}</p>
+        </div>
+      )}
+
+      {/* Error Message */}
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start">
+          <AlertCircle className="w-5 h-5 text-red-500 mt-0.5 mr-3" />
+          <p className="text-red-800">{error}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="p-6 text-sm text-gray-500">Loading SSO settings...</div>
+      ) : (
+        <form onSubmit={handleSave} className="space-y-6">
+          <Card title="Identity Provider" padding="normal">
+            <div className="space-y-4">
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={form.enabled}
+                  onChange={e => setForm({ ...form, enabled: e.target.checked })}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                />
+                <span className="ml-2 text-sm text-gray-700">Offer single sign-on on the admin login page</span>
+              </label>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Button label</label>
+                  <input
+                    type="text"
+                    value={form.displayName}
+                    onChange={e => setForm({ ...form, displayName: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Issuer URL</label>
+                  <input
+                    type="url"
+                    value={form.issuer}
+                    onChange={e => setForm({ ...form, issuer: e.target.value })}
+                    placeholder="https://login.example.com"
+                    className={inputClass}
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Client ID</label>
+                  <input
+                    type="text"
+                    value={form.clientId}
+                    onChange={e => setForm({ ...form, clientId: e.target.value })}
+                    className={inputClass}
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Client secret</label>
+                  <input
+                    type="password"
+                    autoComplete="new-password"
+                    value={form.clientSecret}
+                    onChange={e => setForm({ ...form, clientSecret: e.target.value })}
+                    placeholder={config?.clientSecretSet ? `Saved (ends in ${config.clientSecretLast4}). Leave blank to keep.` : ''}
+                    className={inputClass}
+                  />
+                </div>
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Scopes</label>
+                  <input
+                    type="text"
+                    value={form.scopes}
+                    onChange={e => setForm({ ...form, scopes: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+            </div>
+          </Card>
+
+          <Card title="Users and Roles" padding="normal">
+            <div className="space-y-4">
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={form.autoProvision}
+                  onChange={e => setForm({ ...form, autoProvision: e.target.checked })}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                />
+                <span className="ml-2 text-sm text-gray-700">Create admin accounts the first time someone signs in</span>
+              </label>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Default role</label>
+                  <select
+                    value={form.defaultRole}
+                    onChange={e => setForm({ ...form, defaultRole: e.target.value })}
+                    className={inputClass}
+                  >
+                    {ROLES.map(role => (
+                      <option key={role} value={role}>{role}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Group claim</label>
+                  <input
+                    type="text"
+                    value={form.groupClaim}
+                    onChange={e => setForm({ ...form, groupClaim: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+                {ROLES.map(role => (
+                  <div key={role}>
+                    <label className="block text-sm font-medium text-gray-700 mb-1 capitalize">{role} groups</label>
+                    <input
+                      type="text"
+                      value={form.roleMappings[role]}
+                      onChange={e => setForm({
+                        ...form,
+                        roleMappings: { ...form.roleMappings, [role]: e.target.value }
+                      })}
+                      placeholder="Comma-separated group names"
+                      className={inputClass}
+                    />
+                  </div>
+                ))}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Allowed email domains</label>
+                  <input
+                    type="text"
+                    value={form.allowedDomains}
+                    onChange={e => setForm({ ...form, allowedDomains: e.target.value })}
+                    placeholder="Any domain"
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+              <p className="text-xs text-gray-500">
+                Roles are updated from the user&apos;s groups each time they sign in. The highest matching role wins;
+                users in no mapped group get the default role.
+              </p>
+            </div>
+          </Card>
+
+          <div className="flex justify-between">
+            {config ? (
+              <Button type="button" variant="danger" onClick={handleRemove}>
+                Remove Single Sign-On
+              </Button>
+            ) : <span />}
+            <Button
+              type="submit"
+              variant="primary"
+              isLoading={saving}
+              icon={<Save className="w-4 h-4" />}
+            >
+              Save Settings
+            </Button>
+          </div>
+        </form>
+      )}
+    </AdminLayout>
+  );
+}
@@ -6,6 +6,7 @@ import Button from '@/components/ui/Button';
 import Card from '@/components/ui/Card';
 import { useAdmin } from '@/lib/context/AdminContext';
 import { useTheme } from '@/lib/context/ThemeContext';
+import { storage } from '@/lib/storage';
 import Image from 'next/image';
 
 export default function ThemeCustomization() {
@@ -52,9 +53,6 @@ export default function ThemeCustomization() {
           
           // Only update theme context during initial load
           updateTheme(data);
-          
-          // Also update localStorage manually for backward compatibility
-          localStorage.setItem('tenant-theme-default', JSON.stringify(data));
         } else {
           throw new Error('Failed to load theme settings');
         }
@@ -99,9 +97,10 @@ export default function ThemeCustomization() {
         throw new Error('Failed to save settings');
       }
       
-      // Update both contexts and localStorage
-      updateTheme(settings);
-      localStorage.setItem('tenant-theme-default', JSON.stringify(settings));
+      // Apply the saved theme, as persisted by the server
+      const data = await response.json();
+      setSettings(data.settings);
+      updateTheme(data.settings);
       
       // Show success message
       setMessage({ type: 'success', text: 'Theme settings saved successfully' });
@@ -140,7 +139,7 @@ export default function ThemeCustomization() {
   };
 
   // Generate preview URL
-  const handlePreview = () => {
+  const handlePreview = async () => {
     // Open preview in new window
     const baseUrl = window.location.origin;
     const previewParams = new URLSearchParams({
@@ -148,8 +147,8 @@ export default function ThemeCustomization() {
       tenantId: 'preview'
     });
     
-    // Store preview settings in localStorage for the preview window to access
-    localStorage.setItem('tenant-theme-preview', JSON.stringify(settings));
+    // Store the draft where the preview window can read it
+    await storage.set('tenant-theme-preview', settings, 'default', null, { ttlSeconds: 24 * 60 * 60 });
     
     window.open(`${baseUrl}?${previewParams.toString()}`, '_blank');
     setPreviewOpen(true);
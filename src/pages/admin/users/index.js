@@ -0,0 +1,364 @@
+// src/pages/admin/users/index.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { UserPlus, KeyRound, Lock, AlertCircle, CheckCircle } from 'lucide-react';
+import Card from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import AdminLayout from '@/components/admin/Layout';
+import { useAdmin } from '@/lib/context/AdminContext';
+
+const ROLES = ['staff', 'manager', 'admin'];
+
+function getStatusBadge(user) {
+  if (!user.isActive) {
+    return { label: 'Deactivated', className: 'bg-gray-100 text-gray-700' };
+  }
+  if (user.invitePending) {
+    return { label: 'Invite pending', className: 'bg-yellow-100 text-yellow-800' };
+  }
+  if (user.mustResetPassword) {
+    return { label: 'Reset required', className: 'bg-orange-100 text-orange-800' };
+  }
+  return { label: 'Active', className: 'bg-green-100 text-green-800' };
+}
+
+export default function AdminUsers() {
+  const { authFetch, user: currentUser, tenantId } = useAdmin();
+
+  const [users, setUsers] = useState([]);
+  const [lockouts, setLockouts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  // Invite form state
+  const [invite, setInvite] = useState({ email: '', name: '', role: 'staff' });
+  const [inviting, setInviting] = useState(false);
+
+  const loadLockouts = useCallback(async () => {
+    const response = await authFetch('/api/admin/lockouts');
+
+    if (!response.ok) {
+      throw new Error('Failed to load locked accounts');
+    }
+
+    const data = await response.json();
+    setLockouts(data.lockouts || []);
+  }, [authFetch]);
+
+  const loadUsers = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await authFetch('/api/admin/users');
+
+      if (!response.ok) {
+        throw new Error('Failed to load users');
+      }
+
+      const data = await response.json();
+      setUsers(data.users || []);
+      await loadLockouts();
+    } catch (err) {
+      console.error('Error loading users:', err);
+      setError('Failed to load users. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [authFetch, loadLockouts]);
+
+  // Load users on mount and when switching tenants
+  useEffect(() => {
+    loadUsers();
+  }, [tenantId, loadUsers]);
+
+  // Show the result of an action, including a manual link when email isn't configured
+  const showNotice = (data) => {
+    const link = data.inviteUrl || data.resetUrl;
+    setNotice({
+      message: data.message,
+      link
+    });
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setInviting(true);
+    setError(null);
+    setNotice(null);
+
+    try {
+      const response = await authFetch('/api/admin/users', {
+        method: 'POST',
+        body: JSON.stringify(invite)
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to invite user');
+      }
+
+      setUsers(prev => [...prev, data.user]);
+      setInvite({ email: '', name: '', role: 'staff' });
+      showNotice(data);
+    } catch (err) {
+      console.error('Error inviting user:', err);
+      setError(err.message);
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const updateUser = async (id, updates) => {
+    setError(null);
+    setNotice(null);
+
+    try {
+      const response = await authFetch(`/api/admin/users/${id}`, {
+        method: 'PATCH',
+        body: JSON.stringify(updates)
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to update user');
+      }
+
+      setUsers(prev => prev.map(user => (user.id === id ? data.user : user)));
+    } catch (err) {
+      console.error('Error updating user:', err);
+      setError(err.message);
+    }
+  };
+
+  const forcePasswordReset = async (id) => {
+    setError(null);
+    setNotice(null);
+
+    try {
+      const response = await authFetch(`/api/admin/users/${id}/reset-password`, {
+        method: 'POST'
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to reset password');
+      }
+
+      setUsers(prev => prev.map(user => (user.id === id ? data.user : user)));
+      showNotice(data);
+    } catch (err) {
+      console.error('Error resetting password:', err);
+      setError(err.message);
+    }
+  };
+
+  const unlockAccount = async (lockout) => {
+    setError(null);
+    setNotice(null);
+
+    try {
+      const response = await authFetch(`/api/admin/lockouts/${lockout.id}`, {
+        method: 'DELETE'
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.message || 'Failed to unlock account');
+      }
+
+      setLockouts(prev => prev.filter(item => item.id !== lockout.id));
+      setNotice({ message: `${lockout.identifier} can sign in again.` });
+    } catch (err) {
+      console.error('Error unlocking account:', err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <AdminLayout title="Users">
+      <div className="mb-6">
+        <h2 className="text-lg font-medium text-gray-900">Users</h2>
+        <p className="text-sm text-gray-500">Invite team members and manage their access</p>
+      </div>
+
+      {/* Notice */}
+      {notice && (
+        <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg flex items-start">
+          <CheckCircle className="w-5 h-5 text-green-500 mt-0.5 mr-3" />
+          <div>
+            <p className="text-green-800">{notice.message}</p>
+            {notice.link && (
+              <p className="mt-1 text-sm text-green-700 break-all">
+                Share this link with the user: <code>{notice.link}</code>
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Error Message */}
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start">
+          <AlertCircle className="w-5 h-5 text-red-500 mt-0.5 mr-3" />
+          <p className="text-red-800">{error}</p>
+        </div>
+      )}
+
+      <div className="space-y-6">
+        {/* Invite Form */}
+        <Card title="Invite User" padding="normal">
+          <form onSubmit={handleInvite} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+              <input
+                type="email"
+                value={invite.email}
+                onChange={e => setInvite({ ...invite, email: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                type="text"
+                value={invite.name}
+                onChange={e => setInvite({ ...invite, name: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Role</label>
+              <select
+                value={invite.role}
+                onChange={e => setInvite({ ...invite, role: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 capitalize"
+              >
+                {ROLES.map(role => (
+                  <option key={role} value={role}>{role}</option>
+                ))}
+              </select>
+            </div>
+            <Button
+              type="submit"
+              variant="primary"
+              isLoading={inviting}
+              icon={<UserPlus className="w-4 h-4" />}
+            >
+              Send Invite
+            </Button>
+          </form>
+        </Card>
+
+        {/* Locked Accounts */}
+        {lockouts.length > 0 && (
+          <Card title="Locked Accounts" padding="none">
+            <ul className="divide-y divide-gray-200">
+              {lockouts.map(lockout => (
+                <li key={lockout.id} className="flex items-center justify-between px-6 py-4">
+                  <div className="flex items-start">
+                    <Lock className="w-5 h-5 text-red-500 mt-0.5 mr-3" />
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">
+                        {lockout.userName ? `${lockout.userName} (${lockout.identifier})` : lockout.identifier}
+                        {!lockout.knownUser && (
+                          <span className="ml-2 text-xs text-gray-500">No such user</span>
+                        )}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        Locked until {new Date(lockout.lockedUntil).toLocaleString()}
+                        {lockout.lastIpAddress && ` · Last attempt from ${lockout.lastIpAddress}`}
+                        {lockout.lockCount > 1 && ` · Locked ${lockout.lockCount} times`}
+                      </p>
+                    </div>
+                  </div>
+                  <Button variant="outline" size="sm" onClick={() => unlockAccount(lockout)}>
+                    Unlock
+                  </Button>
+                </li>
+              ))}
+            </ul>
+          </Card>
+        )}
+
+        {/* User List */}
+        <Card title="Team" padding="none">
+          {loading ? (
+            <div className="p-6 text-sm text-gray-500">Loading users...</div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Login</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {users.map(user => {
+                    const isSelf = user.id === currentUser?.id;
+                    const badge = getStatusBadge(user);
+
+                    return (
+                      <tr key={user.id}>
+                        <td className="px-6 py-4">
+                          <p className="text-sm font-medium text-gray-900">{user.name || '—'}</p>
+                          <p className="text-sm text-gray-500">{user.email}</p>
+                        </td>
+                        <td className="px-6 py-4">
+                          <select
+                            value={user.role}
+                            onChange={e => updateUser(user.id, { role: e.target.value })}
+                            disabled={isSelf}
+                            className="px-2 py-1 border border-gray-300 rounded-md text-sm capitalize disabled:bg-gray-100"
+                          >
+                            {ROLES.map(role => (
+                              <option key={role} value={role}>{role}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="px-6 py-4">
+                          <span className={`px-2 py-1 rounded-full text-xs font-medium ${badge.className}`}>
+                            {badge.label}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 text-sm text-gray-500">
+                          {user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString() : 'Never'}
+                        </td>
+                        <td className="px-6 py-4 text-right space-x-2 whitespace-nowrap">
+                          {!isSelf && user.isActive && (
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              onClick={() => forcePasswordReset(user.id)}
+                              icon={<KeyRound className="w-4 h-4" />}
+                            >
+                              {user.invitePending ? 'Resend Invite' : 'Force Reset'}
+                            </Button>
+                          )}
+                          {!isSelf && (
+                            <Button
+                              variant={user.isActive ? 'danger' : 'secondary'}
+                              size="sm"
+                              onClick={() => updateUser(user.id, { isActive: !user.isActive })}
+                            >
+                              {user.isActive ? 'Deactivate' : 'Reactivate'}
+                            </Button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </Card>
+      </div>
+    </AdminLayout>
+  );
+}
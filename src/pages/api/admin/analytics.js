@@ -1,44 +1,8 @@
 // src/pages/api/admin/analytics.js
-import jwt from 'jsonwebtoken';
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { Permissions } from '@/lib/admin/permissions';
 import { getShopifyClientForTenant } from '@/lib/shopify/client';
-
-// Get settings for fraud prevention
-async function getSettings(tenantId) {
-  // In a real app, this would be fetched from a database
-  // For now, we'll use mock settings from our in-memory cache
-  // or return defaults if not found
-  try {
-    const response = await fetch(`http://localhost:3000/api/admin/settings`, {
-      headers: {
-        'Authorization': 'Bearer demo-admin-token',
-        'x-tenant-id': tenantId
-      }
-    });
-    
-    if (response.ok) {
-      return await response.json();
-    }
-  } catch (error) {
-    console.error("Error fetching settings:", error);
-  }
-  
-  // Return default settings if API call fails
-  return {
-    fraudPrevention: {
-      enabled: true,
-      maxReturnsPerCustomer: 3,
-      maxReturnValuePercent: 80,
-      suspiciousPatterns: {
-        frequentReturns: true,
-        highValueReturns: true,
-        noReceiptReturns: true,
-        newAccountReturns: true,
-        addressMismatch: true
-      },
-      autoFlagThreshold: 2
-    }
-  };
-}
+import { getSettings } from '@/lib/fraud/detection';
 
 // Analyze returns for fraud detection
 function analyzeReturnsForFraud(orders, returns, settings) {
@@ -160,25 +124,8 @@ function analyzeReturnsForFraud(orders, returns, settings) {
   };
 }
 
-export default async function handler(req, res) {
-  // Check for admin authorization
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ message: 'Authorization token required' });
-  }
-  const token = authHeader.split(' ')[1];
-  
-  try {
-    jwt.verify(
-      token,
-      process.env.JWT_SECRET || 'default-jwt-secret-replace-in-production'
-    );
-  } catch (error) {
-    console.error('Token verification error:', error);
-    return res.status(401).json({ message: 'Invalid or expired token' });
-  }
-
-  const tenantId = req.headers['x-tenant-id'] || 'default';
+async function handler(req, res) {
+  const { id: tenantId } = req.tenant;
   
   // Only handle GET requests
   if (req.method !== 'GET') {
@@ -357,4 +304,6 @@ export default async function handler(req, res) {
       details: process.env.NODE_ENV === 'development' ? err.message : undefined
     });
   }
-}
\ No newline at end of file
+}
+
+export default withAdminAuth(handler, { permission: Permissions.ANALYTICS_VIEW });
@@ -0,0 +1,49 @@
+// src/pages/api/admin/api-keys/[id].js
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { Permissions } from '@/lib/admin/permissions';
+import { revokeApiKey, toPublicApiKey } from '@/lib/services/apiKeyService';
+import { createLogger, LogCategory } from '@/lib/logging';
+
+const logger = createLogger('api-keys');
+
+async function handler(req, res) {
+  const { id: tenantId } = req.tenant;
+  const { admin } = req;
+
+  if (req.method !== 'DELETE') {
+    res.setHeader('Allow', ['DELETE']);
+    return res.status(405).json({
+      error: 'Method Not Allowed',
+      message: `Method ${req.method} is not allowed`
+    });
+  }
+
+  // DELETE - Revoke a key
+  try {
+    const apiKey = await revokeApiKey(req.query.id, tenantId, admin.email || admin.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Could not find an active API key with the provided ID'
+      });
+    }
+
+    logger.info('API key revoked', {
+      tenantId,
+      apiKeyId: apiKey._id.toString(),
+      revokedBy: admin.email || admin.id
+    }, LogCategory.SECURITY);
+
+    return res.status(200).json({ apiKey: toPublicApiKey(apiKey) });
+  } catch (err) {
+    console.error('Error revoking API key:', err);
+    return res.status(500).json({
+      error: 'Server Error',
+      message: 'An error occurred while revoking the API key',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
+
+export default withAdminAuth(handler, { permission: Permissions.API_KEYS_MANAGE });
@@ -0,0 +1,90 @@
+// src/pages/api/admin/api-keys/index.js
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { Permissions, API_KEY_SCOPES } from '@/lib/admin/permissions';
+import { listApiKeys, createApiKey, toPublicApiKey } from '@/lib/services/apiKeyService';
+import { createLogger, LogCategory } from '@/lib/logging';
+
+const logger = createLogger('api-keys');
+
+async function handler(req, res) {
+  const { id: tenantId } = req.tenant;
+  const { admin } = req;
+
+  // GET - List the tenant's keys
+  if (req.method === 'GET') {
+    try {
+      const apiKeys = await listApiKeys(tenantId);
+      return res.status(200).json({ apiKeys: apiKeys.map(toPublicApiKey) });
+    } catch (err) {
+      console.error('Error fetching API keys:', err);
+      return res.status(500).json({
+        error: 'Server Error',
+        message: 'An error occurred while fetching API keys',
+        details: process.env.NODE_ENV === 'development' ? err.message : undefined
+      });
+    }
+  }
+
+  // POST - Create a key. The key itself is only ever returned here.
+  else if (req.method === 'POST') {
+    const { name, scopes, expiresInDays } = req.body || {};
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        error: 'Invalid Request',
+        message: 'A name is required'
+      });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES[scope])) {
+      return res.status(400).json({
+        error: 'Invalid Request',
+        message: `Choose one or more scopes from: ${Object.keys(API_KEY_SCOPES).join(', ')}`
+      });
+    }
+
+    if (expiresInDays !== undefined && expiresInDays !== null &&
+        !(Number.isInteger(Number(expiresInDays)) && Number(expiresInDays) > 0)) {
+      return res.status(400).json({
+        error: 'Invalid Request',
+        message: 'Expiry must be a whole number of days'
+      });
+    }
+
+    try {
+      const { apiKey, key } = await createApiKey(
+        { tenantId, name: String(name).trim(), scopes, expiresInDays },
+        admin.email || admin.id
+      );
+
+      logger.info('API key created', {
+        tenantId,
+        apiKeyId: apiKey._id.toString(),
+        scopes: apiKey.scopes,
+        createdBy: admin.email || admin.id
+      }, LogCategory.SECURITY);
+
+      return res.status(201).json({
+        apiKey: toPublicApiKey(apiKey),
+        key,
+        message: 'Copy this key now. It will not be shown again.'
+      });
+    } catch (err) {
+      console.error('Error creating API key:', err);
+      return res.status(500).json({
+        error: 'Server Error',
+        message: 'An error occurred while creating the API key',
+        details: process.env.NODE_ENV === 'development' ? err.message : undefined
+      });
+    }
+  }
+
+  // Handle other HTTP methods
+  res.setHeader('Allow', ['GET', 'POST']);
+  return res.status(405).json({
+    error: 'Method Not Allowed',
+    message: `Method ${req.method} is not allowed`
+  });
+}
+
+export default withAdminAuth(handler, { permission: Permissions.API_KEYS_MANAGE });
@@ -1,26 +1,10 @@
 // src/pages/api/admin/test-return.js
-import jwt from 'jsonwebtoken';
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { Permissions } from '@/lib/admin/permissions';
 import { createReturnRequest } from '@/lib/services/returnService';
 import connectToDatabase from '@/lib/db/connection';
 
-export default async function handler(req, res) {
-  // Check for admin authorization using JWT
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ message: 'Authorization token required' });
-  }
-  const token = authHeader.split(' ')[1];
-
-  try {
-    jwt.verify(
-      token,
-      process.env.JWT_SECRET || 'default-jwt-secret-replace-in-production'
-    );
-  } catch (error) {
-    console.error('Token verification error:', error);
-    return res.status(401).json({ message: 'Invalid or expired token' });
-  }
-
+async function handler(req, res) {
   // Only allow POST
   if (req.method !== 'POST') {
     res.setHeader('Allow', ['POST']);
@@ -51,8 +35,8 @@ export default async function handler(req, res) {
     if (!returnData.createdAt) returnData.createdAt = new Date();
     if (!returnData.updatedAt) returnData.updatedAt = new Date();
     
-    // Default status to pending if not specified
-    if (!returnData.status) returnData.status = 'pending';
+    // Default status to requested if not specified
+    if (!returnData.status) returnData.status = 'requested';
     
     // Add status history if not present
     if (!returnData.statusHistory) {
@@ -64,8 +48,8 @@ export default async function handler(req, res) {
       }];
     }
     
-    // Ensure tenantId is set
-    if (!returnData.tenantId) returnData.tenantId = 'default';
+    // Test returns always belong to the tenant the admin is signed in to
+    returnData.tenantId = req.tenant.id;
     
     console.log('Creating test return request...');
     const savedReturn = await createReturnRequest(returnData);
@@ -113,4 +97,6 @@ export default async function handler(req, res) {
       details: errorDetails
     });
   }
-}
\ No newline at end of file
+}
+
+export default withAdminAuth(handler, { permission: Permissions.SYSTEM_DIAGNOSTICS });
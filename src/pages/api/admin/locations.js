@@ -0,0 +1,29 @@
+// src/pages/api/admin/locations.js
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { Permissions } from '@/lib/admin/permissions';
+import { getShopifyLocations } from '@/lib/services/restockService';
+
+// Shopify locations for the tenant, used to pick where returns are restocked
+async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({
+      error: 'Method Not Allowed',
+      message: `Method ${req.method} is not allowed`
+    });
+  }
+
+  try {
+    const locations = await getShopifyLocations(req.tenant.id);
+    return res.status(200).json({ locations });
+  } catch (err) {
+    console.error('Error fetching locations:', err);
+    return res.status(500).json({
+      error: 'Server Error',
+      message: 'An error occurred while fetching Shopify locations',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
+
+export default withAdminAuth(handler, { permission: Permissions.SETTINGS_VIEW });
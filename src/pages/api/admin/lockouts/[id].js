@@ -0,0 +1,49 @@
+// src/pages/api/admin/lockouts/[id].js
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { Permissions } from '@/lib/admin/permissions';
+import { ALL_TENANTS, getAllowedTenants, canAccessTenant } from '@/lib/admin/tenantAccess';
+import { getLockoutById, unlockLogin } from '@/lib/services/loginThrottleService';
+import { getAdminUsersByEmail } from '@/lib/services/adminUserService';
+
+async function handler(req, res) {
+  const { id: tenantId, allowedTenants } = req.tenant;
+  const { admin } = req;
+
+  if (req.method !== 'DELETE') {
+    res.setHeader('Allow', ['DELETE']);
+    return res.status(405).json({
+      error: 'Method Not Allowed',
+      message: `Method ${req.method} is not allowed`
+    });
+  }
+
+  // DELETE - Unlock an account
+  try {
+    const lockout = await getLockoutById(req.query.id);
+    const [user] = lockout?.scope === 'account' ? await getAdminUsersByEmail([lockout.identifier]) : [];
+
+    // Same visibility rules as the list
+    const isVisible = lockout && (user
+      ? canAccessTenant(getAllowedTenants(user), tenantId)
+      : allowedTenants.includes(ALL_TENANTS));
+
+    if (!isVisible) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Could not find a lockout with the provided ID'
+      });
+    }
+
+    await unlockLogin(lockout, admin.id);
+    return res.status(200).json({ success: true });
+  } catch (err) {
+    console.error('Error unlocking account:', err);
+    return res.status(500).json({
+      error: 'Server Error',
+      message: 'An error occurred while unlocking the account',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
+
+export default withAdminAuth(handler, { permission: Permissions.USERS_MANAGE });
@@ -0,0 +1,49 @@
+// src/pages/api/admin/lockouts/index.js
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { Permissions } from '@/lib/admin/permissions';
+import { ALL_TENANTS, getAllowedTenants, canAccessTenant } from '@/lib/admin/tenantAccess';
+import { listLockedAccounts, toPublicLockout } from '@/lib/services/loginThrottleService';
+import { getAdminUsersByEmail } from '@/lib/services/adminUserService';
+
+async function handler(req, res) {
+  const { id: tenantId, allowedTenants } = req.tenant;
+
+  // GET - Accounts locked out after failed sign-ins
+  if (req.method === 'GET') {
+    try {
+      const lockouts = await listLockedAccounts();
+      const users = await getAdminUsersByEmail(lockouts.map(lockout => lockout.identifier));
+      const usersByEmail = new Map(users.map(user => [user.email, user]));
+
+      // Show this tenant's users; attempts on unknown emails only concern platform operators
+      const visible = lockouts.flatMap(lockout => {
+        const user = usersByEmail.get(lockout.identifier);
+        const isVisible = user
+          ? canAccessTenant(getAllowedTenants(user), tenantId)
+          : allowedTenants.includes(ALL_TENANTS);
+
+        return isVisible
+          ? [{ ...toPublicLockout(lockout), userName: user?.name, knownUser: !!user }]
+          : [];
+      });
+
+      return res.status(200).json({ lockouts: visible });
+    } catch (err) {
+      console.error('Error fetching lockouts:', err);
+      return res.status(500).json({
+        error: 'Server Error',
+        message: 'An error occurred while fetching locked accounts',
+        details: process.env.NODE_ENV === 'development' ? err.message : undefined
+      });
+    }
+  }
+
+  // Handle other HTTP methods
+  res.setHeader('Allow', ['GET']);
+  return res.status(405).json({
+    error: 'Method Not Allowed',
+    message: `Method ${req.method} is not allowed`
+  });
+}
+
+export default withAdminAuth(handler, { permission: Permissions.USERS_MANAGE });
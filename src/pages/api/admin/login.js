@@ -1,42 +1,32 @@
 // src/pages/api/admin/login.js
 import connectToDatabase from '@/lib/db/connection';
-import mongoose from 'mongoose';
-import bcrypt from 'bcrypt';
-import jwt from 'jsonwebtoken';
-
-// Make sure we have the AdminUser model
-let AdminUser;
-try {
-  AdminUser = mongoose.model('AdminUser');
-} catch {
-  // Define the schema for admin user if it doesn't exist
-  const AdminUserSchema = new mongoose.Schema({
-    name: String,
-    email: {
-      type: String,
-      required: true,
-      unique: true,
-    },
-    password: {
-      type: String,
-      required: true,
-    },
-    role: {
-      type: String,
-      enum: ['admin', 'manager', 'staff'],
-      default: 'admin',
-    },
-    isActive: {
-      type: Boolean,
-      default: true,
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now,
-    },
+import AdminUser from '@/lib/db/models/AdminUser';
+import { getAllowedTenants, resolveAdminTenant } from '@/lib/admin/tenantAccess';
+import { verifyAdminPassword } from '@/lib/services/adminUserService';
+import { isTwoFactorRequired } from '@/lib/services/settingsService';
+import {
+  issueLoginChallenge,
+  verifyLoginChallenge,
+  verifySecondFactor,
+  beginEnrollment,
+  confirmEnrollment
+} from '@/lib/services/twoFactorService';
+import { createAdminSession } from '@/lib/services/adminSessionService';
+import {
+  checkLoginThrottle,
+  recordLoginFailure,
+  recordLoginSuccess
+} from '@/lib/services/loginThrottleService';
+import { getClientIp } from '@/lib/api/clientIp';
+
+// Sent when the account or IP address is locked out
+function sendLocked(res, retryAfterSeconds) {
+  res.setHeader('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    code: 'LOGIN_LOCKED',
+    message: `Too many failed sign-in attempts. Try again in ${Math.ceil(retryAfterSeconds / 60)} minutes.`,
+    retryAfter: retryAfterSeconds
   });
-  
-  AdminUser = mongoose.model('AdminUser', AdminUserSchema);
 }
 
 export default async function handler(req, res) {
@@ -49,44 +39,122 @@ export default async function handler(req, res) {
     // Connect to the database
     await connectToDatabase();
 
-    // Extract email and password from request body
-    const { email, password } = req.body;
+    // Step one sends email and password; step two sends the challenge token
+    // from step one together with a TOTP or recovery code
+    const { email, password, challengeToken, code } = req.body || {};
+    const ip = getClientIp(req);
+
+    let user;
+    let attempt;
+    if (challengeToken) {
+      // The password was already checked when the challenge was issued
+      const userId = verifyLoginChallenge(challengeToken);
+      user = userId ? await AdminUser.findOne({ _id: userId, isActive: true }) : null;
+
+      if (!user) {
+        return res.status(401).json({ message: 'Your sign-in attempt expired. Please log in again.' });
+      }
+
+      // Codes are guessable too, so they count towards the same lockout
+      attempt = { email: user.email, ip };
+      const throttle = await checkLoginThrottle(attempt);
+      if (throttle.locked) {
+        return sendLocked(res, throttle.retryAfterSeconds);
+      }
+    } else {
+      attempt = { email: String(email || '').trim().toLowerCase(), ip };
+      const throttle = await checkLoginThrottle(attempt);
+      if (throttle.locked) {
+        return sendLocked(res, throttle.retryAfterSeconds);
+      }
 
-    // Find the admin user by email
-    const user = await AdminUser.findOne({ email, isActive: true });
+      // Find the admin user by email
+      user = await AdminUser.findOne({
+        email: attempt.email,
+        isActive: true
+      });
 
-    // If no user found or password doesn't match, return error
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid email or password' });
+      // Compare the provided password with the stored hash
+      // (invited users have no password until they accept)
+      const passwordMatch = user ? await verifyAdminPassword(user, password) : false;
+
+      // Unknown emails count as failures too, so probing for accounts gets locked out
+      if (!passwordMatch) {
+        await recordLoginFailure(attempt, user ? 'invalid_password' : 'unknown_account');
+        return res.status(401).json({ message: 'Invalid email or password' });
+      }
+    }
+
+    // An admin has asked this user to choose a new password first
+    if (user.mustResetPassword) {
+      return res.status(403).json({
+        code: 'PASSWORD_RESET_REQUIRED',
+        message: 'You must choose a new password. Use the link in your password reset email.'
+      });
     }
 
-    // Compare the provided password with the stored hash
-    const passwordMatch = await bcrypt.compare(password, user.password);
+    // Admins signing in on a tenant's own domain must belong to that tenant
+    const tenants = getAllowedTenants(user);
+    const { tenantId, tenantLocked } = resolveAdminTenant(req, tenants);
 
-    if (!passwordMatch) {
-      return res.status(401).json({ message: 'Invalid email or password' });
+    if (!tenantId) {
+      return res.status(403).json({ message: 'You do not have access to this tenant' });
     }
 
-    // Create a JWT token for authentication
-    const token = jwt.sign(
-      { 
-        id: user._id,
-        email: user.email,
-        role: user.role 
-      },
-      process.env.JWT_SECRET || 'default-jwt-secret-replace-in-production',
-      { expiresIn: '7d' }
-    );
+    // Second factor: enrolled users always need a code, and tenants can
+    // require every admin to enroll before they can sign in
+    let recoveryCodes;
+    if (user.twoFactor?.enabled) {
+      if (!challengeToken) {
+        return res.status(200).json({
+          twoFactorRequired: true,
+          challengeToken: issueLoginChallenge(user)
+        });
+      }
+
+      if (!(await verifySecondFactor(user, code))) {
+        await recordLoginFailure(attempt, 'invalid_code');
+        return res.status(401).json({ message: 'Invalid authentication code' });
+      }
+    } else if (await isTwoFactorRequired(tenants)) {
+      if (!challengeToken || !code) {
+        const { secret, qrCode } = await beginEnrollment(user);
+        return res.status(200).json({
+          twoFactorSetupRequired: true,
+          challengeToken: issueLoginChallenge(user),
+          setup: { secret, qrCode }
+        });
+      }
+
+      recoveryCodes = await confirmEnrollment(user, code);
+      if (!recoveryCodes) {
+        await recordLoginFailure(attempt, 'invalid_code');
+        return res.status(401).json({ message: 'Invalid authentication code' });
+      }
+    }
+
+    await recordLoginSuccess(attempt);
+    await AdminUser.updateOne({ _id: user._id }, { $set: { lastLoginAt: new Date() } });
+
+    // Start a session: a short-lived access token plus a refresh token
+    const { token, refreshToken, expiresIn } = await createAdminSession(user, req);
 
     // Return token and user data (excluding password)
     return res.status(200).json({
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
-      }
+        role: user.role,
+        tenants
+      },
+      tenantId,
+      tenantLocked,
+      // Only present right after enrolling; shown to the user once
+      recoveryCodes
     });
   } catch (error) {
     console.error('Login error:', error);
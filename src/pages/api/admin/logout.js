@@ -0,0 +1,20 @@
+// src/pages/api/admin/logout.js
+import { revokeAdminSessionByRefreshToken } from '@/lib/services/adminSessionService';
+
+export default async function handler(req, res) {
+  // Only allow POST method
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  // The refresh token identifies the device, and still works after the
+  // access token has expired
+  try {
+    await revokeAdminSessionByRefreshToken(req.body?.refreshToken);
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+}
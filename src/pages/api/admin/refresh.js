@@ -0,0 +1,44 @@
+// src/pages/api/admin/refresh.js
+import { refreshAdminSession } from '@/lib/services/adminSessionService';
+import { getAllowedTenants } from '@/lib/admin/tenantAccess';
+
+export default async function handler(req, res) {
+  // Only allow POST method
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const result = await refreshAdminSession(req.body?.refreshToken, req);
+
+    if (!result) {
+      return res.status(401).json({ message: 'Your session has ended. Please sign in again.' });
+    }
+
+    // Another tab refreshed with this token a moment ago and stored the new one
+    if (result.rotated) {
+      return res.status(409).json({
+        code: 'REFRESH_TOKEN_ROTATED',
+        message: 'This session was just refreshed elsewhere'
+      });
+    }
+
+    const { token, refreshToken, expiresIn, user } = result;
+    return res.status(200).json({
+      token,
+      refreshToken,
+      expiresIn,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        tenants: getAllowedTenants(user)
+      }
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+}
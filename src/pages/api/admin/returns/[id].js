@@ -1,6 +1,9 @@
 // src/pages/api/admin/returns/[id].js
-import jwt from 'jsonwebtoken';
-import { getReturnById, updateReturnStatus } from '@/lib/services/returnService';
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { Permissions, getStatusPermission } from '@/lib/admin/permissions';
+import { getReturnById, updateReturnStatus, actorFromAdmin } from '@/lib/services/returnService';
+import { getAllowedTransitions, getFlaggedFrom } from '@/lib/returns/lifecycle';
+import { isItemRejected } from '@/lib/returns/decisions';
 
 // Helper to transform MongoDB document to UI-friendly format
 function transformReturnData(returnData) {
@@ -10,9 +13,11 @@ function transformReturnData(returnData) {
   const returnObject = typeof returnData.toObject === 'function' ? 
     returnData.toObject() : returnData;
   
-  // Calculate the total of all items
+  // Calculate the total of the items that weren't rejected
   const totalValue = Array.isArray(returnObject.items) ? 
-    returnObject.items.reduce((sum, item) => sum + (parseFloat(item.price || 0) * item.quantity), 0) : 0;
+    returnObject.items.reduce((sum, item) => (
+      isItemRejected(item) ? sum : sum + (parseFloat(item.price || 0) * item.quantity)
+    ), 0) : 0;
 
   // Transform into UI expected format
   return {
@@ -23,30 +28,14 @@ function transformReturnData(returnData) {
     date: returnObject.createdAt,
     created_at: returnObject.createdAt,
     total_refund: totalValue,
-    status: returnObject.status,
     // Preserve original properties
-    ...returnObject
+    ...returnObject,
+    status: returnObject.status,
+    allowed_transitions: getAllowedTransitions(returnObject.status, getFlaggedFrom(returnObject.statusHistory))
   };
 }
 
-export default async function handler(req, res) {
-  // Check for admin authorization using JWT
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ message: 'Authorization token required' });
-  }
-  const token = authHeader.split(' ')[1];
-
-  try {
-    jwt.verify(
-      token,
-      process.env.JWT_SECRET || 'default-jwt-secret-replace-in-production'
-    );
-  } catch (error) {
-    console.error('Token verification error:', error);
-    return res.status(401).json({ message: 'Invalid or expired token' });
-  }
-
+async function handler(req, res) {
   const { id } = req.query;
   if (!id) {
     return res.status(400).json({
@@ -55,7 +44,7 @@ export default async function handler(req, res) {
     });
   }
 
-  const tenantId = req.headers['x-tenant-id'] || 'default';
+  const { id: tenantId } = req.tenant;
 
   if (req.method === 'GET') {
     try {
@@ -81,7 +70,7 @@ export default async function handler(req, res) {
     }
   } else if (req.method === 'PATCH') {
     try {
-      const { status, adminNotes } = req.body;
+      const { status, adminNotes, trackingNumber } = req.body;
       
       if (!status) {
         return res.status(400).json({
@@ -90,7 +79,18 @@ export default async function handler(req, res) {
         });
       }
       
-      const updatedReturn = await updateReturnStatus(id, status, adminNotes, 'admin');
+      const updatedReturn = await updateReturnStatus(id, tenantId, status, {
+        notes: adminNotes,
+        trackingNumber,
+        actor: actorFromAdmin(req.admin)
+      });
+      
+      if (!updatedReturn) {
+        return res.status(404).json({
+          error: 'Return Not Found',
+          message: 'Could not find a return with the provided ID'
+        });
+      }
       
       // Transform the updated data for UI
       const transformedData = transformReturnData(updatedReturn);
@@ -101,6 +101,15 @@ export default async function handler(req, res) {
         return: transformedData
       });
     } catch (err) {
+      // Transitions the lifecycle or a guard does not allow
+      if (err.status === 409) {
+        return res.status(409).json({
+          error: 'Invalid Status Transition',
+          message: err.message,
+          ...err.details
+        });
+      }
+      
       console.error(`PATCH /returns/${id} error:`, err);
       return res.status(500).json({
         error: 'Internal Server Error',
@@ -115,4 +124,11 @@ export default async function handler(req, res) {
     error: 'Method Not Allowed',
     message: `Method ${req.method} is not allowed`
   });
-}
\ No newline at end of file
+}
+
+// Status changes need the permission for the target status
+export default withAdminAuth(handler, {
+  permission: req => (req.method === 'PATCH'
+    ? getStatusPermission(req.body?.status)
+    : Permissions.RETURNS_VIEW)
+});
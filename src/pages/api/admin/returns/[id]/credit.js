@@ -0,0 +1,65 @@
+// src/pages/api/admin/returns/[id]/credit.js
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { Permissions } from '@/lib/admin/permissions';
+import { actorFromAdmin } from '@/lib/services/returnService';
+import { issueReturnCredit } from '@/lib/services/creditService';
+import { REFUND_METHOD_LABELS } from '@/lib/returns/refundMethods';
+
+// Store credit and gift cards are issued automatically at the point set in
+// settings; this issues them by hand or retries one that failed
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({
+      error: 'Method Not Allowed',
+      message: `Method ${req.method} is not allowed`
+    });
+  }
+
+  const { id } = req.query;
+  const { id: tenantId } = req.tenant;
+
+  try {
+    const result = await issueReturnCredit(id, tenantId, actorFromAdmin(req.admin));
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Return Not Found',
+        message: 'Could not find a return with the provided ID'
+      });
+    }
+
+    if (result.status === 'failed') {
+      return res.status(502).json({
+        error: 'Shopify Error',
+        message: `${REFUND_METHOD_LABELS[result.method]} could not be issued: ${result.error}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: result.status === 'issued'
+        ? `Issued ${REFUND_METHOD_LABELS[result.method].toLowerCase()} worth ${result.amount.toFixed(2)}`
+        : `Nothing issued: ${result.reason}`,
+      credit: result
+    });
+  } catch (err) {
+    // Not a credit return, or not one that can be issued now
+    if (err.status === 400 || err.status === 409) {
+      return res.status(err.status).json({
+        error: err.status === 409 ? 'Conflict' : 'Invalid Request',
+        message: err.message,
+        ...err.details
+      });
+    }
+
+    console.error(`POST /returns/${id}/gift-card error:`, err);
+    return res.status(500).json({
+      error: 'Server Error',
+      message: err.message || 'An error occurred while issuing credit',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+}
+
+export default withAdminAuth(handler, { permission: Permissions.RETURNS_REFUND });
@@ -0,0 +1,81 @@
+// src/pages/api/admin/returns/[id]/documents.js
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { Permissions } from '@/lib/admin/permissions';
+import { generateReturnDocuments, getReturnDocument } from '@/lib/services/documentService';
+import { RETURN_DOCUMENTS, ReturnDocument } from '@/lib/returns/documents';
+
+// GET downloads a return's packing slip or label; POST generates them again,
+// e.g. after the links expired or the return address changed. A label that
+// still works is only booked again with { newLabel: true }.
+async function handler(req, res) {
+  const { id, document = ReturnDocument.PACKING_SLIP } = req.query;
+  const { id: tenantId } = req.tenant;
+
+  if (req.method === 'GET') {
+    if (!RETURN_DOCUMENTS.includes(document)) {
+      return res.status(400).json({
+        error: 'Invalid Request',
+        message: `Document must be one of: ${RETURN_DOCUMENTS.join(', ')}`
+      });
+    }
+
+    try {
+      const file = await getReturnDocument(id, tenantId, document);
+
+      if (!file) {
+        return res.status(404).json({
+          error: 'Document Not Found',
+          message: 'This return has no such document, or it has expired'
+        });
+      }
+
+      res.setHeader('Content-Type', file.contentType || 'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename="${file.filename || 'document.pdf'}"`);
+      res.setHeader('Cache-Control', 'private, no-store');
+      return res.status(200).send(file.data);
+    } catch (err) {
+      console.error(`GET /returns/${id}/documents error:`, err);
+      return res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred while fetching the document'
+      });
+    }
+  }
+
+  if (req.method === 'POST') {
+    try {
+      const returnRecord = await generateReturnDocuments(id, tenantId, { newLabel: req.body?.newLabel === true });
+
+      if (!returnRecord) {
+        return res.status(404).json({
+          error: 'Return Not Found',
+          message: 'Could not find a return with the provided ID'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: returnRecord.returnLabel?.url ? 'Packing slip and label generated' : 'Packing slip generated',
+        packingSlip: returnRecord.packingSlip,
+        returnLabel: returnRecord.returnLabel || null,
+        trackingNumber: returnRecord.trackingNumber || null
+      });
+    } catch (err) {
+      console.error(`POST /returns/${id}/documents error:`, err);
+      return res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred while generating documents'
+      });
+    }
+  }
+
+  res.setHeader('Allow', ['GET', 'POST']);
+  return res.status(405).json({
+    error: 'Method Not Allowed',
+    message: `Method ${req.method} is not allowed`
+  });
+}
+
+export default withAdminAuth(handler, {
+  permission: req => (req.method === 'POST' ? Permissions.RETURNS_INSPECT : Permissions.RETURNS_VIEW)
+});
@@ -0,0 +1,104 @@
+// src/pages/api/admin/returns/[id]/items/[itemId].js
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { Permissions } from '@/lib/admin/permissions';
+import { getReturnById, actorFromAdmin } from '@/lib/services/returnService';
+import { recordItemReceiving, findReturnItem } from '@/lib/services/inspectionService';
+import { getAllowedTransitions, getFlaggedFrom } from '@/lib/returns/lifecycle';
+
+// Item and its receiving record, with the return status it left behind
+function toResponse(returnRecord, item) {
+  const itemObject = typeof item.toObject === 'function' ? item.toObject() : item;
+  return {
+    item: itemObject,
+    receiving: itemObject.receiving || null,
+    return: {
+      id: returnRecord._id.toString(),
+      status: returnRecord.status,
+      allowed_transitions: getAllowedTransitions(returnRecord.status, getFlaggedFrom(returnRecord.statusHistory))
+    }
+  };
+}
+
+async function handler(req, res) {
+  const { id, itemId } = req.query;
+  const { id: tenantId } = req.tenant;
+
+  if (req.method === 'GET') {
+    try {
+      const returnRecord = await getReturnById(id, tenantId);
+      const item = returnRecord && findReturnItem(returnRecord, itemId);
+
+      if (!item) {
+        return res.status(404).json({
+          error: 'Item Not Found',
+          message: 'Could not find this item on the return'
+        });
+      }
+
+      return res.status(200).json(toResponse(returnRecord, item));
+    } catch (err) {
+      console.error(`GET /returns/${id}/items/${itemId} error:`, err);
+      return res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred while fetching the item'
+      });
+    }
+  } else if (req.method === 'PATCH') {
+    try {
+      const { receivedQuantity, condition, notes, photos } = req.body || {};
+
+      if ([receivedQuantity, condition, notes, photos].every(value => value === undefined)) {
+        return res.status(400).json({
+          error: 'Missing Required Field',
+          message: 'Provide receivedQuantity, condition, notes or photos'
+        });
+      }
+
+      const result = await recordItemReceiving(id, tenantId, itemId, {
+        receivedQuantity,
+        condition,
+        notes,
+        photos
+      }, actorFromAdmin(req.admin));
+
+      if (!result) {
+        return res.status(404).json({
+          error: 'Item Not Found',
+          message: 'Could not find this item on the return'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Item updated',
+        ...toResponse(result.returnRecord, result.item)
+      });
+    } catch (err) {
+      // Invalid input, or a return no longer open for receiving
+      if (err.status === 400 || err.status === 409) {
+        return res.status(err.status).json({
+          error: err.status === 409 ? 'Conflict' : 'Invalid Request',
+          message: err.message,
+          ...err.details
+        });
+      }
+
+      console.error(`PATCH /returns/${id}/items/${itemId} error:`, err);
+      return res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred while updating the item'
+      });
+    }
+  }
+
+  res.setHeader('Allow', ['GET', 'PATCH']);
+  return res.status(405).json({
+    error: 'Method Not Allowed',
+    message: `Method ${req.method} is not allowed`
+  });
+}
+
+// Recording items needs the inspection permission, which warehouse API keys carry
+export default withAdminAuth(handler, {
+  permission: req => (req.method === 'PATCH' ? Permissions.RETURNS_INSPECT : Permissions.RETURNS_VIEW)
+});
@@ -0,0 +1,61 @@
+// src/pages/api/admin/returns/[id]/items/[itemId]/decision.js
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { Permissions } from '@/lib/admin/permissions';
+import { actorFromAdmin } from '@/lib/services/returnService';
+import { decideReturnItem } from '@/lib/services/decisionService';
+import { getAllowedTransitions, getFlaggedFrom } from '@/lib/returns/lifecycle';
+
+// Approve or reject one item; the return is approved or rejected once every item is decided
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({
+      error: 'Method Not Allowed',
+      message: `Method ${req.method} is not allowed`
+    });
+  }
+
+  const { id, itemId } = req.query;
+  const { id: tenantId } = req.tenant;
+  const { decision, reason } = req.body || {};
+
+  try {
+    const result = await decideReturnItem(id, tenantId, itemId, { decision, reason }, actorFromAdmin(req.admin));
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Item Not Found',
+        message: 'Could not find this item on the return'
+      });
+    }
+
+    const { returnRecord, item } = result;
+    return res.status(200).json({
+      success: true,
+      message: `Item ${decision}`,
+      item: typeof item.toObject === 'function' ? item.toObject() : item,
+      return: {
+        id: returnRecord._id.toString(),
+        status: returnRecord.status,
+        allowed_transitions: getAllowedTransitions(returnRecord.status, getFlaggedFrom(returnRecord.statusHistory))
+      }
+    });
+  } catch (err) {
+    // Invalid decision, or a return no longer waiting for approval
+    if (err.status === 400 || err.status === 409) {
+      return res.status(err.status).json({
+        error: err.status === 409 ? 'Conflict' : 'Invalid Request',
+        message: err.message,
+        ...err.details
+      });
+    }
+
+    console.error(`POST /returns/${id}/items/${itemId}/decision error:`, err);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An unexpected error occurred while deciding the item'
+    });
+  }
+}
+
+export default withAdminAuth(handler, { permission: Permissions.RETURNS_APPROVE });
@@ -0,0 +1,58 @@
+// src/pages/api/admin/returns/[id]/refund-quote.js
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { Permissions } from '@/lib/admin/permissions';
+import { calculateReturnRefund } from '@/lib/services/refundService';
+
+const ERROR_TITLES = {
+  400: 'Invalid Request',
+  409: 'Conflict',
+  502: 'Shopify Error'
+};
+
+// Preview what a refund would pay out before it is issued
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({
+      error: 'Method Not Allowed',
+      message: `Method ${req.method} is not allowed`
+    });
+  }
+
+  const { id } = req.query;
+  const { id: tenantId } = req.tenant;
+
+  try {
+    const { items, includeShipping } = req.body || {};
+    const quote = await calculateReturnRefund(id, tenantId, {
+      items,
+      includeShipping: !!includeShipping
+    });
+
+    if (!quote) {
+      return res.status(404).json({
+        error: 'Return Not Found',
+        message: 'Could not find a return with the provided ID'
+      });
+    }
+
+    return res.status(200).json({ quote });
+  } catch (err) {
+    if (ERROR_TITLES[err.status]) {
+      return res.status(err.status).json({
+        error: ERROR_TITLES[err.status],
+        message: err.message,
+        ...err.details
+      });
+    }
+
+    console.error(`POST /returns/${id}/refund-quote error:`, err);
+    return res.status(500).json({
+      error: 'Server Error',
+      message: err.message || 'An error occurred while calculating the refund',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+}
+
+export default withAdminAuth(handler, { permission: Permissions.RETURNS_REFUND });
@@ -0,0 +1,87 @@
+// src/pages/api/admin/returns/[id]/refunds.js
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { Permissions } from '@/lib/admin/permissions';
+import { getReturnById, actorFromAdmin } from '@/lib/services/returnService';
+import { issueReturnRefund } from '@/lib/services/refundService';
+
+const ERROR_TITLES = {
+  400: 'Invalid Request',
+  409: 'Conflict',
+  502: 'Shopify Error'
+};
+
+async function handler(req, res) {
+  const { id } = req.query;
+  const { id: tenantId } = req.tenant;
+
+  if (req.method === 'GET') {
+    try {
+      const returnRecord = await getReturnById(id, tenantId);
+
+      if (!returnRecord) {
+        return res.status(404).json({
+          error: 'Return Not Found',
+          message: 'Could not find a return with the provided ID'
+        });
+      }
+
+      return res.status(200).json({
+        refunds: returnRecord.refunds || [],
+        totalRefundAmount: returnRecord.totalRefundAmount || 0
+      });
+    } catch (err) {
+      console.error(`GET /returns/${id}/refunds error:`, err);
+      return res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred while fetching refunds'
+      });
+    }
+  } else if (req.method === 'POST') {
+    try {
+      const { items, includeShipping, note, notify } = req.body || {};
+      const result = await issueReturnRefund(id, tenantId, {
+        items,
+        includeShipping: !!includeShipping,
+        note: note || '',
+        notify: notify !== false
+      }, actorFromAdmin(req.admin));
+
+      if (!result) {
+        return res.status(404).json({
+          error: 'Return Not Found',
+          message: 'Could not find a return with the provided ID'
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: `Refunded ${result.refund.amount.toFixed(2)} ${result.refund.currency || ''}`.trim(),
+        refund: result.refund,
+        status: result.returnRecord.status
+      });
+    } catch (err) {
+      // Invalid selection, a refund already in progress, or Shopify said no
+      if (ERROR_TITLES[err.status]) {
+        return res.status(err.status).json({
+          error: ERROR_TITLES[err.status],
+          message: err.message,
+          ...err.details
+        });
+      }
+
+      console.error(`POST /returns/${id}/refunds error:`, err);
+      return res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred while issuing the refund'
+      });
+    }
+  }
+
+  res.setHeader('Allow', ['GET', 'POST']);
+  return res.status(405).json({
+    error: 'Method Not Allowed',
+    message: `Method ${req.method} is not allowed`
+  });
+}
+
+export default withAdminAuth(handler, { permission: Permissions.RETURNS_REFUND });
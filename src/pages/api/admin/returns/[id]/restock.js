@@ -0,0 +1,57 @@
+// src/pages/api/admin/returns/[id]/restock.js
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { Permissions } from '@/lib/admin/permissions';
+import { actorFromAdmin } from '@/lib/services/returnService';
+import { restockReturnItems } from '@/lib/services/restockService';
+
+// Restock runs automatically when a return is inspected; this retries items
+// whose Shopify adjustment failed
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({
+      error: 'Method Not Allowed',
+      message: `Method ${req.method} is not allowed`
+    });
+  }
+
+  const { id } = req.query;
+  const { id: tenantId } = req.tenant;
+
+  try {
+    const result = await restockReturnItems(id, tenantId, actorFromAdmin(req.admin));
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Return Not Found',
+        message: 'Could not find a return with the provided ID'
+      });
+    }
+
+    if (!result.enabled) {
+      return res.status(409).json({
+        error: 'Restocking Disabled',
+        message: 'Turn on restocking in settings to restock returned items'
+      });
+    }
+
+    const failed = result.results.filter(item => item.status === 'failed').length;
+
+    return res.status(200).json({
+      success: failed === 0,
+      message: result.results.length === 0
+        ? 'There are no items waiting to be restocked'
+        : `Processed ${result.results.length} item(s), ${failed} failed`,
+      results: result.results
+    });
+  } catch (err) {
+    console.error(`POST /returns/${id}/restock error:`, err);
+    return res.status(500).json({
+      error: 'Server Error',
+      message: err.message || 'An error occurred while restocking items',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+}
+
+export default withAdminAuth(handler, { permission: Permissions.RETURNS_INSPECT });
@@ -1,6 +1,8 @@
 // src/pages/api/admin/returns/index.js
-import jwt from 'jsonwebtoken';
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { Permissions } from '@/lib/admin/permissions';
 import { getAllReturns } from '@/lib/services/returnService';
+import { isItemRejected } from '@/lib/returns/decisions';
 
 // Helper function to transform return data for UI
 function transformReturnData(returns) {
@@ -14,9 +16,11 @@ function transformReturnData(returns) {
   const returnObject = typeof returns.toObject === 'function' ? 
     returns.toObject() : returns;
   
-  // Calculate total value from items
+  // Calculate total value from the items that weren't rejected
   const totalValue = Array.isArray(returnObject.items) ? 
-    returnObject.items.reduce((sum, item) => sum + (parseFloat(item.price || 0) * item.quantity), 0) : 0;
+    returnObject.items.reduce((sum, item) => (
+      isItemRejected(item) ? sum : sum + (parseFloat(item.price || 0) * item.quantity)
+    ), 0) : 0;
   
   // Transform to match UI expectations
   return {
@@ -32,25 +36,8 @@ function transformReturnData(returns) {
   };
 }
 
-export default async function handler(req, res) {
-  // Check for admin authorization using JWT
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ message: 'Authorization token required' });
-  }
-  const token = authHeader.split(' ')[1];
-
-  try {
-    jwt.verify(
-      token,
-      process.env.JWT_SECRET || 'default-jwt-secret-replace-in-production'
-    );
-  } catch (error) {
-    console.error('Token verification error:', error);
-    return res.status(401).json({ message: 'Invalid or expired token' });
-  }
-
-  const tenantId = req.headers['x-tenant-id'] || 'default';
+async function handler(req, res) {
+  const { id: tenantId } = req.tenant;
 
   if (req.method === 'GET') {
     try {
@@ -88,4 +75,6 @@ export default async function handler(req, res) {
     error: 'Method Not Allowed',
     message: `Method ${req.method} is not allowed` 
   });
-}
\ No newline at end of file
+}
+
+export default withAdminAuth(handler, { permission: Permissions.RETURNS_VIEW });
@@ -0,0 +1,43 @@
+// src/pages/api/admin/sessions/[id].js
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { revokeAdminSession } from '@/lib/services/adminSessionService';
+import { createLogger, LogCategory } from '@/lib/logging';
+
+const logger = createLogger('admin-sessions');
+
+async function handler(req, res) {
+  if (req.method !== 'DELETE') {
+    res.setHeader('Allow', ['DELETE']);
+    return res.status(405).json({
+      error: 'Method Not Allowed',
+      message: `Method ${req.method} is not allowed`
+    });
+  }
+
+  const { id } = req.query;
+
+  try {
+    // Scoped to the caller, so admins can only sign out their own devices
+    const revoked = await revokeAdminSession(req.admin.id, id, 'revoked_by_user');
+    if (!revoked) {
+      return res.status(404).json({ error: 'Not Found', message: 'Session not found' });
+    }
+
+    logger.info('Admin session revoked', {
+      userId: req.admin.id,
+      sessionId: id,
+      current: id === req.admin.sid
+    }, LogCategory.SECURITY);
+
+    return res.status(200).json({ success: true });
+  } catch (err) {
+    console.error('Error revoking admin session:', err);
+    return res.status(500).json({
+      error: 'Server Error',
+      message: 'An error occurred while revoking the session',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
+
+export default withAdminAuth(handler, { tenantScoped: false });
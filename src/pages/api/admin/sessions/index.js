@@ -0,0 +1,56 @@
+// src/pages/api/admin/sessions/index.js
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import {
+  listAdminSessions,
+  revokeAllAdminSessions,
+  toPublicSession
+} from '@/lib/services/adminSessionService';
+
+// The signed-in admin's own devices
+async function handler(req, res) {
+  const { id: userId, sid } = req.admin;
+
+  // GET - List live sessions
+  if (req.method === 'GET') {
+    try {
+      const sessions = await listAdminSessions(userId);
+      return res.status(200).json({
+        sessions: sessions.map(session => toPublicSession(session, sid))
+      });
+    } catch (err) {
+      console.error('Error fetching admin sessions:', err);
+      return res.status(500).json({
+        error: 'Server Error',
+        message: 'An error occurred while fetching sessions',
+        details: process.env.NODE_ENV === 'development' ? err.message : undefined
+      });
+    }
+  }
+
+  // DELETE - Sign out every other device
+  else if (req.method === 'DELETE') {
+    try {
+      const revoked = await revokeAllAdminSessions(userId, {
+        exceptSessionId: sid,
+        reason: 'signed_out_elsewhere'
+      });
+      return res.status(200).json({ success: true, revoked });
+    } catch (err) {
+      console.error('Error revoking admin sessions:', err);
+      return res.status(500).json({
+        error: 'Server Error',
+        message: 'An error occurred while revoking sessions',
+        details: process.env.NODE_ENV === 'development' ? err.message : undefined
+      });
+    }
+  }
+
+  // Handle other HTTP methods
+  res.setHeader('Allow', ['GET', 'DELETE']);
+  return res.status(405).json({
+    error: 'Method Not Allowed',
+    message: `Method ${req.method} is not allowed`
+  });
+}
+
+export default withAdminAuth(handler, { tenantScoped: false });
@@ -0,0 +1,81 @@
+// src/pages/api/admin/set-password.js
+import {
+  findUserByPasswordToken,
+  completePasswordToken,
+  MIN_PASSWORD_LENGTH
+} from '@/lib/services/adminUserService';
+import { createLogger, LogCategory } from '@/lib/logging';
+
+const logger = createLogger('admin-users');
+
+// Public endpoint: the emailed one-time token is the credential
+export default async function handler(req, res) {
+  // GET - Check a token before showing the form
+  if (req.method === 'GET') {
+    try {
+      const user = await findUserByPasswordToken(req.query.token);
+
+      if (!user) {
+        return res.status(404).json({
+          error: 'Invalid Token',
+          message: 'This link is invalid or has expired'
+        });
+      }
+
+      return res.status(200).json({
+        email: user.email,
+        purpose: user.passwordToken.purpose,
+        minPasswordLength: MIN_PASSWORD_LENGTH
+      });
+    } catch (err) {
+      console.error('Error checking password token:', err);
+      return res.status(500).json({
+        error: 'Server Error',
+        message: 'An error occurred while checking the link'
+      });
+    }
+  }
+
+  // POST - Set the password
+  else if (req.method === 'POST') {
+    const { token, password } = req.body || {};
+
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: 'Invalid Request',
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    try {
+      const user = await completePasswordToken(token, password);
+
+      if (!user) {
+        return res.status(404).json({
+          error: 'Invalid Token',
+          message: 'This link is invalid or has expired'
+        });
+      }
+
+      logger.info('Admin password set', { userId: user._id.toString() }, LogCategory.SECURITY);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Password set. You can now log in.'
+      });
+    } catch (err) {
+      console.error('Error setting password:', err);
+      return res.status(500).json({
+        error: 'Server Error',
+        message: 'An error occurred while setting the password'
+      });
+    }
+  }
+
+  // Handle other HTTP methods
+  res.setHeader('Allow', ['GET', 'POST']);
+  return res.status(405).json({
+    error: 'Method Not Allowed',
+    message: `Method ${req.method} is not allowed`
+  });
+}
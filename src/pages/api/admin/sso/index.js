@@ -0,0 +1,186 @@
+// src/pages/api/admin/sso/index.js
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { Permissions, ROLE_PERMISSIONS } from '@/lib/admin/permissions';
+import {
+  getSsoConfig,
+  saveSsoConfig,
+  deleteSsoConfig,
+  toPublicSsoConfig
+} from '@/lib/services/ssoService';
+import { getOidcClientSecret } from '@/lib/services/credentialService';
+import { createLogger, LogCategory } from '@/lib/logging';
+
+const logger = createLogger('sso');
+
+// Issuers must use https, except a local IdP during development
+function isValidIssuer(issuer) {
+  try {
+    const url = new URL(issuer);
+    if (url.protocol === 'https:') return true;
+    return url.protocol === 'http:' &&
+      ['localhost', '127.0.0.1'].includes(url.hostname) &&
+      process.env.NODE_ENV !== 'production';
+  } catch {
+    return false;
+  }
+}
+
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Check and normalize an SSO configuration update
+ * @returns {Object} - { updates } or { error }
+ */
+function validateUpdates(body, existing) {
+  const updates = {};
+
+  ['enabled', 'autoProvision'].forEach(field => {
+    if (body[field] !== undefined) updates[field] = !!body[field];
+  });
+  ['displayName', 'issuer', 'clientId', 'scopes', 'groupClaim', 'clientSecret'].forEach(field => {
+    if (body[field] !== undefined && String(body[field]).trim()) updates[field] = String(body[field]).trim();
+  });
+
+  const issuer = updates.issuer || existing?.issuer;
+  if (!issuer || !isValidIssuer(issuer)) {
+    return { error: 'The issuer must be an https URL' };
+  }
+  if (!updates.clientId && !existing?.clientId) {
+    return { error: 'A client ID is required' };
+  }
+
+  const scopes = updates.scopes || existing?.scopes;
+  if (scopes && !scopes.split(/\s+/).includes('openid')) {
+    return { error: 'Scopes must include openid' };
+  }
+
+  if (body.defaultRole !== undefined) {
+    if (!ROLE_PERMISSIONS[body.defaultRole]) {
+      return { error: `Default role must be one of: ${Object.keys(ROLE_PERMISSIONS).join(', ')}` };
+    }
+    updates.defaultRole = body.defaultRole;
+  }
+
+  if (body.roleMappings !== undefined) {
+    const unknownRoles = Object.keys(body.roleMappings || {}).filter(role => !ROLE_PERMISSIONS[role]);
+    if (unknownRoles.length > 0) {
+      return { error: `Unknown roles: ${unknownRoles.join(', ')}` };
+    }
+    updates.roleMappings = Object.fromEntries(
+      Object.keys(ROLE_PERMISSIONS).map(role => [role, toList(body.roleMappings?.[role])])
+    );
+  }
+
+  if (body.allowedDomains !== undefined) {
+    updates.allowedDomains = toList(body.allowedDomains).map(domain => domain.toLowerCase().replace(/^@/, ''));
+  }
+
+  return { updates };
+}
+
+async function handler(req, res) {
+  const { id: tenantId } = req.tenant;
+  const { admin } = req;
+
+  // GET - The tenant's SSO configuration
+  if (req.method === 'GET') {
+    try {
+      const config = await getSsoConfig(tenantId);
+      if (!config) {
+        return res.status(200).json({ config: null });
+      }
+
+      const secret = await getOidcClientSecret(tenantId);
+      return res.status(200).json({ config: toPublicSsoConfig(config, secret) });
+    } catch (err) {
+      console.error('Error fetching SSO config:', err);
+      return res.status(500).json({
+        error: 'Server Error',
+        message: 'An error occurred while fetching SSO settings',
+        details: process.env.NODE_ENV === 'development' ? err.message : undefined
+      });
+    }
+  }
+
+  // PUT - Create or update the configuration
+  else if (req.method === 'PUT') {
+    try {
+      const existing = await getSsoConfig(tenantId);
+      const { updates, error } = validateUpdates(req.body || {}, existing);
+
+      if (error) {
+        return res.status(400).json({ error: 'Invalid Request', message: error });
+      }
+
+      const hasSecret = updates.clientSecret || (await getOidcClientSecret(tenantId));
+      if (updates.enabled && !hasSecret) {
+        return res.status(400).json({
+          error: 'Invalid Request',
+          message: 'Add a client secret before turning on single sign-on'
+        });
+      }
+
+      const config = await saveSsoConfig(tenantId, updates, admin.email || admin.id);
+      const secret = await getOidcClientSecret(tenantId);
+
+      logger.info('SSO settings updated', {
+        tenantId,
+        enabled: config.enabled,
+        issuer: config.issuer,
+        clientSecretRotated: !!updates.clientSecret,
+        updatedBy: admin.email || admin.id
+      }, LogCategory.SECURITY);
+
+      return res.status(200).json({
+        config: toPublicSsoConfig(config, secret),
+        message: 'Single sign-on settings saved'
+      });
+    } catch (err) {
+      console.error('Error saving SSO config:', err);
+      return res.status(500).json({
+        error: 'Server Error',
+        message: 'An error occurred while saving SSO settings',
+        details: process.env.NODE_ENV === 'development' ? err.message : undefined
+      });
+    }
+  }
+
+  // DELETE - Remove SSO for the tenant
+  else if (req.method === 'DELETE') {
+    try {
+      const removed = await deleteSsoConfig(tenantId);
+      if (!removed) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Single sign-on is not set up for this tenant'
+        });
+      }
+
+      logger.info('SSO settings removed', {
+        tenantId,
+        removedBy: admin.email || admin.id
+      }, LogCategory.SECURITY);
+
+      return res.status(200).json({ message: 'Single sign-on removed' });
+    } catch (err) {
+      console.error('Error deleting SSO config:', err);
+      return res.status(500).json({
+        error: 'Server Error',
+        message: 'An error occurred while removing SSO settings',
+        details: process.env.NODE_ENV === 'development' ? err.message : undefined
+      });
+    }
+  }
+
+  // Handle other HTTP methods
+  res.setHeader('Allow', ['GET', 'PUT', 'DELETE']);
+  return res.status(405).json({
+    error: 'Method Not Allowed',
+    message: `Method ${req.method} is not allowed`
+  });
+}
+
+export default withAdminAuth(handler, { permission: Permissions.USERS_MANAGE });
@@ -0,0 +1,36 @@
+// src/pages/api/admin/sso/providers.js
+import { getSsoConfig, getSsoProviderId } from '@/lib/services/ssoService';
+
+// Public: tells the login page whether to offer SSO for the request's tenant
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({
+      error: 'Method Not Allowed',
+      message: `Method ${req.method} is not allowed`
+    });
+  }
+
+  const tenantId = req.headers['x-tenant-id'] || 'default';
+
+  try {
+    const config = await getSsoConfig(tenantId);
+
+    if (!config?.enabled) {
+      return res.status(200).json({ enabled: false });
+    }
+
+    return res.status(200).json({
+      enabled: true,
+      providerId: getSsoProviderId(tenantId),
+      name: config.displayName
+    });
+  } catch (err) {
+    console.error('Error fetching SSO provider:', err);
+    return res.status(500).json({
+      error: 'Server Error',
+      message: 'An error occurred while fetching sign-in options',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
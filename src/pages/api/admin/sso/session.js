@@ -0,0 +1,77 @@
+// src/pages/api/admin/sso/session.js
+import { getToken } from 'next-auth/jwt';
+import connectToDatabase from '@/lib/db/connection';
+import AdminUser from '@/lib/db/models/AdminUser';
+import { getAllowedTenants, resolveAdminTenant } from '@/lib/admin/tenantAccess';
+import { createAdminSession } from '@/lib/services/adminSessionService';
+import { createLogger, LogCategory } from '@/lib/logging';
+
+const logger = createLogger('sso');
+
+// How long after the IdP redirect the sign-in can be exchanged
+const EXCHANGE_WINDOW_MS = 5 * 60 * 1000;
+
+const NEXTAUTH_SESSION_COOKIES = ['next-auth.session-token', '__Secure-next-auth.session-token'];
+
+// Swaps the NextAuth cookie left by an SSO sign-in for a regular admin
+// session, so SSO users end up with the same tokens as password users
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const ssoToken = await getToken({ req, secret: process.env.NEXTAUTH_SECRET });
+
+    if (!ssoToken?.ssoTenantId || !ssoToken.ssoSignInAt ||
+        Date.now() - ssoToken.ssoSignInAt > EXCHANGE_WINDOW_MS) {
+      return res.status(401).json({ message: 'Your single sign-on attempt expired. Please try again.' });
+    }
+
+    await connectToDatabase();
+    const user = await AdminUser.findOne({ _id: ssoToken.id, isActive: true });
+
+    if (!user) {
+      return res.status(401).json({ message: 'Your account is not active' });
+    }
+
+    const tenants = getAllowedTenants(user);
+    const { tenantId, tenantLocked } = resolveAdminTenant(req, tenants);
+
+    if (!tenantId) {
+      return res.status(403).json({ message: 'You do not have access to this tenant' });
+    }
+
+    const { token, refreshToken, expiresIn } = await createAdminSession(user, req);
+
+    // The NextAuth cookie has done its job; the admin session takes over
+    res.setHeader('Set-Cookie', NEXTAUTH_SESSION_COOKIES.map(name =>
+      `${name}=; Path=/; Max-Age=0; HttpOnly; SameSite=Lax${name.startsWith('__Secure-') ? '; Secure' : ''}`
+    ));
+
+    logger.info('Admin signed in with SSO', {
+      userId: user._id.toString(),
+      email: user.email,
+      ssoTenantId: ssoToken.ssoTenantId
+    }, LogCategory.SECURITY);
+
+    return res.status(200).json({
+      token,
+      refreshToken,
+      expiresIn,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        tenants
+      },
+      tenantId,
+      tenantLocked
+    });
+  } catch (error) {
+    console.error('SSO session error:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+}
@@ -1,26 +1,10 @@
 // src/pages/api/admin/sync-returns.js
-import jwt from 'jsonwebtoken';
 import { syncReturnsFromShopify } from '@/lib/services/shopifySyncService';
-import { withErrorHandler, createApiError, ErrorTypes } from '@/lib/api/errorHandler';
+import { withErrorHandler, withAdminAuth, createApiError, ErrorTypes } from '@/lib/api/errorHandler';
+import { Permissions } from '@/lib/admin/permissions';
 
 async function handler(req, res) {
-  // Check for admin authorization using JWT
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ message: 'Authorization token required' });
-  }
-  const token = authHeader.split(' ')[1];
-
-  try {
-    jwt.verify(
-      token,
-      process.env.JWT_SECRET || 'default-jwt-secret-replace-in-production'
-    );
-  } catch (error) {
-    console.error('Token verification error:', error);
-    return res.status(401).json({ message: 'Invalid or expired token' });
-  }
-
+  const { id: tenantId } = req.tenant;
 
   if (req.method !== 'POST') {
     throw createApiError(
@@ -29,8 +13,8 @@ async function handler(req, res) {
     );
   }
 
-  // Get parameters
-  const { daysBack = 30, tenantId = 'default' } = req.body;
+  // Get parameters (the tenant comes from the verified request, never the body)
+  const { daysBack = 30 } = req.body;
   
   try {
     const result = await syncReturnsFromShopify(tenantId, daysBack);
@@ -44,4 +28,4 @@ async function handler(req, res) {
   }
 }
 
-export default withErrorHandler(handler);
\ No newline at end of file
+export default withErrorHandler(withAdminAuth(handler, { permission: Permissions.RETURNS_SYNC }));
\ No newline at end of file
@@ -0,0 +1,159 @@
+// src/pages/api/admin/tenants/[id].js
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { Permissions } from '@/lib/admin/permissions';
+import { canAccessTenant } from '@/lib/admin/tenantAccess';
+import {
+  getTenantById,
+  updateTenant,
+  deactivateTenant,
+  listTenantDomains,
+  setTenantDomains,
+  toPublicTenant
+} from '@/lib/services/tenantService';
+
+async function handler(req, res) {
+  const { allowedTenants } = req.tenant;
+
+  const { id } = req.query;
+  if (!id) {
+    return res.status(400).json({
+      error: 'Missing Required Parameter',
+      message: 'Tenant ID is required'
+    });
+  }
+
+  if (!canAccessTenant(allowedTenants, id)) {
+    return res.status(403).json({ message: 'You do not have access to this tenant' });
+  }
+
+  // GET - Retrieve a tenant
+  if (req.method === 'GET') {
+    try {
+      const tenant = await getTenantById(id);
+      
+      if (!tenant) {
+        return res.status(404).json({
+          error: 'Tenant Not Found',
+          message: 'Could not find a tenant with the provided ID'
+        });
+      }
+      
+      const domains = await listTenantDomains(tenant.tenantId);
+      
+      return res.status(200).json({ ...toPublicTenant(tenant), domains });
+    } catch (err) {
+      console.error(`GET /tenants/${id} error:`, err);
+      return res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred while fetching the tenant'
+      });
+    }
+  }
+  
+  // PATCH - Update a tenant
+  else if (req.method === 'PATCH') {
+    try {
+      const { name, isActive, shopify, locale, rmaPrefix, domains } = req.body || {};
+      // Secrets never travel with the tenant record, see ./[id]/credentials
+      if (shopify && (shopify.apiKey || shopify.apiSecret || shopify.accessToken)) {
+        return res.status(400).json({
+          error: 'Invalid Request',
+          message: 'Shopify credentials must be set through the credentials endpoint'
+        });
+      }
+      
+      const updates = { name, isActive, shopify, locale, rmaPrefix };
+      Object.keys(updates).forEach(key => updates[key] === undefined && delete updates[key]);
+      
+      const tenant = await updateTenant(id, updates);
+      
+      if (!tenant) {
+        return res.status(404).json({
+          error: 'Tenant Not Found',
+          message: 'Could not find a tenant with the provided ID'
+        });
+      }
+      
+      // Only touch the domain mappings when the client sent a new list
+      const mappedDomains = Array.isArray(domains)
+        ? await setTenantDomains(tenant.tenantId, domains)
+        : await listTenantDomains(tenant.tenantId);
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Tenant updated successfully',
+        tenant: { ...toPublicTenant(tenant), domains: mappedDomains }
+      });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: 'One of these domains is already mapped to another tenant'
+        });
+      }
+      
+      if (err.name === 'ValidationError') {
+        return res.status(400).json({
+          error: 'Invalid Request',
+          message: 'Invalid tenant data',
+          details: Object.keys(err.errors || {}).map(path => ({
+            path,
+            message: err.errors[path].message
+          }))
+        });
+      }
+      
+      console.error(`PATCH /tenants/${id} error:`, err);
+      return res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred while updating the tenant'
+      });
+    }
+  }
+  
+  // DELETE - Deactivate a tenant
+  else if (req.method === 'DELETE') {
+    // Every unknown tenant falls back to the default one, so it must stay active
+    if (id === 'default') {
+      return res.status(400).json({
+        error: 'Invalid Request',
+        message: 'The default tenant cannot be deactivated'
+      });
+    }
+    
+    try {
+      const deactivated = await deactivateTenant(id);
+      
+      if (!deactivated) {
+        return res.status(404).json({
+          error: 'Tenant Not Found',
+          message: 'Could not find an active tenant with the provided ID'
+        });
+      }
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Tenant deactivated successfully'
+      });
+    } catch (err) {
+      console.error(`DELETE /tenants/${id} error:`, err);
+      return res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred while deactivating the tenant'
+      });
+    }
+  }
+  
+  // Handle unsupported methods
+  res.setHeader('Allow', ['GET', 'PATCH', 'DELETE']);
+  return res.status(405).json({ 
+    error: 'Method Not Allowed',
+    message: `Method ${req.method} is not allowed`
+  });
+}
+
+// Access is checked against the tenant being managed, not the request tenant
+export default withAdminAuth(handler, {
+  permission: Permissions.TENANTS_MANAGE,
+  tenantScoped: false
+});
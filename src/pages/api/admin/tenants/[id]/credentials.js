@@ -0,0 +1,143 @@
+// src/pages/api/admin/tenants/[id]/credentials.js
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { Permissions } from '@/lib/admin/permissions';
+import { canAccessTenant } from '@/lib/admin/tenantAccess';
+import { getTenantById } from '@/lib/services/tenantService';
+import {
+  storeShopifyCredentials,
+  getShopifyCredentialStatus,
+  deleteShopifyCredentials
+} from '@/lib/services/credentialService';
+import { isEncryptionConfigured } from '@/lib/security/envelope';
+import { invalidateShopifyClient } from '@/lib/shopify/client';
+import { createLogger, LogCategory } from '@/lib/logging';
+
+const logger = createLogger('credentials');
+
+async function handler(req, res) {
+  const { admin } = req;
+  const { allowedTenants } = req.tenant;
+
+  const { id } = req.query;
+  if (id && !canAccessTenant(allowedTenants, id)) {
+    return res.status(403).json({ message: 'You do not have access to this tenant' });
+  }
+
+  let tenant;
+  try {
+    tenant = id ? await getTenantById(id) : null;
+  } catch (err) {
+    console.error(`${req.method} /tenants/${id}/credentials error:`, err);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An unexpected error occurred while fetching the tenant'
+    });
+  }
+
+  if (!tenant) {
+    return res.status(404).json({
+      error: 'Tenant Not Found',
+      message: 'Could not find a tenant with the provided ID'
+    });
+  }
+
+  // GET - Describe the stored credentials (never the secrets themselves)
+  if (req.method === 'GET') {
+    try {
+      const status = await getShopifyCredentialStatus(tenant.tenantId);
+      return res.status(200).json(status);
+    } catch (err) {
+      console.error(`GET /tenants/${id}/credentials error:`, err);
+      return res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred while fetching credentials'
+      });
+    }
+  }
+  
+  // PUT - Store or rotate credentials
+  else if (req.method === 'PUT') {
+    if (!isEncryptionConfigured()) {
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: 'Credential encryption is not configured on this server'
+      });
+    }
+    
+    const { apiKey, apiSecret, accessToken } = req.body || {};
+    if (!apiKey || !apiSecret || !accessToken) {
+      return res.status(400).json({
+        error: 'Missing Required Fields',
+        message: 'apiKey, apiSecret and accessToken are required',
+        fields: { apiKey: !apiKey, apiSecret: !apiSecret, accessToken: !accessToken }
+      });
+    }
+    
+    try {
+      const status = await storeShopifyCredentials(
+        tenant.tenantId,
+        { apiKey, apiSecret, accessToken },
+        admin.email || admin.id
+      );
+      invalidateShopifyClient(tenant.tenantId);
+      
+      logger.info(
+        'Shopify credentials rotated',
+        { tenantId: tenant.tenantId, rotatedBy: admin.email || admin.id },
+        LogCategory.SECURITY
+      );
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Credentials updated successfully',
+        credentials: status
+      });
+    } catch (err) {
+      console.error(`PUT /tenants/${id}/credentials error:`, err);
+      return res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred while storing credentials'
+      });
+    }
+  }
+  
+  // DELETE - Remove stored credentials
+  else if (req.method === 'DELETE') {
+    try {
+      const deleted = await deleteShopifyCredentials(tenant.tenantId);
+      invalidateShopifyClient(tenant.tenantId);
+      
+      if (deleted) {
+        logger.info(
+          'Shopify credentials removed',
+          { tenantId: tenant.tenantId, removedBy: admin.email || admin.id },
+          LogCategory.SECURITY
+        );
+      }
+      
+      return res.status(200).json({
+        success: true,
+        message: deleted ? 'Credentials removed' : 'No stored credentials to remove'
+      });
+    } catch (err) {
+      console.error(`DELETE /tenants/${id}/credentials error:`, err);
+      return res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred while removing credentials'
+      });
+    }
+  }
+  
+  // Handle unsupported methods
+  res.setHeader('Allow', ['GET', 'PUT', 'DELETE']);
+  return res.status(405).json({ 
+    error: 'Method Not Allowed',
+    message: `Method ${req.method} is not allowed`
+  });
+}
+
+// Access is checked against the tenant being managed, not the request tenant
+export default withAdminAuth(handler, {
+  permission: Permissions.TENANTS_MANAGE,
+  tenantScoped: false
+});
@@ -0,0 +1,128 @@
+// src/pages/api/admin/tenants/index.js
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { Permissions } from '@/lib/admin/permissions';
+import { ALL_TENANTS, canAccessTenant } from '@/lib/admin/tenantAccess';
+import {
+  listTenants,
+  createTenant,
+  removeTenant,
+  findMappedDomains,
+  setTenantDomains,
+  toPublicTenant
+} from '@/lib/services/tenantService';
+
+async function handler(req, res) {
+  const { allowedTenants } = req.tenant;
+
+  // GET - List tenants
+  if (req.method === 'GET') {
+    try {
+      const includeInactive = req.query.includeInactive === 'true';
+      const tenants = await listTenants({ includeInactive });
+      
+      return res.status(200).json({
+        tenants: tenants
+          .filter(tenant => canAccessTenant(allowedTenants, tenant.tenantId))
+          .map(toPublicTenant)
+      });
+    } catch (err) {
+      console.error('Error listing tenants:', err);
+      return res.status(500).json({
+        error: 'Server Error',
+        message: 'An error occurred while listing tenants',
+        details: process.env.NODE_ENV === 'development' ? err.message : undefined
+      });
+    }
+  }
+  
+  // POST - Register a tenant
+  else if (req.method === 'POST') {
+    // New tenants can only be created by admins who manage every tenant
+    if (!allowedTenants.includes(ALL_TENANTS)) {
+      return res.status(403).json({ message: 'Access to all tenants is required to register a tenant' });
+    }
+
+    try {
+      const { tenantId, name, shopify, locale, rmaPrefix, domains } = req.body || {};
+      
+      if (!tenantId || !name) {
+        return res.status(400).json({
+          error: 'Missing Required Fields',
+          message: 'Tenant ID and name are required'
+        });
+      }
+      
+      // Secrets never travel with the tenant record, see ./[id]/credentials
+      if (shopify && (shopify.apiKey || shopify.apiSecret || shopify.accessToken)) {
+        return res.status(400).json({
+          error: 'Invalid Request',
+          message: 'Shopify credentials must be set through the credentials endpoint'
+        });
+      }
+      
+      // Check the domains first so a taken one doesn't leave a half-registered tenant
+      const requestedDomains = Array.isArray(domains) ? domains : [];
+      const takenDomains = await findMappedDomains(requestedDomains);
+      if (takenDomains.length > 0) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Already mapped to another tenant: ${takenDomains.join(', ')}`
+        });
+      }
+      
+      const tenant = await createTenant({ tenantId, name, shopify, locale, rmaPrefix });
+      let mappedDomains;
+      try {
+        mappedDomains = await setTenantDomains(tenant.tenantId, requestedDomains);
+      } catch (err) {
+        // Invalid domains, or one mapped since the check; undo so the ID can be reused
+        await removeTenant(tenant.tenantId);
+        throw err;
+      }
+      
+      return res.status(201).json({
+        success: true,
+        message: 'Tenant created successfully',
+        tenant: { ...toPublicTenant(tenant), domains: mappedDomains }
+      });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: 'A tenant with this ID or domain already exists'
+        });
+      }
+      
+      if (err.name === 'ValidationError') {
+        return res.status(400).json({
+          error: 'Invalid Request',
+          message: 'Invalid tenant data',
+          details: Object.keys(err.errors || {}).map(path => ({
+            path,
+            message: err.errors[path].message
+          }))
+        });
+      }
+      
+      console.error('Error creating tenant:', err);
+      return res.status(500).json({
+        error: 'Server Error',
+        message: 'An error occurred while creating the tenant',
+        details: process.env.NODE_ENV === 'development' ? err.message : undefined
+      });
+    }
+  }
+  
+  // Handle other HTTP methods
+  res.setHeader('Allow', ['GET', 'POST']);
+  return res.status(405).json({ 
+    error: 'Method Not Allowed',
+    message: `Method ${req.method} is not allowed` 
+  });
+}
+
+// Access is checked against the tenant being managed, not the request tenant
+export default withAdminAuth(handler, {
+  permission: Permissions.TENANTS_MANAGE,
+  tenantScoped: false
+});
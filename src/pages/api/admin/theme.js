@@ -1,56 +1,15 @@
 // src/pages/api/admin/theme.js
-import jwt from 'jsonwebtoken';
-import { tenantConfigs } from '@/lib/tenant/config';
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { Permissions } from '@/lib/admin/permissions';
+import { getThemeForTenant, updateThemeForTenant } from '@/lib/services/themeService';
 
-// In-memory storage for theme settings (in production this would be in a database)
-let themeCache = {};
-
-export default async function handler(req, res) {
-  console.log('Theme API Request:', {
-    method: req.method,
-    body: req.body,
-    tenantId: req.headers['x-tenant-id'] || 'default'
-  });
-
-  // Check for admin authorization using JWT
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ message: 'Authorization token required' });
-  }
-  const token = authHeader.split(' ')[1];
-
-  try {
-    jwt.verify(
-      token,
-      process.env.JWT_SECRET || 'default-jwt-secret-replace-in-production'
-    );
-  } catch (error) {
-    console.error('Token verification error:', error);
-    return res.status(401).json({ message: 'Invalid or expired token' });
-  }
-
-
-  const tenantId = req.headers['x-tenant-id'] || 'default';
+async function handler(req, res) {
+  const { id: tenantId } = req.tenant;
 
   // GET - Retrieve theme settings
   if (req.method === 'GET') {
     try {
-      // If we have cached theme settings, return those
-      if (themeCache[tenantId]) {
-        console.log('Returning cached theme settings');
-        return res.status(200).json(themeCache[tenantId]);
-      }
-      
-      // Otherwise, get defaults from the tenant config
-      const tenantConfig = tenantConfigs[tenantId] || tenantConfigs.default;
-      
-      // Return theme settings
-      const themeSettings = tenantConfig.theme || {};
-      
-      // Cache the settings
-      themeCache[tenantId] = themeSettings;
-      
-      console.log('Returning default theme settings');
+      const themeSettings = await getThemeForTenant(tenantId);
       return res.status(200).json(themeSettings);
     } catch (err) {
       console.error('Error fetching theme settings:', err);
@@ -67,10 +26,8 @@ export default async function handler(req, res) {
     try {
       const updatedSettings = req.body;
       
-      console.log('Received theme update:', updatedSettings);
-      
       // Basic validation
-      if (!updatedSettings || typeof updatedSettings !== 'object') {
+      if (!updatedSettings || typeof updatedSettings !== 'object' || Array.isArray(updatedSettings)) {
         console.error('Invalid theme settings data');
         return res.status(400).json({
           error: 'Invalid Request',
@@ -78,17 +35,26 @@ export default async function handler(req, res) {
         });
       }
       
-      // Store the updated settings
-      themeCache[tenantId] = updatedSettings;
-      
-      console.log('Theme settings updated successfully:', themeCache[tenantId]);
+      const themeSettings = await updateThemeForTenant(tenantId, updatedSettings);
       
       return res.status(200).json({
         success: true,
         message: 'Theme settings updated successfully',
-        settings: updatedSettings
+        settings: themeSettings
       });
     } catch (err) {
+      // Schema validation failures are the client's fault
+      if (err.name === 'ValidationError' || err.name === 'CastError') {
+        return res.status(400).json({
+          error: 'Invalid Request',
+          message: 'Invalid theme settings data',
+          details: Object.keys(err.errors || {}).map(path => ({
+            path,
+            message: err.errors[path].message
+          }))
+        });
+      }
+      
       console.error('Error updating theme settings:', err);
       return res.status(500).json({
         error: 'Server Error',
@@ -104,4 +70,6 @@ export default async function handler(req, res) {
     error: 'Method Not Allowed',
     message: `Method ${req.method} is not allowed` 
   });
-}
\ No newline at end of file
+}
+
+export default withAdminAuth(handler, { permission: Permissions.THEME_MANAGE });
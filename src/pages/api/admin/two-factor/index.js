@@ -0,0 +1,96 @@
+// src/pages/api/admin/two-factor/index.js
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { getAllowedTenants } from '@/lib/admin/tenantAccess';
+import { getAdminUserById } from '@/lib/services/adminUserService';
+import { isTwoFactorRequired } from '@/lib/services/settingsService';
+import {
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disableTwoFactor
+} from '@/lib/services/twoFactorService';
+import { createLogger, LogCategory } from '@/lib/logging';
+
+const logger = createLogger('two-factor');
+
+// The signed-in admin manages their own second factor here
+async function handler(req, res) {
+  try {
+    const user = await getAdminUserById(req.admin.id);
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'User not found or inactive' });
+    }
+
+    const required = await isTwoFactorRequired(getAllowedTenants(user));
+
+    // GET - Current status
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        enabled: !!user.twoFactor?.enabled,
+        required,
+        recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0
+      });
+    }
+
+    // POST - Start enrollment and return the QR code to scan
+    else if (req.method === 'POST') {
+      if (user.twoFactor?.enabled) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      const { secret, qrCode } = await beginEnrollment(user);
+      return res.status(200).json({ secret, qrCode });
+    }
+
+    // PUT - Confirm enrollment with a code from the authenticator app
+    else if (req.method === 'PUT') {
+      const recoveryCodes = await confirmEnrollment(user, req.body?.code);
+      if (!recoveryCodes) {
+        return res.status(400).json({
+          error: 'Invalid Code',
+          message: 'Invalid authentication code'
+        });
+      }
+
+      logger.info('Two-factor authentication enabled', { userId: req.admin.id }, LogCategory.SECURITY);
+      return res.status(200).json({ success: true, recoveryCodes });
+    }
+
+    // DELETE - Turn two-factor authentication off
+    else if (req.method === 'DELETE') {
+      if (required) {
+        return res.status(403).json({ message: 'Two-factor authentication is required for your account' });
+      }
+
+      if (!(await verifySecondFactor(user, req.body?.code))) {
+        return res.status(400).json({
+          error: 'Invalid Code',
+          message: 'Invalid authentication code'
+        });
+      }
+
+      await disableTwoFactor(user);
+      logger.info('Two-factor authentication disabled', { userId: req.admin.id }, LogCategory.SECURITY);
+      return res.status(200).json({ success: true });
+    }
+  } catch (err) {
+    console.error('Two-factor error:', err);
+    return res.status(500).json({
+      error: 'Server Error',
+      message: 'An error occurred while updating two-factor authentication',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+
+  // Handle other HTTP methods
+  res.setHeader('Allow', ['GET', 'POST', 'PUT', 'DELETE']);
+  return res.status(405).json({
+    error: 'Method Not Allowed',
+    message: `Method ${req.method} is not allowed`
+  });
+}
+
+export default withAdminAuth(handler, { tenantScoped: false });
@@ -0,0 +1,46 @@
+// src/pages/api/admin/two-factor/recovery-codes.js
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { getAdminUserById } from '@/lib/services/adminUserService';
+import { verifySecondFactor, regenerateRecoveryCodes } from '@/lib/services/twoFactorService';
+import { createLogger, LogCategory } from '@/lib/logging';
+
+const logger = createLogger('two-factor');
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({
+      error: 'Method Not Allowed',
+      message: `Method ${req.method} is not allowed`
+    });
+  }
+
+  try {
+    const user = await getAdminUserById(req.admin.id);
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'User not found or inactive' });
+    }
+
+    // A current code is needed so a stolen session can't mint new recovery codes
+    if (!(await verifySecondFactor(user, req.body?.code))) {
+      return res.status(400).json({
+        error: 'Invalid Code',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(user);
+    logger.info('Recovery codes regenerated', { userId: req.admin.id }, LogCategory.SECURITY);
+
+    return res.status(200).json({ success: true, recoveryCodes });
+  } catch (err) {
+    console.error('Error regenerating recovery codes:', err);
+    return res.status(500).json({
+      error: 'Server Error',
+      message: 'An error occurred while regenerating recovery codes',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
+
+export default withAdminAuth(handler, { tenantScoped: false });
@@ -0,0 +1,111 @@
+// src/pages/api/admin/users/[id].js
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { Permissions } from '@/lib/admin/permissions';
+import { getAllowedTenants, canAccessTenant, canGrantTenants } from '@/lib/admin/tenantAccess';
+import {
+  getAdminUserById,
+  updateAdminUser,
+  toPublicAdminUser
+} from '@/lib/services/adminUserService';
+import { createLogger, LogCategory } from '@/lib/logging';
+
+const logger = createLogger('admin-users');
+
+async function handler(req, res) {
+  if (!['GET', 'PATCH'].includes(req.method)) {
+    res.setHeader('Allow', ['GET', 'PATCH']);
+    return res.status(405).json({
+      error: 'Method Not Allowed',
+      message: `Method ${req.method} is not allowed`
+    });
+  }
+
+  const { id: tenantId, allowedTenants } = req.tenant;
+  const { admin } = req;
+  const { id } = req.query;
+
+  try {
+    const user = await getAdminUserById(id);
+
+    // Users outside this tenant are invisible here
+    if (!user || !canAccessTenant(getAllowedTenants(user), tenantId)) {
+      return res.status(404).json({
+        error: 'User Not Found',
+        message: 'Could not find a user with the provided ID'
+      });
+    }
+
+    // GET - Retrieve a user
+    if (req.method === 'GET') {
+      return res.status(200).json({ user: toPublicAdminUser(user) });
+    }
+
+    // PATCH - Change name, role, tenants or active state
+    const { name, role, tenants, isActive } = req.body || {};
+
+    // Only admins who manage all of a user's tenants may change them
+    if (!canGrantTenants(allowedTenants, getAllowedTenants(user))) {
+      return res.status(403).json({ message: 'This user has access to tenants you do not manage' });
+    }
+
+    if (tenants !== undefined && !canGrantTenants(allowedTenants, tenants)) {
+      return res.status(403).json({ message: 'You can only grant access to tenants you manage' });
+    }
+
+    // Stop admins from locking themselves out
+    const isSelf = user._id.toString() === String(admin.id);
+    if (isSelf && ((role !== undefined && role !== user.role) || isActive === false || tenants !== undefined)) {
+      return res.status(400).json({
+        error: 'Invalid Request',
+        message: 'You cannot change your own role, tenants or active state'
+      });
+    }
+
+    const previous = { role: user.role, isActive: user.isActive, tenants: [...getAllowedTenants(user)] };
+    const updatedUser = await updateAdminUser(id, {
+      name,
+      role,
+      tenants,
+      isActive: isActive === undefined ? undefined : !!isActive
+    });
+
+    logger.info(
+      'Admin user updated',
+      {
+        userId: id,
+        previous,
+        role: updatedUser.role,
+        isActive: updatedUser.isActive,
+        tenants: updatedUser.tenants,
+        updatedBy: admin.email || admin.id
+      },
+      LogCategory.SECURITY
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: 'User updated successfully',
+      user: toPublicAdminUser(updatedUser)
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Invalid Request',
+        message: 'Invalid user data',
+        details: Object.keys(err.errors || {}).map(path => ({
+          path,
+          message: err.errors[path].message
+        }))
+      });
+    }
+
+    console.error(`${req.method} /users/${id} error:`, err);
+    return res.status(500).json({
+      error: 'Server Error',
+      message: `An error occurred while ${req.method === 'GET' ? 'fetching' : 'updating'} the user`,
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
+
+export default withAdminAuth(handler, { permission: Permissions.USERS_MANAGE });
@@ -0,0 +1,70 @@
+// src/pages/api/admin/users/[id]/reset-password.js
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { Permissions } from '@/lib/admin/permissions';
+import { getAllowedTenants, canAccessTenant, canGrantTenants } from '@/lib/admin/tenantAccess';
+import {
+  getAdminUserById,
+  requirePasswordReset,
+  sendPasswordTokenEmail,
+  toPublicAdminUser
+} from '@/lib/services/adminUserService';
+import { getAppBaseUrl } from '@/lib/services/emailService';
+import { createLogger, LogCategory } from '@/lib/logging';
+
+const logger = createLogger('admin-users');
+
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({
+      error: 'Method Not Allowed',
+      message: `Method ${req.method} is not allowed`
+    });
+  }
+
+  const { id: tenantId, allowedTenants } = req.tenant;
+  const { admin } = req;
+  const { id } = req.query;
+
+  try {
+    const user = await getAdminUserById(id);
+
+    if (!user || !canAccessTenant(getAllowedTenants(user), tenantId)) {
+      return res.status(404).json({
+        error: 'User Not Found',
+        message: 'Could not find a user with the provided ID'
+      });
+    }
+
+    if (!canGrantTenants(allowedTenants, getAllowedTenants(user))) {
+      return res.status(403).json({ message: 'This user has access to tenants you do not manage' });
+    }
+
+    const baseUrl = getAppBaseUrl(req);
+    const { user: updatedUser, token } = await requirePasswordReset(id);
+    const emailSent = await sendPasswordTokenEmail(updatedUser, token, baseUrl);
+
+    logger.info(
+      'Admin password reset required',
+      { userId: id, requestedBy: admin.email || admin.id },
+      LogCategory.SECURITY
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: emailSent ? 'Password reset email sent' : 'Password reset required, but the email could not be sent',
+      user: toPublicAdminUser(updatedUser),
+      emailSent,
+      resetUrl: emailSent ? undefined : `${baseUrl}/admin/set-password?token=${encodeURIComponent(token)}`
+    });
+  } catch (err) {
+    console.error(`POST /users/${id}/reset-password error:`, err);
+    return res.status(500).json({
+      error: 'Server Error',
+      message: 'An error occurred while resetting the password',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
+
+export default withAdminAuth(handler, { permission: Permissions.USERS_MANAGE });
@@ -0,0 +1,113 @@
+// src/pages/api/admin/users/index.js
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { Permissions } from '@/lib/admin/permissions';
+import { canGrantTenants } from '@/lib/admin/tenantAccess';
+import {
+  listAdminUsers,
+  inviteAdminUser,
+  sendPasswordTokenEmail,
+  toPublicAdminUser
+} from '@/lib/services/adminUserService';
+import { getAppBaseUrl } from '@/lib/services/emailService';
+import { createLogger, LogCategory } from '@/lib/logging';
+
+const logger = createLogger('admin-users');
+
+async function handler(req, res) {
+  const { id: tenantId, allowedTenants } = req.tenant;
+  const { admin } = req;
+
+  // GET - List the users who can access this tenant
+  if (req.method === 'GET') {
+    try {
+      const users = await listAdminUsers(tenantId);
+
+      return res.status(200).json({
+        users: users.map(toPublicAdminUser)
+      });
+    } catch (err) {
+      console.error('Error listing admin users:', err);
+      return res.status(500).json({
+        error: 'Server Error',
+        message: 'An error occurred while listing users',
+        details: process.env.NODE_ENV === 'development' ? err.message : undefined
+      });
+    }
+  }
+
+  // POST - Invite a user by email
+  else if (req.method === 'POST') {
+    try {
+      const { email, name, role, tenants = [tenantId] } = req.body || {};
+
+      if (!email || !role) {
+        return res.status(400).json({
+          error: 'Missing Required Fields',
+          message: 'Email and role are required'
+        });
+      }
+
+      if (!canGrantTenants(allowedTenants, tenants)) {
+        return res.status(403).json({ message: 'You can only grant access to tenants you manage' });
+      }
+
+      // Resolve the link base before creating anything so a misconfiguration can't strand an invite
+      const baseUrl = getAppBaseUrl(req);
+
+      const { user, token } = await inviteAdminUser(
+        { email, name, role, tenants },
+        admin.email || admin.id
+      );
+      const emailSent = await sendPasswordTokenEmail(user, token, baseUrl);
+
+      logger.info(
+        'Admin user invited',
+        { userId: user._id.toString(), role: user.role, tenants: user.tenants, invitedBy: admin.email || admin.id },
+        LogCategory.SECURITY
+      );
+
+      return res.status(201).json({
+        success: true,
+        message: emailSent ? 'Invitation sent' : 'User invited, but the invitation email could not be sent',
+        user: toPublicAdminUser(user),
+        emailSent,
+        // Without email delivery the inviter has to pass the link on themselves
+        inviteUrl: emailSent ? undefined : `${baseUrl}/admin/set-password?token=${encodeURIComponent(token)}`
+      });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: 'A user with this email already exists'
+        });
+      }
+
+      if (err.name === 'ValidationError') {
+        return res.status(400).json({
+          error: 'Invalid Request',
+          message: 'Invalid user data',
+          details: Object.keys(err.errors || {}).map(path => ({
+            path,
+            message: err.errors[path].message
+          }))
+        });
+      }
+
+      console.error('Error inviting admin user:', err);
+      return res.status(500).json({
+        error: 'Server Error',
+        message: 'An error occurred while inviting the user',
+        details: process.env.NODE_ENV === 'development' ? err.message : undefined
+      });
+    }
+  }
+
+  // Handle other HTTP methods
+  res.setHeader('Allow', ['GET', 'POST']);
+  return res.status(405).json({
+    error: 'Method Not Allowed',
+    message: `Method ${req.method} is not allowed`
+  });
+}
+
+export default withAdminAuth(handler, { permission: Permissions.USERS_MANAGE });
@@ -1,110 +1,170 @@
 // src/pages/api/auth/[...nextauth].js
 import NextAuth from 'next-auth';
 import CredentialsProvider from 'next-auth/providers/credentials';
-import bcrypt from 'bcrypt';
 import connectToDatabase from '@/lib/db/connection';
-import mongoose from 'mongoose';
+import AdminUser from '@/lib/db/models/AdminUser';
+import { getAllowedTenants } from '@/lib/admin/tenantAccess';
+import { verifyAdminPassword } from '@/lib/services/adminUserService';
+import { isTwoFactorRequired } from '@/lib/services/settingsService';
+import { verifySecondFactor } from '@/lib/services/twoFactorService';
+import {
+  checkLoginThrottle,
+  recordLoginFailure,
+  recordLoginSuccess
+} from '@/lib/services/loginThrottleService';
+import { getClientIp } from '@/lib/api/clientIp';
+import { getSsoProvider, getSsoTenantId, provisionSsoUser } from '@/lib/services/ssoService';
 
-// Create Admin user model if it doesn't exist yet
-let AdminUser;
-try {
-  AdminUser = mongoose.model('AdminUser');
-} catch {
-  // Define the schema for the admin user
-  const AdminUserSchema = new mongoose.Schema({
-    name: String,
-    email: {
-      type: String,
-      required: true,
-      unique: true,
-    },
-    password: {
-      type: String,
-      required: true,
-    },
-    role: {
-      type: String,
-      enum: ['admin', 'manager', 'staff'],
-      default: 'admin',
-    },
-    isActive: {
-      type: Boolean,
-      default: true,
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now,
-    },
-  });
-  
-  AdminUser = mongoose.model('AdminUser', AdminUserSchema);
+// Errors surfaced to the sign-in page as ?error=<code>
+const TWO_FACTOR_REQUIRED = 'TwoFactorRequired';
+const TWO_FACTOR_SETUP_REQUIRED = 'TwoFactorSetupRequired';
+const LOGIN_LOCKED = 'LoginLocked';
+
+// The tenant whose SSO provider this request is for: taken from the provider
+// in /signin/oidc-<tenant> and /callback/oidc-<tenant>, otherwise the request's tenant
+function getRequestSsoTenant(req) {
+  const [action, providerId] = req.query.nextauth || [];
+  const providerTenant = ['signin', 'callback'].includes(action) ? getSsoTenantId(providerId) : null;
+  const requestTenant = req.headers['x-tenant-id'];
+
+  // On a tenant's own domain only that tenant's provider is offered
+  if (req.headers['x-tenant-source'] === 'domain') {
+    return providerTenant && providerTenant !== requestTenant ? null : requestTenant;
+  }
+  return providerTenant || requestTenant;
 }
 
-export default NextAuth({
-  providers: [
-    CredentialsProvider({
-      name: 'Credentials',
-      credentials: {
-        email: { label: "Email", type: "email" },
-        password: { label: "Password", type: "password" }
+const credentialsProvider = CredentialsProvider({
+  name: 'Credentials',
+  credentials: {
+    email: { label: "Email", type: "email" },
+    password: { label: "Password", type: "password" },
+    code: { label: "Authentication code", type: "text" }
+  },
+  async authorize(credentials, req) {
+    // Shares attempt counts and lockouts with /api/admin/login
+    const attempt = {
+      email: String(credentials.email || '').trim().toLowerCase(),
+      ip: getClientIp(req)
+    };
+    
+    const throttle = await checkLoginThrottle(attempt);
+    if (throttle.locked) {
+      throw new Error(LOGIN_LOCKED);
+    }
+    
+    let user;
+    try {
+      // Connect to database
+      await connectToDatabase();
+      
+      // Find user
+      user = await AdminUser.findOne({
+        email: attempt.email,
+        isActive: true
+      });
+      
+      // Check password
+      const passwordMatch = user ? await verifyAdminPassword(user, credentials.password) : false;
+      
+      if (!passwordMatch) {
+        await recordLoginFailure(attempt, user ? 'invalid_password' : 'unknown_account');
+        return null;
+      }
+      
+      // Users with a pending reset must choose a new password first
+      if (user.mustResetPassword) {
+        return null;
+      }
+    } catch (error) {
+      console.error('Auth error:', error);
+      return null;
+    }
+    
+    // Second factor. Enrollment happens in the admin login flow, so
+    // users who still need to enroll are sent there.
+    if (user.twoFactor?.enabled) {
+      if (!credentials.code) {
+        throw new Error(TWO_FACTOR_REQUIRED);
+      }
+      if (!(await verifySecondFactor(user, credentials.code))) {
+        await recordLoginFailure(attempt, 'invalid_code');
+        return null;
+      }
+    } else if (await isTwoFactorRequired(getAllowedTenants(user))) {
+      throw new Error(TWO_FACTOR_SETUP_REQUIRED);
+    }
+    
+    await recordLoginSuccess(attempt);
+    
+    // Return user object without password
+    return {
+      id: user._id.toString(),
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      tenants: getAllowedTenants(user),
+    };
+  }
+});
+
+export default async function auth(req, res) {
+  const ssoTenant = getRequestSsoTenant(req);
+  const ssoProvider = ssoTenant ? await getSsoProvider(ssoTenant) : null;
+
+  return NextAuth(req, res, {
+    providers: ssoProvider ? [credentialsProvider, ssoProvider] : [credentialsProvider],
+    session: {
+      strategy: 'jwt',
+      maxAge: 30 * 24 * 60 * 60, // 30 days
+    },
+    callbacks: {
+      async signIn({ user, account, profile }) {
+        const tenantId = getSsoTenantId(account?.provider);
+        if (!tenantId) {
+          return true;
+        }
+        
+        // Swap the IdP identity for the admin user it maps to
+        const result = await provisionSsoUser(tenantId, profile);
+        if (result.error) {
+          return `/admin/login?error=${result.error}`;
+        }
+        
+        user.id = result.user._id.toString();
+        user.role = result.user.role;
+        user.tenants = getAllowedTenants(result.user);
+        user.ssoTenantId = tenantId;
+        return true;
       },
-      async authorize(credentials) {
-        try {
-          // Connect to database
-          await connectToDatabase();
+      async jwt({ token, user }) {
+        if (user) {
+          // Add user properties to JWT token
+          token.id = user.id;
+          token.role = user.role;
+          token.tenants = user.tenants;
           
-          // Find user
-          const user = await AdminUser.findOne({ email: credentials.email, isActive: true });
-          
-          // If no user found
-          if (!user) {
-            return null;
+          // Lets /api/admin/sso/session exchange a fresh SSO sign-in for an admin session
+          if (user.ssoTenantId) {
+            token.ssoTenantId = user.ssoTenantId;
+            token.ssoSignInAt = Date.now();
           }
-          
-          // Check password
-          const passwordMatch = await bcrypt.compare(credentials.password, user.password);
-          
-          if (!passwordMatch) {
-            return null;
-          }
-          
-          // Return user object without password
-          return {
-            id: user._id.toString(),
-            name: user.name,
-            email: user.email,
-            role: user.role,
-          };
-        } catch (error) {
-          console.error('Auth error:', error);
-          return null;
         }
+        return token;
+      },
+      async session({ session, token }) {
+        // Add properties from token to session
+        session.user.id = token.id;
+        session.user.role = token.role;
+        session.user.tenants = getAllowedTenants(token);
+        return session;
       }
-    })
-  ],
-  session: {
-    strategy: 'jwt',
-    maxAge: 30 * 24 * 60 * 60, // 30 days
-  },
-  callbacks: {
-    async jwt({ token, user }) {
-      if (user) {
-        // Add user properties to JWT token
-        token.id = user.id;
-        token.role = user.role;
-      }
-      return token;
     },
-    async session({ session, token }) {
-      // Add properties from token to session
-      session.user.id = token.id;
-      session.user.role = token.role;
-      return session;
-    }
-  },
-  pages: {
-    signIn: '/admin/login', // Custom login page
-    error: '/admin/login', // Error page for authentication
-  },
-  debug: process.env.NODE_ENV === 'development',
-});
\ No newline at end of file
+    pages: {
+      signIn: '/admin/login', // Custom login page
+      error: '/admin/login', // Error page for authentication
+    },
+    secret: process.env.NEXTAUTH_SECRET,
+    debug: process.env.NODE_ENV === 'development',
+  });
+}
@@ -2,8 +2,10 @@
 import connectToDatabase from '@/lib/db/connection';
 import mongoose from 'mongoose';
 import ReturnRequest from '@/lib/db/models/ReturnRequest';
+import { withAdminAuth } from '@/lib/api/errorHandler';
+import { Permissions } from '@/lib/admin/permissions';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   console.log('🔍 Starting database diagnostics...');
   
   const diagnostics = {
@@ -69,7 +71,7 @@ export default async function handler(req, res) {
             name: 'Test Customer',
             email: 'test@example.com'
           },
-          status: 'pending',
+          status: 'requested',
           items: [{
             id: 'item-' + Date.now(),
             title: 'Test Item',
@@ -121,4 +123,10 @@ export default async function handler(req, res) {
   
   // Return the diagnostic results
   return res.status(200).json(diagnostics);
-}
\ No newline at end of file
+}
+
+// Exposes connection details and writes a test document, so admins only
+export default withAdminAuth(handler, {
+  permission: Permissions.SYSTEM_DIAGNOSTICS,
+  tenantScoped: false
+});
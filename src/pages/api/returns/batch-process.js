@@ -4,6 +4,9 @@ import { getShopifyClientForTenant } from '@/lib/shopify/client';
 import { analyzeReturnFraud, getSettings, flagFraudulentReturn } from '@/lib/fraud/detection';
 import { withErrorHandler, createApiError, ErrorTypes, validateRequiredFields } from '@/lib/api/errorHandler';
 import { createReturnRequest } from '@/lib/services/returnService';
+import { generateReturnDocuments } from '@/lib/services/documentService';
+import { quoteOrderReturn } from '@/lib/services/feeService';
+import { RefundMethod, CREDIT_METHODS, evaluateRefundMethods } from '@/lib/returns/refundMethods';
 const DEBUG_MODE = true;
 
 /**
@@ -161,6 +164,38 @@ async function getAndValidateOrder(orderId, shopifyClient) {
   }
 }
 
+/**
+ * Check the refund method the customer chose against what the tenant offers
+ * for these items. Returns where everything is exchanged need no method.
+ */
+function resolveRefundMethod(refundMethod, items, order, settings) {
+  const { exchangeOnly, methods } = evaluateRefundMethods(settings.refundMethods, {
+    items,
+    hasCustomerAccount: !!order.customer?.id
+  });
+  
+  if (exchangeOnly) {
+    throw createApiError(
+      ErrorTypes.BAD_REQUEST,
+      'These items can only be exchanged'
+    );
+  }
+  
+  if (methods.length === 0) {
+    return { method: RefundMethod.EXCHANGE_ONLY, bonus: 0 };
+  }
+  
+  const chosen = methods.find(option => option.method === refundMethod);
+  if (!chosen) {
+    throw createApiError(
+      ErrorTypes.BAD_REQUEST,
+      `Refund method not available for this return. Must be one of: ${methods.map(option => option.method).join(', ')}`
+    );
+  }
+  
+  return chosen;
+}
+
 /**
  * Log return activity for auditing
  */
@@ -196,7 +231,7 @@ async function batchProcessHandler(req, res) {
     );
   }
 
-  const { items } = req.body;
+  const { items, refundMethod = RefundMethod.ORIGINAL_PAYMENT } = req.body;
   const tenantId = req.headers['x-tenant-id'] || 'default';
   
   // Get client identification for rate limiting
@@ -240,6 +275,9 @@ async function batchProcessHandler(req, res) {
     // Fetch and validate the original order
     const order = await getAndValidateOrder(orderId, shopifyClients);
     
+    // The refund method is decided here, not by what the page showed
+    const refund = resolveRefundMethod(refundMethod, items, order, settings);
+    
     // Add the return items to the order for analysis
     order.return_items = items.map(item => ({
       id: item.id,
@@ -272,10 +310,12 @@ async function batchProcessHandler(req, res) {
     }
     
     const results = [];
+    const processedItems = [];
     const processedIds = new Set(); // Track processed items to prevent duplicates
     
     console.log('🔄 Starting item processing', { totalItems: items.length });
     
+    // Each item is returned or exchanged in Shopify on its own...
     for (const item of items) {
       const { id: lineItemId, orderId, returnOption, exchangeDetails } = item;
       
@@ -289,7 +329,6 @@ async function batchProcessHandler(req, res) {
       
       try {
         let processResult;
-        let returnData;
   
         if (returnOption === 'exchange' && exchangeDetails) {
           console.log('🔄 Processing exchange', {
@@ -320,90 +359,14 @@ async function batchProcessHandler(req, res) {
             item.quantity || 1
           );
         }
-  
-        // Build the return data object
-        returnData = {
-          orderId: orderId,
-          orderNumber: order.order_number,
-          shopifyOrderId: order.id,
-          customer: {
-            name: order.customer ? `${order.customer.first_name} ${order.customer.last_name}` : 'Guest Customer',
-            email: order.email,
-            phone: order.customer?.phone
-          },
-          status: 'pending', // Initial status
-          items: items.map(item => {
-            // Find the original item in the order
-            const orderItem = order.line_items.find(li => li.id.toString() === item.id.toString());
-            return {
-              id: item.id,
-              title: orderItem?.title || 'Unknown Item',
-              variant_title: orderItem?.variant_title || '',
-              price: parseFloat(orderItem?.price || 0),
-              quantity: item.quantity || 1,
-              returnOption: item.returnOption,
-              returnReason: item.returnReason || { reason: 'Not specified' },
-              exchangeDetails: item.returnOption === 'exchange' ? item.exchangeDetails : null
-            };
-          }),
-          createdAt: new Date(),
-          tenantId: tenantId
-        };
-  
-        // Save to database with enhanced logging
-        console.log('💾 ATTEMPTING DATABASE SAVE:', {
-          orderId: returnData.orderId,
-          email: returnData.customer?.email,
-          items: returnData.items?.length,
-          tenantId: returnData.tenantId,
-          mongodbUriExists: !!process.env.MONGODB_URI
-        });
         
-        try {
-          const savedReturn = await createReturnRequest(returnData);
-          
-          console.log('✅ DATABASE SAVE SUCCESSFUL:', {
-            savedReturnId: savedReturn._id,
-            savedOrderNumber: savedReturn.orderNumber
-          });
-          
-          results.push({
-            lineItemId,
-            type: returnOption,
-            success: true,
-            data: processResult,
-            dbSuccess: true
-          });
-        } catch (dbError) {
-          console.error('❌ DATABASE SAVE FAILED:', {
-            error: dbError.message,
-            name: dbError.name,
-            code: dbError.code,
-            stack: DEBUG_MODE ? dbError.stack : undefined
-          });
-          
-          // Continue with the process - add success for the item but mark database as failed
-          results.push({
-            lineItemId,
-            type: returnOption,
-            success: true, // Still mark the item as processed successfully
-            data: processResult,
-            dbSuccess: false,
-            dbError: dbError.message
-          });
-          
-          if (DEBUG_MODE) {
-            // In debug mode, return detailed error
-            return res.status(207).json({
-              status: 'partialSuccess',
-              message: 'Return processed but database save failed',
-              error: dbError.message,
-              errorName: dbError.name,
-              stack: dbError.stack,
-              results
-            });
-          }
-        }
+        processedItems.push(item);
+        results.push({
+          lineItemId,
+          type: returnOption,
+          success: true,
+          data: processResult
+        });
       } catch (itemError) {
         console.error(`❌ Error processing item ${lineItemId}:`, {
           message: itemError.message,
@@ -419,20 +382,137 @@ async function batchProcessHandler(req, res) {
         });
       }
     }
+    
+    // ...but the submission is one return: one RMA number, one payout, one parcel
+    let savedReturn = null;
+    let documents = null;
+    let dbError = null;
+    
+    if (processedItems.length > 0) {
+      // Quote the fees once for the whole submission, over the items it
+      // holds; refunds and credit deduct what the customer was shown, and
+      // the flat return shipping fee only once
+      const { quote: fees, productTypes } = await quoteOrderReturn(client, order, processedItems, settings.fees);
+      
+      // Build the return data object
+      const returnData = {
+        orderId,
+        orderNumber: order.order_number,
+        shopifyOrderId: order.id,
+        currency: order.currency,
+        customer: {
+          name: order.customer ? `${order.customer.first_name} ${order.customer.last_name}` : 'Guest Customer',
+          email: order.email,
+          phone: order.customer?.phone,
+          shopifyCustomerId: order.customer?.id?.toString()
+        },
+        status: 'requested', // Initial status
+        refundMethod: refund.method,
+        // Lock in the bonus the customer was offered; the credit is issued later
+        ...(CREDIT_METHODS.includes(refund.method)
+          ? { credit: { bonusRate: refund.bonus } }
+          : {}),
+        fees,
+        items: processedItems.map(item => {
+          // Find the original item in the order
+          const orderItem = order.line_items.find(li => li.id.toString() === item.id.toString());
+          return {
+            id: item.id,
+            title: orderItem?.title || 'Unknown Item',
+            variant_id: orderItem?.variant_id?.toString(),
+            product_id: orderItem?.product_id?.toString(),
+            product_type: productTypes.get(String(orderItem?.product_id)) || undefined,
+            variant_title: orderItem?.variant_title || '',
+            price: parseFloat(orderItem?.price || 0),
+            quantity: item.quantity || 1,
+            returnOption: item.returnOption,
+            returnReason: item.returnReason || { reason: 'Not specified' },
+            exchangeDetails: item.returnOption === 'exchange' ? item.exchangeDetails : null
+          };
+        }),
+        createdAt: new Date(),
+        tenantId: tenantId
+      };
+      
+      // Save to database with enhanced logging
+      console.log('💾 ATTEMPTING DATABASE SAVE:', {
+        orderId: returnData.orderId,
+        email: returnData.customer?.email,
+        items: returnData.items?.length,
+        tenantId: returnData.tenantId,
+        mongodbUriExists: !!process.env.MONGODB_URI
+      });
+      
+      try {
+        savedReturn = await createReturnRequest(returnData);
+        
+        console.log('✅ DATABASE SAVE SUCCESSFUL:', {
+          savedReturnId: savedReturn._id,
+          savedRmaNumber: savedReturn.rmaNumber,
+          savedOrderNumber: savedReturn.orderNumber
+        });
+      } catch (saveError) {
+        dbError = saveError;
+        console.error('❌ DATABASE SAVE FAILED:', {
+          error: saveError.message,
+          name: saveError.name,
+          code: saveError.code,
+          stack: DEBUG_MODE ? saveError.stack : undefined
+        });
+      }
+      
+      // Documents are a convenience; the return stands without them
+      if (savedReturn) {
+        try {
+          const withDocuments = await generateReturnDocuments(savedReturn._id.toString(), tenantId);
+          documents = {
+            packingSlipUrl: withDocuments?.packingSlip?.url || null,
+            returnLabelUrl: withDocuments?.returnLabel?.url || null
+          };
+        } catch (documentError) {
+          console.error('❌ DOCUMENT GENERATION FAILED:', {
+            savedReturnId: savedReturn._id,
+            error: documentError.message
+          });
+        }
+      }
+    }
+    
+    // Items handled in Shopify share the fate of the one database save
+    results.forEach(result => {
+      if (!result.success) return;
+      result.dbSuccess = !!savedReturn;
+      if (dbError) result.dbError = dbError.message;
+    });
+    
+    if (dbError && DEBUG_MODE) {
+      // In debug mode, return detailed error
+      return res.status(207).json({
+        status: 'partialSuccess',
+        message: 'Return processed but database save failed',
+        error: dbError.message,
+        errorName: dbError.name,
+        stack: dbError.stack,
+        results
+      });
+    }
   
     // Check if any operations failed
     const hasFailures = results.some(result => !result.success);
-    const hasDbFailures = results.some(result => result.success && !result.dbSuccess);
+    const hasDbFailures = !!dbError;
     
     console.log('🏁 Batch processing complete', {
       totalItems: items.length,
       processedItems: results.length,
-      successfulItems: results.filter(r => r.success).length,
+      successfulItems: processedItems.length,
       failedItems: results.filter(r => !r.success).length,
-      dbSuccessItems: results.filter(r => r.dbSuccess).length,
-      dbFailedItems: results.filter(r => r.success && !r.dbSuccess).length
+      returnId: savedReturn?._id,
+      dbSuccess: !hasDbFailures
     });
   
+    // The number customers quote and write on their parcel
+    const rmaNumber = savedReturn?.rmaNumber || null;
+  
     // Return response with fraud detection info
     if (hasFailures) {
       console.warn('⚠️ Some items could not be processed');
@@ -441,6 +521,8 @@ async function batchProcessHandler(req, res) {
         status: 'partialSuccess',
         message: 'Some items could not be processed.',
         results,
+        rmaNumber,
+        documents,
         dbSuccess: !hasDbFailures,
         fraudDetection: {
           isHighRisk: fraudDetection.isHighRisk,
@@ -454,6 +536,8 @@ async function batchProcessHandler(req, res) {
       status: 'success',
       message: 'All items processed successfully' + (hasDbFailures ? ' but database save failed' : ''),
       results,
+      rmaNumber,
+      documents,
       dbSuccess: !hasDbFailures,
       fraudDetection: {
         isHighRisk: fraudDetection.isHighRisk,
@@ -463,6 +547,11 @@ async function batchProcessHandler(req, res) {
     });
   
   } catch (error) {
+    // Rejections such as an unavailable refund method keep their status
+    if (error.code && error.status) {
+      throw error;
+    }
+    
     console.error('❌ Critical error in batch processing:', {
       message: error.message,
       name: error.name,
@@ -0,0 +1,34 @@
+// src/pages/api/returns/documents/[token].js
+import { getDocumentByToken } from '@/lib/services/documentService';
+import { withErrorHandler, createApiError, ErrorTypes } from '@/lib/api/errorHandler';
+
+/**
+ * Handler serving a return's packing slip or carrier label. The link is
+ * the customer's only credential, so it works for anyone who has it until
+ * it expires.
+ */
+async function documentHandler(req, res) {
+  if (req.method !== 'GET') {
+    throw createApiError(
+      ErrorTypes.METHOD_NOT_ALLOWED,
+      'Only GET requests are accepted'
+    );
+  }
+
+  const tenantId = req.headers['x-tenant-id'] || 'default';
+  const file = await getDocumentByToken(req.query.token, tenantId);
+  if (!file) {
+    throw createApiError(
+      ErrorTypes.NOT_FOUND,
+      'This document does not exist or its link has expired'
+    );
+  }
+
+  res.setHeader('Content-Type', file.contentType || 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${file.filename || 'document.pdf'}"`);
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.setHeader('X-Robots-Tag', 'noindex');
+  return res.status(200).send(file.data);
+}
+
+export default withErrorHandler(documentHandler);
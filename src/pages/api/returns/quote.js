@@ -0,0 +1,59 @@
+// src/pages/api/returns/quote.js
+import { getShopifyClientForTenant } from '@/lib/shopify/client';
+import { getSettingsForTenant } from '@/lib/services/settingsService';
+import { quoteOrderReturn } from '@/lib/services/feeService';
+import { withErrorHandler, createApiError, ErrorTypes, validateRequiredFields } from '@/lib/api/errorHandler';
+
+/**
+ * Handler quoting the value and fees of the items a customer is returning.
+ * Submitting a return quotes it the same way and keeps that quote.
+ */
+async function quoteHandler(req, res) {
+  if (req.method !== 'POST') {
+    throw createApiError(
+      ErrorTypes.METHOD_NOT_ALLOWED,
+      'Only POST requests are accepted'
+    );
+  }
+
+  const { orderId, items } = req.body || {};
+  const tenantId = req.headers['x-tenant-id'] || 'default';
+
+  validateRequiredFields(req.body || {}, ['orderId', 'items']);
+  if (!Array.isArray(items) || items.length === 0 || items.length > 20) {
+    throw createApiError(
+      ErrorTypes.BAD_REQUEST,
+      'Missing or invalid items array'
+    );
+  }
+
+  const shopifyClients = await getShopifyClientForTenant(tenantId);
+  const { body } = await shopifyClients.rest.get({
+    path: `orders/${orderId}`,
+    query: { fields: 'id,currency,line_items' }
+  });
+  if (!body?.order) {
+    throw createApiError(
+      ErrorTypes.NOT_FOUND,
+      'Order not found',
+      { orderId }
+    );
+  }
+
+  const inOrder = items.every(item =>
+    body.order.line_items?.some(lineItem => String(lineItem.id) === String(item.id))
+  );
+  if (!inOrder) {
+    throw createApiError(
+      ErrorTypes.BAD_REQUEST,
+      'All items must belong to the order'
+    );
+  }
+
+  const settings = await getSettingsForTenant(tenantId);
+  const { quote } = await quoteOrderReturn(shopifyClients.rest, body.order, items, settings.fees);
+
+  return res.status(200).json(quote);
+}
+
+export default withErrorHandler(quoteHandler);
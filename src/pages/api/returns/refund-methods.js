@@ -0,0 +1,56 @@
+// src/pages/api/returns/refund-methods.js
+import { getShopifyClientForTenant } from '@/lib/shopify/client';
+import { getSettingsForTenant } from '@/lib/services/settingsService';
+import { withErrorHandler, createApiError, ErrorTypes, validateRequiredFields } from '@/lib/api/errorHandler';
+import { evaluateRefundMethods } from '@/lib/returns/refundMethods';
+
+/**
+ * Handler listing the refund methods offered for the items a customer is
+ * returning. Submitting a return checks the chosen method the same way.
+ */
+async function refundMethodsHandler(req, res) {
+  if (req.method !== 'POST') {
+    throw createApiError(
+      ErrorTypes.METHOD_NOT_ALLOWED,
+      'Only POST requests are accepted'
+    );
+  }
+
+  const { orderId, items } = req.body || {};
+  const tenantId = req.headers['x-tenant-id'] || 'default';
+
+  validateRequiredFields(req.body || {}, ['orderId', 'items']);
+  if (!Array.isArray(items) || items.length === 0 || items.length > 20) {
+    throw createApiError(
+      ErrorTypes.BAD_REQUEST,
+      'Missing or invalid items array'
+    );
+  }
+
+  // Store credit needs the order to belong to a customer account
+  const shopifyClients = await getShopifyClientForTenant(tenantId);
+  const { body } = await shopifyClients.rest.get({
+    path: `orders/${orderId}`,
+    query: { fields: 'id,customer' }
+  });
+  if (!body?.order) {
+    throw createApiError(
+      ErrorTypes.NOT_FOUND,
+      'Order not found',
+      { orderId }
+    );
+  }
+
+  const settings = await getSettingsForTenant(tenantId);
+  const result = evaluateRefundMethods(settings.refundMethods, {
+    items: items.map(item => ({
+      returnOption: item.returnOption,
+      returnReason: item.returnReason
+    })),
+    hasCustomerAccount: !!body.order.customer?.id
+  });
+
+  return res.status(200).json(result);
+}
+
+export default withErrorHandler(refundMethodsHandler);
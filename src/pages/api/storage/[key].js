@@ -0,0 +1,208 @@
+// src/pages/api/storage/[key].js
+import crypto from 'crypto';
+import { verifyAdminAuth } from '@/lib/api/errorHandler';
+import { getClientIp } from '@/lib/api/clientIp';
+import {
+  getStorageValue,
+  setStorageValue,
+  removeStorageValue,
+  MAX_TTL_SECONDS
+} from '@/lib/services/storageService';
+
+const SESSION_COOKIE = 'rp_sid';
+const KEY_PATTERN = /^[\w.:-]{1,128}$/;
+const MAX_VALUE_BYTES = 100 * 1024;
+
+// Anonymous drafts shouldn't outlive an abandoned return by much, so session
+// entries always expire and can't ask for longer than this
+const DEFAULT_SESSION_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// A visitor only needs a handful of keys (the return draft is one)
+const MAX_SESSION_KEYS = 10;
+
+// Anonymous writes per client IP. Sessions are free to mint, so the IP is
+// what stops a script from filling the collection.
+const SESSION_WRITE_LIMIT = {
+  windowMs: 60 * 1000, // 1 minute
+  maxRequests: 120,
+  clients: new Map()
+};
+
+// Reject oversized bodies before they're parsed; MAX_VALUE_BYTES plus room
+// for the JSON wrapper
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '128kb'
+    }
+  }
+};
+
+/**
+ * Count an anonymous write against the client's window
+ * @param {string} clientId - Client IP address
+ * @returns {boolean} - Whether the write is over the limit
+ */
+function isSessionWriteLimited(clientId) {
+  const now = Date.now();
+  const clientData = SESSION_WRITE_LIMIT.clients.get(clientId);
+
+  if (!clientData || now > clientData.resetAt) {
+    // Drop finished windows so the map doesn't grow with every visitor
+    for (const [id, data] of SESSION_WRITE_LIMIT.clients) {
+      if (now > data.resetAt) SESSION_WRITE_LIMIT.clients.delete(id);
+    }
+    SESSION_WRITE_LIMIT.clients.set(clientId, { count: 1, resetAt: now + SESSION_WRITE_LIMIT.windowMs });
+    return false;
+  }
+
+  if (clientData.count >= SESSION_WRITE_LIMIT.maxRequests) {
+    return true;
+  }
+
+  clientData.count++;
+  return false;
+}
+
+/**
+ * Work out who owns the entries for this request. Signed-in admins get their
+ * own namespace; everyone else is scoped to a random session cookie.
+ * Browsers never choose the owner themselves.
+ */
+async function resolveOwner(req, res) {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    const { admin } = await verifyAdminAuth(req, { tenantScoped: false });
+    return { userId: `admin:${admin.id}`, isSession: false };
+  }
+
+  let sessionId = req.cookies?.[SESSION_COOKIE];
+  if (!sessionId || !/^[0-9a-f-]{36}$/.test(sessionId)) {
+    sessionId = crypto.randomUUID();
+    const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+    res.setHeader(
+      'Set-Cookie',
+      `${SESSION_COOKIE}=${sessionId}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${DEFAULT_SESSION_TTL_SECONDS}${secure}`
+    );
+  }
+  return { userId: `session:${sessionId}`, isSession: true };
+}
+
+export default async function handler(req, res) {
+  const { key } = req.query;
+  if (!key || !KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      error: 'Invalid Request',
+      message: 'A valid storage key is required'
+    });
+  }
+
+  const tenantId = req.headers['x-tenant-id'] || 'default';
+
+  let owner;
+  try {
+    owner = await resolveOwner(req, res);
+  } catch (error) {
+    return res.status(error.status || 401).json({ message: error.message });
+  }
+
+  // GET - Read a value
+  if (req.method === 'GET') {
+    try {
+      const value = await getStorageValue(key, tenantId, owner.userId, undefined);
+
+      if (value === undefined) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'No value stored for this key'
+        });
+      }
+
+      return res.status(200).json({ key, value });
+    } catch (err) {
+      console.error(`GET /storage/${key} error:`, err);
+      return res.status(500).json({
+        error: 'Server Error',
+        message: 'An error occurred while reading storage'
+      });
+    }
+  }
+
+  // PUT - Store a value
+  else if (req.method === 'PUT') {
+    if (owner.isSession && isSessionWriteLimited(getClientIp(req) || 'unknown')) {
+      res.setHeader('Retry-After', Math.ceil(SESSION_WRITE_LIMIT.windowMs / 1000));
+      return res.status(429).json({
+        error: 'Too Many Requests',
+        message: 'Too many storage writes. Please try again later.'
+      });
+    }
+
+    try {
+      const { value, ttlSeconds } = req.body || {};
+
+      if (value === undefined) {
+        return res.status(400).json({
+          error: 'Invalid Request',
+          message: 'A value is required'
+        });
+      }
+
+      if (Buffer.byteLength(JSON.stringify(value)) > MAX_VALUE_BYTES) {
+        return res.status(413).json({
+          error: 'Payload Too Large',
+          message: `Stored values are limited to ${MAX_VALUE_BYTES} bytes`
+        });
+      }
+
+      const maxTtlSeconds = owner.isSession ? DEFAULT_SESSION_TTL_SECONDS : MAX_TTL_SECONDS;
+      if (ttlSeconds !== undefined && (!Number.isInteger(ttlSeconds) || ttlSeconds <= 0 || ttlSeconds > maxTtlSeconds)) {
+        return res.status(400).json({
+          error: 'Invalid Request',
+          message: `ttlSeconds must be a whole number between 1 and ${maxTtlSeconds}`
+        });
+      }
+
+      await setStorageValue(key, value, tenantId, owner.userId, owner.isSession
+        ? { ttlSeconds: ttlSeconds || DEFAULT_SESSION_TTL_SECONDS, maxEntries: MAX_SESSION_KEYS }
+        : { ttlSeconds }
+      );
+
+      return res.status(200).json({ success: true });
+    } catch (err) {
+      if (err.status === 429) {
+        return res.status(429).json({
+          error: 'Too Many Requests',
+          message: err.message
+        });
+      }
+
+      console.error(`PUT /storage/${key} error:`, err);
+      return res.status(500).json({
+        error: 'Server Error',
+        message: 'An error occurred while writing storage'
+      });
+    }
+  }
+
+  // DELETE - Remove a value
+  else if (req.method === 'DELETE') {
+    try {
+      await removeStorageValue(key, tenantId, owner.userId);
+      return res.status(200).json({ success: true });
+    } catch (err) {
+      console.error(`DELETE /storage/${key} error:`, err);
+      return res.status(500).json({
+        error: 'Server Error',
+        message: 'An error occurred while removing storage'
+      });
+    }
+  }
+
+  // Handle other HTTP methods
+  res.setHeader('Allow', ['GET', 'PUT', 'DELETE']);
+  return res.status(405).json({
+    error: 'Method Not Allowed',
+    message: `Method ${req.method} is not allowed`
+  });
+}
@@ -0,0 +1,49 @@
+// src/pages/api/tenant/resolve.js
+// Used by the edge middleware, which cannot reach MongoDB itself, to map a
+// request hostname to a tenant.
+import { resolveTenantIdForHost } from '@/lib/services/tenantService';
+
+export default async function handler(req, res) {
+  // Only handle GET requests
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ 
+      error: 'Method Not Allowed', 
+      message: `Method ${req.method} is not allowed` 
+    });
+  }
+
+  // When configured, only the middleware may use the resolver
+  const resolverSecret = process.env.TENANT_RESOLVER_SECRET;
+  if (resolverSecret && req.headers['x-tenant-resolver-secret'] !== resolverSecret) {
+    return res.status(401).json({ message: 'Resolver secret required' });
+  }
+
+  const { host } = req.query;
+  if (!host) {
+    return res.status(400).json({
+      error: 'Missing Required Parameter',
+      message: 'Host is required'
+    });
+  }
+
+  try {
+    const tenantId = await resolveTenantIdForHost(host);
+    
+    if (!tenantId) {
+      return res.status(404).json({
+        error: 'Tenant Not Found',
+        message: 'No tenant is mapped to this host'
+      });
+    }
+    
+    return res.status(200).json({ tenantId });
+  } catch (err) {
+    console.error('Error resolving tenant for host:', err);
+    return res.status(500).json({
+      error: 'Server Error',
+      message: 'An error occurred while resolving the tenant',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
@@ -1,5 +1,7 @@
 // src/pages/api/tenant/settings.js
-import { tenantConfigs } from '@/lib/tenant/config';
+import { getTenantConfig } from '@/lib/tenant/service';
+import { getSettingsForTenant } from '@/lib/services/settingsService';
+import { getThemeForTenant } from '@/lib/services/themeService';
 
 export default async function handler(req, res) {
   // Only handle GET requests
@@ -11,18 +13,24 @@ export default async function handler(req, res) {
     });
   }
 
-  // Get tenant ID from query params or request headers
-  const tenantId = req.query.tenantId || req.headers['x-tenant-id'] || 'default';
+  // The middleware resolves the tenant from the domain or ?tenantId=
+  const tenantId = req.headers['x-tenant-id'] || 'default';
 
   try {
     // Get tenant config
-    const tenantConfig = tenantConfigs[tenantId] || tenantConfigs.default;
+    const tenantConfig = await getTenantConfig(tenantId);
+    
+    // Fraud thresholds and admin security policy are admin-only, don't expose them to customers
+    const publicSettings = await getSettingsForTenant(tenantConfig.tenantId);
+    delete publicSettings.fraudPrevention;
+    delete publicSettings.security;
     
     // For security, remove any sensitive data like API keys before returning
     const safeConfig = {
+      tenantId: tenantConfig.tenantId,
       name: tenantConfig.name,
-      theme: tenantConfig.theme,
-      settings: tenantConfig.settings,
+      theme: await getThemeForTenant(tenantConfig.tenantId),
+      settings: publicSettings,
       locale: tenantConfig.locale,
     };
     
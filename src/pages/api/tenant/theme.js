@@ -0,0 +1,32 @@
+// src/pages/api/tenant/theme.js
+import { getTenantTheme } from '@/lib/tenant/service';
+
+export default async function handler(req, res) {
+  // Only handle GET requests
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ 
+      error: 'Method Not Allowed', 
+      message: `Method ${req.method} is not allowed` 
+    });
+  }
+
+  // The middleware resolves the tenant from the domain or ?tenantId=
+  const tenantId = req.headers['x-tenant-id'] || 'default';
+
+  try {
+    const theme = await getTenantTheme(tenantId);
+    
+    // Themes are public branding, let browsers and CDNs cache them briefly
+    res.setHeader('Cache-Control', 'public, max-age=60, stale-while-revalidate=300');
+    
+    return res.status(200).json(theme);
+  } catch (err) {
+    console.error('Error fetching tenant theme:', err);
+    return res.status(500).json({
+      error: 'Server Error',
+      message: 'An error occurred while processing your request',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
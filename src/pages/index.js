@@ -149,4 +149,6 @@ export default function Home() {
       </div>
     </ReturnLayout>
   );
-}
\ No newline at end of file
+}
+
+export { getTenantThemeProps as getServerSideProps } from '@/lib/tenant/service';
@@ -341,4 +341,6 @@ export default function OrderDetails() {
       )}
     </ReturnLayout>
   );
-}
\ No newline at end of file
+}
+
+export { getTenantThemeProps as getServerSideProps } from '@/lib/tenant/service';
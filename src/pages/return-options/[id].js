@@ -290,4 +290,6 @@ export default function ReturnOptions() {
       </div>
     </ReturnLayout>
   );
-}
\ No newline at end of file
+}
+
+export { getTenantThemeProps as getServerSideProps } from '@/lib/tenant/service';
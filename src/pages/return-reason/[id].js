@@ -234,4 +234,6 @@ export default function ReturnReason() {
       </div>
     </ReturnLayout>
   );
-}
\ No newline at end of file
+}
+
+export { getTenantThemeProps as getServerSideProps } from '@/lib/tenant/service';
@@ -3,19 +3,17 @@ import { useEffect, useState } from 'react';
 import { useRouter } from 'next/router';
 import { 
   CheckCircle, 
-  CreditCard, 
-  Gift,
-  DollarSign,
-  Sparkles,
-  Package
+  Package,
+  Repeat
 } from 'lucide-react';
 import { useReturnFlow } from '@/hooks/useReturnFlow';
-import { useTenantSettings } from '@/lib/tenant/hooks';
 import { useLocale } from '@/lib/i18n';
 import Trans from '@/lib/i18n/Trans';
 import ReturnLayout from '@/components/return/ReturnLayout';
 import Button from '@/components/ui/Button';
 import ProductCard from '@/components/return/ProductCard';
+import RefundMethodOption from '@/components/return/RefundMethodOption';
+import { quoteReturnFees } from '@/lib/returns/fees';
 
 export default function ReturnReview() {
   const router = useRouter();
@@ -23,31 +21,66 @@ export default function ReturnReview() {
     order,
     itemsToReturn,
     loading,
-    completeReturn
+    completeReturn,
+    getRefundMethods,
+    getReturnQuote
   } = useReturnFlow();
-  const { settings } = useTenantSettings();
   const { t } = useLocale();
-  
-  // Default return options with fallback values
-  const giftCardBonus = settings?.returnOptions?.giftCardBonus ?? 0.10; // 10% bonus
-  const shippingDeductionRate = settings?.returnOptions?.shippingDeductionRate ?? 0.79; // shipping cost deduction
 
-  const [selectedOption, setSelectedOption] = useState('giftcard');
+  // Refund methods the shop offers for these items, and what they are worth
+  // after fees, both decided by the server
+  const [refundOptions, setRefundOptions] = useState(null);
+  const [quote, setQuote] = useState(null);
+  const [selectedOption, setSelectedOption] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [termsAccepted, setTermsAccepted] = useState(false);
 
-  // Calculate total return value
-  const calculateTotalReturnValue = () => {
-    return itemsToReturn.reduce((total, item) => {
-      return total + (parseFloat(item.price) * item.quantity);
-    }, 0);
-  };
-
-  const totalReturnValue = calculateTotalReturnValue();
+  // Without the server's quote, show the items' value without fees
+  const fallbackQuote = quoteReturnFees(null, itemsToReturn.map(item => ({
+    itemId: item.id,
+    title: item.title,
+    quantity: item.quantity,
+    unitPrice: item.price,
+    returnOption: item.returnOption,
+    returnReason: item.returnReason
+  })));
+  const { subtotal, totalFees, total, shippingFee, items: quotedItems } = quote || fallbackQuote;
+  const restockingFees = quotedItems.filter(item => item.restockingFee > 0);
   
-  // Calculate gift card and return values
-  const giftCardValue = totalReturnValue * (1 + giftCardBonus);
-  const returnValueMinusShipping = totalReturnValue * (1 - shippingDeductionRate);
+  const methods = refundOptions?.methods || [];
+  const exchangeOnly = !!refundOptions?.exchangeOnly;
+
+  // Load the refund methods and preselect the one worth the most
+  useEffect(() => {
+    let cancelled = false;
+    
+    getRefundMethods().then(result => {
+      if (cancelled) return;
+      // Without the list, offer a plain refund; the server checks the choice either way
+      const options = result || { exchangeOnly: false, methods: [{ method: 'original_payment', bonus: 0 }] };
+      setRefundOptions(options);
+      const best = [...options.methods].sort((a, b) => b.bonus - a.bonus)[0];
+      setSelectedOption(best?.method || null);
+    });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [getRefundMethods]);
+
+  useEffect(() => {
+    let cancelled = false;
+    
+    getReturnQuote().then(result => {
+      if (!cancelled && result) {
+        setQuote(result);
+      }
+    });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [getReturnQuote]);
 
   // Redirect if no items to return
   useEffect(() => {
@@ -69,6 +102,7 @@ export default function ReturnReview() {
   // Handle submit button click
   const handleSubmit = async () => {
     if (isSubmitting) return;
+    if (exchangeOnly || (methods.length > 0 && !selectedOption)) return;
     if (!termsAccepted) {
       alert(t('return.review.acceptTermsAlert', 'Please accept the terms and conditions to continue'));
       return;
@@ -76,10 +110,7 @@ export default function ReturnReview() {
     
     setIsSubmitting(true);
     try {
-      const success = await completeReturn({
-        returnMethod: selectedOption,
-        returnValue: selectedOption === 'giftcard' ? giftCardValue : returnValueMinusShipping
-      });
+      const success = await completeReturn({ refundMethod: selectedOption });
       if (success) {
         // Will be redirected to success page from the hook
       }
@@ -119,190 +150,76 @@ export default function ReturnReview() {
       onBackClick={handleBack}
     >
       <div className="p-6 return-portal-container">
-        <div className="mb-8 text-center">
-          <h2 className="text-2xl font-bold mb-2 return-portal-heading">
-            <Trans i18nKey="return.review.chooseRefund">Choose Your Refund Method</Trans>
-          </h2>
-          <p className="text-gray-600 max-w-xl mx-auto return-portal-text-secondary">
-            <Trans i18nKey="return.review.refundOptions">
-              We offer you two refund options. Select the method that works best for you.
-            </Trans>
-          </p>
-        </div>
-
-        {/* Refund Method Selection - Vertical (stacked) Cards */}
-        <div className="flex flex-col gap-4 mb-8">
-          {/* Gift Card Option */}
-          <div 
-            className={`
-              relative flex items-center p-4 rounded-xl border-2 transition transform duration-200 cursor-pointer
-              bg-gradient-to-r from-blue-50 to-blue-100
-              ${selectedOption === 'giftcard' 
-                ? 'shadow-xl border-blue-500 ring-4 ring-blue-200 scale-105' 
-                : 'shadow-sm border-gray-200 hover:shadow-md hover:scale-105 hover:border-blue-300'}
-            `}
-            onClick={() => setSelectedOption('giftcard')}
-            style={{
-              borderColor: selectedOption === 'giftcard' 
-                ? 'var(--theme-primary-color, #4f46e5)' 
-                : 'var(--theme-border-color, #e5e7eb)',
-              boxShadow: selectedOption === 'giftcard' 
-                ? '0 4px 6px -1px rgba(0, 0, 0, 0.1)' 
-                : '0 1px 2px 0 rgba(0, 0, 0, 0.05)'
-            }}
-          >
-            {/* Bonus Badge */}
-            <div className="absolute top-0 right-0 m-2">
-              <span className="bg-gradient-to-r from-green-500 to-green-600 text-white text-xs font-bold px-2 py-1 rounded-full flex items-center">
-                <Sparkles className="w-3 h-3 mr-1" />
-                <Trans i18nKey="return.review.bonusAmount" params={{percent: (giftCardBonus * 100).toFixed(0)}}>
-                  +{(giftCardBonus * 100).toFixed(0)}% BONUS
-                </Trans>
-              </span>
-            </div>
+        {exchangeOnly && (
+          <div className="mb-8 p-6 rounded-xl border text-center"
+               style={{borderColor: 'var(--theme-border-color, #e5e7eb)'}}>
+            <Repeat className="w-8 h-8 mx-auto mb-2" style={{color: 'var(--theme-primary-color, #4f46e5)'}} />
+            <h2 className="text-xl font-bold mb-2 return-portal-heading">
+              <Trans i18nKey="return.review.exchangeOnly">These items can only be exchanged</Trans>
+            </h2>
+            <p className="text-gray-600 max-w-xl mx-auto return-portal-text-secondary">
+              <Trans i18nKey="return.review.exchangeOnlyDescription">
+                For the reasons you gave, we can offer an exchange but not a refund. Go back and choose an exchange for each item.
+              </Trans>
+            </p>
+          </div>
+        )}
 
-            <div className="bg-blue-100 rounded-full p-3 mr-4 flex-shrink-0" 
-                 style={{backgroundColor: 'rgba(var(--theme-primary-color-rgb, 79, 70, 229), 0.1)'}}>
-              <Gift className="w-6 h-6 text-blue-600" style={{color: 'var(--theme-primary-color, #4f46e5)'}} />
-            </div>
-            
-            <div className="flex-grow">
-              <h3 className="text-lg font-bold text-gray-900 mb-1 return-portal-heading">
-                <Trans i18nKey="return.review.maximizeReturn">Maximize Your Return</Trans>
-              </h3>
-              
-              <p className="text-sm mb-2 return-portal-text-secondary">
-                <Trans i18nKey="return.review.bonusDescription" params={{percent: (giftCardBonus * 100).toFixed(0)}}>
-                  Enjoy an extra {(giftCardBonus * 100).toFixed(0)}% bonus – more money back in your pocket!
+        {methods.length > 0 && (
+          <>
+            <div className="mb-8 text-center">
+              <h2 className="text-2xl font-bold mb-2 return-portal-heading">
+                <Trans i18nKey="return.review.chooseRefund">Choose Your Refund Method</Trans>
+              </h2>
+              <p className="text-gray-600 max-w-xl mx-auto return-portal-text-secondary">
+                <Trans i18nKey="return.review.refundOptions">
+                  Select the refund method that works best for you.
                 </Trans>
               </p>
-              
-              <div className="bg-blue-50 border border-blue-200 rounded-lg p-2" 
-                   style={{
-                     backgroundColor: 'rgba(var(--theme-primary-color-rgb, 79, 70, 229), 0.05)', 
-                     borderColor: 'rgba(var(--theme-primary-color-rgb, 79, 70, 229), 0.2)'
-                   }}>
-                <div className="flex justify-between items-center text-sm">
-                  <span className="return-portal-text-secondary">
-                    <Trans i18nKey="return.review.originalValue">Original Value</Trans>
-                  </span>
-                  <span className="font-medium return-portal-text">
-                    ${totalReturnValue.toFixed(2)}
-                  </span>
-                </div>
-                <div className="flex justify-between items-center mt-1">
-                  <span className="font-bold" style={{color: 'var(--theme-primary-color, #4f46e5)'}}>
-                    <Trans i18nKey="return.review.giftCardValue">Gift Card Value</Trans>
-                  </span>
-                  <span className="font-bold" style={{color: 'var(--theme-primary-color, #4f46e5)'}}>
-                    ${giftCardValue.toFixed(2)}
-                  </span>
-                </div>
-              </div>
-              
-              <div className="mt-2">
-                <input
-                  type="radio"
-                  id="giftcard-option"
-                  checked={selectedOption === 'giftcard'}
-                  onChange={() => setSelectedOption('giftcard')}
-                  className="hidden peer"
-                />
-                <label 
-                  htmlFor="giftcard-option"
-                  className="block w-full py-2 rounded-lg text-center font-bold transition-colors bg-blue-600 text-white hover:bg-blue-700 return-portal-button-primary"
-                  style={{
-                    backgroundColor: 'var(--theme-primary-color, #4f46e5)',
-                    color: '#ffffff'
-                  }}
-                >
-                  <Trans i18nKey="return.review.selectGiftCard">Select Gift Card</Trans>
-                </label>
-              </div>
             </div>
-          </div>
 
-          {/* Standard Return Option */}
-          <div 
-            className={`
-              relative flex items-center p-4 rounded-xl border-2 transition transform duration-200 cursor-pointer
-              bg-gradient-to-r from-gray-50 to-gray-100
-              ${selectedOption === 'return' 
-                ? 'shadow-xl border-gray-500 ring-4 ring-gray-200 scale-105' 
-                : 'shadow-sm border-gray-200 opacity-80 hover:shadow-md hover:scale-105 hover:opacity-100'}
-            `}
-            onClick={() => setSelectedOption('return')}
-            style={{
-              borderColor: selectedOption === 'return' 
-                ? 'var(--theme-secondary-color, #6b7280)' 
-                : 'var(--theme-border-color, #e5e7eb)',
-              boxShadow: selectedOption === 'return' 
-                ? '0 4px 6px -1px rgba(0, 0, 0, 0.1)' 
-                : '0 1px 2px 0 rgba(0, 0, 0, 0.05)'
-            }}
-          >
-            {/* Shipping Deduction Badge */}
-            <div className="absolute top-0 right-0 m-2">
-              <span className="bg-gradient-to-r from-red-100 to-red-200 text-red-800 text-xs font-bold px-2 py-1 rounded-full flex items-center">
-                <DollarSign className="w-3 h-3 mr-1" />
-                <Trans i18nKey="return.review.shippingDeduction" params={{percent: (shippingDeductionRate * 100).toFixed(0)}}>
-                  -{(shippingDeductionRate * 100).toFixed(0)}kr Shipping
-                </Trans>
-              </span>
+            {/* Refund Method Selection - Vertical (stacked) Cards */}
+            <div className="flex flex-col gap-4 mb-8">
+              {methods.map(option => (
+                <RefundMethodOption
+                  key={option.method}
+                  method={option.method}
+                  bonus={option.bonus}
+                  selected={selectedOption === option.method}
+                  onSelect={() => setSelectedOption(option.method)}
+                  totalValue={subtotal}
+                  refundValue={total}
+                  feeTotal={totalFees}
+                />
+              ))}
             </div>
 
-            <div className="bg-gray-100 rounded-full p-3 mr-4 flex-shrink-0">
-              <CreditCard className="w-6 h-6 text-gray-600" />
-            </div>
-            
-            <div className="flex-grow">
-              <h3 className="text-lg font-bold text-gray-900 mb-1 return-portal-heading">
-                <Trans i18nKey="return.review.originalPayment">Original Payment</Trans>
-              </h3>
-              
-              <p className="text-sm mb-2 return-portal-text-secondary">
-                <Trans i18nKey="return.returnOptions.returnDescription">
-                  Refund to original method with shipping deduction
-                </Trans>
-              </p>
-              
-              <div className="bg-gray-50 border border-gray-200 rounded-lg p-2">
-                <div className="flex justify-between items-center text-sm">
-                  <span className="return-portal-text-secondary">
-                    <Trans i18nKey="return.review.originalValue">Original Value</Trans>
-                  </span>
-                  <span className="font-medium return-portal-text">
-                    ${totalReturnValue.toFixed(2)}
-                  </span>
-                </div>
-                <div className="flex justify-between items-center mt-1">
-                  <span className="font-bold return-portal-text">
-                    <Trans i18nKey="return.review.refundAmount">Refund Amount</Trans>
-                  </span>
-                  <span className="font-bold return-portal-text">
-                    ${returnValueMinusShipping.toFixed(2)}
-                  </span>
-                </div>
-              </div>
-              
-              <div className="mt-2">
-                <input
-                  type="radio"
-                  id="return-option"
-                  checked={selectedOption === 'return'}
-                  onChange={() => setSelectedOption('return')}
-                  className="hidden peer"
-                />
-                <label 
-                  htmlFor="return-option"
-                  className="block w-full py-2 rounded-lg text-center font-bold transition-colors bg-gray-200 text-gray-700 hover:bg-gray-300"
-                >
-                  <Trans i18nKey="return.review.selectOriginalMethod">Select Original Method</Trans>
-                </label>
+            {/* Fee Breakdown */}
+            {totalFees > 0 && (
+              <div className="mb-8 p-4 rounded-lg border text-sm"
+                   style={{borderColor: 'var(--theme-border-color, #e5e7eb)'}}>
+                <h3 className="font-bold mb-2 return-portal-heading">
+                  <Trans i18nKey="return.review.returnFees">Return fees</Trans>
+                </h3>
+                {shippingFee > 0 && (
+                  <div className="flex justify-between return-portal-text-secondary">
+                    <span><Trans i18nKey="return.review.returnShippingFee">Return shipping</Trans></span>
+                    <span>-${shippingFee.toFixed(2)}</span>
+                  </div>
+                )}
+                {restockingFees.map(item => (
+                  <div key={item.itemId} className="flex justify-between return-portal-text-secondary">
+                    <span>
+                      <Trans i18nKey="return.review.restockingFee">Restocking fee</Trans>
+                      {` · ${item.title} (${Math.round(item.restockingFeePercent * 100)}%)`}
+                    </span>
+                    <span>-${item.restockingFee.toFixed(2)}</span>
+                  </div>
+                ))}
               </div>
-            </div>
-          </div>
-        </div>
+            )}
+          </>
+        )}
 
         {/* Items to Process Section */}
         <div className="bg-gray-50 rounded-lg p-6 mb-6" 
@@ -342,6 +259,12 @@ export default function ReturnReview() {
                     {item.returnReason?.additionalInfo && (
                       <p className="italic return-portal-text-secondary">{item.returnReason.additionalInfo}</p>
                     )}
+                    {quote && totalFees > 0 && item.returnOption !== 'exchange' &&
+                      quotedItems.find(quoted => quoted.itemId === String(item.id))?.waived && (
+                      <p className="return-portal-text-secondary">
+                        <Trans i18nKey="return.review.feesWaived">No fees for this item</Trans>
+                      </p>
+                    )}
                   </div>
                 </div>
               ))}
@@ -389,7 +312,10 @@ export default function ReturnReview() {
         <div className="flex justify-end">
           <Button
             onClick={handleSubmit}
-            disabled={loading || isSubmitting || itemsToReturn.length === 0 || !termsAccepted}
+            disabled={
+              loading || isSubmitting || itemsToReturn.length === 0 || !termsAccepted ||
+              !refundOptions || exchangeOnly || (methods.length > 0 && !selectedOption)
+            }
             isLoading={loading || isSubmitting}
             variant="primary"
             size="lg"
@@ -404,4 +330,6 @@ export default function ReturnReview() {
       </div>
     </ReturnLayout>
   );
-}
\ No newline at end of file
+}
+
+export { getTenantThemeProps as getServerSideProps } from '@/lib/tenant/service';
@@ -1,16 +1,33 @@
 // src/pages/success.js - With proper translation and theme implementation
+import { useEffect, useState } from 'react';
 import { useRouter } from 'next/router';
-import { CheckCircle, ShoppingBag, ArrowRight, Printer, Mail, FileText } from 'lucide-react';
+import { CheckCircle, ShoppingBag, ArrowRight, Printer, Mail, FileText, Download } from 'lucide-react';
 import { useLocale } from '@/lib/i18n';
 import Trans from '@/lib/i18n/Trans';
 import ReturnLayout from '@/components/return/ReturnLayout';
 import Button from '@/components/ui/Button';
 import { motion } from 'framer-motion';
+import { RETURN_DOCUMENTS_KEY } from '@/hooks/useReturnFlow';
 
 export default function Success() {
   const router = useRouter();
   const { t } = useLocale();
   
+  // RMA number of the return just created, passed along by the return flow
+  const rmaNumber = typeof router.query.rma === 'string' ? router.query.rma : null;
+  
+  // Packing slip and label links saved by the return flow
+  const [documents, setDocuments] = useState({});
+  useEffect(() => {
+    try {
+      setDocuments(JSON.parse(window.sessionStorage.getItem(RETURN_DOCUMENTS_KEY)) || {});
+    } catch (err) {
+      console.error('Error loading return documents:', err);
+    }
+  }, []);
+  // Only links saved for this return, not an earlier one in the same tab
+  const { packingSlipUrl, returnLabelUrl } = documents.rmaNumber === rmaNumber ? documents : {};
+  
   // Handle return to home button
   const handleReturnHome = () => {
     router.push('/');
@@ -79,6 +96,57 @@ export default function Success() {
             </motion.p>
           </div>
           
+          {rmaNumber && (
+            <motion.div
+              variants={itemVariants}
+              className="p-4 rounded-lg border mb-8 text-center"
+              style={{
+                backgroundColor: 'rgba(var(--theme-primary-color-rgb, 79, 70, 229), 0.05)',
+                borderColor: 'rgba(var(--theme-primary-color-rgb, 79, 70, 229), 0.2)'
+              }}
+            >
+              <p className="text-sm return-portal-text-secondary">
+                <Trans i18nKey="return.success.rmaNumber">Your return number</Trans>
+              </p>
+              <p className="text-xl font-bold font-mono return-portal-heading">
+                {rmaNumber}
+              </p>
+              {(packingSlipUrl || returnLabelUrl) && (
+                <div className="flex justify-center gap-4 mt-1 text-sm">
+                  {returnLabelUrl && (
+                    <a
+                      href={returnLabelUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="inline-flex items-center hover:underline"
+                      style={{ color: 'var(--theme-primary-color, #4f46e5)' }}
+                    >
+                      <Download className="w-4 h-4 mr-1" />
+                      <Trans i18nKey="return.success.downloadLabel">Return label</Trans>
+                    </a>
+                  )}
+                  {packingSlipUrl && (
+                    <a
+                      href={packingSlipUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="inline-flex items-center hover:underline"
+                      style={{ color: 'var(--theme-primary-color, #4f46e5)' }}
+                    >
+                      <Download className="w-4 h-4 mr-1" />
+                      <Trans i18nKey="return.success.downloadPackingSlip">Packing slip</Trans>
+                    </a>
+                  )}
+                </div>
+              )}
+              <p className="text-sm mt-2 return-portal-text-secondary">
+                <Trans i18nKey="return.success.rmaDescription">
+                  Quote this number if you contact us, and write it on your parcel.
+                </Trans>
+              </p>
+            </motion.div>
+          )}
+          
           <motion.div 
             variants={itemVariants} 
             className="bg-gray-50 p-6 rounded-lg border border-gray-200 mb-8"
@@ -204,4 +272,6 @@ export default function Success() {
       </div>
     </ReturnLayout>
   );
-}
\ No newline at end of file
+}
+
+export { getTenantThemeProps as getServerSideProps } from '@/lib/tenant/service';